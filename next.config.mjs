@@ -4,11 +4,29 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Allow next/image to load media from the S3 bucket when STORAGE_DRIVER=s3
+function getS3RemotePatterns() {
+  if (!process.env.S3_PUBLIC_URL) return [];
+
+  const url = new URL(process.env.S3_PUBLIC_URL);
+  return [
+    {
+      protocol: url.protocol.replace(':', ''),
+      hostname: url.hostname,
+      port: url.port,
+      pathname: `${url.pathname.replace(/\/$/, '')}/**`,
+    },
+  ];
+}
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   // Fix: Silence warning about multiple lockfiles
   outputFileTracingRoot: __dirname,
 
+  // Resolve the ffmpeg binary path at runtime instead of bundling the package
+  serverExternalPackages: ['ffmpeg-static'],
+
   // Image optimization configuration
   images: {
     remotePatterns: [
@@ -22,6 +40,7 @@ const nextConfig = {
         hostname: 'images.unsplash.com',
         pathname: '/**',
       },
+      ...getS3RemotePatterns(),
     ],
   },
 };
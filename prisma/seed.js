@@ -1,7 +1,18 @@
 const { PrismaClient } = require('../src/generated/prisma');
+const { randomBytes, scryptSync } = require('crypto');
 
 const prisma = new PrismaClient();
 
+// Demo account credentials (sign in at /login)
+const DEMO_EMAIL = 'demo@capturepwa.app';
+const DEMO_PASSWORD = 'demo1234';
+
+// Same "salt:hash" scrypt format as hashPassword() in src/lib/auth.js
+function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  return `${salt}:${scryptSync(password, salt, 64).toString('hex')}`;
+}
+
 async function main() {
   console.log('🌱 Starting database seed...');
 
@@ -12,7 +23,8 @@ async function main() {
     create: {
       id: 1,
       name: 'Demo User',
-      email: 'demo@capturepwa.app',
+      email: DEMO_EMAIL,
+      passwordHash: hashPassword(DEMO_PASSWORD),
       settings: JSON.stringify({
         theme: 'dark',
         notifications: true,
@@ -21,7 +33,7 @@ async function main() {
       }),
     },
   });
-  console.log('✅ Created user:', user.name);
+  console.log(`✅ Created user: ${user.name} (${DEMO_EMAIL} / ${DEMO_PASSWORD})`);
 
   // Create categories
   const categories = await Promise.all([
@@ -76,7 +88,7 @@ async function main() {
   // Create tags
   const tags = await Promise.all([
     prisma.tag.upsert({
-      where: { name: 'important' },
+      where: { userId_name: { userId: user.id, name: 'important' } },
       update: {},
       create: {
         name: 'important',
@@ -85,7 +97,7 @@ async function main() {
       },
     }),
     prisma.tag.upsert({
-      where: { name: 'favorite' },
+      where: { userId_name: { userId: user.id, name: 'favorite' } },
       update: {},
       create: {
         name: 'favorite',
@@ -94,7 +106,7 @@ async function main() {
       },
     }),
     prisma.tag.upsert({
-      where: { name: 'family' },
+      where: { userId_name: { userId: user.id, name: 'family' } },
       update: {},
       create: {
         name: 'family',
@@ -103,7 +115,7 @@ async function main() {
       },
     }),
     prisma.tag.upsert({
-      where: { name: 'friends' },
+      where: { userId_name: { userId: user.id, name: 'friends' } },
       update: {},
       create: {
         name: 'friends',
@@ -112,7 +124,7 @@ async function main() {
       },
     }),
     prisma.tag.upsert({
-      where: { name: 'inspiration' },
+      where: { userId_name: { userId: user.id, name: 'inspiration' } },
       update: {},
       create: {
         name: 'inspiration',
@@ -121,7 +133,7 @@ async function main() {
       },
     }),
     prisma.tag.upsert({
-      where: { name: 'todo' },
+      where: { userId_name: { userId: user.id, name: 'todo' } },
       update: {},
       create: {
         name: 'todo',
@@ -133,7 +145,7 @@ async function main() {
   console.log(`✅ Created ${tags.length} tags`);
 
   // Create sample moments (only if no moments exist)
-  const momentCount = await prisma.moment.count();
+  const momentCount = await prisma.moment.count({ where: { userId: user.id } });
 
   if (momentCount === 0) {
     console.log('📝 Creating sample moments...');
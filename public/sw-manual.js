@@ -13,6 +13,33 @@ self.addEventListener('activate', (event) => {
   event.waitUntil(clients.claim());
 });
 
+// Offline outbox: mirrors src/lib/outbox-schema.js (keep in sync)
+const OUTBOX_DB_NAME = 'MomentCaptureDB';
+const OUTBOX_STORE = 'pendingMoments';
+const OUTBOX_OPERATION = { CREATE: 'create', UPDATE: 'update', DELETE: 'delete' };
+const OUTBOX_STATUS = { PENDING: 'pending', SYNCING: 'syncing', FAILED: 'failed', CONFLICT: 'conflict' };
+const MAX_ATTEMPTS = 8;
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+function isRetryableStatus(status) {
+  if (status === null) return true;
+  return status >= 500 || status === 401 || status === 408 || status === 429;
+}
+
+function isOutboxItemDue(item, now) {
+  if (item.status === OUTBOX_STATUS.FAILED || item.status === OUTBOX_STATUS.CONFLICT) return false;
+  if (item.status === OUTBOX_STATUS.SYNCING && now - (item.lockedAt || 0) < LOCK_TIMEOUT_MS) {
+    return false;
+  }
+  return (item.nextAttemptAt || 0) <= now;
+}
+
 // Background Sync Event
 self.addEventListener('sync', (event) => {
   console.log('[Service Worker] Sync event triggered:', event.tag);
@@ -23,33 +50,43 @@ self.addEventListener('sync', (event) => {
 });
 
 /**
- * Sync pending moments from IndexedDB to server
+ * Sync due outbox items from IndexedDB to the server
  */
 async function syncPendingMoments() {
   console.log('[Service Worker] Starting background sync...');
 
+  const db = await openDatabase();
+  if (!db) {
+    console.log('[Service Worker] No outbox yet, nothing to sync');
+    return;
+  }
+
   try {
-    // Open IndexedDB
-    const db = await openDatabase();
-    const tx = db.transaction(['pendingMoments'], 'readonly');
-    const store = tx.objectStore('pendingMoments');
-    const pendingMoments = await store.getAll();
+    const items = await requestToPromise(
+      db.transaction([OUTBOX_STORE], 'readonly').objectStore(OUTBOX_STORE).getAll()
+    );
+    const now = Date.now();
+    const due = items.filter((item) => isOutboxItemDue(item, now));
 
-    console.log(`[Service Worker] Found ${pendingMoments.length} pending moments to sync`);
+    console.log(`[Service Worker] Found ${due.length} pending moments to sync`);
 
-    if (pendingMoments.length === 0) {
+    if (due.length === 0) {
       return;
     }
 
-    // Sync each pending moment
-    const results = await Promise.allSettled(
-      pendingMoments.map((moment) => syncMoment(moment, db))
-    );
+    let successful = 0;
+    let failed = 0;
+    let retrying = 0;
 
-    const successful = results.filter((r) => r.status === 'fulfilled').length;
-    const failed = results.filter((r) => r.status === 'rejected').length;
+    // One at a time, in capture order
+    for (const item of due) {
+      const result = await syncMoment(item.localId, db);
+      if (result === 'synced') successful++;
+      else if (result === 'retry') retrying++;
+      else if (result === 'failed' || result === 'conflict') failed++;
+    }
 
-    console.log(`[Service Worker] Sync complete: ${successful} succeeded, ${failed} failed`);
+    console.log(`[Service Worker] Sync complete: ${successful} succeeded, ${failed} failed, ${retrying} will retry`);
 
     // Update badge with remaining pending count
     await updateBadge(db);
@@ -60,64 +97,287 @@ async function syncPendingMoments() {
       client.postMessage({
         type: 'SYNC_COMPLETE',
         successful,
-        failed,
-        total: pendingMoments.length,
+        failed: failed + retrying,
+        total: successful + failed + retrying,
       });
     });
-  } catch (error) {
-    console.error('[Service Worker] Background sync failed:', error);
-    throw error; // Re-throw to trigger retry
+
+    // Let the browser schedule another sync event while items are waiting to retry
+    if (retrying > 0) {
+      throw new Error(`${retrying} moment(s) will be retried`);
+    }
+  } finally {
+    db.close();
   }
 }
 
 /**
- * Sync a single moment to the server
+ * Upload one media blob from an outbox item
+ * @returns {Promise<Object>} Upload response ({ url, variants, placeholder, duration, codec, bytes, ... })
  */
-async function syncMoment(moment, db) {
-  try {
-    const response = await fetch('/api/moments', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(moment.data),
-    });
+async function uploadFile(file, { variants = true } = {}) {
+  const formData = new FormData();
+  formData.append('file', file.blob, file.name || file.type);
+  formData.append('type', file.type);
+  if (file.stripLocation) {
+    formData.append('stripLocation', 'true');
+  }
+  if (!variants) {
+    formData.append('variants', 'false');
+  }
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+  const response = await fetch('/api/upload', { method: 'POST', body: formData });
+  if (!response.ok) {
+    await throwResponseError(response, 'Upload failed');
+  }
+
+  return response.json();
+}
+
+/**
+ * Upload an outbox item's media, then create the moment
+ * @returns {Promise<Object>} Created moment
+ */
+async function sendCreate(db, item) {
+  const files = [...item.files];
+  for (const [index, file] of files.entries()) {
+    if (file.poster && !file.posterUrl) {
+      const { url: posterUrl } = await uploadFile(
+        { type: 'image', blob: file.poster, name: 'poster.jpg' },
+        { variants: false }
+      );
+
+      files[index] = { ...file, poster: null, posterUrl };
+      await updateItem(db, item.localId, { files, updatedAt: new Date().toISOString() });
     }
 
-    const result = await response.json();
-    console.log('[Service Worker] Synced moment:', result);
+    if (files[index].url) continue;
+
+    const { url, variants, placeholder, duration, codec, bytes } = await uploadFile(files[index]);
 
-    // Remove from pending queue
-    const tx = db.transaction(['pendingMoments'], 'readwrite');
-    const store = tx.objectStore('pendingMoments');
-    await store.delete(moment.id);
+    // Persist each upload so a retry does not upload the file again
+    files[index] = { ...files[index], url, variants, placeholder, duration, codec, bytes, blob: null };
+    await updateItem(db, item.localId, { files, updatedAt: new Date().toISOString() });
+  }
+
+  const body = { ...item.data, clientId: item.clientId };
+  if (files.length > 0) {
+    body.attachments = [
+      ...(item.data.attachments || []),
+      ...files.map(({ type, url, variants, placeholder, posterUrl, waveform, duration, codec, bytes, caption }) => ({
+        type, url, variants, placeholder, posterUrl, waveform, duration, codec, bytes, caption,
+      })),
+    ];
+  }
+
+  const response = await fetch('/api/moments', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Failed to create moment');
+  }
+
+  return response.json();
+}
+
+/**
+ * Send a queued edit; the server answers 409 if the moment changed since baseUpdatedAt
+ * @returns {Promise<Object>} Updated moment
+ */
+async function sendUpdate(item) {
+  const response = await fetch(`/api/moments/${item.momentId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...item.data, expectedUpdatedAt: item.baseUpdatedAt }),
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Failed to update moment');
+  }
+
+  return response.json();
+}
+
+/**
+ * Send a queued delete; a moment that is already gone counts as deleted
+ */
+async function sendDelete(item) {
+  const query = item.baseUpdatedAt
+    ? `?expectedUpdatedAt=${encodeURIComponent(item.baseUpdatedAt)}`
+    : '';
+  const response = await fetch(`/api/moments/${item.momentId}${query}`, { method: 'DELETE' });
+
+  if (!response.ok && response.status !== 404) {
+    await throwResponseError(response, 'Failed to delete moment');
+  }
+}
+
+/**
+ * Sync a single outbox item: create, update or delete a moment
+ * @returns {Promise<string>} 'synced', 'retry', 'failed', 'conflict' or 'skipped'
+ */
+async function syncMoment(localId, db) {
+  const item = await claimItem(db, localId);
+  if (!item) return 'skipped';
 
-    return result;
+  try {
+    let moment = null;
+    if (item.operation === OUTBOX_OPERATION.UPDATE) {
+      moment = await sendUpdate(item);
+    } else if (item.operation === OUTBOX_OPERATION.DELETE) {
+      await sendDelete(item);
+    } else {
+      moment = await sendCreate(db, item);
+    }
+
+    console.log(`[Service Worker] Synced ${item.operation || OUTBOX_OPERATION.CREATE}:`, moment ? moment.id : item.momentId);
+
+    // Update the cache and remove the item from the outbox
+    const tx = db.transaction(['moments', OUTBOX_STORE], 'readwrite');
+    const outbox = tx.objectStore(OUTBOX_STORE);
+    if (moment) {
+      tx.objectStore('moments').put({ ...moment, synced: true });
+    } else {
+      tx.objectStore('moments').delete(item.momentId);
+    }
+    outbox.delete(localId);
+
+    // Point other queued changes of this moment at the new version
+    if (item.operation === OUTBOX_OPERATION.UPDATE) {
+      const others = await requestToPromise(outbox.getAll());
+      others
+        .filter((other) => other.momentId === item.momentId && other.baseUpdatedAt === item.baseUpdatedAt)
+        .forEach((other) => outbox.put({ ...other, baseUpdatedAt: moment.updatedAt }));
+    }
+
+    await transactionDone(tx);
+
+    return 'synced';
   } catch (error) {
     console.error('[Service Worker] Failed to sync moment:', error);
-    throw error;
+
+    if (error.status === 409) {
+      // Changed on both sides: the page asks the user which version to keep
+      await updateItem(db, localId, {
+        status: OUTBOX_STATUS.CONFLICT,
+        serverMoment: (error.body && error.body.moment) || null,
+        lastError: error.message,
+        lockedAt: null,
+        updatedAt: new Date().toISOString(),
+      });
+      return 'conflict';
+    }
+
+    // fetch() rejects without a status when the network is unavailable
+    const attempts = item.attempts + 1;
+    const failed = !isRetryableStatus(error.status ?? null) || attempts >= MAX_ATTEMPTS;
+
+    await updateItem(db, localId, {
+      status: failed ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: Date.now() + getRetryDelay(attempts),
+      lockedAt: null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    return failed ? 'failed' : 'retry';
   }
 }
 
 /**
- * Open IndexedDB
+ * Throw an error carrying the HTTP status for a failed response
  */
-function openDatabase() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open('CapturePWA', 1);
+async function throwResponseError(response, fallbackMessage) {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.error || `${fallbackMessage} (HTTP ${response.status})`);
+  error.status = response.status;
+  error.body = body;
+  throw error;
+}
 
-    request.onerror = () => reject(request.error);
+/**
+ * Claim an outbox item so the page does not sync it at the same time
+ * @returns {Promise<Object|null>} Claimed item, or null if not due or claimed elsewhere
+ */
+async function claimItem(db, localId) {
+  const tx = db.transaction([OUTBOX_STORE], 'readwrite');
+  const store = tx.objectStore(OUTBOX_STORE);
+  const item = await requestToPromise(store.get(localId));
+
+  if (!item || !isOutboxItemDue(item, Date.now())) {
+    return null;
+  }
+
+  const claimed = { ...item, status: OUTBOX_STATUS.SYNCING, lockedAt: Date.now() };
+  store.put(claimed);
+  await transactionDone(tx);
+  return claimed;
+}
+
+/**
+ * Apply changes to an outbox item
+ */
+async function updateItem(db, localId, changes) {
+  const tx = db.transaction([OUTBOX_STORE], 'readwrite');
+  const store = tx.objectStore(OUTBOX_STORE);
+  const item = await requestToPromise(store.get(localId));
+
+  if (item) {
+    store.put({ ...item, ...changes });
+  }
+  await transactionDone(tx);
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
     request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
 
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Open the app's IndexedDB database (created and versioned by Dexie in src/lib/db.js)
+ * @returns {Promise<IDBDatabase|null>} Database, or null if the page has not created it yet
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME);
+
+    // Never create the database here: Dexie owns the schema
     request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains('pendingMoments')) {
-        db.createObjectStore('pendingMoments', { keyPath: 'id', autoIncrement: true });
+      event.target.transaction.abort();
+    };
+
+    request.onerror = () => {
+      if (request.error && request.error.name === 'AbortError') {
+        resolve(null);
+      } else {
+        reject(request.error);
       }
-      if (!db.objectStoreNames.contains('moments')) {
-        db.createObjectStore('moments', { keyPath: 'id' });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.close();
+        resolve(null);
+        return;
       }
+      // Let the page upgrade the schema while the worker holds a connection
+      db.onversionchange = () => db.close();
+      resolve(db);
     };
   });
 }
@@ -135,9 +395,8 @@ async function updateBadge(db) {
     }
 
     // Get pending moments count
-    const tx = db.transaction(['pendingMoments'], 'readonly');
-    const store = tx.objectStore('pendingMoments');
-    const pendingCount = await store.count();
+    const tx = db.transaction([OUTBOX_STORE], 'readonly');
+    const pendingCount = await requestToPromise(tx.objectStore(OUTBOX_STORE).count());
 
     // Update badge
     if (pendingCount > 0) {
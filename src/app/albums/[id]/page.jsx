@@ -0,0 +1,32 @@
+import { notFound } from 'next/navigation';
+import MainLayout from '@/components/layout/MainLayout';
+import { AlbumDetailContent } from '@/components/albums';
+
+/**
+ * Album Page
+ * An album's moments in album order (gallery grid and lightbox),
+ * with editing, sharing, reordering and cover selection
+ */
+
+export const metadata = {
+  title: 'Album | CapturePWA',
+  description: 'Moments in one of your albums',
+};
+
+export default async function AlbumPage({ params }) {
+  const { id } = await params;
+  const albumId = parseInt(id, 10);
+
+  if (isNaN(albumId)) {
+    notFound();
+  }
+
+  // Client-side rendering - data fetched in AlbumDetailContent
+  return (
+    <MainLayout>
+      <div className="container mx-auto max-w-[1200px] px-4 py-8 pb-24">
+        <AlbumDetailContent albumId={albumId} />
+      </div>
+    </MainLayout>
+  );
+}
@@ -0,0 +1,28 @@
+import MainLayout from '@/components/layout/MainLayout';
+import PageHeader from '@/components/layout/PageHeader';
+import { AlbumsContent } from '@/components/albums';
+
+/**
+ * Albums Page
+ * Hand-picked collections of moments with covers, descriptions and custom order
+ */
+
+export const metadata = {
+  title: 'Albums | CapturePWA',
+  description: 'Your moments collected into albums',
+};
+
+export default function AlbumsPage() {
+  return (
+    <MainLayout>
+      <div className="container mx-auto max-w-[1200px] px-4 py-8 pb-24">
+        <PageHeader
+          title="Albums"
+          description="Collect moments into albums"
+        />
+
+        <AlbumsContent />
+      </div>
+    </MainLayout>
+  );
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { getAlbum } from '@/lib/albums';
+
+/**
+ * DELETE /api/albums/[id]/moments/[momentId]
+ * Remove a moment from an album (the moment itself is kept)
+ * An album whose cover was this moment falls back to the automatic cover
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { id, momentId: momentIdParam } = await params;
+    const albumId = parseInt(id, 10);
+    const momentId = parseInt(momentIdParam, 10);
+
+    if (isNaN(albumId) || isNaN(momentId)) {
+      return NextResponse.json(
+        { error: 'Invalid album or moment ID' },
+        { status: 400 }
+      );
+    }
+
+    const album = await getAlbum(user.id, albumId);
+    if (!album) {
+      return NextResponse.json(
+        { error: 'Album not found' },
+        { status: 404 }
+      );
+    }
+
+    const [{ count }] = await prisma.$transaction([
+      prisma.albumMoment.deleteMany({
+        where: { albumId, momentId },
+      }),
+      prisma.album.update({
+        where: { id: albumId },
+        data: {
+          updatedAt: new Date(),
+          ...(album.coverMomentId === momentId && { coverMomentId: null }),
+        },
+      }),
+    ]);
+
+    if (count === 0) {
+      return NextResponse.json(
+        { error: 'Moment is not in this album' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ album: await getAlbum(user.id, albumId) });
+  } catch (error) {
+    console.error('Album remove moment error:', error);
+    return NextResponse.json(
+      { error: 'Failed to remove moment from album' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { addMomentsToAlbum, getAlbum, reorderAlbumMoments } from '@/lib/albums';
+import { parseMomentIds } from '@/utils/album-utils';
+
+/**
+ * Find one of the user's albums and read the moment IDs from the request body
+ * @param {Request} request - Incoming request
+ * @param {Object} params - Route params
+ * @param {number} userId - Signed-in user
+ * @returns {Promise<{album: Object|null, momentIds: number[]|null, errorResponse: NextResponse|null}>}
+ */
+async function readRequest(request, params, userId) {
+  const { id } = await params;
+  const albumId = parseInt(id, 10);
+  const album = isNaN(albumId) ? null : await getAlbum(userId, albumId);
+  if (!album) {
+    return {
+      album: null,
+      momentIds: null,
+      errorResponse: NextResponse.json({ error: 'Album not found' }, { status: 404 }),
+    };
+  }
+
+  const body = await request.json();
+  const { momentIds, error } = parseMomentIds(body.momentIds);
+  if (error) {
+    return {
+      album,
+      momentIds: null,
+      errorResponse: NextResponse.json({ error }, { status: 400 }),
+    };
+  }
+
+  return { album, momentIds, errorResponse: null };
+}
+
+/**
+ * POST /api/albums/[id]/moments
+ * Add moments to the end of an album (moments already in it are skipped)
+ * Body: { momentIds: number[] }
+ */
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { album, momentIds, errorResponse } = await readRequest(request, params, user.id);
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    const added = await addMomentsToAlbum(album.id, user.id, momentIds);
+
+    return NextResponse.json({
+      added,
+      album: await getAlbum(user.id, album.id),
+    });
+  } catch (error) {
+    console.error('Album add moments error:', error);
+    return NextResponse.json(
+      { error: 'Failed to add moments to album' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/albums/[id]/moments
+ * Reorder an album's moments
+ * Body: { momentIds: number[] } (new order; moments not listed keep their relative order after these)
+ */
+export async function PUT(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { album, momentIds, errorResponse } = await readRequest(request, params, user.id);
+    if (errorResponse) {
+      return errorResponse;
+    }
+
+    await reorderAlbumMoments(album.id, momentIds);
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Album reorder error:', error);
+    return NextResponse.json(
+      { error: 'Failed to reorder album' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,164 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { getAlbum, getAlbumMoments } from '@/lib/albums';
+import { parseAlbumDescription } from '@/utils/album-utils';
+import { parseAlbumName } from '@/utils/smart-album-utils';
+
+/**
+ * Find one of the user's albums
+ * @param {Object} params - Route params
+ * @param {number} userId - Signed-in user
+ * @returns {Promise<Object|null>} Album (see formatAlbum), or null if missing or not the user's
+ */
+async function findAlbum(params, userId) {
+  const { id } = await params;
+  const albumId = parseInt(id, 10);
+  if (isNaN(albumId)) return null;
+
+  return getAlbum(userId, albumId);
+}
+
+function notFoundResponse() {
+  return NextResponse.json(
+    { error: 'Album not found' },
+    { status: 404 }
+  );
+}
+
+/**
+ * GET /api/albums/[id]
+ * Returns an album with a page of its moments in album order
+ *
+ * Query params:
+ * - page: number (default: 1)
+ * - limit: number (default: 50)
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get('page') || '1', 10);
+    const limit = parseInt(searchParams.get('limit') || '50', 10);
+
+    if (page < 1 || limit < 1 || limit > 100) {
+      return NextResponse.json(
+        { error: 'Invalid pagination parameters' },
+        { status: 400 }
+      );
+    }
+
+    const album = await findAlbum(params, user.id);
+    if (!album) {
+      return notFoundResponse();
+    }
+
+    const { moments, pagination } = await getAlbumMoments(album.id, { page, limit });
+
+    return NextResponse.json({ album, moments, pagination });
+  } catch (error) {
+    console.error('Album fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch album' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/albums/[id]
+ * Update an album's name, description or cover
+ * Body: { name?, description?, coverMomentId? } (coverMomentId: a moment in the album, or null for automatic)
+ */
+export async function PUT(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const album = await findAlbum(params, user.id);
+    if (!album) {
+      return notFoundResponse();
+    }
+
+    const body = await request.json();
+    const data = {};
+
+    if (body.name !== undefined) {
+      const { name, error } = parseAlbumName(body.name);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      data.name = name;
+    }
+
+    if (body.description !== undefined) {
+      const { description, error } = parseAlbumDescription(body.description);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      data.description = description;
+    }
+
+    if (body.coverMomentId !== undefined) {
+      if (body.coverMomentId !== null) {
+        const entry = Number.isInteger(body.coverMomentId) && await prisma.albumMoment.findUnique({
+          where: { albumId_momentId: { albumId: album.id, momentId: body.coverMomentId } },
+        });
+        if (!entry) {
+          return NextResponse.json(
+            { error: 'Cover must be a moment in the album' },
+            { status: 400 }
+          );
+        }
+      }
+      data.coverMomentId = body.coverMomentId;
+    }
+
+    await prisma.album.update({
+      where: { id: album.id },
+      data,
+    });
+
+    return NextResponse.json(await getAlbum(user.id, album.id));
+  } catch (error) {
+    console.error('Album update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update album' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/albums/[id]
+ * Delete an album (its moments are not affected)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const album = await findAlbum(params, user.id);
+    if (!album) {
+      return notFoundResponse();
+    }
+
+    await prisma.album.delete({ where: { id: album.id } });
+
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    console.error('Album delete error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete album' },
+      { status: 500 }
+    );
+  }
+}
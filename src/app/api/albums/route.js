@@ -0,0 +1,100 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { ALBUM_SUMMARY_INCLUDE, addMomentsToAlbum, formatAlbum, getAlbum } from '@/lib/albums';
+import { parseAlbumDescription, parseMomentIds } from '@/utils/album-utils';
+import { parseAlbumName } from '@/utils/smart-album-utils';
+
+/**
+ * GET /api/albums
+ * Returns the signed-in user's albums, most recently changed first
+ *
+ * Query params:
+ * - momentId: number (each album gets containsMoment: whether this moment is in it)
+ */
+export async function GET(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const momentId = searchParams.get('momentId')
+      ? parseInt(searchParams.get('momentId'), 10)
+      : null;
+
+    const albums = await prisma.album.findMany({
+      where: { userId: user.id },
+      orderBy: { updatedAt: 'desc' },
+      include: ALBUM_SUMMARY_INCLUDE,
+    });
+
+    if (!momentId) {
+      return NextResponse.json(albums.map(formatAlbum));
+    }
+
+    const memberships = await prisma.albumMoment.findMany({
+      where: { momentId, album: { userId: user.id } },
+      select: { albumId: true },
+    });
+    const containing = new Set(memberships.map((entry) => entry.albumId));
+
+    return NextResponse.json(albums.map((album) => ({
+      ...formatAlbum(album),
+      containsMoment: containing.has(album.id),
+    })));
+  } catch (error) {
+    console.error('Albums fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch albums' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/albums
+ * Create an album, optionally with its first moments
+ * Body: { name, description?, momentIds? }
+ */
+export async function POST(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const body = await request.json();
+
+    const { name, error: nameError } = parseAlbumName(body.name);
+    const { description, error: descriptionError } = parseAlbumDescription(body.description);
+    const { momentIds, error: momentsError } = parseMomentIds(body.momentIds ?? []);
+    if (nameError || descriptionError || momentsError) {
+      return NextResponse.json(
+        { error: nameError || descriptionError || momentsError },
+        { status: 400 }
+      );
+    }
+
+    const album = await prisma.album.create({
+      data: {
+        name,
+        description,
+        userId: user.id,
+      },
+    });
+
+    if (momentIds.length > 0) {
+      await addMomentsToAlbum(album.id, user.id, momentIds);
+    }
+
+    return NextResponse.json(await getAlbum(user.id, album.id), { status: 201 });
+  } catch (error) {
+    console.error('Album create error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create album' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,16 @@
+import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+
+/**
+ * GET /api/auth/me
+ * Returns the signed-in user
+ */
+export async function GET() {
+  const user = await getSessionUser();
+
+  if (!user) {
+    return unauthorizedResponse();
+  }
+
+  return NextResponse.json({ user });
+}
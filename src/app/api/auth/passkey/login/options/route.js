@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { generateAuthenticationOptions } from '@simplewebauthn/server';
+import { getRelyingParty, saveChallenge } from '@/lib/passkeys';
+
+/**
+ * POST /api/auth/passkey/login/options
+ * Generate WebAuthn authentication options
+ * No credential list is sent: passkeys are discoverable, the authenticator picks the account
+ */
+export async function POST(request) {
+  try {
+    const { rpID } = getRelyingParty(request);
+
+    const options = await generateAuthenticationOptions({
+      rpID,
+      userVerification: 'preferred',
+    });
+
+    await saveChallenge(options.challenge);
+
+    return NextResponse.json(options);
+  } catch (error) {
+    console.error('Passkey login options error:', error);
+    return NextResponse.json(
+      { error: 'Failed to start passkey sign-in' },
+      { status: 500 }
+    );
+  }
+}
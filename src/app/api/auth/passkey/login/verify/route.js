@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server';
+import { verifyAuthenticationResponse } from '@simplewebauthn/server';
+import prisma from '@/lib/prisma';
+import { createSession } from '@/lib/auth';
+import { consumeChallenge, getRelyingParty, parseTransports } from '@/lib/passkeys';
+
+/**
+ * POST /api/auth/passkey/login/verify
+ * Verify a passkey assertion and sign the owner in
+ * Body: { response: AuthenticationResponseJSON }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const stored = await consumeChallenge();
+
+    if (!stored) {
+      return NextResponse.json(
+        { error: 'Sign-in challenge expired, please try again' },
+        { status: 400 }
+      );
+    }
+
+    const passkey = await prisma.passkey.findUnique({
+      where: { id: body.response?.id || '' },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+      },
+    });
+
+    if (!passkey) {
+      return NextResponse.json(
+        { error: 'Unknown passkey' },
+        { status: 401 }
+      );
+    }
+
+    const { rpID, origin } = getRelyingParty(request);
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response: body.response,
+        expectedChallenge: stored.challenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+        credential: {
+          id: passkey.id,
+          publicKey: new Uint8Array(passkey.publicKey),
+          counter: passkey.counter,
+          transports: parseTransports(passkey),
+        },
+      });
+    } catch (error) {
+      return NextResponse.json(
+        { error: 'Passkey verification failed', details: error.message },
+        { status: 401 }
+      );
+    }
+
+    if (!verification.verified) {
+      return NextResponse.json(
+        { error: 'Passkey verification failed' },
+        { status: 401 }
+      );
+    }
+
+    // Counter must be stored to detect cloned authenticators
+    await prisma.passkey.update({
+      where: { id: passkey.id },
+      data: {
+        counter: verification.authenticationInfo.newCounter,
+        lastUsedAt: new Date(),
+      },
+    });
+
+    await createSession(passkey.user.id, request.headers.get('user-agent'));
+
+    return NextResponse.json({ user: passkey.user });
+  } catch (error) {
+    console.error('Passkey sign-in error:', error);
+    return NextResponse.json(
+      { error: 'Failed to sign in with passkey' },
+      { status: 500 }
+    );
+  }
+}
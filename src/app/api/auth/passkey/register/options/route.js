@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { generateRegistrationOptions } from '@simplewebauthn/server';
+import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { RP_NAME, getRelyingParty, parseTransports, saveChallenge } from '@/lib/passkeys';
+
+/**
+ * POST /api/auth/passkey/register/options
+ * Generate WebAuthn registration options for adding a passkey to the signed-in account
+ */
+export async function POST(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { rpID } = getRelyingParty(request);
+
+    const existingPasskeys = await prisma.passkey.findMany({
+      where: { userId: user.id },
+    });
+
+    const options = await generateRegistrationOptions({
+      rpName: RP_NAME,
+      rpID,
+      userID: new TextEncoder().encode(String(user.id)),
+      userName: user.email || user.name,
+      userDisplayName: user.name,
+      attestationType: 'none',
+      // Prevent registering the same authenticator twice
+      excludeCredentials: existingPasskeys.map((passkey) => ({
+        id: passkey.id,
+        transports: parseTransports(passkey),
+      })),
+      authenticatorSelection: {
+        residentKey: 'required',
+        userVerification: 'preferred',
+      },
+    });
+
+    await saveChallenge(options.challenge, user.id);
+
+    return NextResponse.json(options);
+  } catch (error) {
+    console.error('Passkey registration options error:', error);
+    return NextResponse.json(
+      { error: 'Failed to start passkey registration' },
+      { status: 500 }
+    );
+  }
+}
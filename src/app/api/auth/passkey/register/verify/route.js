@@ -0,0 +1,83 @@
+import { NextResponse } from 'next/server';
+import { verifyRegistrationResponse } from '@simplewebauthn/server';
+import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { consumeChallenge, getRelyingParty } from '@/lib/passkeys';
+
+/**
+ * POST /api/auth/passkey/register/verify
+ * Verify the authenticator response and store the new passkey
+ * Body: { response: RegistrationResponseJSON, name? }
+ */
+export async function POST(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const body = await request.json();
+    const stored = await consumeChallenge();
+
+    if (!stored || stored.userId !== user.id) {
+      return NextResponse.json(
+        { error: 'Registration challenge expired, please try again' },
+        { status: 400 }
+      );
+    }
+
+    const { rpID, origin } = getRelyingParty(request);
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response: body.response,
+        expectedChallenge: stored.challenge,
+        expectedOrigin: origin,
+        expectedRPID: rpID,
+      });
+    } catch (error) {
+      return NextResponse.json(
+        { error: 'Passkey verification failed', details: error.message },
+        { status: 400 }
+      );
+    }
+
+    if (!verification.verified || !verification.registrationInfo) {
+      return NextResponse.json(
+        { error: 'Passkey verification failed' },
+        { status: 400 }
+      );
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    const passkey = await prisma.passkey.create({
+      data: {
+        id: credential.id,
+        userId: user.id,
+        publicKey: Buffer.from(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports ? JSON.stringify(credential.transports) : null,
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        name: body.name?.trim() || null,
+      },
+      select: {
+        id: true,
+        name: true,
+        deviceType: true,
+        backedUp: true,
+        createdAt: true,
+      },
+    });
+
+    return NextResponse.json({ passkey }, { status: 201 });
+  } catch (error) {
+    console.error('Passkey registration error:', error);
+    return NextResponse.json(
+      { error: 'Failed to register passkey' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+
+/**
+ * GET /api/auth/passkeys
+ * List passkeys registered to the signed-in user
+ */
+export async function GET() {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const passkeys = await prisma.passkey.findMany({
+      where: { userId: user.id },
+      select: {
+        id: true,
+        name: true,
+        deviceType: true,
+        backedUp: true,
+        lastUsedAt: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return NextResponse.json({ passkeys });
+  } catch (error) {
+    console.error('Error fetching passkeys:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch passkeys' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/auth/passkeys?id=...
+ * Remove one of the signed-in user's passkeys
+ */
+export async function DELETE(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get('id');
+
+    if (!id) {
+      return NextResponse.json(
+        { error: 'Passkey ID is required' },
+        { status: 400 }
+      );
+    }
+
+    const { count } = await prisma.passkey.deleteMany({
+      where: { id, userId: user.id },
+    });
+
+    if (count === 0) {
+      return NextResponse.json(
+        { error: 'Passkey not found' },
+        { status: 404 }
+      );
+    }
+
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    console.error('Error deleting passkey:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete passkey' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { createSession, normalizeEmail, verifyPassword } from '@/lib/auth';
+
+/**
+ * POST /api/auth/signin
+ * Sign in with email and password
+ * Body: { email, password }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const email = normalizeEmail(body.email);
+
+    if (!email || !body.password) {
+      return NextResponse.json(
+        { error: 'Email and password are required' },
+        { status: 400 }
+      );
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+    });
+
+    // Same response for unknown email and wrong password
+    if (!user || !(await verifyPassword(body.password, user.passwordHash))) {
+      return NextResponse.json(
+        { error: 'Invalid email or password' },
+        { status: 401 }
+      );
+    }
+
+    await createSession(user.id, request.headers.get('user-agent'));
+
+    return NextResponse.json({
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    console.error('Sign-in error:', error);
+    return NextResponse.json(
+      { error: 'Failed to sign in' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { destroySession } from '@/lib/auth';
+
+/**
+ * POST /api/auth/signout
+ * End the current session
+ */
+export async function POST() {
+  try {
+    await destroySession();
+    return NextResponse.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Sign-out error:', error);
+    return NextResponse.json(
+      { error: 'Failed to sign out' },
+      { status: 500 }
+    );
+  }
+}
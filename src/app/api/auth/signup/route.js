@@ -0,0 +1,79 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import {
+  MIN_PASSWORD_LENGTH,
+  createSession,
+  hashPassword,
+  isValidEmail,
+  normalizeEmail,
+} from '@/lib/auth';
+
+/**
+ * POST /api/auth/signup
+ * Create an account with email and password, then sign in
+ * Body: { name?, email, password }
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const email = normalizeEmail(body.email);
+    const password = body.password || '';
+    const name = body.name?.trim() || email.split('@')[0];
+
+    if (!isValidEmail(email)) {
+      return NextResponse.json(
+        { error: 'A valid email address is required' },
+        { status: 400 }
+      );
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return NextResponse.json(
+        { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    const existing = await prisma.user.findUnique({
+      where: { email },
+    });
+
+    if (existing) {
+      return NextResponse.json(
+        { error: 'An account with this email already exists' },
+        { status: 409 }
+      );
+    }
+
+    const user = await prisma.user.create({
+      data: {
+        name,
+        email,
+        passwordHash: await hashPassword(password),
+      },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+      },
+    });
+
+    await createSession(user.id, request.headers.get('user-agent'));
+
+    return NextResponse.json({ user }, { status: 201 });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      // Prisma error: Unique constraint failed (a concurrent sign-up took the email)
+      return NextResponse.json(
+        { error: 'An account with this email already exists' },
+        { status: 409 }
+      );
+    }
+
+    console.error('Sign-up error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create account' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import { collectOrphanedMedia } from '@/lib/media-assets';
+
+/**
+ * POST /api/cron/media-gc
+ * Delete uploads that were never attached to a moment
+ * For external schedulers (cron, Vercel Cron); requires
+ * "Authorization: Bearer <CRON_SECRET>"
+ *
+ * Query params:
+ * - maxAgeHours: number (optional, default MEDIA_GC_MAX_AGE_HOURS or 24)
+ */
+export async function POST(request) {
+  try {
+    const secret = process.env.CRON_SECRET;
+
+    if (!secret || request.headers.get('authorization') !== `Bearer ${secret}`) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const maxAgeHours = parseFloat(searchParams.get('maxAgeHours'));
+
+    const result = await collectOrphanedMedia(
+      maxAgeHours > 0 ? { maxAgeHours } : undefined
+    );
+
+    console.log(`🧹 Media GC: released ${result.released}/${result.found} orphaned uploads`);
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('Media GC error:', error);
+    return NextResponse.json(
+      { error: 'Failed to collect orphaned media' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 import { getGalleryFilters } from '@/lib/gallery-api';
 
 /**
@@ -7,7 +8,12 @@ import { getGalleryFilters } from '@/lib/gallery-api';
  */
 export async function GET() {
   try {
-    const filters = await getGalleryFilters();
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const filters = await getGalleryFilters(user.id);
     return NextResponse.json(filters);
   } catch (error) {
     console.error('Gallery filters API error:', error);
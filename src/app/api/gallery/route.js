@@ -1,5 +1,7 @@
 import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 import { getAllMomentsWithMedia } from '@/lib/gallery-api';
+import { getSmartAlbumWhere } from '@/lib/smart-albums';
 
 /**
  * GET /api/gallery
@@ -14,9 +16,17 @@ import { getAllMomentsWithMedia } from '@/lib/gallery-api';
  * - dateTo: ISO date string
  * - tagIds: JSON array of tag IDs
  * - categoryId: number
+ * - albumId: number (only moments of this smart album)
+ *
+ * Response includes mediaCounts: attachment totals per media type for the current filters
  */
 export async function GET(request) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const { searchParams } = new URL(request.url);
 
     // Parse query parameters
@@ -38,6 +48,9 @@ export async function GET(request) {
     const categoryId = searchParams.get('categoryId')
       ? parseInt(searchParams.get('categoryId'), 10)
       : null;
+    const albumId = searchParams.get('albumId')
+      ? parseInt(searchParams.get('albumId'), 10)
+      : null;
 
     // Validate parameters
     if (page < 1 || limit < 1 || limit > 100) {
@@ -47,8 +60,21 @@ export async function GET(request) {
       );
     }
 
+    // Limit to a smart album's moments
+    let albumWhere = null;
+    if (albumId) {
+      albumWhere = await getSmartAlbumWhere(user.id, albumId);
+      if (!albumWhere) {
+        return NextResponse.json(
+          { error: 'Smart album not found' },
+          { status: 404 }
+        );
+      }
+    }
+
     // Fetch moments
     const result = await getAllMomentsWithMedia({
+      userId: user.id,
       page,
       limit,
       mediaType,
@@ -57,6 +83,7 @@ export async function GET(request) {
       dateTo,
       tagIds,
       categoryId,
+      albumWhere,
     });
 
     return NextResponse.json(result);
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { formatGeofenceEvent, logGeofenceEvent } from '@/lib/geofences';
+import { parseGeofenceEvent } from '@/utils/geofence-utils';
+
+/**
+ * POST /api/geofences/[id]/events
+ * Log entering, leaving or staying in a geofence (sent by the device that noticed it)
+ * Body: { type: 'enter' | 'exit' | 'dwell', lat, lng, accuracy?, occurredAt? }
+ */
+export async function POST(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { id } = await params;
+    const geofenceId = parseInt(id, 10);
+    const geofence = isNaN(geofenceId)
+      ? null
+      : await prisma.geofence.findFirst({ where: { id: geofenceId, userId: user.id } });
+    if (!geofence) {
+      return NextResponse.json(
+        { error: 'Geofence not found' },
+        { status: 404 }
+      );
+    }
+
+    const body = await request.json();
+    const { data, error } = parseGeofenceEvent(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const event = await logGeofenceEvent(geofence.id, data);
+
+    return NextResponse.json(
+      formatGeofenceEvent({ ...event, geofence }),
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Geofence event log error:', error);
+    return NextResponse.json(
+      { error: 'Failed to log geofence event' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,112 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { GEOFENCE_INCLUDE, formatGeofence, validateGeofenceLinks } from '@/lib/geofences';
+import { normalizeGeofenceInput } from '@/utils/geofence-utils';
+
+/**
+ * Find one of the user's geofences
+ * @param {Object} params - Route params
+ * @param {number} userId - Signed-in user
+ * @returns {Promise<Object|null>} Geofence, or null if missing or not the user's
+ */
+async function findGeofence(params, userId) {
+  const { id } = await params;
+  const geofenceId = parseInt(id, 10);
+  if (isNaN(geofenceId)) return null;
+
+  return prisma.geofence.findFirst({
+    where: { id: geofenceId, userId },
+  });
+}
+
+function notFoundResponse() {
+  return NextResponse.json(
+    { error: 'Geofence not found' },
+    { status: 404 }
+  );
+}
+
+/**
+ * PUT /api/geofences/[id]
+ * Edit a geofence
+ * Body: any of { name, shape, polygon, lat, lng, radius, dwellMinutes, notifyOnEnter, notifyOnExit, remindOnEnter,
+ *   autoTag, categoryId, tagId }
+ * (lat and lng together; polygons are reshaped by sending their polygon; null dwellMinutes,
+ * categoryId or tagId removes the setting)
+ */
+export async function PUT(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const geofence = await findGeofence(params, user.id);
+    if (!geofence) {
+      return notFoundResponse();
+    }
+
+    const body = await request.json();
+    const { data, error } = normalizeGeofenceInput(body, { partial: true });
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    // A polygon's center and radius follow from its vertices
+    if (geofence.shape === 'polygon' && data.shape === undefined &&
+      (data.lat !== undefined || data.radius !== undefined)) {
+      return NextResponse.json(
+        { error: 'Send the polygon to move or resize a polygon geofence' },
+        { status: 400 }
+      );
+    }
+
+    const linkError = await validateGeofenceLinks(user.id, data);
+    if (linkError) {
+      return NextResponse.json({ error: linkError }, { status: 400 });
+    }
+
+    const updated = await prisma.geofence.update({
+      where: { id: geofence.id },
+      data,
+      include: GEOFENCE_INCLUDE,
+    });
+
+    return NextResponse.json(formatGeofence(updated));
+  } catch (error) {
+    console.error('Geofence update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update geofence' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/geofences/[id]
+ * Delete a geofence
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const geofence = await findGeofence(params, user.id);
+    if (!geofence) {
+      return notFoundResponse();
+    }
+
+    await prisma.geofence.delete({ where: { id: geofence.id } });
+
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    console.error('Geofence delete error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete geofence' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { formatGeofenceEvent } from '@/lib/geofences';
+
+/**
+ * GET /api/geofences/events
+ * Returns the enter, exit and dwell log of the signed-in user's geofences, newest first
+ *
+ * Query params:
+ * - limit: number (default: 50, at most 200)
+ * - geofenceId: number (only this geofence's events)
+ */
+export async function GET(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = parseInt(searchParams.get('limit') || '50', 10);
+    const geofenceId = searchParams.get('geofenceId')
+      ? parseInt(searchParams.get('geofenceId'), 10)
+      : null;
+
+    if (isNaN(limit) || limit < 1 || limit > 200) {
+      return NextResponse.json(
+        { error: 'Invalid limit' },
+        { status: 400 }
+      );
+    }
+    if (Number.isNaN(geofenceId)) {
+      return NextResponse.json(
+        { error: 'Invalid geofenceId' },
+        { status: 400 }
+      );
+    }
+
+    const events = await prisma.geofenceEvent.findMany({
+      where: {
+        geofence: { userId: user.id },
+        ...(geofenceId && { geofenceId }),
+      },
+      include: {
+        geofence: { select: { name: true } },
+      },
+      orderBy: [{ occurredAt: 'desc' }, { id: 'desc' }],
+      take: limit,
+    });
+
+    return NextResponse.json(events.map(formatGeofenceEvent));
+  } catch (error) {
+    console.error('Geofence events fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch geofence events' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { GEOFENCE_INCLUDE, formatGeofence, validateGeofenceLinks } from '@/lib/geofences';
+import { normalizeGeofenceInput } from '@/utils/geofence-utils';
+
+/**
+ * GET /api/geofences
+ * Returns the signed-in user's geofences with their linked category and tag
+ */
+export async function GET() {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const geofences = await prisma.geofence.findMany({
+      where: { userId: user.id },
+      include: GEOFENCE_INCLUDE,
+      orderBy: { name: 'asc' },
+    });
+
+    return NextResponse.json(geofences.map(formatGeofence));
+  } catch (error) {
+    console.error('Geofences fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch geofences' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/geofences
+ * Create a geofence
+ * Body: { name, lat, lng, radius?, notifyOnEnter?, notifyOnExit?, remindOnEnter?, autoTag?, dwellMinutes?,
+ *   categoryId?, tagId? }
+ * Polygons: { shape: 'polygon', polygon: [[lat, lng], ...] } instead of lat, lng and radius
+ */
+export async function POST(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const body = await request.json();
+    const { data, error } = normalizeGeofenceInput(body);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const linkError = await validateGeofenceLinks(user.id, data);
+    if (linkError) {
+      return NextResponse.json({ error: linkError }, { status: 400 });
+    }
+
+    const geofence = await prisma.geofence.create({
+      data: { ...data, userId: user.id },
+      include: GEOFENCE_INCLUDE,
+    });
+
+    return NextResponse.json(formatGeofence(geofence), { status: 201 });
+  } catch (error) {
+    console.error('Geofence create error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create geofence' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,103 @@
+import { NextResponse } from 'next/server';
+import { createReadStream } from 'fs';
+import { stat } from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { resolveLocalPath } from '@/lib/storage/local-driver';
+import { EXTENSION_TYPES } from '@/lib/storage/media-types';
+
+/**
+ * Stream part of a file
+ * @param {string} filePath - File path
+ * @param {Object} range - { start, end } byte offsets (inclusive), whole file when omitted
+ * @returns {ReadableStream} Response body
+ */
+function streamFile(filePath, range = {}) {
+  return Readable.toWeb(createReadStream(filePath, range));
+}
+
+/**
+ * GET /api/media/[...key]
+ * Serve a file stored by the local storage driver
+ * Supports Range requests so audio/video can seek; only the requested bytes are read
+ * Files are served as inert media: no sniffing, sandboxed if opened as a page, and
+ * downloaded when their extension is not a known media type
+ */
+export async function GET(request, { params }) {
+  try {
+    const { key } = await params;
+    const storageKey = key.map(decodeURIComponent).join('/');
+
+    let filePath;
+    try {
+      filePath = resolveLocalPath(storageKey);
+    } catch {
+      return NextResponse.json(
+        { error: 'Invalid media path' },
+        { status: 400 }
+      );
+    }
+
+    let fileStat;
+    try {
+      fileStat = await stat(filePath);
+      if (!fileStat.isFile()) throw new Error('Not a file');
+    } catch {
+      return NextResponse.json(
+        { error: 'Media not found' },
+        { status: 404 }
+      );
+    }
+
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    const contentType = EXTENSION_TYPES[extension];
+    const headers = {
+      'Content-Type': contentType || 'application/octet-stream',
+      'Accept-Ranges': 'bytes',
+      // Keys are random UUIDs and never rewritten
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox',
+      ...(!contentType && { 'Content-Disposition': 'attachment' }),
+    };
+
+    const range = request.headers.get('range');
+    const match = range?.match(/^bytes=(\d*)-(\d*)$/);
+
+    if (match && (match[1] || match[2])) {
+      const size = fileStat.size;
+      // "bytes=-500" means the last 500 bytes
+      const start = match[1] ? parseInt(match[1], 10) : Math.max(size - parseInt(match[2], 10), 0);
+      const end = match[1] && match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+
+      if (start >= size || start > end) {
+        return new NextResponse(null, {
+          status: 416,
+          headers: { 'Content-Range': `bytes */${size}` },
+        });
+      }
+
+      return new NextResponse(streamFile(filePath, { start, end }), {
+        status: 206,
+        headers: {
+          ...headers,
+          'Content-Range': `bytes ${start}-${end}/${size}`,
+          'Content-Length': String(end - start + 1),
+        },
+      });
+    }
+
+    return new NextResponse(streamFile(filePath), {
+      headers: {
+        ...headers,
+        'Content-Length': String(fileStat.size),
+      },
+    });
+  } catch (error) {
+    console.error('Media serve error:', error);
+    return NextResponse.json(
+      { error: 'Failed to read media' },
+      { status: 500 }
+    );
+  }
+}
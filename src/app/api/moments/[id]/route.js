@@ -1,5 +1,39 @@
-import { NextResponse } from 'next/server';
+import { NextResponse, after } from 'next/server';
 import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { releaseMomentMedia, syncMomentMedia } from '@/lib/media-assets';
+import { deleteMomentQueries } from '@/lib/moment-sync';
+import { needsTranscription, transcribeMomentAudio } from '@/lib/transcription';
+import {
+  applyCoverUrls,
+  getCoverUrls,
+  getMomentAttachments,
+  parseAttachmentInput,
+} from '@/utils/attachment-utils';
+import { parseCaptureInfo } from '@/utils/photo-metadata-utils';
+
+/**
+ * Parse the optional expectedUpdatedAt sent by offline edits
+ * @param {string|null|undefined} value - ISO date string
+ * @returns {Date|null} Parsed date, or null if absent or invalid
+ */
+function parseExpectedUpdatedAt(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * 409 response for an edit based on an outdated copy of the moment
+ * @param {Object} moment - Current server version
+ * @returns {NextResponse} JSON conflict response
+ */
+function conflictResponse(moment) {
+  return NextResponse.json(
+    { error: 'Moment was changed on another device', moment },
+    { status: 409 }
+  );
+}
 
 /**
  * GET /api/moments/[id]
@@ -7,6 +41,11 @@ import prisma from '@/lib/prisma';
  */
 export async function GET(request, { params }) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const id = parseInt(params.id, 10);
 
     if (isNaN(id)) {
@@ -16,8 +55,11 @@ export async function GET(request, { params }) {
       );
     }
 
-    const moment = await prisma.moment.findUnique({
-      where: { id },
+    const moment = await prisma.moment.findFirst({
+      where: { id, userId: user.id },
+      include: {
+        attachments: { orderBy: { position: 'asc' } },
+      },
     });
 
     if (!moment) {
@@ -40,10 +82,22 @@ export async function GET(request, { params }) {
 /**
  * PUT /api/moments/[id]
  * Update a moment by ID
- * Body: { description?, gpsLat?, gpsLng?, imageUrl?, audioUrl? }
+ * Replaced or cleared media files are deleted from storage
+ * Body: { description?, gpsLat?, gpsLng?, transcript?, capturedAt?, cameraModel?, attachments?,
+ *   imageUrl?, audioUrl?, videoUrl? }
+ * attachments replaces the full ordered list; the legacy URL fields replace
+ * only the first attachment of their type
+ * expectedUpdatedAt (optional): the updatedAt the client last saw; if the moment
+ * changed since, responds 409 with the current moment instead of overwriting it
+ * New audio on a moment without a transcript is transcribed after the response
  */
 export async function PUT(request, { params }) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const id = parseInt(params.id, 10);
 
     if (isNaN(id)) {
@@ -66,24 +120,82 @@ export async function PUT(request, { params }) {
     if (body.gpsLng !== undefined) {
       updateData.gpsLng = body.gpsLng;
     }
-    if (body.imageUrl !== undefined) {
-      updateData.imageUrl = body.imageUrl || null;
+    if (body.transcript !== undefined) {
+      updateData.transcript = body.transcript?.trim() || null;
+    }
+
+    const { data: captureInfo, error: captureError } = parseCaptureInfo(body);
+    if (captureError) {
+      return NextResponse.json(
+        { error: captureError },
+        { status: 400 }
+      );
+    }
+    Object.assign(updateData, captureInfo);
+
+    const existing = await prisma.moment.findFirst({
+      where: { id, userId: user.id },
+      include: {
+        attachments: { orderBy: { position: 'asc' } },
+      },
+    });
+
+    if (!existing) {
+      return NextResponse.json(
+        { error: 'Moment not found' },
+        { status: 404 }
+      );
+    }
+
+    const expectedUpdatedAt = parseExpectedUpdatedAt(body.expectedUpdatedAt);
+    if (expectedUpdatedAt && existing.updatedAt.getTime() !== expectedUpdatedAt.getTime()) {
+      return conflictResponse(existing);
     }
-    if (body.audioUrl !== undefined) {
-      updateData.audioUrl = body.audioUrl || null;
+
+    let attachments = null;
+    if (Array.isArray(body.attachments)) {
+      const parsed = parseAttachmentInput(body);
+      if (parsed.error) {
+        return NextResponse.json(
+          { error: parsed.error },
+          { status: 400 }
+        );
+      }
+      attachments = parsed.attachments;
+    } else if (body.imageUrl !== undefined || body.audioUrl !== undefined || body.videoUrl !== undefined) {
+      attachments = applyCoverUrls(getMomentAttachments(existing), body);
+    }
+
+    if (attachments) {
+      // Replace the whole list so positions stay contiguous
+      Object.assign(updateData, getCoverUrls(attachments));
+      updateData.attachments = {
+        deleteMany: {},
+        create: attachments,
+      };
     }
 
     const moment = await prisma.moment.update({
-      where: { id },
+      // Matching updatedAt as well keeps a concurrent change from being overwritten
+      where: { id, userId: user.id, updatedAt: existing.updatedAt },
       data: updateData,
+      include: {
+        attachments: { orderBy: { position: 'asc' } },
+      },
     });
 
+    await syncMomentMedia(existing, moment, user.id);
+
+    if (attachments && needsTranscription(moment)) {
+      after(() => transcribeMomentAudio(moment.id));
+    }
+
     return NextResponse.json(moment);
   } catch (error) {
     if (error.code === 'P2025') {
-      // Prisma error: Record not found
+      // Prisma error: Record not found (deleted or changed since it was loaded)
       return NextResponse.json(
-        { error: 'Moment not found' },
+        { error: 'Moment not found or changed during update' },
         { status: 404 }
       );
     }
@@ -98,10 +210,17 @@ export async function PUT(request, { params }) {
 
 /**
  * DELETE /api/moments/[id]
- * Delete a moment by ID
+ * Delete a moment by ID, along with its stored media files
+ * Query: expectedUpdatedAt (optional) - responds 409 with the current moment
+ * if it changed since the client last saw it
  */
 export async function DELETE(request, { params }) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const id = parseInt(params.id, 10);
 
     if (isNaN(id)) {
@@ -111,9 +230,36 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    await prisma.moment.delete({
-      where: { id },
-    });
+    const expectedUpdatedAt = parseExpectedUpdatedAt(
+      new URL(request.url).searchParams.get('expectedUpdatedAt')
+    );
+
+    if (expectedUpdatedAt) {
+      const current = await prisma.moment.findFirst({
+        where: { id, userId: user.id },
+        include: {
+          attachments: { orderBy: { position: 'asc' } },
+        },
+      });
+
+      if (current && current.updatedAt.getTime() !== expectedUpdatedAt.getTime()) {
+        return conflictResponse(current);
+      }
+    }
+
+    // Leaves a tombstone so other devices drop the moment on their next delta sync
+    const [deleted] = await prisma.$transaction(deleteMomentQueries(
+      {
+        id,
+        userId: user.id,
+        ...(expectedUpdatedAt && { updatedAt: expectedUpdatedAt }),
+      },
+      { mediaAssets: true, attachments: true }
+    ));
+
+    // Best effort: a storage failure must not undo the delete;
+    // assets that could not be removed are retried by garbage collection
+    await releaseMomentMedia(deleted);
 
     return new NextResponse(null, { status: 204 });
   } catch (error) {
@@ -1,20 +1,23 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { randomBytes } from 'crypto';
-
-/**
- * Generate a random share token
- */
-function generateShareToken() {
-  return randomBytes(16).toString('hex');
-}
+import { getSessionUser, hashPassword, unauthorizedResponse } from '@/lib/auth';
+import { formatShareLink, generateShareToken, revokedLinkData } from '@/lib/share-links';
+import { parseAudienceOptions, parseExpiresAt, parseSharePassword } from '@/utils/share-link-utils';
 
 /**
  * POST /api/moments/[id]/share
- * Generate a share token for a moment and make it public
+ * Get a share link for a moment
+ * Body (optional): { expiresAt?, password?, hideLocation?, hideAuthor? }
+ * Without options, an existing link without expiry, password or hidden details is reused;
+ * with options, a new link is created (see also /api/share-links)
  */
 export async function POST(request, { params }) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const { id } = await params;
     const momentId = parseInt(id);
 
@@ -25,10 +28,21 @@ export async function POST(request, { params }) {
       );
     }
 
+    const body = await request.json().catch(() => ({}));
+    const { expiresAt, error: expiryError } = parseExpiresAt(body.expiresAt);
+    const { password, error: passwordError } = parseSharePassword(body.password);
+    const { options, error: optionsError } = parseAudienceOptions(body);
+    if (expiryError || passwordError || optionsError) {
+      return NextResponse.json(
+        { error: expiryError || passwordError || optionsError },
+        { status: 400 }
+      );
+    }
+
     // Check if moment exists
-    const existingMoment = await prisma.moment.findUnique({
-      where: { id: momentId },
-      select: { id: true, shareToken: true, isPublic: true },
+    const existingMoment = await prisma.moment.findFirst({
+      where: { id: momentId, userId: user.id },
+      select: { id: true },
     });
 
     if (!existingMoment) {
@@ -38,35 +52,46 @@ export async function POST(request, { params }) {
       );
     }
 
-    // If already has a share token and is public, return existing token
-    if (existingMoment.shareToken && existingMoment.isPublic) {
-      return NextResponse.json({
-        shareToken: existingMoment.shareToken,
-        shareUrl: `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/share/${existingMoment.shareToken}`,
-        message: 'Using existing share link',
+    // Reuse a plain link that still works
+    if (!expiresAt && !password && !options.hideLocation && !options.hideAuthor) {
+      const existingLink = await prisma.shareLink.findFirst({
+        where: {
+          momentId,
+          revokedAt: null,
+          expiresAt: null,
+          passwordHash: null,
+          hideLocation: false,
+          hideAuthor: false,
+        },
+        orderBy: { createdAt: 'desc' },
       });
-    }
 
-    // Generate new token if needed
-    const shareToken = existingMoment.shareToken || generateShareToken();
+      if (existingLink) {
+        const link = formatShareLink(existingLink);
+        return NextResponse.json({
+          shareToken: link.token,
+          shareUrl: link.url,
+          link,
+          message: 'Using existing share link',
+        });
+      }
+    }
 
-    // Update moment to be public and set share token
-    const updatedMoment = await prisma.moment.update({
-      where: { id: momentId },
+    const link = formatShareLink(await prisma.shareLink.create({
       data: {
-        shareToken,
-        isPublic: true,
-      },
-      select: {
-        id: true,
-        shareToken: true,
-        isPublic: true,
+        token: generateShareToken(),
+        momentId,
+        expiresAt,
+        passwordHash: password ? await hashPassword(password) : null,
+        ...options,
+        userId: user.id,
       },
-    });
+    }));
 
     return NextResponse.json({
-      shareToken: updatedMoment.shareToken,
-      shareUrl: `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/share/${updatedMoment.shareToken}`,
+      shareToken: link.token,
+      shareUrl: link.url,
+      link,
       message: 'Share link created successfully',
     });
   } catch (error) {
@@ -80,10 +105,16 @@ export async function POST(request, { params }) {
 
 /**
  * DELETE /api/moments/[id]/share
- * Remove share token and make moment private
+ * Revoke every share link of a moment and make it private
+ * Old links never work again, even if the moment is shared later
  */
 export async function DELETE(request, { params }) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const { id } = await params;
     const momentId = parseInt(id);
 
@@ -94,23 +125,43 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    // Update moment to be private
-    const updatedMoment = await prisma.moment.update({
-      where: { id: momentId },
-      data: {
-        isPublic: false,
-      },
-      select: {
-        id: true,
-        isPublic: true,
-      },
+    const links = await prisma.shareLink.findMany({
+      where: { momentId, userId: user.id, revokedAt: null },
+      select: { id: true },
     });
 
+    // Revoke links (each gets a new token) and drop the legacy token
+    const [updatedMoment] = await prisma.$transaction([
+      prisma.moment.update({
+        where: { id: momentId, userId: user.id },
+        data: {
+          isPublic: false,
+          shareToken: null,
+        },
+        select: {
+          id: true,
+          isPublic: true,
+        },
+      }),
+      ...links.map((link) => prisma.shareLink.update({
+        where: { id: link.id },
+        data: revokedLinkData(),
+      })),
+    ]);
+
     return NextResponse.json({
       message: 'Moment is now private',
       isPublic: updatedMoment.isPublic,
+      revokedLinks: links.length,
     });
   } catch (error) {
+    if (error.code === 'P2025') {
+      return NextResponse.json(
+        { error: 'Moment not found' },
+        { status: 404 }
+      );
+    }
+
     console.error('Error removing share:', error);
     return NextResponse.json(
       { error: 'Failed to make moment private' },
@@ -1,5 +1,11 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { attachMediaToMoment, getMomentMediaUrls } from '@/lib/media-assets';
+import { getCoverUrls, parseAttachmentInput } from '@/utils/attachment-utils';
+import { parseCaptureInfo } from '@/utils/photo-metadata-utils';
+import { findMomentByClientId, getBatchClientIds } from '@/lib/idempotency';
+import { getAutoTagIds } from '@/lib/geofences';
 
 /**
  * POST /api/moments/bulk-import
@@ -10,12 +16,24 @@ import prisma from '@/lib/prisma';
  * - Prevents partial imports on errors
  * - Shows advanced Prisma capability
  *
+ * Idempotent: moments whose client ID already exists are returned instead of created again,
+ * so a retried import does not duplicate anything (also when both attempts run at once)
+ *
+ * Moments inside the user's auto-tagging geofences get their tags, as in POST /api/moments
+ *
  * Body: {
- *   moments: Array<{description, gpsLat?, gpsLng?, imageUrl?, audioUrl?, mood?, weather?, categoryId?}>
+ *   moments: Array<{description, gpsLat?, gpsLng?, attachments?, imageUrl?, audioUrl?, videoUrl?, mood?, weather?, transcript?, categoryId?,
+ *     capturedAt?, cameraModel?, clientId?}>
  * }
+ * Headers: Idempotency-Key? (per-moment client IDs are derived from it when a moment has none)
  */
 export async function POST(request) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const { moments } = await request.json();
 
     // Validate input
@@ -35,49 +53,127 @@ export async function POST(request) {
       );
     }
 
+    // Validate attachments and capture info before opening the transaction
+    const parsedAttachments = [];
+    const parsedCaptureInfo = [];
+    for (const momentData of moments) {
+      const { attachments, error } = parseAttachmentInput(momentData);
+      const { data: captureInfo, error: captureError } = parseCaptureInfo(momentData);
+      if (error || captureError) {
+        return NextResponse.json(
+          { error: error || captureError },
+          { status: 400 }
+        );
+      }
+      parsedAttachments.push(attachments || []);
+      parsedCaptureInfo.push(captureInfo);
+    }
+
+    const { clientIds, error: clientIdError } = getBatchClientIds(request, moments);
+    if (clientIdError) {
+      return NextResponse.json(
+        { error: clientIdError },
+        { status: 400 }
+      );
+    }
+
+    // Looked up before the transaction, which holds the database connection
+    const autoTagIds = [];
+    for (const momentData of moments) {
+      autoTagIds.push(await getAutoTagIds(user.id, momentData.gpsLat ?? 0, momentData.gpsLng ?? 0));
+    }
+
     console.log(`🔄 Starting bulk import of ${moments.length} moments using Prisma transaction...`);
 
     // ✨ PRISMA TRANSACTION DEMO ✨
     // Use $transaction to ensure all-or-nothing import
     // If any moment fails, the entire import is rolled back
-    const result = await prisma.$transaction(async (tx) => {
-      const createdMoments = [];
+    const importMoments = () => prisma.$transaction(async (tx) => {
+      const importedMoments = [];
+      let created = 0;
+
+      for (const [index, momentData] of moments.entries()) {
+        const attachments = parsedAttachments[index];
+        const clientId = clientIds[index];
+        const tagIds = autoTagIds[index];
+
+        // Imported by an earlier attempt of this request
+        if (clientId) {
+          const existing = await findMomentByClientId(user.id, clientId, {
+            client: tx,
+            include: { attachments: { orderBy: { position: 'asc' } } },
+          });
+          if (existing) {
+            importedMoments.push(existing);
+            continue;
+          }
+        }
 
-      for (const momentData of moments) {
         // Clean up data
         const cleanedData = {
           description: momentData.description.trim(),
           gpsLat: momentData.gpsLat ?? 0.0,
           gpsLng: momentData.gpsLng ?? 0.0,
-          imageUrl: momentData.imageUrl || null,
-          audioUrl: momentData.audioUrl || null,
-          videoUrl: momentData.videoUrl || null,
+          ...getCoverUrls(attachments),
           mood: momentData.mood || null,
           weather: momentData.weather || null,
+          transcript: momentData.transcript?.trim() || null,
           categoryId: momentData.categoryId || null,
           locationName: momentData.locationName || null,
           gpsAccuracy: momentData.gpsAccuracy || null,
+          ...parsedCaptureInfo[index],
+          clientId,
+          userId: user.id,
         };
 
         // Create moment within transaction
         const moment = await tx.moment.create({
-          data: cleanedData,
+          data: {
+            ...cleanedData,
+            tags: tagIds.length > 0
+              ? { create: tagIds.map(tagId => ({ tag: { connect: { id: tagId } } })) }
+              : undefined,
+            attachments: attachments.length > 0
+              ? { create: attachments }
+              : undefined,
+          },
+          include: {
+            attachments: { orderBy: { position: 'asc' } },
+          },
         });
 
-        createdMoments.push(moment);
+        await attachMediaToMoment(moment.id, getMomentMediaUrls(moment), user.id, tx);
+
+        importedMoments.push(moment);
+        created++;
       }
 
-      return createdMoments;
+      return { moments: importedMoments, created };
     });
 
-    console.log(`✅ Bulk import completed successfully: ${result.length} moments created`);
+    let result;
+    try {
+      result = await importMoments();
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      // Prisma error: Unique constraint failed (the same batch raced this request);
+      // importing again returns the moments the other request created
+      result = await importMoments();
+    }
+
+    const existing = result.moments.length - result.created;
+
+    console.log(`✅ Bulk import completed successfully: ${result.created} moments created, ${existing} already imported`);
 
     return NextResponse.json({
       success: true,
-      message: `Successfully imported ${result.length} moments`,
-      count: result.length,
-      moments: result,
-    }, { status: 201 });
+      message: existing > 0
+        ? `Successfully imported ${result.created} moments (${existing} already imported)`
+        : `Successfully imported ${result.created} moments`,
+      count: result.created,
+      existing,
+      moments: result.moments,
+    }, { status: result.created > 0 ? 201 : 200 });
 
   } catch (error) {
     console.error('❌ Bulk import transaction failed:', error);
@@ -1,16 +1,32 @@
-import { NextResponse } from 'next/server';
+import { NextResponse, after } from 'next/server';
 import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { attachMediaToMoment, getMomentMediaUrls } from '@/lib/media-assets';
+import { getCoverUrls, parseAttachmentInput } from '@/utils/attachment-utils';
+import { parseCaptureInfo } from '@/utils/photo-metadata-utils';
+import { findMomentByClientId, getClientId } from '@/lib/idempotency';
+import { needsTranscription, transcribeMomentAudio } from '@/lib/transcription';
+import { getAutoTagIds } from '@/lib/geofences';
 
 /**
  * GET /api/moments
- * Fetch all moments, ordered by creation date (newest first)
+ * Fetch all of the signed-in user's moments, ordered by creation date (newest first)
  */
 export async function GET() {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const moments = await prisma.moment.findMany({
+      where: { userId: user.id },
       orderBy: {
         createdAt: 'desc',
       },
+      include: {
+        attachments: { orderBy: { position: 'asc' } },
+      },
     });
 
     return NextResponse.json(moments);
@@ -23,16 +39,59 @@ export async function GET() {
   }
 }
 
+/**
+ * Find the moment an earlier request with the same client ID created
+ * @param {number} userId - Moment owner
+ * @param {string} clientId - Client ID
+ * @returns {Promise<Object|null>} Moment formatted like a create response
+ */
+async function findExistingMoment(userId, clientId) {
+  const moment = await findMomentByClientId(userId, clientId, {
+    include: {
+      category: true,
+      attachments: { orderBy: { position: 'asc' } },
+      tags: {
+        include: {
+          tag: true
+        }
+      }
+    }
+  });
+
+  if (!moment) return null;
+
+  return {
+    ...moment,
+    tags: moment.tags.map(mt => mt.tag),
+  };
+}
+
 /**
  * POST /api/moments
  * Create a new moment
  * Body: {
- *   description, gpsLat?, gpsLng?, imageUrl?, audioUrl?,
- *   mood?, weather?, categoryId?, tagIds?
+ *   description, gpsLat?, gpsLng?,
+ *   attachments?: Array<{type: 'image'|'audio'|'video', url, caption?}>,
+ *   imageUrl?, audioUrl?, videoUrl?,  // legacy single-media fields, used when attachments is absent
+ *   mood?, weather?, transcript?, categoryId?, tagIds?,
+ *   capturedAt?, cameraModel?,  // from the photo's EXIF data
+ *   clientId?  // client-generated ID: a repeated request returns the moment already created (200)
  * }
+ * Headers: Idempotency-Key? (used as clientId when the body has none)
+ * Uploaded audio without a transcript is transcribed after the response when
+ * TRANSCRIPTION_PROVIDER is set (see src/lib/transcription)
+ * Moments with a location also get the tags of the auto-tagging geofences around it
  */
 export async function POST(request) {
+  let user;
+  let clientId;
+
   try {
+    user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const body = await request.json();
 
     // Validate required field
@@ -43,35 +102,94 @@ export async function POST(request) {
       );
     }
 
+    const idempotency = getClientId(request, body);
+    if (idempotency.error) {
+      return NextResponse.json(
+        { error: idempotency.error },
+        { status: 400 }
+      );
+    }
+    clientId = idempotency.clientId;
+
+    // A retried submission may have succeeded before; return that moment instead of a duplicate
+    if (clientId) {
+      const existing = await findExistingMoment(user.id, clientId);
+      if (existing) {
+        return NextResponse.json(existing);
+      }
+    }
+
+    const { attachments, error: attachmentError } = parseAttachmentInput(body);
+    if (attachmentError) {
+      return NextResponse.json(
+        { error: attachmentError },
+        { status: 400 }
+      );
+    }
+
+    const { data: captureInfo, error: captureError } = parseCaptureInfo(body);
+    if (captureError) {
+      return NextResponse.json(
+        { error: captureError },
+        { status: 400 }
+      );
+    }
+
     // Prepare moment data
     const momentData = {
       description: body.description.trim(),
       gpsLat: body.gpsLat ?? 0.0,
       gpsLng: body.gpsLng ?? 0.0,
-      imageUrl: body.imageUrl || null,
-      audioUrl: body.audioUrl || null,
+      ...getCoverUrls(attachments || []),
       mood: body.mood || null,
       weather: body.weather || null,
+      transcript: body.transcript?.trim() || null,
       categoryId: body.categoryId || null,
+      ...captureInfo,
+      clientId,
+      userId: user.id,
     };
 
+    // Only the user's own tags may be attached (a retried request may repeat an ID)
+    const requestedTagIds = [...new Set(body.tagIds || [])];
+    if (requestedTagIds.length > 0) {
+      const ownedTags = await prisma.tag.count({
+        where: { id: { in: requestedTagIds }, userId: user.id },
+      });
+
+      if (ownedTags !== requestedTagIds.length) {
+        return NextResponse.json(
+          { error: 'Unknown tag' },
+          { status: 400 }
+        );
+      }
+    }
+
+    // Geofences set to auto-tag add their tag to moments created inside them
+    const autoTagIds = await getAutoTagIds(user.id, momentData.gpsLat, momentData.gpsLng);
+    const tagIds = [...new Set([...requestedTagIds, ...autoTagIds])];
+
     // Create moment with tags if provided
     const moment = await prisma.moment.create({
       data: {
         ...momentData,
         // Connect tags using the junction table
-        tags: body.tagIds && body.tagIds.length > 0
+        tags: tagIds.length > 0
           ? {
-              create: body.tagIds.map(tagId => ({
+              create: tagIds.map(tagId => ({
                 tag: {
                   connect: { id: tagId }
                 }
               }))
             }
-          : undefined
+          : undefined,
+        attachments: attachments && attachments.length > 0
+          ? { create: attachments }
+          : undefined,
       },
       include: {
         category: true,
+        attachments: { orderBy: { position: 'asc' } },
         tags: {
           include: {
             tag: true
@@ -80,6 +198,13 @@ export async function POST(request) {
       }
     });
 
+    // Link the uploads so they are cleaned up with the moment
+    await attachMediaToMoment(moment.id, getMomentMediaUrls(moment), user.id);
+
+    if (needsTranscription(moment)) {
+      after(() => transcribeMomentAudio(moment.id));
+    }
+
     // Format tags to flatten the nested structure
     const formattedMoment = {
       ...moment,
@@ -88,6 +213,14 @@ export async function POST(request) {
 
     return NextResponse.json(formattedMoment, { status: 201 });
   } catch (error) {
+    if (error.code === 'P2002' && clientId) {
+      // Prisma error: Unique constraint failed (the same request raced this one)
+      const existing = await findExistingMoment(user.id, clientId);
+      if (existing) {
+        return NextResponse.json(existing);
+      }
+    }
+
     console.error('Error creating moment:', error);
     return NextResponse.json(
       { error: 'Failed to create moment' },
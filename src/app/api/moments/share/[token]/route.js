@@ -1,9 +1,20 @@
 import { NextResponse } from 'next/server';
-import prisma from '@/lib/prisma';
+import { cookies, headers } from 'next/headers';
+import {
+  findShareLink,
+  getSharedMoment,
+  hasShareAccess,
+  incrementMomentViews,
+  recordShareView,
+} from '@/lib/share-links';
+import { getShareLinkStatus } from '@/utils/share-link-utils';
 
 /**
  * GET /api/moments/share/[token]
  * Fetch a moment by share token and increment view count
+ * Share links answer 410 once expired and 401 until a password was entered
+ * (see /api/share/[token]/unlock). The link's audience options apply: the author
+ * can be null and the location coarsened (locationApproximate: true).
  */
 export async function GET(request, { params }) {
   try {
@@ -16,24 +27,42 @@ export async function GET(request, { params }) {
       );
     }
 
-    // Fetch moment by share token with relations
-    const moment = await prisma.moment.findUnique({
-      where: { shareToken: token },
-      include: {
-        user: {
-          select: {
-            id: true,
-            name: true,
-          },
-        },
-        category: true,
-        tags: {
-          include: {
-            tag: true,
-          },
-        },
-      },
-    });
+    const link = await findShareLink(token);
+    if (link) {
+      const status = getShareLinkStatus(link);
+      if (status === 'revoked' || !link.momentId) {
+        return NextResponse.json(
+          { error: 'Moment not found or not public' },
+          { status: 404 }
+        );
+      }
+      if (status === 'expired') {
+        return NextResponse.json(
+          { error: 'This share link has expired' },
+          { status: 410 }
+        );
+      }
+      if (!(await hasShareAccess(link, await cookies()))) {
+        return NextResponse.json(
+          { error: 'Password required' },
+          { status: 401 }
+        );
+      }
+
+      const sharedMoment = await getSharedMoment({ id: link.momentId }, link);
+      if (!sharedMoment) {
+        return NextResponse.json(
+          { error: 'Moment not found or not public' },
+          { status: 404 }
+        );
+      }
+
+      await recordShareView(link, await headers());
+      return NextResponse.json(sharedMoment);
+    }
+
+    // Links created before share links existed
+    const moment = await getSharedMoment({ shareToken: token });
 
     // If moment not found or not public
     if (!moment) {
@@ -51,18 +80,9 @@ export async function GET(request, { params }) {
     }
 
     // Increment view count
-    await prisma.moment.update({
-      where: { id: moment.id },
-      data: { viewCount: { increment: 1 } },
-    });
-
-    // Format tags for response
-    const formattedMoment = {
-      ...moment,
-      tags: moment.tags.map(mt => mt.tag),
-    };
+    await incrementMomentViews(moment.id);
 
-    return NextResponse.json(formattedMoment);
+    return NextResponse.json(moment);
   } catch (error) {
     console.error('Error fetching shared moment:', error);
     return NextResponse.json(
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import webpush from 'web-push';
 import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 
 // Configure web-push with VAPID keys
 webpush.setVapidDetails(
@@ -10,11 +11,10 @@ webpush.setVapidDetails(
 );
 
 /**
- * Send push notification to user's subscribed devices
+ * Send push notification to the signed-in user's subscribed devices
  * POST /api/push/send
  *
  * Body: {
- *   userId: number (optional, defaults to 1)
  *   title: string
  *   body: string
  *   icon?: string
@@ -24,9 +24,13 @@ webpush.setVapidDetails(
  */
 export async function POST(request) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const body = await request.json();
     const {
-      userId = 1,
       title,
       body: messageBody,
       icon = '/icons/icon-192x192.png',
@@ -43,7 +47,7 @@ export async function POST(request) {
 
     // Get all subscriptions for the user
     const subscriptions = await prisma.pushSubscription.findMany({
-      where: { userId },
+      where: { userId: user.id },
     });
 
     if (subscriptions.length === 0) {
@@ -112,14 +116,11 @@ export async function POST(request) {
 }
 
 /**
- * Send test notification to all users
- * GET /api/push/send/test
+ * Send test notification to the signed-in user
+ * GET /api/push/send
  */
 export async function GET(request) {
   try {
-    const { searchParams } = new URL(request.url);
-    const userId = parseInt(searchParams.get('userId') || '1');
-
     const testPayload = {
       title: 'Test Notification',
       body: 'This is a test notification from CapturePWA!',
@@ -130,11 +131,14 @@ export async function GET(request) {
       },
     };
 
-    // Use the POST endpoint logic
+    // Use the POST endpoint logic, forwarding the session cookie
     const response = await fetch(new URL('/api/push/send', request.url), {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ userId, ...testPayload }),
+      headers: {
+        'Content-Type': 'application/json',
+        cookie: request.headers.get('cookie') || '',
+      },
+      body: JSON.stringify(testPayload),
     });
 
     return response;
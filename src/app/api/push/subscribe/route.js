@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 
 /**
  * Subscribe to push notifications
@@ -7,13 +8,17 @@ import prisma from '@/lib/prisma';
  *
  * Body: {
  *   subscription: PushSubscription object from browser
- *   userId: number (optional, defaults to 1)
  * }
  */
 export async function POST(request) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const body = await request.json();
-    const { subscription, userId = 1 } = body;
+    const { subscription } = body;
 
     if (!subscription || !subscription.endpoint) {
       return NextResponse.json(
@@ -39,6 +44,19 @@ export async function POST(request) {
     });
 
     if (existing) {
+      // Browser endpoint re-used after switching accounts on the same device
+      if (existing.userId !== user.id) {
+        const reassigned = await prisma.pushSubscription.update({
+          where: { id: existing.id },
+          data: { userId: user.id, auth, p256dh },
+        });
+
+        return NextResponse.json({
+          message: 'Subscription moved to current user',
+          subscription: reassigned,
+        });
+      }
+
       return NextResponse.json({
         message: 'Subscription already exists',
         subscription: existing,
@@ -48,7 +66,7 @@ export async function POST(request) {
     // Create new push subscription
     const newSubscription = await prisma.pushSubscription.create({
       data: {
-        userId,
+        userId: user.id,
         endpoint: subscription.endpoint,
         auth,
         p256dh,
@@ -69,16 +87,18 @@ export async function POST(request) {
 }
 
 /**
- * Get all push subscriptions for a user
- * GET /api/push/subscribe?userId=1
+ * Get all push subscriptions for the signed-in user
+ * GET /api/push/subscribe
  */
-export async function GET(request) {
+export async function GET() {
   try {
-    const { searchParams } = new URL(request.url);
-    const userId = parseInt(searchParams.get('userId') || '1');
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
 
     const subscriptions = await prisma.pushSubscription.findMany({
-      where: { userId },
+      where: { userId: user.id },
       orderBy: { createdAt: 'desc' },
     });
 
@@ -98,6 +118,11 @@ export async function GET(request) {
  */
 export async function DELETE(request) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const { searchParams } = new URL(request.url);
     const endpoint = searchParams.get('endpoint');
 
@@ -109,7 +134,7 @@ export async function DELETE(request) {
     }
 
     const deleted = await prisma.pushSubscription.delete({
-      where: { endpoint },
+      where: { endpoint, userId: user.id },
     });
 
     return NextResponse.json({
@@ -117,6 +142,13 @@ export async function DELETE(request) {
       subscription: deleted,
     });
   } catch (error) {
+    if (error.code === 'P2025') {
+      return NextResponse.json(
+        { error: 'Subscription not found' },
+        { status: 404 }
+      );
+    }
+
     console.error('Error deleting push subscription:', error);
     return NextResponse.json(
       { error: 'Failed to delete subscription', details: error.message },
@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import {
+  QR_FORMATS,
+  QR_SIZE,
+  renderQrPng,
+  renderQrSvg,
+} from '@/lib/qr-codes';
+import { MAX_QR_CAPTION_LENGTH, isSharePath } from '@/utils/share-link-utils';
+
+const CONTENT_TYPES = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+};
+
+/**
+ * Origins share URLs of this app can have
+ * @param {Request} request - Incoming request
+ * @returns {string[]} Origins
+ */
+function getAppOrigins(request) {
+  const origins = [request.nextUrl.origin];
+  try {
+    // Share URLs are built from NEXT_PUBLIC_BASE_URL (see getShareUrl in src/lib/share-links.js)
+    origins.push(new URL(process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000').origin);
+  } catch {
+    // Misconfigured base URL
+  }
+  return origins;
+}
+
+/**
+ * GET /api/qr
+ * Render a printable QR code for a share URL of this app (public, like the share pages)
+ * Query:
+ * - url: share URL (/share/[token] or /share/collection/[token] on this app's origin)
+ * - format: 'svg' (default) or 'png'
+ * - logo: 'true' to put the app logo in the middle
+ * - caption: text printed below the code (max 80 characters)
+ * - size: width in pixels (128-2048, default 512)
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = request.nextUrl;
+
+    let url;
+    try {
+      url = new URL(searchParams.get('url') || '');
+    } catch {
+      return NextResponse.json(
+        { error: 'Invalid URL' },
+        { status: 400 }
+      );
+    }
+
+    if (!getAppOrigins(request).includes(url.origin) || !isSharePath(url.pathname)) {
+      return NextResponse.json(
+        { error: 'Only share links of this app can be encoded' },
+        { status: 400 }
+      );
+    }
+
+    const format = searchParams.get('format') || 'svg';
+    if (!QR_FORMATS.includes(format)) {
+      return NextResponse.json(
+        { error: `Format must be one of: ${QR_FORMATS.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    const size = searchParams.has('size') ? Number(searchParams.get('size')) : QR_SIZE.default;
+    if (!Number.isInteger(size) || size < QR_SIZE.min || size > QR_SIZE.max) {
+      return NextResponse.json(
+        { error: `Size must be between ${QR_SIZE.min} and ${QR_SIZE.max}` },
+        { status: 400 }
+      );
+    }
+
+    const caption = searchParams.get('caption')?.trim() || null;
+    if (caption && caption.length > MAX_QR_CAPTION_LENGTH) {
+      return NextResponse.json(
+        { error: `Caption must be at most ${MAX_QR_CAPTION_LENGTH} characters` },
+        { status: 400 }
+      );
+    }
+
+    const options = { logo: searchParams.get('logo') === 'true', caption, size };
+    const body = format === 'png'
+      ? await renderQrPng(url.href, options)
+      : await renderQrSvg(url.href, options);
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': CONTENT_TYPES[format],
+        // Same query, same image
+        'Cache-Control': 'public, max-age=86400, immutable',
+      },
+    });
+  } catch (error) {
+    console.error('QR code error:', error);
+    return NextResponse.json(
+      { error: 'Failed to render QR code' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,113 @@
+import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { searchMoments } from '@/lib/search';
+import { getSmartAlbumWhere } from '@/lib/smart-albums';
+
+/**
+ * Parse the tagIds query param
+ * @param {string|null} value - JSON array of tag IDs
+ * @returns {number[]|null} Tag IDs (empty when not given), or null when malformed
+ */
+function parseTagIds(value) {
+  if (!value) return [];
+
+  try {
+    const tagIds = JSON.parse(value);
+    return Array.isArray(tagIds) && tagIds.every((id) => Number.isInteger(id) && id > 0) ? tagIds : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GET /api/search
+ * Full-text search of the signed-in user's moments, best matches first
+ * Searches descriptions, locations, tags, categories and voice transcripts
+ *
+ * Query params:
+ * - q: string (required) - words, "exact phrase", prefix*, OR/AND, -exclude or NOT exclude
+ * - page: number (default: 1)
+ * - limit: number (default: 20)
+ * - tagIds: JSON array of tag IDs
+ * - categoryId: number
+ * - mood: string
+ * - albumId: number (only moments of this smart album)
+ *
+ * Each moment has a `snippet` with matched terms wrapped in \u0002 and \u0003
+ */
+export async function GET(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+
+    const query = searchParams.get('q') || '';
+    const page = parseInt(searchParams.get('page') || '1', 10);
+    const limit = parseInt(searchParams.get('limit') || '20', 10);
+    const tagIds = parseTagIds(searchParams.get('tagIds'));
+    const categoryId = searchParams.get('categoryId')
+      ? parseInt(searchParams.get('categoryId'), 10)
+      : null;
+    const mood = searchParams.get('mood') || null;
+    const albumId = searchParams.get('albumId')
+      ? parseInt(searchParams.get('albumId'), 10)
+      : null;
+
+    if (!query.trim()) {
+      return NextResponse.json(
+        { error: 'Search query is required' },
+        { status: 400 }
+      );
+    }
+
+    if (page < 1 || limit < 1 || limit > 100) {
+      return NextResponse.json(
+        { error: 'Invalid pagination parameters' },
+        { status: 400 }
+      );
+    }
+
+    if (!tagIds) {
+      return NextResponse.json(
+        { error: 'Invalid tagIds' },
+        { status: 400 }
+      );
+    }
+
+    // Limit to a smart album's moments
+    let albumWhere = null;
+    if (albumId) {
+      albumWhere = await getSmartAlbumWhere(user.id, albumId);
+      if (!albumWhere) {
+        return NextResponse.json(
+          { error: 'Smart album not found' },
+          { status: 404 }
+        );
+      }
+    }
+
+    const result = await searchMoments({
+      userId: user.id,
+      query,
+      page,
+      limit,
+      filters: {
+        tagIds,
+        categoryId,
+        mood,
+      },
+      albumWhere,
+    });
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('Search API error:', error);
+    return NextResponse.json(
+      { error: 'Failed to search moments' },
+      { status: 500 }
+    );
+  }
+}
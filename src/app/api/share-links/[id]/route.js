@@ -0,0 +1,176 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, hashPassword, unauthorizedResponse } from '@/lib/auth';
+import {
+  formatShareLink,
+  generateShareToken,
+  getShareLinkAnalytics,
+  revokedLinkData,
+} from '@/lib/share-links';
+import {
+  parseAudienceOptions,
+  parseExpiresAt,
+  parseSharePassword,
+  parseShareTitle,
+} from '@/utils/share-link-utils';
+
+/**
+ * Find one of the user's share links
+ * @param {Object} params - Route params
+ * @param {number} userId - Signed-in user
+ * @returns {Promise<Object|null>} ShareLink, or null if missing or not the user's
+ */
+async function findLink(params, userId) {
+  const { id } = await params;
+  const linkId = parseInt(id, 10);
+  if (isNaN(linkId)) return null;
+
+  return prisma.shareLink.findFirst({
+    where: { id: linkId, userId },
+  });
+}
+
+function notFoundResponse() {
+  return NextResponse.json(
+    { error: 'Share link not found' },
+    { status: 404 }
+  );
+}
+
+/**
+ * GET /api/share-links/[id]
+ * Returns a share link with its view analytics
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const link = await findLink(params, user.id);
+    if (!link) {
+      return notFoundResponse();
+    }
+
+    return NextResponse.json({
+      ...formatShareLink(link),
+      analytics: await getShareLinkAnalytics(link),
+    });
+  } catch (error) {
+    console.error('Share link fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch share link' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH /api/share-links/[id]
+ * Change a link's title, expiry, password or audience options, or rotate its token
+ * Body: { title?, expiresAt? (null = never), password? (null = none), hideLocation?, hideAuthor?,
+ *   rotateToken?: true }
+ * Rotating gives the link a new URL; the old one stops working
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const link = await findLink(params, user.id);
+    if (!link) {
+      return notFoundResponse();
+    }
+    if (link.revokedAt) {
+      return NextResponse.json(
+        { error: 'Revoked links cannot be changed' },
+        { status: 409 }
+      );
+    }
+
+    const body = await request.json();
+    const { options, error: optionsError } = parseAudienceOptions(body);
+    if (optionsError) {
+      return NextResponse.json({ error: optionsError }, { status: 400 });
+    }
+    const data = { ...options };
+
+    if (body.title !== undefined) {
+      const { title, error } = parseShareTitle(body.title);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      data.title = title;
+    }
+
+    if (body.expiresAt !== undefined) {
+      const { expiresAt, error } = parseExpiresAt(body.expiresAt);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      data.expiresAt = expiresAt;
+    }
+
+    if (body.password !== undefined) {
+      const { password, error } = parseSharePassword(body.password);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      data.passwordHash = password ? await hashPassword(password) : null;
+    }
+
+    if (body.rotateToken === true) {
+      data.token = generateShareToken();
+    }
+
+    const updated = await prisma.shareLink.update({
+      where: { id: link.id },
+      data,
+    });
+
+    return NextResponse.json(formatShareLink(updated));
+  } catch (error) {
+    console.error('Share link update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update share link' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/share-links/[id]
+ * Revoke a link: it stops working for good (its token is replaced, so sharing
+ * the same thing again always produces a new URL). Analytics are kept.
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const link = await findLink(params, user.id);
+    if (!link) {
+      return notFoundResponse();
+    }
+
+    const revoked = link.revokedAt
+      ? link
+      : await prisma.shareLink.update({
+          where: { id: link.id },
+          data: revokedLinkData(),
+        });
+
+    return NextResponse.json(formatShareLink(revoked));
+  } catch (error) {
+    console.error('Share link revoke error:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke share link' },
+      { status: 500 }
+    );
+  }
+}
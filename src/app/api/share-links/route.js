@@ -0,0 +1,109 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, hashPassword, unauthorizedResponse } from '@/lib/auth';
+import { formatShareLink, generateShareToken, parseShareTarget } from '@/lib/share-links';
+import {
+  parseAudienceOptions,
+  parseExpiresAt,
+  parseSharePassword,
+  parseShareTitle,
+} from '@/utils/share-link-utils';
+
+/**
+ * GET /api/share-links
+ * Returns the signed-in user's share links, newest first
+ *
+ * Query params:
+ * - momentId: number (only links to this moment)
+ * - albumId: number (only links to this album)
+ * - includeRevoked: 'true' to include revoked links
+ */
+export async function GET(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const momentId = searchParams.get('momentId')
+      ? parseInt(searchParams.get('momentId'), 10)
+      : null;
+    const albumId = searchParams.get('albumId')
+      ? parseInt(searchParams.get('albumId'), 10)
+      : null;
+    const includeRevoked = searchParams.get('includeRevoked') === 'true';
+
+    const links = await prisma.shareLink.findMany({
+      where: {
+        userId: user.id,
+        ...(momentId && { momentId }),
+        ...(albumId && { albumId }),
+        ...(!includeRevoked && { revokedAt: null }),
+      },
+      include: { album: { select: { name: true } } },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return NextResponse.json(links.map(formatShareLink));
+  } catch (error) {
+    console.error('Share links fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch share links' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/share-links
+ * Create a share link to a moment, an album or a filtered set of moments
+ * Body: { momentId | albumId | filters, title?, expiresAt?, password?, hideLocation?, hideAuthor? }
+ * (filters: smart album filter definition, e.g. { tagIds, dateFrom, dateTo })
+ */
+export async function POST(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const body = await request.json();
+
+    const { target, error: targetError, status } = await parseShareTarget(user.id, body);
+    if (targetError) {
+      return NextResponse.json({ error: targetError }, { status });
+    }
+
+    const { title, error: titleError } = parseShareTitle(body.title);
+    const { expiresAt, error: expiryError } = parseExpiresAt(body.expiresAt);
+    const { password, error: passwordError } = parseSharePassword(body.password);
+    const { options, error: optionsError } = parseAudienceOptions(body);
+    if (titleError || expiryError || passwordError || optionsError) {
+      return NextResponse.json(
+        { error: titleError || expiryError || passwordError || optionsError },
+        { status: 400 }
+      );
+    }
+
+    const link = await prisma.shareLink.create({
+      data: {
+        ...target,
+        token: generateShareToken(),
+        title,
+        expiresAt,
+        passwordHash: password ? await hashPassword(password) : null,
+        ...options,
+        userId: user.id,
+      },
+    });
+
+    return NextResponse.json(formatShareLink(link), { status: 201 });
+  } catch (error) {
+    console.error('Share link create error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create share link' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,7 +1,7 @@
 import { NextResponse } from 'next/server';
-import { writeFile, mkdir } from 'fs/promises';
-import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { buildStorageKey, getResourceType, getStorage } from '@/lib/storage';
+import { resolveContentType } from '@/lib/storage/media-types';
 
 /**
  * Share Target API Handler
@@ -46,40 +46,43 @@ export async function POST(request) {
       timestamp: Date.now()
     };
 
-    // If media file is shared, save it temporarily
-    if (mediaFile) {
-      const bytes = await mediaFile.arrayBuffer();
-      const buffer = Buffer.from(bytes);
+    // If media file is shared, save it temporarily in the configured storage
+    // (only formats that may be stored; others are dropped like unsupported shares)
+    const buffer = mediaFile ? Buffer.from(await mediaFile.arrayBuffer()) : null;
+    const mediaType = buffer && resolveContentType(buffer, mediaFile.type);
+    if (mediaType) {
+      const resourceType = getResourceType(mediaType);
+      const key = buildStorageKey('temp/shares', mediaType);
 
-      // Create temp directory if it doesn't exist
-      const tempDir = path.join(process.cwd(), 'temp', 'shares');
-      await mkdir(tempDir, { recursive: true });
-
-      // Generate unique filename
-      const fileExtension = mediaFile.name.split('.').pop() || 'bin';
-      const fileName = `${shareId}.${fileExtension}`;
-      const filePath = path.join(tempDir, fileName);
-
-      // Save file temporarily
-      await writeFile(filePath, buffer);
+      const stored = await getStorage().upload(buffer, {
+        key,
+        contentType: mediaType,
+        resourceType,
+      });
 
       shareData.media = {
-        fileName,
-        filePath,
-        type: mediaFile.type,
+        key: stored.key,
+        resourceType,
+        type: mediaType,
         size: mediaFile.size,
         originalName: mediaFile.name
       };
 
-      console.log('💾 Saved shared media:', fileName);
+      console.log('💾 Saved shared media:', stored.key);
     }
 
     // Store share data in cache
     shareCache.set(shareId, shareData);
 
-    // Schedule cleanup
+    // Schedule cleanup (including the stored file if it was never retrieved)
     setTimeout(() => {
+      const expired = shareCache.get(shareId);
       shareCache.delete(shareId);
+      if (expired?.media) {
+        getStorage()
+          .delete(expired.media.key, { resourceType: expired.media.resourceType })
+          .catch(console.error);
+      }
       console.log('🗑️ Cleaned up expired share:', shareId);
     }, SHARE_EXPIRY);
 
@@ -126,15 +129,16 @@ export async function GET(request) {
 
     // If there's media, read the file and convert to base64
     if (shareData.media) {
-      const fs = await import('fs/promises');
-      const fileBuffer = await fs.readFile(shareData.media.filePath);
+      const storage = getStorage();
+      const { key, resourceType } = shareData.media;
+      const fileBuffer = await storage.read(key, { resourceType });
       const base64 = fileBuffer.toString('base64');
       const dataUrl = `data:${shareData.media.type};base64,${base64}`;
 
       shareData.media.dataUrl = dataUrl;
 
       // Clean up the temp file after reading
-      fs.unlink(shareData.media.filePath).catch(console.error);
+      storage.delete(key, { resourceType }).catch(console.error);
     }
 
     // Remove from cache after retrieval (one-time use)
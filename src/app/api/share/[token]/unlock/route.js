@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { findShareLink, unlockShareLink } from '@/lib/share-links';
+import { getShareLinkStatus } from '@/utils/share-link-utils';
+
+/**
+ * POST /api/share/[token]/unlock
+ * Unlock a password-protected share link for this browser (sets a signed cookie)
+ * Body: { password }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { token } = await params;
+    const link = await findShareLink(token);
+
+    if (!link || getShareLinkStatus(link) === 'revoked') {
+      return NextResponse.json(
+        { error: 'Share link not found' },
+        { status: 404 }
+      );
+    }
+    if (getShareLinkStatus(link) === 'expired') {
+      return NextResponse.json(
+        { error: 'This share link has expired' },
+        { status: 410 }
+      );
+    }
+    if (!link.passwordHash) {
+      return NextResponse.json({ success: true });
+    }
+
+    const body = await request.json();
+    const cookie = await unlockShareLink(link, typeof body.password === 'string' ? body.password : '');
+    if (!cookie) {
+      return NextResponse.json(
+        { error: 'Wrong password' },
+        { status: 401 }
+      );
+    }
+
+    const response = NextResponse.json({ success: true });
+    response.cookies.set(cookie.name, cookie.value, cookie.options);
+    return response;
+  } catch (error) {
+    console.error('Share link unlock error:', error);
+    return NextResponse.json(
+      { error: 'Failed to unlock share link' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,133 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { formatAlbum } from '@/lib/smart-albums';
+import { normalizeAlbumFilters, parseAlbumName } from '@/utils/smart-album-utils';
+
+/**
+ * Find one of the user's albums
+ * @param {Object} params - Route params
+ * @param {number} userId - Signed-in user
+ * @returns {Promise<Object|null>} Album, or null if missing or not the user's
+ */
+async function findAlbum(params, userId) {
+  const { id } = await params;
+  const albumId = parseInt(id, 10);
+  if (isNaN(albumId)) return null;
+
+  return prisma.smartAlbum.findFirst({
+    where: { id: albumId, userId },
+  });
+}
+
+function notFoundResponse() {
+  return NextResponse.json(
+    { error: 'Smart album not found' },
+    { status: 404 }
+  );
+}
+
+/**
+ * GET /api/smart-albums/[id]
+ * Returns a smart album with its current moment count
+ */
+export async function GET(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const album = await findAlbum(params, user.id);
+    if (!album) {
+      return notFoundResponse();
+    }
+
+    return NextResponse.json(await formatAlbum(album));
+  } catch (error) {
+    console.error('Smart album fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch smart album' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/smart-albums/[id]
+ * Rename a smart album or replace its filter definition
+ * Body: { name?, filters? }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const album = await findAlbum(params, user.id);
+    if (!album) {
+      return notFoundResponse();
+    }
+
+    const body = await request.json();
+    const data = {};
+
+    if (body.name !== undefined) {
+      const { name, error } = parseAlbumName(body.name);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      data.name = name;
+    }
+
+    if (body.filters !== undefined) {
+      const { filters, error } = normalizeAlbumFilters(body.filters);
+      if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+      }
+      data.filters = JSON.stringify(filters);
+    }
+
+    const updated = await prisma.smartAlbum.update({
+      where: { id: album.id },
+      data,
+    });
+
+    return NextResponse.json(await formatAlbum(updated));
+  } catch (error) {
+    console.error('Smart album update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update smart album' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * DELETE /api/smart-albums/[id]
+ * Delete a smart album (its moments are not affected)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const album = await findAlbum(params, user.id);
+    if (!album) {
+      return notFoundResponse();
+    }
+
+    await prisma.smartAlbum.delete({ where: { id: album.id } });
+
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    console.error('Smart album delete error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete smart album' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from 'next/server';
+import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { formatAlbum } from '@/lib/smart-albums';
+import { normalizeAlbumFilters, parseAlbumName } from '@/utils/smart-album-utils';
+
+/**
+ * GET /api/smart-albums
+ * Returns the signed-in user's smart albums with their current moment counts
+ */
+export async function GET() {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const albums = await prisma.smartAlbum.findMany({
+      where: { userId: user.id },
+      orderBy: { name: 'asc' },
+    });
+
+    return NextResponse.json(await Promise.all(albums.map(formatAlbum)));
+  } catch (error) {
+    console.error('Smart albums fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch smart albums' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/smart-albums
+ * Create a smart album from a filter definition
+ * Body: { name, filters: { query?, tagIds?, categoryId?, mood?, dateFrom?, dateTo?, mediaType?, location? } }
+ */
+export async function POST(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const body = await request.json();
+
+    const { name, error: nameError } = parseAlbumName(body.name);
+    const { filters, error: filterError } = normalizeAlbumFilters(body.filters);
+    if (nameError || filterError) {
+      return NextResponse.json(
+        { error: nameError || filterError },
+        { status: 400 }
+      );
+    }
+
+    const album = await prisma.smartAlbum.create({
+      data: {
+        name,
+        filters: JSON.stringify(filters),
+        userId: user.id,
+      },
+    });
+
+    return NextResponse.json(await formatAlbum(album), { status: 201 });
+  } catch (error) {
+    console.error('Smart album create error:', error);
+    return NextResponse.json(
+      { error: 'Failed to create smart album' },
+      { status: 500 }
+    );
+  }
+}
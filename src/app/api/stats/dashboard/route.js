@@ -1,9 +1,10 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 
 /**
  * GET /api/stats/dashboard
- * Returns dashboard statistics including:
+ * Returns dashboard statistics for the signed-in user including:
  * - Total moments count
  * - Count of moments with photos
  * - Count of moments with audio
@@ -12,14 +13,22 @@ import { prisma } from '@/lib/prisma';
  */
 export async function GET() {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     // Get total counts using aggregation
     const [totalMoments, photosCount, audioCount, videoCount, recentMoments] = await Promise.all([
       // Total moments
-      prisma.moment.count(),
+      prisma.moment.count({
+        where: { userId: user.id }
+      }),
 
       // Moments with images
       prisma.moment.count({
         where: {
+          userId: user.id,
           imageUrl: {
             not: null
           }
@@ -29,6 +38,7 @@ export async function GET() {
       // Moments with audio
       prisma.moment.count({
         where: {
+          userId: user.id,
           audioUrl: {
             not: null
           }
@@ -38,6 +48,7 @@ export async function GET() {
       // Moments with video
       prisma.moment.count({
         where: {
+          userId: user.id,
           videoUrl: {
             not: null
           }
@@ -46,6 +57,9 @@ export async function GET() {
 
       // Recent 5 moments with relations
       prisma.moment.findMany({
+        where: {
+          userId: user.id
+        },
         take: 5,
         orderBy: {
           createdAt: 'desc'
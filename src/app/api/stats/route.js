@@ -1,9 +1,10 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 
 /**
  * GET /api/stats
- * Returns aggregated analytics data for the stats page
+ * Returns aggregated analytics data for the signed-in user's stats page
  *
  * Query params:
  * - startDate: ISO date string (optional)
@@ -11,6 +12,11 @@ import prisma from '@/lib/prisma';
  */
 export async function GET(request) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const { searchParams } = new URL(request.url);
     const startDate = searchParams.get('startDate');
     const endDate = searchParams.get('endDate');
@@ -25,8 +31,8 @@ export async function GET(request) {
     }
 
     const whereClause = Object.keys(dateFilter).length > 0
-      ? { createdAt: dateFilter }
-      : {};
+      ? { userId: user.id, createdAt: dateFilter }
+      : { userId: user.id };
 
     // 1. Total counts and basic stats
     const totalStats = await prisma.moment.aggregate({
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { getMomentChanges } from '@/lib/moment-sync';
+
+/**
+ * GET /api/sync
+ * Delta sync for the offline moment cache
+ *
+ * Query params:
+ * - since: cursor returned by the previous sync (optional; omitted = full sync)
+ *
+ * Response: {
+ *   full: boolean,        // true: first page of a full sync, drop everything else cached
+ *   moments: Array,       // created or updated moments (with attachments, category and tags)
+ *   deleted: number[],    // IDs of deleted moments
+ *   hasMore: boolean,     // true: a full sync has more pages, fetch again with the cursor
+ *   cursor: string,       // pass as `since` next time
+ *   tags: Array,          // the user's tags, to relabel cached moments
+ *   categories: Array,    // all categories, likewise
+ * }
+ */
+export async function GET(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const { searchParams } = new URL(request.url);
+    const changes = await getMomentChanges(user.id, searchParams.get('since'));
+
+    return NextResponse.json(changes);
+  } catch (error) {
+    console.error('Error syncing moments:', error);
+    return NextResponse.json(
+      { error: 'Failed to sync moments' },
+      { status: 500 }
+    );
+  }
+}
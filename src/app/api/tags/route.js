@@ -1,15 +1,21 @@
 import { NextResponse } from 'next/server';
 import { prisma } from '@/lib/prisma';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 
 /**
  * GET /api/tags
- * Returns all tags for the default user
+ * Returns all tags for the signed-in user
  */
 export async function GET() {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const tags = await prisma.tag.findMany({
       where: {
-        userId: 1 // Default user for now
+        userId: user.id
       },
       orderBy: {
         name: 'asc'
@@ -32,6 +38,11 @@ export async function GET() {
  */
 export async function POST(request) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const body = await request.json();
     const { name, color } = body;
 
@@ -46,7 +57,7 @@ export async function POST(request) {
     const existing = await prisma.tag.findFirst({
       where: {
         name: name.trim(),
-        userId: 1 // Default user
+        userId: user.id
       }
     });
 
@@ -64,7 +75,7 @@ export async function POST(request) {
       data: {
         name: name.trim(),
         color: tagColor,
-        userId: 1 // Default user
+        userId: user.id
       }
     });
 
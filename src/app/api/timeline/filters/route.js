@@ -1,4 +1,5 @@
 import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 import { getTimelineFilters } from '@/lib/timeline-api';
 
 /**
@@ -7,7 +8,12 @@ import { getTimelineFilters } from '@/lib/timeline-api';
  */
 export async function GET() {
   try {
-    const filters = await getTimelineFilters();
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const filters = await getTimelineFilters(user.id);
     return NextResponse.json(filters);
   } catch (error) {
     console.error('Timeline filters API error:', error);
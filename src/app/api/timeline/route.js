@@ -1,5 +1,7 @@
 import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
 import { getTimelineMoments } from '@/lib/timeline-api';
+import { getSmartAlbumWhere } from '@/lib/smart-albums';
 
 /**
  * GET /api/timeline
@@ -8,13 +10,19 @@ import { getTimelineMoments } from '@/lib/timeline-api';
  * Query params:
  * - page: number (default: 1)
  * - limit: number (default: 20)
- * - searchQuery: string (search descriptions/locations/tags)
+ * - searchQuery: string (full-text search, ranked by relevance; same syntax as /api/search)
  * - tagIds: JSON array of tag IDs
  * - categoryId: number
  * - mood: string
+ * - albumId: number (only moments of this smart album)
  */
 export async function GET(request) {
   try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
     const { searchParams } = new URL(request.url);
 
     // Parse query parameters
@@ -28,6 +36,9 @@ export async function GET(request) {
       ? parseInt(searchParams.get('categoryId'), 10)
       : null;
     const mood = searchParams.get('mood') || null;
+    const albumId = searchParams.get('albumId')
+      ? parseInt(searchParams.get('albumId'), 10)
+      : null;
 
     // Validate parameters
     if (page < 1 || limit < 1 || limit > 100) {
@@ -37,8 +48,21 @@ export async function GET(request) {
       );
     }
 
+    // Limit to a smart album's moments
+    let albumWhere = null;
+    if (albumId) {
+      albumWhere = await getSmartAlbumWhere(user.id, albumId);
+      if (!albumWhere) {
+        return NextResponse.json(
+          { error: 'Smart album not found' },
+          { status: 404 }
+        );
+      }
+    }
+
     // Fetch moments
     const result = await getTimelineMoments({
+      userId: user.id,
       page,
       limit,
       searchQuery,
@@ -47,6 +71,7 @@ export async function GET(request) {
         categoryId,
         mood,
       },
+      albumWhere,
     });
 
     return NextResponse.json(result);
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { readPhotoMetadata } from '@/lib/exif';
+
+// Same limit as image uploads
+const MAX_SIZE = 10 * 1024 * 1024;
+
+/**
+ * POST /api/upload/metadata
+ * Read the EXIF metadata of a photo without storing it
+ * Expects multipart/form-data with a 'file' field
+ * Returns: { capturedAt, gpsLat, gpsLng, cameraMake, cameraModel } (missing values are null;
+ * capturedAt has no time zone when the camera did not record one)
+ */
+export async function POST(request) {
+  try {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+
+    if (!file) {
+      return NextResponse.json(
+        { error: 'No file provided' },
+        { status: 400 }
+      );
+    }
+
+    if (!file.type.startsWith('image/')) {
+      return NextResponse.json(
+        { error: 'Only photos have metadata to read' },
+        { status: 400 }
+      );
+    }
+
+    if (file.size > MAX_SIZE) {
+      return NextResponse.json(
+        { error: 'File too large. Maximum size is 10MB.' },
+        { status: 400 }
+      );
+    }
+
+    const metadata = await readPhotoMetadata(Buffer.from(await file.arrayBuffer()));
+    return NextResponse.json(metadata);
+  } catch (error) {
+    console.error('Photo metadata error:', error);
+    return NextResponse.json(
+      { error: 'Failed to read photo metadata' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,92 +1,134 @@
 import { NextResponse } from 'next/server';
-import { v2 as cloudinary } from 'cloudinary';
+import { getSessionUser, unauthorizedResponse } from '@/lib/auth';
+import { recordUpload } from '@/lib/media-assets';
+import { shouldStripLocation, stripPhotoLocation } from '@/lib/exif';
+import { createImageVariants } from '@/lib/image-pipeline';
+import { transcodeMedia } from '@/lib/media-transcoding';
+import {
+  MEDIA_FOLDERS,
+  buildStorageKey,
+  getResourceType,
+  getStorage,
+} from '@/lib/storage';
+import { resolveContentType } from '@/lib/storage/media-types';
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Upload size limits: 100MB for video, 10MB for everything else
+const MAX_VIDEO_SIZE = 100 * 1024 * 1024;
+const MAX_OTHER_SIZE = 10 * 1024 * 1024;
 
 /**
  * POST /api/upload
- * Upload a file (image, audio, or video) to Cloudinary
- * Expects multipart/form-data with a 'file' field and optional 'type' field
+ * Upload a file (image, audio, or video) to the configured storage driver
+ * (see STORAGE_DRIVER in src/lib/storage)
+ * Expects multipart/form-data with a 'file' field ('type', sent by older clients, is ignored)
+ * Only the image, audio and video formats in src/lib/storage/media-types.js are accepted,
+ * recognized by the file's contents, which also decide the size limit
+ * Optional 'stripLocation' field ('true'): store photos without their GPS data
+ * (see PHOTO_LOCATION_STRIPPING in src/lib/exif.js)
+ * Photos also get resized AVIF/WebP variants and a placeholder (see src/lib/image-pipeline.js)
+ * Optional 'variants' field ('false'): skip them (e.g. for video posters)
+ * Audio and video are converted to M4A/MP4 and return their duration and codec
+ * (see src/lib/media-transcoding.js)
+ * The upload is tracked as a MediaAsset until a moment references its URL
  */
 export async function POST(request) {
   try {
-    // Check if Cloudinary is configured
-    if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+    const user = await getSessionUser();
+    if (!user) {
+      return unauthorizedResponse();
+    }
+
+    let storage;
+    try {
+      storage = getStorage();
+    } catch (error) {
       return NextResponse.json(
-        { error: 'Cloudinary not configured. Please add credentials to .env file.' },
+        { error: error.message },
         { status: 500 }
       );
     }
 
     const formData = await request.formData();
     const file = formData.get('file');
-    const type = formData.get('type') || 'auto'; // 'image', 'audio', 'video', or 'auto'
+    const stripLocation = shouldStripLocation(formData.get('stripLocation') === 'true');
+    const makeVariants = formData.get('variants') !== 'false';
 
-    if (!file) {
+    // A plain string field is not a file
+    if (!(file instanceof Blob)) {
       return NextResponse.json(
         { error: 'No file provided' },
         { status: 400 }
       );
     }
 
-    // Validate file size (max 100MB for video, 10MB for others)
-    const isVideo = type === 'video' || file.type.startsWith('video/');
-    const maxSize = isVideo ? 100 * 1024 * 1024 : 10 * 1024 * 1024; // 100MB for video, 10MB for others
+    // Nothing may exceed the video limit; smaller files are checked again once identified
+    if (file.size > MAX_VIDEO_SIZE) {
+      return NextResponse.json(
+        { error: 'File too large. Maximum size is 100MB.' },
+        { status: 400 }
+      );
+    }
+
+    let buffer = Buffer.from(await file.arrayBuffer());
+    let mimeType = resolveContentType(buffer, file.type);
+    if (!mimeType) {
+      return NextResponse.json(
+        { error: 'Unsupported file type. Upload a photo, audio recording or video.' },
+        { status: 400 }
+      );
+    }
 
-    if (file.size > maxSize) {
-      const maxSizeStr = isVideo ? '100MB' : '10MB';
+    // Determine resource type and folder (from the checked type, not the client's hint)
+    const resourceType = getResourceType(mimeType);
+
+    // Validate file size (max 100MB for video, 10MB for others)
+    const isVideo = resourceType === 'video';
+    if (buffer.length > (isVideo ? MAX_VIDEO_SIZE : MAX_OTHER_SIZE)) {
       return NextResponse.json(
-        { error: `File too large. Maximum size is ${maxSizeStr}.` },
+        { error: `File too large. Maximum size is ${isVideo ? '100MB' : '10MB'}.` },
         { status: 400 }
       );
     }
 
-    // Convert file to base64 data URI
-    const bytes = await file.arrayBuffer();
-    const buffer = Buffer.from(bytes);
-    const base64 = buffer.toString('base64');
-    const mimeType = file.type;
-    const dataURI = `data:${mimeType};base64,${base64}`;
-
-    // Determine resource type and folder
-    let resourceType = 'auto';
-    let folder = 'moments';
-
-    if (type === 'image' || mimeType.startsWith('image/')) {
-      resourceType = 'image';
-      folder = 'moments/images';
-    } else if (type === 'audio' || mimeType.startsWith('audio/')) {
-      resourceType = 'video'; // Cloudinary uses 'video' for audio files
-      folder = 'moments/audio';
-    } else if (type === 'video' || mimeType.startsWith('video/')) {
-      resourceType = 'video';
-      folder = 'moments/videos';
+    let locationStripped = false;
+    if (stripLocation && resourceType === 'image') {
+      ({ buffer, stripped: locationStripped } = await stripPhotoLocation(buffer));
     }
 
-    // Upload to Cloudinary
-    const uploadOptions = {
-      folder: folder,
-      resource_type: resourceType,
-      transformation: resourceType === 'image' ? [
-        { width: 1000, height: 1000, crop: 'limit' }, // Limit image size
-        { quality: 'auto' },
-      ] : undefined,
-      // For videos, add timeout and chunk size
-      timeout: resourceType === 'video' && type === 'video' ? 120000 : undefined, // 2 minutes for video
-    };
+    let media = { duration: null, codec: null };
+    if (resourceType === 'audio' || resourceType === 'video') {
+      ({ buffer, contentType: mimeType, media } = await transcodeMedia(buffer, {
+        resourceType,
+        contentType: mimeType,
+        fileName: file.name,
+      }));
+    }
+    const key = buildStorageKey(MEDIA_FOLDERS[resourceType], mimeType);
+
+    const result = await storage.upload(buffer, {
+      key,
+      contentType: mimeType,
+      resourceType,
+    });
+
+    await recordUpload(result, user.id);
 
-    const result = await cloudinary.uploader.upload(dataURI, uploadOptions);
+    const { variants, placeholder } = resourceType === 'image' && makeVariants
+      ? await createImageVariants(buffer, storage, user.id)
+      : { variants: null, placeholder: null };
 
     return NextResponse.json({
-      url: result.secure_url,
-      publicId: result.public_id,
+      url: result.url,
+      publicId: result.key,
       format: result.format,
-      resourceType: result.resource_type,
+      resourceType: result.resourceType,
+      bytes: result.bytes,
+      driver: result.driver,
+      locationStripped,
+      variants,
+      placeholder,
+      duration: media.duration,
+      codec: media.codec,
     });
 
   } catch (error) {
@@ -5,11 +5,13 @@ import { useRouter, useSearchParams } from 'next/navigation';
 import MainLayout from '@/components/layout/MainLayout';
 import MomentForm from '@/components/capture/MomentForm';
 import { useOnlineStatus } from '@/hooks/useOnlineStatus';
+import geofenceManager from '@/lib/geofence-manager';
 
 /**
  * Capture Page
  * Dedicated page for creating new moments
  * Also handles incoming shared content via Web Share Target API
+ * and geofence reminders (?geofence=ID prefills the geofence's location, category and tag)
  */
 
 function CaptureContent() {
@@ -18,6 +20,7 @@ function CaptureContent() {
   const isOnline = useOnlineStatus();
 
   const [sharedData, setSharedData] = useState(null);
+  const [prefill, setPrefill] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
@@ -36,6 +39,25 @@ function CaptureContent() {
     }
   }, [searchParams]);
 
+  // Opened from a geofence reminder notification
+  useEffect(() => {
+    const geofenceId = parseInt(searchParams.get('geofence'), 10);
+    if (isNaN(geofenceId)) return;
+
+    geofenceManager.load().then((geofences) => {
+      const geofence = geofences.find((g) => g.id === geofenceId);
+      if (!geofence) return;
+
+      setPrefill({
+        name: geofence.name,
+        gpsLat: geofence.lat,
+        gpsLng: geofence.lng,
+        categoryId: geofence.categoryId,
+        tagIds: geofence.tagId ? [geofence.tagId] : [],
+      });
+    });
+  }, [searchParams]);
+
   /**
    * Fetch shared data from the API using the share ID
    */
@@ -133,6 +155,7 @@ function CaptureContent() {
         <MomentForm
           onSuccess={handleMomentCreated}
           sharedData={sharedData}
+          prefill={prefill}
         />
       </div>
     </MainLayout>
@@ -13,6 +13,7 @@ import GalleryContent from '@/components/gallery/GalleryContent';
  * - Infinite scroll
  * - Lightbox for full-screen viewing
  * - Image download functionality
+ * - Smart albums (?album=<id>)
  */
 
 export const metadata = {
@@ -20,7 +21,10 @@ export const metadata = {
   description: 'Browse your captured moments in a beautiful gallery',
 };
 
-export default function GalleryPage() {
+export default async function GalleryPage({ searchParams }) {
+  const { album } = await searchParams;
+  const albumId = parseInt(album, 10) || null;
+
   // Client-side rendering - data fetched in GalleryContent component
   return (
     <MainLayout>
@@ -32,7 +36,7 @@ export default function GalleryPage() {
         />
 
         {/* Gallery content with filters and grid */}
-        <GalleryContent initialMoments={{ moments: [], pagination: { page: 1, limit: 20, totalCount: 0, totalPages: 0, hasMore: false } }} />
+        <GalleryContent key={albumId || 'all'} albumId={albumId} initialMoments={{ moments: [], pagination: { page: 1, limit: 20, totalCount: 0, totalPages: 0, hasMore: false } }} />
       </div>
     </MainLayout>
   );
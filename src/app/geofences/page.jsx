@@ -2,8 +2,64 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import dynamic from 'next/dynamic';
+import toast from 'react-hot-toast';
 import geofenceManager from '@/lib/geofence-manager';
 import { fetchMoments } from '@/lib/api';
+import {
+  DEFAULT_GEOFENCE_RADIUS,
+  GEOFENCES_CHANGED_EVENT,
+  GEOFENCE_CROSSED_EVENT,
+  MAX_DWELL_MINUTES,
+  MAX_GEOFENCE_RADIUS,
+  MAX_POLYGON_POINTS,
+  MIN_GEOFENCE_RADIUS,
+  MIN_POLYGON_POINTS,
+} from '@/utils/geofence-utils';
+
+const GeofenceMap = dynamic(() => import('@/components/geofences/GeofenceMap'), {
+  ssr: false,
+  loading: () => <div className="h-[300px] bg-gray-900 rounded-lg animate-pulse" />
+});
+
+const EMPTY_FORM = {
+  name: '',
+  shape: 'circle',
+  lat: '',
+  lng: '',
+  radius: DEFAULT_GEOFENCE_RADIUS,
+  polygon: [], // [lat, lng] points
+  dwellMinutes: '',
+  notifyOnEnter: true,
+  notifyOnExit: true,
+  remindOnEnter: false,
+  autoTag: false,
+  categoryId: '',
+  tagId: '',
+};
+
+// Events shown under Recent Activity
+const EVENT_LOG_LIMIT = 20;
+
+const EVENT_LABELS = {
+  enter: { text: '→ Entered', className: 'text-green-400' },
+  exit: { text: '← Left', className: 'text-orange-400' },
+  dwell: { text: '⏱️ Stayed at', className: 'text-blue-400' },
+};
+
+/**
+ * Fetch a list for the form's selects
+ * @param {string} url - API route
+ * @returns {Promise<Array>} Items ([] when unavailable)
+ */
+async function fetchOptions(url) {
+  try {
+    const response = await fetch(url);
+    return response.ok ? await response.json() : [];
+  } catch {
+    return [];
+  }
+}
 
 export default function GeofencesPage() {
   const router = useRouter();
@@ -11,17 +67,25 @@ export default function GeofencesPage() {
   const [isMonitoring, setIsMonitoring] = useState(false);
   const [currentPosition, setCurrentPosition] = useState(null);
   const [moments, setMoments] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
   const [showAddForm, setShowAddForm] = useState(false);
-  const [newGeofence, setNewGeofence] = useState({
-    name: '',
-    lat: '',
-    lng: '',
-    radius: 100,
-  });
+  const [editingId, setEditingId] = useState(null); // Geofence being edited, null when adding
+  const [saving, setSaving] = useState(false);
+  const [newGeofence, setNewGeofence] = useState(EMPTY_FORM);
+  const [events, setEvents] = useState([]);
 
   useEffect(() => {
-    loadGeofences();
+    const showGeofences = () => setGeofences([...geofenceManager.getAllGeofences()]);
+
+    showGeofences();
+    window.addEventListener(GEOFENCES_CHANGED_EVENT, showGeofences);
+    window.addEventListener(GEOFENCE_CROSSED_EVENT, loadEvents);
+    geofenceManager.load();
+    loadEvents();
     loadMoments();
+    fetchOptions('/api/categories').then(setCategories);
+    fetchOptions('/api/tags').then(setTags);
     setIsMonitoring(geofenceManager.isMonitoring());
     setCurrentPosition(geofenceManager.getCurrentPosition());
 
@@ -32,11 +96,19 @@ export default function GeofencesPage() {
       }
     }, 2000);
 
-    return () => clearInterval(interval);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener(GEOFENCES_CHANGED_EVENT, showGeofences);
+      window.removeEventListener(GEOFENCE_CROSSED_EVENT, loadEvents);
+    };
   }, []);
 
-  const loadGeofences = () => {
-    setGeofences(geofenceManager.getAllGeofences());
+  const loadEvents = async () => {
+    try {
+      setEvents(await geofenceManager.getEvents({ limit: EVENT_LOG_LIMIT }));
+    } catch (err) {
+      console.error('Failed to load geofence events:', err);
+    }
   };
 
   const loadMoments = async () => {
@@ -54,7 +126,7 @@ export default function GeofencesPage() {
     if (success) {
       setIsMonitoring(true);
     } else {
-      alert('Failed to start monitoring. Check GPS permissions.');
+      toast.error('Failed to start monitoring. Check GPS permissions.');
     }
   };
 
@@ -63,43 +135,118 @@ export default function GeofencesPage() {
     setIsMonitoring(false);
   };
 
-  const handleAddGeofence = (e) => {
+  const closeForm = () => {
+    setNewGeofence(EMPTY_FORM);
+    setEditingId(null);
+    setShowAddForm(false);
+  };
+
+  // Clicks on the map place the circle or add the polygon's next point
+  const handleMapClick = (lat, lng) => {
+    if (newGeofence.shape === 'polygon') {
+      if (newGeofence.polygon.length >= MAX_POLYGON_POINTS) return;
+      setNewGeofence({ ...newGeofence, polygon: [...newGeofence.polygon, [lat, lng]] });
+    } else {
+      setNewGeofence({ ...newGeofence, lat: lat.toFixed(6), lng: lng.toFixed(6) });
+    }
+  };
+
+  const handleSaveGeofence = async (e) => {
     e.preventDefault();
 
+    const isPolygon = newGeofence.shape === 'polygon';
+    if (isPolygon && newGeofence.polygon.length < MIN_POLYGON_POINTS) {
+      toast.error(`Click the map to add at least ${MIN_POLYGON_POINTS} points`);
+      return;
+    }
+
+    const geofence = {
+      name: newGeofence.name,
+      ...(isPolygon
+        ? { shape: 'polygon', polygon: newGeofence.polygon }
+        : {
+            shape: 'circle',
+            lat: parseFloat(newGeofence.lat),
+            lng: parseFloat(newGeofence.lng),
+            radius: parseInt(newGeofence.radius, 10),
+          }),
+      dwellMinutes: newGeofence.dwellMinutes ? parseInt(newGeofence.dwellMinutes, 10) : null,
+      notifyOnEnter: newGeofence.notifyOnEnter,
+      notifyOnExit: newGeofence.notifyOnExit,
+      remindOnEnter: newGeofence.remindOnEnter,
+      // Auto-tagging needs a tag
+      autoTag: newGeofence.autoTag && Boolean(newGeofence.tagId),
+      categoryId: newGeofence.categoryId ? Number(newGeofence.categoryId) : null,
+      tagId: newGeofence.tagId ? Number(newGeofence.tagId) : null,
+    };
+
+    setSaving(true);
     try {
-      geofenceManager.addGeofence({
-        id: Date.now().toString(),
-        name: newGeofence.name,
-        lat: parseFloat(newGeofence.lat),
-        lng: parseFloat(newGeofence.lng),
-        radius: parseInt(newGeofence.radius),
-        notifyOnEnter: true,
-        notifyOnExit: true,
-      });
-
-      setNewGeofence({ name: '', lat: '', lng: '', radius: 100 });
-      setShowAddForm(false);
-      loadGeofences();
-      alert('Geofence added! Start monitoring to receive notifications.');
+      if (editingId !== null) {
+        await geofenceManager.updateGeofence(editingId, geofence);
+        toast.success('Geofence saved');
+      } else {
+        await geofenceManager.createGeofence(geofence);
+        toast.success(isMonitoring ? 'Geofence added' : 'Geofence added! Start monitoring to receive notifications.');
+      }
+      closeForm();
     } catch (err) {
-      alert('Failed to add geofence: ' + err.message);
+      toast.error(`Failed to save geofence: ${err.message}`);
+    } finally {
+      setSaving(false);
     }
   };
 
   const handleAddFromMoment = (moment) => {
     setNewGeofence({
+      ...EMPTY_FORM,
       name: moment.locationName || moment.description.substring(0, 30),
       lat: moment.gpsLat.toString(),
       lng: moment.gpsLng.toString(),
-      radius: 100,
+      categoryId: moment.categoryId ? String(moment.categoryId) : '',
+    });
+    setEditingId(null);
+    setShowAddForm(true);
+  };
+
+  const handleEditGeofence = (geofence) => {
+    setNewGeofence({
+      name: geofence.name,
+      shape: geofence.shape,
+      lat: geofence.lat.toString(),
+      lng: geofence.lng.toString(),
+      radius: geofence.radius,
+      polygon: geofence.polygon || [],
+      dwellMinutes: geofence.dwellMinutes ? String(geofence.dwellMinutes) : '',
+      notifyOnEnter: geofence.notifyOnEnter,
+      notifyOnExit: geofence.notifyOnExit,
+      remindOnEnter: geofence.remindOnEnter,
+      autoTag: geofence.autoTag,
+      categoryId: geofence.categoryId ? String(geofence.categoryId) : '',
+      tagId: geofence.tagId ? String(geofence.tagId) : '',
     });
+    setEditingId(geofence.id);
     setShowAddForm(true);
   };
 
-  const handleDeleteGeofence = (id) => {
+  const handleToggleNotification = async (geofence, field) => {
+    try {
+      await geofenceManager.updateGeofence(geofence.id, { [field]: !geofence[field] });
+    } catch (err) {
+      toast.error(`Failed to save geofence: ${err.message}`);
+    }
+  };
+
+  const handleDeleteGeofence = async (id) => {
     if (confirm('Delete this geofence?')) {
-      geofenceManager.removeGeofence(id);
-      loadGeofences();
+      try {
+        await geofenceManager.deleteGeofence(id);
+        if (editingId === id) closeForm();
+        // Its events are deleted with it
+        loadEvents();
+      } catch (err) {
+        toast.error(`Failed to delete geofence: ${err.message}`);
+      }
     }
   };
 
@@ -175,17 +322,17 @@ export default function GeofencesPage() {
           <div className="flex items-center justify-between mb-4">
             <h2 className="text-xl font-bold">Your Geofences</h2>
             <button
-              onClick={() => setShowAddForm(!showAddForm)}
+              onClick={() => (showAddForm ? closeForm() : setShowAddForm(true))}
               className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg"
             >
               {showAddForm ? 'Cancel' : '+ Add Geofence'}
             </button>
           </div>
 
-          {/* Add Form */}
+          {/* Add/Edit Form */}
           {showAddForm && (
-            <form onSubmit={handleAddGeofence} className="bg-gray-800 rounded-lg p-4 mb-4">
-              <h3 className="font-medium mb-3">Add New Geofence</h3>
+            <form onSubmit={handleSaveGeofence} className="bg-gray-800 rounded-lg p-4 mb-4">
+              <h3 className="font-medium mb-3">{editingId !== null ? 'Edit Geofence' : 'Add New Geofence'}</h3>
               <div className="space-y-3">
                 <div>
                   <label className="block text-sm text-gray-400 mb-1">Name</label>
@@ -198,51 +345,209 @@ export default function GeofencesPage() {
                     className="w-full bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
                   />
                 </div>
-                <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm text-gray-400 mb-1">Shape</label>
+                  <div className="flex gap-2 mb-2">
+                    {['circle', 'polygon'].map((shape) => (
+                      <button
+                        key={shape}
+                        type="button"
+                        onClick={() => setNewGeofence({ ...newGeofence, shape })}
+                        className={`px-3 py-1 rounded text-sm ${
+                          newGeofence.shape === shape ? 'bg-blue-600 text-white' : 'bg-gray-900 text-gray-300 hover:bg-gray-700'
+                        }`}
+                      >
+                        {shape === 'circle' ? '⭕ Circle' : '⬠ Polygon'}
+                      </button>
+                    ))}
+                  </div>
+                  <GeofenceMap
+                    key={editingId ?? 'new'}
+                    shape={newGeofence.shape}
+                    center={newGeofence.lat !== '' && newGeofence.lng !== ''
+                      ? { lat: parseFloat(newGeofence.lat), lng: parseFloat(newGeofence.lng) }
+                      : null}
+                    radius={parseInt(newGeofence.radius, 10) || 0}
+                    polygon={newGeofence.polygon}
+                    position={currentPosition}
+                    onMapClick={handleMapClick}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    {newGeofence.shape === 'polygon'
+                      ? 'Click the map to add the corners of the area, in order.'
+                      : 'Click the map to place the center, or enter it below.'}
+                  </p>
+                </div>
+                {newGeofence.shape === 'circle' ? (
+                  <>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm text-gray-400 mb-1">Latitude</label>
+                      <input
+                        type="number"
+                        step="any"
+                        value={newGeofence.lat}
+                        onChange={(e) => setNewGeofence({ ...newGeofence, lat: e.target.value })}
+                        placeholder="0.000000"
+                        required
+                        className="w-full bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm text-gray-400 mb-1">Longitude</label>
+                      <input
+                        type="number"
+                        step="any"
+                        value={newGeofence.lng}
+                        onChange={(e) => setNewGeofence({ ...newGeofence, lng: e.target.value })}
+                        placeholder="0.000000"
+                        required
+                        className="w-full bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
+                      />
+                    </div>
+                  </div>
                   <div>
-                    <label className="block text-sm text-gray-400 mb-1">Latitude</label>
+                    <label className="block text-sm text-gray-400 mb-1">Radius (meters)</label>
+                    <div className="flex items-center gap-3">
+                      <input
+                        type="range"
+                        min="50"
+                        max="1000"
+                        step="50"
+                        value={Math.min(newGeofence.radius, 1000)}
+                        onChange={(e) => setNewGeofence({ ...newGeofence, radius: e.target.value })}
+                        className="flex-1"
+                      />
+                      <input
+                        type="number"
+                        min={MIN_GEOFENCE_RADIUS}
+                        max={MAX_GEOFENCE_RADIUS}
+                        step="1"
+                        value={newGeofence.radius}
+                        onChange={(e) => setNewGeofence({ ...newGeofence, radius: e.target.value })}
+                        required
+                        className="w-24 bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
+                      />
+                    </div>
+                  </div>
+                  </>
+                ) : (
+                  <div className="flex items-center justify-between text-sm text-gray-300">
+                    <span>
+                      {newGeofence.polygon.length} point{newGeofence.polygon.length !== 1 ? 's' : ''}
+                      {newGeofence.polygon.length < MIN_POLYGON_POINTS && ` (at least ${MIN_POLYGON_POINTS})`}
+                    </span>
+                    <div className="flex gap-3">
+                      <button
+                        type="button"
+                        onClick={() => setNewGeofence({ ...newGeofence, polygon: newGeofence.polygon.slice(0, -1) })}
+                        disabled={newGeofence.polygon.length === 0}
+                        className="text-blue-400 hover:text-blue-300 disabled:opacity-50"
+                      >
+                        Undo point
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setNewGeofence({ ...newGeofence, polygon: [] })}
+                        disabled={newGeofence.polygon.length === 0}
+                        className="text-red-400 hover:text-red-300 disabled:opacity-50"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm text-gray-400 mb-1">Dwell time (minutes, optional)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_DWELL_MINUTES}
+                    step="1"
+                    value={newGeofence.dwellMinutes}
+                    onChange={(e) => setNewGeofence({ ...newGeofence, dwellMinutes: e.target.value })}
+                    placeholder="Off"
+                    className="w-32 bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Staying inside this long logs a visit and asks to capture a moment.
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-4">
+                  <label className="flex items-center gap-2 text-sm text-gray-300">
                     <input
-                      type="number"
-                      step="any"
-                      value={newGeofence.lat}
-                      onChange={(e) => setNewGeofence({ ...newGeofence, lat: e.target.value })}
-                      placeholder="0.000000"
-                      required
-                      className="w-full bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
+                      type="checkbox"
+                      checked={newGeofence.notifyOnEnter}
+                      onChange={(e) => setNewGeofence({ ...newGeofence, notifyOnEnter: e.target.checked })}
                     />
-                  </div>
-                  <div>
-                    <label className="block text-sm text-gray-400 mb-1">Longitude</label>
+                    Notify on enter
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-300">
                     <input
-                      type="number"
-                      step="any"
-                      value={newGeofence.lng}
-                      onChange={(e) => setNewGeofence({ ...newGeofence, lng: e.target.value })}
-                      placeholder="0.000000"
-                      required
-                      className="w-full bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
+                      type="checkbox"
+                      checked={newGeofence.notifyOnExit}
+                      onChange={(e) => setNewGeofence({ ...newGeofence, notifyOnExit: e.target.checked })}
                     />
-                  </div>
+                    Notify on exit
+                  </label>
                 </div>
-                <div>
-                  <label className="block text-sm text-gray-400 mb-1">
-                    Radius (meters): {newGeofence.radius}m
+                <div className="space-y-2">
+                  <label className="flex items-center gap-2 text-sm text-gray-300">
+                    <input
+                      type="checkbox"
+                      checked={newGeofence.remindOnEnter}
+                      onChange={(e) => setNewGeofence({ ...newGeofence, remindOnEnter: e.target.checked })}
+                    />
+                    Remind me to capture a moment when I arrive
                   </label>
-                  <input
-                    type="range"
-                    min="50"
-                    max="1000"
-                    step="50"
-                    value={newGeofence.radius}
-                    onChange={(e) => setNewGeofence({ ...newGeofence, radius: e.target.value })}
-                    className="w-full"
-                  />
+                  <label className={`flex items-center gap-2 text-sm ${newGeofence.tagId ? 'text-gray-300' : 'text-gray-500'}`}>
+                    <input
+                      type="checkbox"
+                      checked={newGeofence.autoTag && Boolean(newGeofence.tagId)}
+                      onChange={(e) => setNewGeofence({ ...newGeofence, autoTag: e.target.checked })}
+                      disabled={!newGeofence.tagId}
+                    />
+                    Tag moments created here with the tag below
+                  </label>
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm text-gray-400 mb-1">Category (optional)</label>
+                    <select
+                      value={newGeofence.categoryId}
+                      onChange={(e) => setNewGeofence({ ...newGeofence, categoryId: e.target.value })}
+                      className="w-full bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
+                    >
+                      <option value="">None</option>
+                      {categories.map((category) => (
+                        <option key={category.id} value={category.id}>
+                          {category.icon} {category.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm text-gray-400 mb-1">Tag (optional)</label>
+                    <select
+                      value={newGeofence.tagId}
+                      onChange={(e) => setNewGeofence({ ...newGeofence, tagId: e.target.value })}
+                      className="w-full bg-gray-900 border border-gray-700 rounded px-3 py-2 text-white"
+                    >
+                      <option value="">None</option>
+                      {tags.map((tag) => (
+                        <option key={tag.id} value={tag.id}>
+                          #{tag.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
                 <button
                   type="submit"
-                  className="w-full bg-green-600 hover:bg-green-700 text-white py-2 rounded-lg"
+                  disabled={saving}
+                  className="w-full bg-green-600 hover:bg-green-700 text-white py-2 rounded-lg disabled:opacity-50"
                 >
-                  Add Geofence
+                  {saving ? 'Saving...' : editingId !== null ? 'Save Geofence' : 'Add Geofence'}
                 </button>
               </div>
             </form>
@@ -283,15 +588,79 @@ export default function GeofencesPage() {
                           {geofence.lat.toFixed(6)}, {geofence.lng.toFixed(6)}
                         </p>
                         <p className="text-sm text-gray-400 mt-1">
-                          Radius: {geofence.radius}m
+                          {geofence.shape === 'polygon'
+                            ? `Polygon: ${geofence.polygon.length} points`
+                            : `Radius: ${geofence.radius}m`}
+                          {geofence.dwellMinutes && ` · ⏱️ Dwell after ${geofence.dwellMinutes} min`}
                         </p>
+                        {(geofence.category || geofence.tag) && (
+                          <div className="flex flex-wrap gap-2 mt-2">
+                            {geofence.category && (
+                              <span className="text-xs px-2 py-1 rounded-full bg-purple-500/20 text-purple-300">
+                                {geofence.category.icon} {geofence.category.name}
+                              </span>
+                            )}
+                            {geofence.tag && (
+                              <span
+                                className="text-xs px-2 py-1 rounded-full"
+                                style={{ backgroundColor: `${geofence.tag.color}20`, color: geofence.tag.color }}
+                              >
+                                #{geofence.tag.name}
+                              </span>
+                            )}
+                          </div>
+                        )}
+                        <div className="flex flex-wrap gap-4 mt-3">
+                          <label className="flex items-center gap-2 text-sm text-gray-300">
+                            <input
+                              type="checkbox"
+                              checked={geofence.notifyOnEnter}
+                              onChange={() => handleToggleNotification(geofence, 'notifyOnEnter')}
+                            />
+                            On enter
+                          </label>
+                          <label className="flex items-center gap-2 text-sm text-gray-300">
+                            <input
+                              type="checkbox"
+                              checked={geofence.notifyOnExit}
+                              onChange={() => handleToggleNotification(geofence, 'notifyOnExit')}
+                            />
+                            On exit
+                          </label>
+                          <label className="flex items-center gap-2 text-sm text-gray-300">
+                            <input
+                              type="checkbox"
+                              checked={geofence.remindOnEnter}
+                              onChange={() => handleToggleNotification(geofence, 'remindOnEnter')}
+                            />
+                            📸 Capture reminder
+                          </label>
+                          {geofence.tag && (
+                            <label className="flex items-center gap-2 text-sm text-gray-300">
+                              <input
+                                type="checkbox"
+                                checked={geofence.autoTag}
+                                onChange={() => handleToggleNotification(geofence, 'autoTag')}
+                              />
+                              🏷️ Auto-tag
+                            </label>
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex flex-col items-end gap-2">
+                        <button
+                          onClick={() => handleEditGeofence(geofence)}
+                          className="text-blue-400 hover:text-blue-300 text-sm"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDeleteGeofence(geofence.id)}
+                          className="text-red-400 hover:text-red-300 text-sm"
+                        >
+                          Delete
+                        </button>
                       </div>
-                      <button
-                        onClick={() => handleDeleteGeofence(geofence.id)}
-                        className="text-red-400 hover:text-red-300 text-sm"
-                      >
-                        Delete
-                      </button>
                     </div>
                   </div>
                 );
@@ -300,6 +669,28 @@ export default function GeofencesPage() {
           )}
         </div>
 
+        {/* Enter, exit and dwell log */}
+        {events.length > 0 && (
+          <div className="mt-8">
+            <h2 className="text-xl font-bold mb-4">Recent Activity</h2>
+            <div className="bg-gray-800 rounded-lg divide-y divide-gray-700">
+              {events.map((event) => (
+                <div key={event.id} className="flex items-center justify-between gap-3 px-4 py-3">
+                  <p className="text-sm text-gray-100">
+                    <span className={EVENT_LABELS[event.type]?.className}>
+                      {EVENT_LABELS[event.type]?.text}
+                    </span>
+                    {' '}{event.geofenceName}
+                  </p>
+                  <p className="text-xs text-gray-400 whitespace-nowrap">
+                    {new Date(event.occurredAt).toLocaleString()}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Quick Add from Moments */}
         {moments.length > 0 && (
           <div className="mt-8">
@@ -327,10 +718,14 @@ export default function GeofencesPage() {
         <div className="mt-8 bg-blue-900 border border-blue-700 rounded-lg p-4">
           <h3 className="font-medium text-blue-100 mb-2">How Geofences Work</h3>
           <ul className="text-sm text-blue-200 space-y-1 list-disc list-inside">
-            <li>Add locations you want to monitor</li>
+            <li>Add locations you want to monitor; they are saved to your account and shared by all your devices</li>
             <li>Click "Start Monitoring" to enable tracking</li>
             <li>You'll get notifications when entering/leaving geofenced areas</li>
             <li>Your device will vibrate when crossing geofence boundaries</li>
+            <li>Draw a polygon on the map for areas that are not round</li>
+            <li>Set a dwell time to be told when you have stayed somewhere for a while</li>
+            <li>Capture reminders open a new moment with the place, category and tag filled in</li>
+            <li>With auto-tagging, moments created inside a geofence get its tag</li>
             <li>Monitoring works in the background (PWA feature)</li>
           </ul>
         </div>
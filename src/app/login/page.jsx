@@ -0,0 +1,13 @@
+import AuthForm from '@/components/auth/AuthForm';
+
+export const metadata = {
+  title: 'Sign in | CapturePWA',
+};
+
+/**
+ * Login Page
+ * Email/password and passkey sign-in
+ */
+export default function LoginPage() {
+  return <AuthForm mode="signin" />;
+}
@@ -11,6 +11,8 @@ import HardwarePermissions from '@/components/settings/HardwarePermissions';
 import PreferencesManager from '@/components/settings/PreferencesManager';
 import ServiceWorkerStatus from '@/components/settings/ServiceWorkerStatus';
 import StorageInfo from '@/components/settings/StorageInfo';
+import AccountManager from '@/components/settings/AccountManager';
+import ShareLinksManager from '@/components/settings/ShareLinksManager';
 
 // Dynamically import components that use browser APIs
 const PushNotificationManager = dynamic(
@@ -52,18 +54,15 @@ export default function SettingsPage() {
           <section>
             <h2 className="text-xl font-bold mb-4 text-gray-200">Account</h2>
             <Card>
-              <div className="space-y-3">
-                <div>
-                  <label className="text-sm text-gray-400">User Name:</label>
-                  <p className="font-medium">Demo User</p>
-                </div>
-                <div>
-                  <label className="text-sm text-gray-400">Email:</label>
-                  <p className="text-gray-500 text-sm">
-                    (Multi-user authentication not yet implemented)
-                  </p>
-                </div>
-              </div>
+              <AccountManager />
+            </Card>
+          </section>
+
+          {/* ========== SHARED LINKS SECTION ========== */}
+          <section>
+            <h2 className="text-xl font-bold mb-4 text-gray-200">Shared Links</h2>
+            <Card>
+              <ShareLinksManager />
             </Card>
           </section>
 
@@ -2,10 +2,11 @@
 
 import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
+import { ShareQrCode } from '@/components/share';
 
 /**
  * Client-side component for Share Page
- * Handles "Open in App" button and install detection
+ * Handles "Open in App" button, install detection and the page's QR code
  */
 export default function SharePageClient() {
   const router = useRouter();
@@ -112,6 +113,37 @@ export default function SharePageClient() {
 
       {/* Share Button */}
       <ShareButton />
+
+      {/* Printable QR code of this page */}
+      <QrCodeSection />
+    </div>
+  );
+}
+
+/**
+ * Collapsible QR code of the current share page
+ */
+function QrCodeSection() {
+  const [url, setUrl] = useState(null);
+
+  const toggle = () => {
+    setUrl(url ? null : `${window.location.origin}${window.location.pathname}`);
+  };
+
+  return (
+    <div className="space-y-4">
+      <button
+        onClick={toggle}
+        className="w-full py-3 px-6 bg-gray-800/50 hover:bg-gray-700 text-gray-300 text-sm font-medium rounded-2xl transition-colors duration-200 border border-gray-700"
+      >
+        {url ? 'Hide QR Code' : 'Show QR Code'}
+      </button>
+
+      {url && (
+        <div className="p-4 rounded-xl bg-gray-800/50 border border-gray-700">
+          <ShareQrCode url={url} defaultCaption={document.title.replace(/ - CapturePWA$/, '')} compact />
+        </div>
+      )}
     </div>
   );
 }
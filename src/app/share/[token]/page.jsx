@@ -1,46 +1,75 @@
-import { notFound } from 'next/navigation';
+import { cache } from 'react';
+import { cookies, headers } from 'next/headers';
+import { notFound, redirect } from 'next/navigation';
 import Image from 'next/image';
+import {
+  findShareLink,
+  getSharedMoment,
+  hasShareAccess,
+  incrementMomentViews,
+  recordShareView,
+} from '@/lib/share-links';
+import { getShareLinkStatus, getSharePath } from '@/utils/share-link-utils';
+import { getAudioWaveform, getCoverAttachment } from '@/utils/attachment-utils';
+import { SharePasswordForm, ShareNotice } from '@/components/share';
+import WaveformPlayer from '@/components/ui/WaveformPlayer';
 import SharePageClient from './SharePageClient';
 
-// Enable ISR with 1 hour revalidation
-export const revalidate = 3600;
+// Links can expire, be revoked or need a password: never serve a cached page
+export const dynamic = 'force-dynamic';
 
 /**
- * Fetch moment data by share token
+ * Resolve a share token (once per request)
+ * @returns {Promise<Object|null>} { link, moment, state } where state is
+ *   'ok', 'locked' (password needed) or 'expired'; null if there is nothing to show
  */
-async function getMoment(token) {
-  try {
-    const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000';
-    const res = await fetch(`${baseUrl}/api/moments/share/${token}`, {
-      next: { revalidate: 3600 }, // ISR cache for 1 hour
-    });
+const resolveShare = cache(async (token) => {
+  const link = await findShareLink(token);
 
-    if (!res.ok) {
-      return null;
+  if (link) {
+    const state = getShareLinkStatus(link);
+    if (state === 'revoked') return null;
+    // Albums and filtered sets have their own page
+    if (!link.momentId) redirect(getSharePath(link));
+    if (state === 'expired') return { link, moment: null, state };
+    if (!(await hasShareAccess(link, await cookies()))) {
+      return { link, moment: null, state: 'locked' };
     }
 
-    return res.json();
-  } catch (error) {
-    console.error('Error fetching moment:', error);
-    return null;
+    const moment = await getSharedMoment({ id: link.momentId }, link);
+    return moment ? { link, moment, state: 'ok' } : null;
   }
-}
+
+  // Links created before share links existed
+  const moment = await getSharedMoment({ shareToken: token });
+  return moment?.isPublic ? { link: null, moment, state: 'ok' } : null;
+});
 
 /**
  * Generate dynamic metadata for social sharing
  */
 export async function generateMetadata({ params }) {
   const { token } = await params;
-  const moment = await getMoment(token);
+  const share = await resolveShare(token);
 
-  if (!moment) {
+  if (!share) {
     return {
       title: 'Moment Not Found - CapturePWA',
       description: 'This moment could not be found or is no longer shared publicly.',
     };
   }
 
-  const title = `${moment.user.name}'s Moment - CapturePWA`;
+  // Nothing about the moment leaks before it can be seen
+  if (share.state !== 'ok') {
+    return {
+      title: 'Shared Moment - CapturePWA',
+      robots: { index: false },
+    };
+  }
+
+  const { moment } = share;
+
+  const title = moment.user ? `${moment.user.name}'s Moment - CapturePWA` : 'Shared Moment - CapturePWA';
   const description = moment.description || 'Check out this moment captured on CapturePWA';
   const imageUrl = moment.imageUrl || '/icons/icon-512x512.png';
   const url = `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}/share/${token}`;
@@ -65,7 +94,7 @@ export async function generateMetadata({ params }) {
       type: 'article',
       publishedTime: moment.createdAt,
       modifiedTime: moment.updatedAt,
-      authors: [moment.user.name],
+      ...(moment.user && { authors: [moment.user.name] }),
     },
     twitter: {
       card: 'summary_large_image',
@@ -85,13 +114,31 @@ export async function generateMetadata({ params }) {
  */
 export default async function SharePage({ params }) {
   const { token } = await params;
-  const moment = await getMoment(token);
+  const share = await resolveShare(token);
 
   // If moment not found, show 404
-  if (!moment) {
+  if (!share) {
     notFound();
   }
 
+  if (share.state === 'expired') {
+    return (
+      <ShareNotice title="Link Expired" message="This share link has expired. Ask the person who shared it for a new one." />
+    );
+  }
+
+  if (share.state === 'locked') {
+    return <SharePasswordForm token={token} />;
+  }
+
+  const { link, moment } = share;
+
+  if (link) {
+    await recordShareView(link, await headers());
+  } else {
+    await incrementMomentViews(moment.id);
+  }
+
   const formattedDate = new Date(moment.createdAt).toLocaleDateString('en-US', {
     year: 'numeric',
     month: 'long',
@@ -107,10 +154,10 @@ export default async function SharePage({ params }) {
         <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between">
           <div className="flex items-center gap-3">
             <div className="w-10 h-10 bg-blue-600 rounded-full flex items-center justify-center font-bold">
-              {moment.user.name[0].toUpperCase()}
+              {moment.user ? moment.user.name[0].toUpperCase() : '?'}
             </div>
             <div>
-              <h2 className="font-semibold">{moment.user.name}</h2>
+              <h2 className="font-semibold">{moment.user ? moment.user.name : 'Shared moment'}</h2>
               <p className="text-sm text-gray-400">{formattedDate}</p>
             </div>
           </div>
@@ -148,6 +195,7 @@ export default async function SharePage({ params }) {
           <div className="mb-6 rounded-2xl overflow-hidden bg-gray-800">
             <video
               src={moment.videoUrl}
+              poster={getCoverAttachment(moment, 'video').posterUrl || undefined}
               controls
               className="w-full h-auto max-h-[600px]"
             >
@@ -170,13 +218,16 @@ export default async function SharePage({ params }) {
                 <p className="text-sm text-gray-400">Tap to play</p>
               </div>
             </div>
-            <audio
+            <WaveformPlayer
               src={moment.audioUrl}
-              controls
-              className="w-full"
-            >
-              Your browser does not support audio playback.
-            </audio>
+              peaks={getAudioWaveform(getCoverAttachment(moment, 'audio'))}
+              waveformClassName="h-16"
+            />
+            {moment.transcript && (
+              <p className="mt-4 text-sm text-gray-300 whitespace-pre-wrap border-l-2 border-blue-600/50 pl-3">
+                {moment.transcript}
+              </p>
+            )}
           </div>
         )}
 
@@ -239,12 +290,14 @@ export default async function SharePage({ params }) {
                 <path fillRule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clipRule="evenodd" />
               </svg>
               <div>
-                <h3 className="font-semibold mb-1">Location</h3>
+                <h3 className="font-semibold mb-1">
+                  {moment.locationApproximate ? 'Approximate Location' : 'Location'}
+                </h3>
                 {moment.locationName ? (
                   <p className="text-gray-300">{moment.locationName}</p>
                 ) : (
                   <p className="text-gray-400 text-sm">
-                    {moment.gpsLat.toFixed(6)}, {moment.gpsLng.toFixed(6)}
+                    {moment.gpsLat.toFixed(moment.locationApproximate ? 2 : 6)}, {moment.gpsLng.toFixed(moment.locationApproximate ? 2 : 6)}
                     {moment.gpsAccuracy && ` (�${Math.round(moment.gpsAccuracy)}m)`}
                   </p>
                 )}
@@ -0,0 +1,37 @@
+'use client';
+
+import { useState } from 'react';
+import { GalleryGrid, Lightbox } from '@/components/gallery';
+import { getLightboxItems } from '@/utils/attachment-utils';
+
+/**
+ * Client-side gallery of a shared album or set of moments
+ * Grid and lightbox without any actions that need an account
+ */
+export default function SharedMomentsGallery({ moments }) {
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+  const mediaItems = getLightboxItems(moments);
+
+  const openLightbox = (momentIndex, attachmentIndex = 0) => {
+    const momentId = moments[momentIndex]?.id;
+    const index = mediaItems.findIndex(
+      (item) => item.momentId === momentId && item.attachmentIndex === attachmentIndex
+    );
+    if (index !== -1) setLightboxIndex(index);
+  };
+
+  return (
+    <>
+      <GalleryGrid moments={moments} onItemClick={openLightbox} loading={false} />
+
+      {lightboxIndex !== null && (
+        <Lightbox
+          items={mediaItems}
+          initialIndex={lightboxIndex}
+          onClose={() => setLightboxIndex(null)}
+          showAlbumActions={false}
+        />
+      )}
+    </>
+  );
+}
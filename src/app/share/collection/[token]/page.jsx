@@ -0,0 +1,198 @@
+import { cache } from 'react';
+import { cookies, headers } from 'next/headers';
+import { notFound, redirect } from 'next/navigation';
+import {
+  findShareLink,
+  getShareAuthorName,
+  getSharedMoments,
+  hasShareAccess,
+  recordShareView,
+} from '@/lib/share-links';
+import { getShareLinkStatus, getSharePath } from '@/utils/share-link-utils';
+import { SharePasswordForm, ShareNotice } from '@/components/share';
+import SharePageClient from '../../[token]/SharePageClient';
+import SharedMomentsGallery from './SharedMomentsGallery';
+
+// Links can expire, be revoked or need a password: never serve a cached page
+export const dynamic = 'force-dynamic';
+
+/**
+ * Resolve a share token for an album or a filtered set (once per request)
+ * @returns {Promise<Object|null>} { link, state } where state is 'ok', 'locked' or 'expired'
+ */
+const resolveShare = cache(async (token) => {
+  const link = await findShareLink(token);
+  if (!link) return null;
+
+  const state = getShareLinkStatus(link);
+  if (state === 'revoked') return null;
+  if (link.momentId) redirect(getSharePath(link));
+  if (state === 'expired') return { link, state };
+  if (!(await hasShareAccess(link, await cookies()))) {
+    return { link, state: 'locked' };
+  }
+
+  return { link, state: 'ok' };
+});
+
+/**
+ * Title shown for a shared collection
+ */
+function getCollectionTitle(link) {
+  return link.title || link.album?.name || 'Shared moments';
+}
+
+/**
+ * Generate dynamic metadata for social sharing
+ */
+export async function generateMetadata({ params }) {
+  const { token } = await params;
+  const share = await resolveShare(token);
+
+  if (!share) {
+    return {
+      title: 'Not Found - CapturePWA',
+      description: 'These moments could not be found or are no longer shared.',
+    };
+  }
+
+  // Nothing about the collection leaks before it can be seen
+  if (share.state !== 'ok') {
+    return {
+      title: 'Shared Moments - CapturePWA',
+      robots: { index: false },
+    };
+  }
+
+  const { link } = share;
+  const author = getShareAuthorName(link);
+  const title = author
+    ? `${getCollectionTitle(link)} - ${author} - CapturePWA`
+    : `${getCollectionTitle(link)} - CapturePWA`;
+  const description = link.album?.description
+    || (author ? `Moments shared by ${author} on CapturePWA` : 'Moments shared on CapturePWA');
+  const url = `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}${getSharePath(link)}`;
+
+  return {
+    title,
+    description,
+    openGraph: {
+      title,
+      description,
+      url,
+      siteName: 'CapturePWA',
+      images: [
+        {
+          url: '/icons/icon-512x512.png',
+          width: 512,
+          height: 512,
+          alt: title,
+        },
+      ],
+      locale: 'en_US',
+      type: 'website',
+    },
+    twitter: {
+      card: 'summary',
+      title,
+      description,
+      creator: '@capturepwa',
+    },
+    alternates: {
+      canonical: url,
+    },
+  };
+}
+
+/**
+ * Shared Collection Page (Server Component)
+ * Renders a shared album or a shared filtered set of moments
+ */
+export default async function SharedCollectionPage({ params }) {
+  const { token } = await params;
+  const share = await resolveShare(token);
+
+  if (!share) {
+    notFound();
+  }
+
+  if (share.state === 'expired') {
+    return (
+      <ShareNotice title="Link Expired" message="This share link has expired. Ask the person who shared it for a new one." />
+    );
+  }
+
+  if (share.state === 'locked') {
+    return <SharePasswordForm token={token} />;
+  }
+
+  const { link } = share;
+  const author = getShareAuthorName(link);
+  const { moments, totalCount } = await getSharedMoments(link);
+  await recordShareView(link, await headers());
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-900 to-black text-white">
+      {/* Header */}
+      <header className="bg-gray-800/50 backdrop-blur-sm border-b border-gray-700 sticky top-0 z-10">
+        <div className="max-w-6xl mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-blue-600 rounded-full flex items-center justify-center font-bold">
+              {author ? author[0].toUpperCase() : '?'}
+            </div>
+            <div>
+              <h2 className="font-semibold">{author || 'Shared moments'}</h2>
+              <p className="text-sm text-gray-400">
+                {totalCount} moment{totalCount !== 1 ? 's' : ''}
+              </p>
+            </div>
+          </div>
+
+          {/* View Count */}
+          <div className="flex items-center gap-2 text-gray-400">
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+            </svg>
+            <span className="text-sm">{link.viewCount + 1} views</span>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-6xl mx-auto px-4 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl md:text-4xl font-bold">{getCollectionTitle(link)}</h1>
+          {link.album?.description && (
+            <p className="text-lg text-gray-300 mt-3 whitespace-pre-wrap">{link.album.description}</p>
+          )}
+        </div>
+
+        {moments.length > 0 ? (
+          <SharedMomentsGallery moments={moments} />
+        ) : (
+          <p className="text-center text-gray-400 py-16">Nothing to show here yet.</p>
+        )}
+
+        {totalCount > moments.length && (
+          <p className="text-center text-sm text-gray-500 mt-6">
+            Showing the first {moments.length} of {totalCount} moments
+          </p>
+        )}
+
+        {/* Client-side components (Open in App button) */}
+        <SharePageClient />
+      </main>
+
+      {/* Footer */}
+      <footer className="max-w-6xl mx-auto px-4 py-8 text-center border-t border-gray-800">
+        <p className="text-gray-400 mb-4">
+          Captured with <span className="text-blue-400 font-semibold">CapturePWA</span>
+        </p>
+        <p className="text-sm text-gray-500">
+          A progressive web app for capturing life&apos;s moments
+        </p>
+      </footer>
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+import AuthForm from '@/components/auth/AuthForm';
+
+export const metadata = {
+  title: 'Create account | CapturePWA',
+};
+
+/**
+ * Signup Page
+ * New accounts start with email and password; passkeys are added from Settings
+ */
+export default function SignupPage() {
+  return <AuthForm mode="signup" />;
+}
@@ -1,7 +1,10 @@
+import { redirect } from 'next/navigation';
 import MainLayout from '@/components/layout/MainLayout';
 import PageHeader from '@/components/layout/PageHeader';
 import TimelineContent from '@/components/timeline/TimelineContent';
 import { getTimelineMoments } from '@/lib/timeline-api';
+import { getSessionUser } from '@/lib/auth';
+import { getSmartAlbumWhere } from '@/lib/smart-albums';
 
 /**
  * Timeline Page
@@ -12,6 +15,7 @@ import { getTimelineMoments } from '@/lib/timeline-api';
  * - Filter sidebar (tags, categories, mood)
  * - Infinite scroll
  * - Mini-maps for GPS locations
+ * - Smart albums (?album=<id>)
  */
 
 export const dynamic = 'force-dynamic'; // Force SSR
@@ -34,10 +38,18 @@ export async function generateMetadata() {
 
 /**
  * Fetch initial timeline data server-side
+ * @param {number} userId - Signed-in user
+ * @param {number|null} albumId - Smart album to show (optional)
  */
-async function getInitialData() {
+async function getInitialData(userId, albumId) {
   try {
+    const albumWhere = albumId ? await getSmartAlbumWhere(userId, albumId) : null;
+    if (albumId && !albumWhere) {
+      throw new Error('Smart album not found');
+    }
+
     const data = await getTimelineMoments({
+      userId,
       page: 1,
       limit: 20,
       searchQuery: '',
@@ -46,6 +58,7 @@ async function getInitialData() {
         categoryId: null,
         mood: null,
       },
+      albumWhere,
     });
     return data;
   } catch (error) {
@@ -63,9 +76,18 @@ async function getInitialData() {
   }
 }
 
-export default async function TimelinePage() {
+export default async function TimelinePage({ searchParams }) {
+  const { album } = await searchParams;
+  const albumId = parseInt(album, 10) || null;
+
+  // Middleware only checks the cookie signature; confirm the session here
+  const user = await getSessionUser();
+  if (!user) {
+    redirect(`/login?next=/timeline${albumId ? `?album=${albumId}` : ''}`);
+  }
+
   // Fetch initial data server-side
-  const initialData = await getInitialData();
+  const initialData = await getInitialData(user.id, albumId);
 
   return (
     <MainLayout>
@@ -77,7 +99,8 @@ export default async function TimelinePage() {
         />
 
         {/* Timeline content with search and filters */}
-        <TimelineContent initialData={initialData} />
+        {/* Remounted per album so its state starts fresh */}
+        <TimelineContent key={albumId || 'all'} initialData={initialData} albumId={albumId} />
       </div>
     </MainLayout>
   );
@@ -0,0 +1,157 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import toast from 'react-hot-toast';
+import Modal from '@/components/ui/Modal';
+import Input from '@/components/ui/Input';
+import Button from '@/components/ui/Button';
+import { ALBUMS_CHANGED_EVENT } from '@/utils/album-utils';
+
+/**
+ * Add a moment to albums (or remove it) from a picker, or start a new album with it
+ */
+export default function AddToAlbumButton({ momentId, variant = 'secondary', size = 'sm' }) {
+  const [open, setOpen] = useState(false);
+  const [albums, setAlbums] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const loadAlbums = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`/api/albums?momentId=${momentId}`);
+      if (!response.ok) throw new Error('Failed to fetch albums');
+      setAlbums(await response.json());
+    } catch (error) {
+      console.error('Error fetching albums:', error);
+      toast.error('Could not load albums');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpen = () => {
+    setOpen(true);
+    loadAlbums();
+  };
+
+  const close = () => {
+    setOpen(false);
+    setNewName('');
+  };
+
+  const toggleAlbum = async (album) => {
+    setBusyId(album.id);
+    try {
+      const response = album.containsMoment
+        ? await fetch(`/api/albums/${album.id}/moments/${momentId}`, { method: 'DELETE' })
+        : await fetch(`/api/albums/${album.id}/moments`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ momentIds: [momentId] }),
+          });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update album');
+      }
+
+      setAlbums((prev) => prev.map((a) => (
+        a.id === album.id ? { ...data.album, containsMoment: !album.containsMoment } : a
+      )));
+      window.dispatchEvent(new Event(ALBUMS_CHANGED_EVENT));
+      toast.success(album.containsMoment ? `Removed from ${album.name}` : `Added to ${album.name}`);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const response = await fetch('/api/albums', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newName, momentIds: [momentId] }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create album');
+      }
+
+      setAlbums((prev) => [{ ...data, containsMoment: true }, ...prev]);
+      setNewName('');
+      window.dispatchEvent(new Event(ALBUMS_CHANGED_EVENT));
+      toast.success(
+        <span>
+          Added to new album <Link href={`/albums/${data.id}`} className="underline">{data.name}</Link>
+        </span>,
+        { duration: 4000 }
+      );
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <>
+      <Button onClick={handleOpen} variant={variant} size={size} title="Add to album">
+        📚 Add to Album
+      </Button>
+
+      <Modal isOpen={open} onClose={close} title="Add to Album" size="sm">
+        <div className="space-y-4">
+          {loading ? (
+            <div className="space-y-2">
+              {[...Array(3)].map((_, i) => (
+                <div key={i} className="h-10 bg-gray-700 rounded animate-pulse" />
+              ))}
+            </div>
+          ) : albums.length === 0 ? (
+            <p className="text-sm text-gray-400">No albums yet. Create one below.</p>
+          ) : (
+            <ul className="max-h-72 overflow-y-auto space-y-1">
+              {albums.map((album) => (
+                <li key={album.id}>
+                  <label className="flex items-center gap-3 px-3 py-2 rounded hover:bg-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={album.containsMoment}
+                      disabled={busyId === album.id}
+                      onChange={() => toggleAlbum(album)}
+                      className="rounded"
+                    />
+                    <span className="flex-1 truncate text-gray-200">{album.name}</span>
+                    <span className="text-xs text-gray-500">{album.count}</span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={handleCreate} className="flex gap-2 items-end border-t border-gray-700 pt-4">
+            <div className="flex-1">
+              <Input
+                label="New album"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="e.g. Summer trip"
+                maxLength={60}
+              />
+            </div>
+            <Button type="submit" size="sm" loading={creating} disabled={creating || !newName.trim()}>
+              Create
+            </Button>
+          </form>
+        </div>
+      </Modal>
+    </>
+  );
+}
@@ -0,0 +1,317 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import Image from 'next/image';
+import { useRouter } from 'next/navigation';
+import toast from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import { GalleryGrid, Lightbox } from '@/components/gallery';
+import AlbumFormModal from './AlbumFormModal';
+import { ShareLinksModal } from '@/components/share';
+import { getLightboxItems } from '@/utils/attachment-utils';
+import { ALBUMS_CHANGED_EVENT } from '@/utils/album-utils';
+import { SHARE_LINKS_CHANGED_EVENT } from '@/utils/share-link-utils';
+
+const PAGE_SIZE = 50;
+
+/**
+ * One album: its moments in album order, with editing, sharing,
+ * reordering, cover selection and removal of moments
+ */
+export default function AlbumDetailContent({ albumId }) {
+  const router = useRouter();
+  const [album, setAlbum] = useState(null);
+  const [moments, setMoments] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [sharing, setSharing] = useState(false);
+  const [managing, setManaging] = useState(false);
+  const [order, setOrder] = useState([]);
+  const [savingOrder, setSavingOrder] = useState(false);
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+
+  const fetchAlbum = useCallback(async (page = 1) => {
+    setLoading(true);
+    try {
+      const response = await fetch(`/api/albums/${albumId}?page=${page}&limit=${PAGE_SIZE}`);
+      if (response.status === 404) {
+        setNotFound(true);
+        return;
+      }
+      if (!response.ok) throw new Error('Failed to fetch album');
+
+      const data = await response.json();
+      setAlbum(data.album);
+      setMoments((prev) => (page === 1 ? data.moments : [...prev, ...data.moments]));
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error('Error fetching album:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [albumId]);
+
+  useEffect(() => {
+    fetchAlbum(1);
+
+    const handleChange = () => fetchAlbum(1);
+    window.addEventListener(ALBUMS_CHANGED_EVENT, handleChange);
+    window.addEventListener(SHARE_LINKS_CHANGED_EVENT, handleChange);
+    return () => {
+      window.removeEventListener(ALBUMS_CHANGED_EVENT, handleChange);
+      window.removeEventListener(SHARE_LINKS_CHANGED_EVENT, handleChange);
+    };
+  }, [fetchAlbum]);
+
+  const mediaItems = getLightboxItems(moments);
+
+  /**
+   * Open lightbox at an attachment of a moment
+   * @param {number} momentIndex - Index of the moment in the grid
+   * @param {number} attachmentIndex - Attachment within the moment (default: first)
+   */
+  const openLightbox = (momentIndex, attachmentIndex = 0) => {
+    const momentId = moments[momentIndex]?.id;
+    const index = mediaItems.findIndex(
+      (item) => item.momentId === momentId && item.attachmentIndex === attachmentIndex
+    );
+    if (index !== -1) setLightboxIndex(index);
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete the album "${album.name}"? Its moments are not deleted.`)) {
+      return;
+    }
+
+    const response = await fetch(`/api/albums/${albumId}`, { method: 'DELETE' });
+    if (!response.ok) {
+      toast.error('Failed to delete album');
+      return;
+    }
+
+    window.dispatchEvent(new Event(ALBUMS_CHANGED_EVENT));
+    toast.success('Album deleted');
+    router.push('/albums');
+  };
+
+  const handleSetCover = async (momentId) => {
+    const response = await fetch(`/api/albums/${albumId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ coverMomentId: momentId }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      toast.error(data.error || 'Failed to set cover');
+      return;
+    }
+
+    setAlbum(data);
+    window.dispatchEvent(new Event(ALBUMS_CHANGED_EVENT));
+  };
+
+  const handleRemove = async (momentId) => {
+    const response = await fetch(`/api/albums/${albumId}/moments/${momentId}`, { method: 'DELETE' });
+    if (!response.ok) {
+      toast.error('Failed to remove moment');
+      return;
+    }
+
+    setOrder((prev) => prev.filter((moment) => moment.id !== momentId));
+    window.dispatchEvent(new Event(ALBUMS_CHANGED_EVENT));
+  };
+
+  const startManaging = () => {
+    setOrder(moments);
+    setManaging(true);
+  };
+
+  /**
+   * Move a moment up or down while reordering
+   * @param {number} index - Current position
+   * @param {number} offset - -1 (up) or 1 (down)
+   */
+  const moveMoment = (index, offset) => {
+    setOrder((prev) => {
+      const next = [...prev];
+      const [moment] = next.splice(index, 1);
+      next.splice(index + offset, 0, moment);
+      return next;
+    });
+  };
+
+  const handleSaveOrder = async () => {
+    setSavingOrder(true);
+    try {
+      const response = await fetch(`/api/albums/${albumId}/moments`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ momentIds: order.map((moment) => moment.id) }),
+      });
+      if (!response.ok) throw new Error('Failed to save order');
+
+      setManaging(false);
+      window.dispatchEvent(new Event(ALBUMS_CHANGED_EVENT));
+      toast.success('Order saved');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSavingOrder(false);
+    }
+  };
+
+  if (notFound) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-4 text-gray-400">
+        This album no longer exists. <Link href="/albums" className="text-blue-400 hover:text-blue-300">Show all albums</Link>
+      </div>
+    );
+  }
+
+  if (!album) {
+    return <div className="bg-gray-800 rounded-lg p-4 h-24 animate-pulse" />;
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Album header */}
+      <div className="bg-gray-800 rounded-lg p-4 flex flex-col sm:flex-row sm:items-start justify-between gap-3">
+        <div className="min-w-0">
+          <Link href="/albums" className="text-sm text-gray-400 hover:text-gray-200">← Albums</Link>
+          <h2 className="text-2xl font-semibold text-gray-100 truncate mt-1">
+            {album.name}
+            <span className="ml-2 text-sm font-normal text-gray-400">
+              {album.count} moment{album.count !== 1 ? 's' : ''}
+            </span>
+          </h2>
+          {album.description && (
+            <p className="text-gray-400 mt-1 whitespace-pre-wrap">{album.description}</p>
+          )}
+          {album.isShared && (
+            <p className="text-xs text-gray-500 mt-2">🔗 Shared</p>
+          )}
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <Button onClick={() => setSharing(true)} variant="secondary" size="sm">
+            Share…
+          </Button>
+          <Button onClick={() => setEditing(true)} variant="secondary" size="sm">
+            Edit
+          </Button>
+          {moments.length > 0 && !managing && (
+            <Button onClick={startManaging} variant="secondary" size="sm">
+              Reorder
+            </Button>
+          )}
+          <Button onClick={handleDelete} variant="danger" size="sm">
+            Delete
+          </Button>
+        </div>
+      </div>
+
+      {managing ? (
+        /* Reorder, cover and removal */
+        <div className="space-y-2">
+          {order.map((moment, index) => (
+            <div key={moment.id} className="flex items-center gap-3 bg-gray-800 rounded-lg p-2">
+              <div className="relative w-14 h-14 flex-shrink-0 rounded overflow-hidden bg-gray-700 flex items-center justify-center">
+                {moment.imageUrl ? (
+                  <Image src={moment.imageUrl} alt="" fill className="object-cover" sizes="56px" />
+                ) : (
+                  <span className="text-xl">{moment.videoUrl ? '🎬' : moment.audioUrl ? '🎵' : '📝'}</span>
+                )}
+              </div>
+              <p className="flex-1 min-w-0 text-sm text-gray-300 truncate">{moment.description}</p>
+              <div className="flex gap-1">
+                <Button onClick={() => moveMoment(index, -1)} variant="secondary" size="sm" disabled={index === 0} title="Move up">
+                  ↑
+                </Button>
+                <Button onClick={() => moveMoment(index, 1)} variant="secondary" size="sm" disabled={index === order.length - 1} title="Move down">
+                  ↓
+                </Button>
+                {moment.imageUrl && (
+                  <Button
+                    onClick={() => handleSetCover(album.coverMomentId === moment.id ? null : moment.id)}
+                    variant={album.coverMomentId === moment.id ? 'primary' : 'secondary'}
+                    size="sm"
+                    title={album.coverMomentId === moment.id ? 'Use the automatic cover' : 'Use as album cover'}
+                  >
+                    {album.coverMomentId === moment.id ? '★ Cover' : '☆ Cover'}
+                  </Button>
+                )}
+                <Button onClick={() => handleRemove(moment.id)} variant="danger" size="sm" title="Remove from album">
+                  ✕
+                </Button>
+              </div>
+            </div>
+          ))}
+
+          <div className="flex gap-3 pt-2">
+            <Button onClick={handleSaveOrder} loading={savingOrder} disabled={savingOrder}>
+              Save Order
+            </Button>
+            <Button onClick={() => setManaging(false)} variant="secondary" disabled={savingOrder}>
+              Done
+            </Button>
+          </div>
+        </div>
+      ) : moments.length === 0 && !loading ? (
+        <div className="text-center py-16">
+          <p className="text-xl text-gray-400 mb-4">This album is empty</p>
+          <p className="text-gray-500">
+            Use &quot;Add to Album&quot; on a moment in the <Link href="/gallery" className="text-blue-400 hover:text-blue-300">gallery</Link> or on the dashboard
+          </p>
+        </div>
+      ) : (
+        <GalleryGrid
+          moments={moments}
+          onItemClick={openLightbox}
+          loading={loading && moments.length === 0}
+        />
+      )}
+
+      {/* Load More Button */}
+      {pagination.hasMore && !managing && (
+        <div className="flex justify-center py-8">
+          <Button
+            onClick={() => fetchAlbum(pagination.page + 1)}
+            loading={loading}
+            disabled={loading}
+            variant="secondary"
+            size="lg"
+          >
+            {loading ? 'Loading...' : 'Load More'}
+          </Button>
+        </div>
+      )}
+
+      {editing && (
+        <AlbumFormModal
+          isOpen
+          album={album}
+          onClose={() => setEditing(false)}
+          onSaved={setAlbum}
+        />
+      )}
+
+      <ShareLinksModal
+        isOpen={sharing}
+        onClose={() => setSharing(false)}
+        target={{ albumId }}
+        title={`Share "${album.name}"`}
+      />
+
+      {lightboxIndex !== null && (
+        <Lightbox
+          items={mediaItems}
+          initialIndex={lightboxIndex}
+          onClose={() => setLightboxIndex(null)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+'use client';
+
+import { useState } from 'react';
+import Modal from '@/components/ui/Modal';
+import Input from '@/components/ui/Input';
+import Textarea from '@/components/ui/Textarea';
+import Button from '@/components/ui/Button';
+import { ALBUMS_CHANGED_EVENT } from '@/utils/album-utils';
+
+/**
+ * Create an album, or edit the name and description of an existing one
+ * album (optional): album to edit; onSaved receives the saved album
+ */
+export default function AlbumFormModal({ isOpen, onClose, album = null, onSaved }) {
+  const [name, setName] = useState(album?.name || '');
+  const [description, setDescription] = useState(album?.description || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await fetch(album ? `/api/albums/${album.id}` : '/api/albums', {
+        method: album ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, description }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save album');
+      }
+
+      window.dispatchEvent(new Event(ALBUMS_CHANGED_EVENT));
+      onSaved?.(data);
+      if (!album) {
+        setName('');
+        setDescription('');
+      }
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={album ? 'Edit Album' : 'New Album'} size="sm">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <Input
+          label="Name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Summer trip"
+          maxLength={60}
+          required
+          autoFocus
+        />
+
+        <Textarea
+          label="Description (optional)"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          maxLength={500}
+          rows={3}
+        />
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <div className="flex gap-3">
+          <Button type="submit" loading={saving} disabled={saving || !name.trim()} fullWidth>
+            {album ? 'Save' : 'Create'}
+          </Button>
+          <Button type="button" onClick={onClose} variant="secondary" disabled={saving} fullWidth>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
@@ -0,0 +1,102 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import Image from 'next/image';
+import Button from '@/components/ui/Button';
+import Skeleton from '@/components/ui/Skeleton';
+import AlbumFormModal from './AlbumFormModal';
+import { ALBUMS_CHANGED_EVENT } from '@/utils/album-utils';
+
+/**
+ * Grid of the user's albums with covers and moment counts
+ */
+export default function AlbumsContent() {
+  const [albums, setAlbums] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+
+  const fetchAlbums = useCallback(async () => {
+    try {
+      const response = await fetch('/api/albums');
+      if (!response.ok) throw new Error('Failed to fetch albums');
+      setAlbums(await response.json());
+    } catch (error) {
+      console.error('Error fetching albums:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAlbums();
+
+    window.addEventListener(ALBUMS_CHANGED_EVENT, fetchAlbums);
+    return () => window.removeEventListener(ALBUMS_CHANGED_EVENT, fetchAlbums);
+  }, [fetchAlbums]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <Button onClick={() => setCreating(true)} size="sm">
+          + New Album
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {[...Array(6)].map((_, i) => (
+            <Skeleton key={i} className="h-56 rounded-lg" />
+          ))}
+        </div>
+      ) : albums.length === 0 ? (
+        <div className="text-center py-16">
+          <p className="text-xl text-gray-400 mb-4">No albums yet</p>
+          <p className="text-gray-500">
+            Create an album, then use &quot;Add to Album&quot; on any moment to collect it here
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {albums.map((album) => (
+            <Link
+              key={album.id}
+              href={`/albums/${album.id}`}
+              className="group bg-gray-800 rounded-lg overflow-hidden shadow-lg hover:shadow-2xl transition-all duration-300 transform hover:-translate-y-1"
+            >
+              <div className="relative h-40 bg-gradient-to-br from-gray-700 to-gray-900 flex items-center justify-center">
+                {album.coverUrl ? (
+                  <Image
+                    src={album.coverUrl}
+                    alt={album.name}
+                    fill
+                    className="object-cover"
+                    sizes="(max-width: 640px) 100vw, (max-width: 1024px) 50vw, 33vw"
+                  />
+                ) : (
+                  <span className="text-5xl">📚</span>
+                )}
+                {album.isShared && (
+                  <span className="absolute top-2 right-2 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded">
+                    🔗 Shared
+                  </span>
+                )}
+              </div>
+              <div className="p-4">
+                <h3 className="font-semibold text-gray-100 truncate">{album.name}</h3>
+                <p className="text-xs text-gray-500 mt-1">
+                  {album.count} moment{album.count !== 1 ? 's' : ''}
+                </p>
+                {album.description && (
+                  <p className="text-sm text-gray-400 mt-2 line-clamp-2">{album.description}</p>
+                )}
+              </div>
+            </Link>
+          ))}
+        </div>
+      )}
+
+      <AlbumFormModal isOpen={creating} onClose={() => setCreating(false)} />
+    </div>
+  );
+}
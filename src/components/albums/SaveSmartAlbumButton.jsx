@@ -0,0 +1,133 @@
+'use client';
+
+import { useState } from 'react';
+import Link from 'next/link';
+import toast from 'react-hot-toast';
+import Modal from '@/components/ui/Modal';
+import Input from '@/components/ui/Input';
+import Button from '@/components/ui/Button';
+import { requestLocation } from '@/lib/hardware-utils';
+import { SMART_ALBUMS_CHANGED_EVENT, describeAlbumFilters, normalizeAlbumFilters } from '@/utils/smart-album-utils';
+
+/**
+ * Save the current timeline or gallery filters as a smart album
+ * Filters: any subset of the smart album filter definition (see src/utils/smart-album-utils.js)
+ */
+export default function SaveSmartAlbumButton({ filters }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [nearMe, setNearMe] = useState(false);
+  const [radiusKm, setRadiusKm] = useState('5');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const summary = describeAlbumFilters(normalizeAlbumFilters(filters).filters || normalizeAlbumFilters({}).filters);
+
+  const close = () => {
+    setOpen(false);
+    setName('');
+    setNearMe(false);
+    setError('');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      let location = null;
+      if (nearMe) {
+        const position = await requestLocation({ enableHighAccuracy: false, timeout: 15000, maximumAge: 60000 });
+        location = {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          radiusKm: parseFloat(radiusKm),
+        };
+      }
+
+      const response = await fetch('/api/smart-albums', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, filters: { ...filters, location } }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save smart album');
+      }
+
+      window.dispatchEvent(new Event(SMART_ALBUMS_CHANGED_EVENT));
+      toast.success(
+        <span>
+          Saved <Link href={`/timeline?album=${data.id}`} className="underline">{data.name}</Link> ({data.count} moments)
+        </span>,
+        { duration: 4000 }
+      );
+      close();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Button onClick={() => setOpen(true)} variant="secondary" size="sm">
+        ⭐ Save as Smart Album
+      </Button>
+
+      <Modal isOpen={open} onClose={close} title="Save Smart Album" size="sm">
+        <form onSubmit={handleSave} className="space-y-4">
+          <Input
+            label="Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Beach days"
+            maxLength={60}
+            required
+            autoFocus
+          />
+
+          <div className="text-sm text-gray-400">
+            {summary.length > 0
+              ? `Matches: ${summary.join(', ')}`
+              : 'No filters set: the album will contain all moments.'}
+            <p className="mt-1 text-xs text-gray-500">New moments that match appear in the album automatically.</p>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={nearMe}
+              onChange={(e) => setNearMe(e.target.checked)}
+              className="rounded"
+            />
+            Only moments within
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={radiusKm}
+              onChange={(e) => setRadiusKm(e.target.value)}
+              disabled={!nearMe}
+              className="w-20 px-2 py-1 bg-gray-700 border border-gray-600 text-white rounded disabled:opacity-50"
+            />
+            km of my current location
+          </label>
+
+          {error && <p className="text-sm text-red-400">{error}</p>}
+
+          <div className="flex gap-3">
+            <Button type="submit" loading={saving} disabled={saving || !name.trim()} fullWidth>
+              Save
+            </Button>
+            <Button type="button" onClick={close} variant="secondary" disabled={saving} fullWidth>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </>
+  );
+}
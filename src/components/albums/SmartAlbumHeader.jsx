@@ -0,0 +1,130 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import toast from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import { SMART_ALBUMS_CHANGED_EVENT, describeAlbumFilters } from '@/utils/smart-album-utils';
+
+/**
+ * Header shown when the timeline or gallery is showing a smart album
+ * Album name, live moment count, filter summary, view switch, rename and delete
+ * View: 'timeline' or 'gallery'
+ */
+export default function SmartAlbumHeader({ albumId, view }) {
+  const router = useRouter();
+  const [album, setAlbum] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+
+  const fetchAlbum = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/smart-albums/${albumId}`);
+      if (response.status === 404) {
+        setNotFound(true);
+        return;
+      }
+      if (!response.ok) throw new Error('Failed to fetch smart album');
+      setAlbum(await response.json());
+    } catch (error) {
+      console.error('Error fetching smart album:', error);
+    }
+  }, [albumId]);
+
+  useEffect(() => {
+    fetchAlbum();
+
+    window.addEventListener(SMART_ALBUMS_CHANGED_EVENT, fetchAlbum);
+    window.addEventListener('focus', fetchAlbum);
+    return () => {
+      window.removeEventListener(SMART_ALBUMS_CHANGED_EVENT, fetchAlbum);
+      window.removeEventListener('focus', fetchAlbum);
+    };
+  }, [fetchAlbum]);
+
+  const handleRename = async () => {
+    const name = prompt('Rename smart album', album.name);
+    if (!name || name.trim() === album.name) return;
+
+    const response = await fetch(`/api/smart-albums/${albumId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      toast.error(data.error || 'Failed to rename smart album');
+      return;
+    }
+
+    setAlbum(data);
+    window.dispatchEvent(new Event(SMART_ALBUMS_CHANGED_EVENT));
+  };
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete the smart album "${album.name}"? Its moments are not deleted.`)) {
+      return;
+    }
+
+    const response = await fetch(`/api/smart-albums/${albumId}`, { method: 'DELETE' });
+    if (!response.ok) {
+      toast.error('Failed to delete smart album');
+      return;
+    }
+
+    window.dispatchEvent(new Event(SMART_ALBUMS_CHANGED_EVENT));
+    toast.success('Smart album deleted');
+    router.push(`/${view}`);
+  };
+
+  if (notFound) {
+    return (
+      <div className="bg-gray-800 rounded-lg p-4 text-gray-400">
+        This smart album no longer exists. <Link href={`/${view}`} className="text-blue-400 hover:text-blue-300">Show all moments</Link>
+      </div>
+    );
+  }
+
+  if (!album) {
+    return <div className="bg-gray-800 rounded-lg p-4 h-20 animate-pulse" />;
+  }
+
+  const summary = describeAlbumFilters(album.filters);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+      <div className="min-w-0">
+        <h2 className="text-xl font-semibold text-gray-100 truncate">
+          ⭐ {album.name}
+          <span className="ml-2 text-sm font-normal text-gray-400">
+            {album.count} moment{album.count !== 1 ? 's' : ''}
+          </span>
+        </h2>
+        {summary.length > 0 && (
+          <p className="text-sm text-gray-400 truncate">{summary.join(' · ')}</p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <Link
+          href={`/${view === 'timeline' ? 'gallery' : 'timeline'}?album=${album.id}`}
+          className="px-3 py-1.5 text-sm rounded-md bg-gray-700 text-gray-200 hover:bg-gray-600"
+        >
+          {view === 'timeline' ? '🖼️ View in Gallery' : '🕐 View in Timeline'}
+        </Link>
+        <Button onClick={handleRename} variant="secondary" size="sm">
+          Rename
+        </Button>
+        <Button onClick={handleDelete} variant="danger" size="sm">
+          Delete
+        </Button>
+        <Link
+          href={`/${view}`}
+          className="px-3 py-1.5 text-sm rounded-md text-gray-400 hover:text-gray-200"
+        >
+          ✕ Close
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+/**
+ * Album and smart album components exports
+ */
+
+export { default as AddToAlbumButton } from './AddToAlbumButton';
+export { default as AlbumDetailContent } from './AlbumDetailContent';
+export { default as AlbumFormModal } from './AlbumFormModal';
+export { default as AlbumsContent } from './AlbumsContent';
+export { default as SaveSmartAlbumButton } from './SaveSmartAlbumButton';
+export { default as SmartAlbumHeader } from './SmartAlbumHeader';
@@ -0,0 +1,165 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import toast from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import Card from '@/components/ui/Card';
+import Input from '@/components/ui/Input';
+import {
+  isPasskeySupported,
+  signIn,
+  signInWithPasskey,
+  signUp,
+} from '@/lib/auth-client';
+
+/**
+ * Read the post-login redirect target from ?next=
+ * Only same-origin paths are accepted: the value is resolved the way the browser
+ * would, so tricks like "/\evil.com" cannot leave the site
+ */
+function getRedirectTarget() {
+  const next = new URLSearchParams(window.location.search).get('next');
+  if (!next) return '/timeline';
+
+  try {
+    const url = new URL(next, window.location.origin);
+    return url.origin === window.location.origin ? `${url.pathname}${url.search}` : '/timeline';
+  } catch {
+    return '/timeline';
+  }
+}
+
+/**
+ * Sign-in / sign-up form
+ * @param {'signin'|'signup'} mode - Which form to render
+ */
+export default function AuthForm({ mode = 'signin' }) {
+  const isSignUp = mode === 'signup';
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [passkeySupported, setPasskeySupported] = useState(false);
+
+  // Checked after mount so server and client render the same markup
+  useEffect(() => {
+    setPasskeySupported(isPasskeySupported());
+  }, []);
+
+  const finish = (user) => {
+    toast.success(`Welcome${isSignUp ? '' : ' back'}, ${user.name}!`);
+    // Full navigation so server components pick up the new session cookie
+    window.location.assign(getRedirectTarget());
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setLoading(true);
+
+    try {
+      const user = isSignUp
+        ? await signUp({ name, email, password })
+        : await signIn(email, password);
+      finish(user);
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const handlePasskey = async () => {
+    setError(null);
+    setLoading(true);
+
+    try {
+      finish(await signInWithPasskey());
+    } catch (err) {
+      // NotAllowedError = user dismissed the browser prompt
+      if (err.name !== 'NotAllowedError') {
+        setError(err.message);
+      }
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-900 to-black text-white flex items-center justify-center px-4">
+      <Card className="w-full max-w-md">
+        <h1 className="text-2xl font-bold mb-1">
+          {isSignUp ? 'Create your account' : 'Sign in to CapturePWA'}
+        </h1>
+        <p className="text-sm text-gray-400 mb-6">
+          {isSignUp ? 'Start saving your moments' : 'Welcome back'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {isSignUp && (
+            <Input
+              label="Name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              autoComplete="name"
+              placeholder="Your name"
+            />
+          )}
+          <Input
+            label="Email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete={isSignUp ? 'email' : 'username webauthn'}
+            required
+          />
+          <Input
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isSignUp ? 'new-password' : 'current-password'}
+            minLength={isSignUp ? 8 : undefined}
+            required
+          />
+
+          {error && (
+            <p className="text-sm text-red-400">{error}</p>
+          )}
+
+          <Button type="submit" variant="primary" size="md" fullWidth loading={loading}>
+            {isSignUp ? 'Create account' : 'Sign in'}
+          </Button>
+        </form>
+
+        {!isSignUp && passkeySupported && (
+          <>
+            <div className="flex items-center gap-3 my-4 text-xs text-gray-500">
+              <div className="flex-1 border-t border-gray-700" />
+              or
+              <div className="flex-1 border-t border-gray-700" />
+            </div>
+            <Button
+              type="button"
+              variant="secondary"
+              size="md"
+              fullWidth
+              disabled={loading}
+              onClick={handlePasskey}
+            >
+              🔑 Sign in with a passkey
+            </Button>
+          </>
+        )}
+
+        <p className="text-sm text-gray-400 mt-6 text-center">
+          {isSignUp ? (
+            <>Already have an account? <Link href="/login" className="text-blue-400 hover:underline">Sign in</Link></>
+          ) : (
+            <>New here? <Link href="/signup" className="text-blue-400 hover:underline">Create an account</Link></>
+          )}
+        </p>
+      </Card>
+    </div>
+  );
+}
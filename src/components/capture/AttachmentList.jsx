@@ -0,0 +1,124 @@
+'use client';
+
+import Button from '@/components/ui/Button';
+import WaveformPlayer from '@/components/ui/WaveformPlayer';
+
+const TYPE_LABELS = {
+  image: '📷 Photo',
+  audio: '🎤 Audio',
+  video: '🎬 Video',
+};
+
+/**
+ * Ordered list of pending attachments in the capture form
+ * Each attachment can be captioned, moved up/down or removed; photos can be edited (onEdit)
+ * Attachments: { key, type, file, previewUrl, posterUrl?, waveform?, caption }
+ */
+export default function AttachmentList({ attachments, onCaptionChange, onMove, onRemove, onEdit, disabled }) {
+  if (attachments.length === 0) return null;
+
+  return (
+    <ul className="space-y-3">
+      {attachments.map((attachment, index) => (
+        <li
+          key={attachment.key}
+          className="flex gap-3 p-3 bg-gray-700 border border-gray-600 rounded-md"
+        >
+          {/* Preview */}
+          <div className="w-24 flex-shrink-0">
+            {attachment.type === 'image' && (
+              <img
+                src={attachment.previewUrl}
+                alt={attachment.caption || `Attachment ${index + 1}`}
+                className="w-24 h-24 object-cover rounded"
+              />
+            )}
+            {attachment.type === 'video' && (
+              <video
+                src={attachment.previewUrl}
+                poster={attachment.posterUrl || undefined}
+                className="w-24 h-24 object-cover rounded bg-black"
+                muted
+                playsInline
+              />
+            )}
+            {attachment.type === 'audio' && (
+              <div className="w-24 h-24 rounded bg-gradient-to-br from-purple-900 to-blue-900 flex items-center justify-center">
+                <span className="text-3xl">🎵</span>
+              </div>
+            )}
+          </div>
+
+          {/* Details */}
+          <div className="flex-1 min-w-0 space-y-2">
+            <div className="flex items-center justify-between text-xs text-gray-400">
+              <span>{index + 1}. {TYPE_LABELS[attachment.type]}</span>
+              <div className="flex gap-1">
+                <button
+                  type="button"
+                  onClick={() => onMove(index, -1)}
+                  disabled={disabled || index === 0}
+                  className="px-2 py-1 rounded hover:bg-gray-600 disabled:opacity-30"
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onMove(index, 1)}
+                  disabled={disabled || index === attachments.length - 1}
+                  className="px-2 py-1 rounded hover:bg-gray-600 disabled:opacity-30"
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+              </div>
+            </div>
+
+            {attachment.type === 'audio' && (
+              <WaveformPlayer
+                src={attachment.previewUrl}
+                peaks={attachment.waveform}
+                waveformClassName="h-8"
+                audioClassName="h-8"
+              />
+            )}
+
+            <input
+              type="text"
+              value={attachment.caption}
+              onChange={(e) => onCaptionChange(index, e.target.value)}
+              placeholder="Caption (optional)"
+              maxLength={200}
+              className="w-full px-2 py-1 text-sm bg-gray-800 border border-gray-600 text-white placeholder-gray-500 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+              disabled={disabled}
+            />
+
+            <div className="flex gap-2">
+              {attachment.type === 'image' && onEdit && (
+                <Button
+                  type="button"
+                  onClick={() => onEdit(index)}
+                  variant="secondary"
+                  size="sm"
+                  disabled={disabled}
+                >
+                  ✏️ Edit
+                </Button>
+              )}
+              <Button
+                type="button"
+                onClick={() => onRemove(index)}
+                variant="danger"
+                size="sm"
+                disabled={disabled}
+              >
+                Remove
+              </Button>
+            </div>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -2,14 +2,25 @@
 
 import { useState, useRef, useEffect } from 'react';
 import { checkAudioSupport, requestMicrophone, stopMediaStream } from '@/lib/hardware-utils';
+import {
+  computeWaveformPeaks,
+  decodeAudio,
+  getOpusRecordingMimeType,
+  getWavSize,
+  trimAudio,
+} from '@/lib/audio-editor';
+import { formatFileSize } from '@/lib/cloudinary';
 import { useAutoWakeLock } from '@/hooks/useWakeLock';
 import Button from '@/components/ui/Button';
+import Waveform from '@/components/ui/Waveform';
 
 /**
  * Enhanced Audio Recorder Component
- * Features: Waveform visualization, voice-to-text, playback speed, trimming, background recording
+ * Features: Waveform, voice-to-text, playback speed, trimming (Opus when available, or WAV), background recording
+ * onCapture(blob, { waveform }) is called once the user keeps the (possibly trimmed) recording
+ * maxSizeMB is the upload limit: trimming to a WAV file above it is refused
  */
-export default function AudioRecorder({ onCapture, onError, onTranscript }) {
+export default function AudioRecorder({ onCapture, onError, onTranscript, maxSizeMB = 10 }) {
   // Recording states
   const [isRecording, setIsRecording] = useState(false);
   const [audioBlob, setAudioBlob] = useState(null);
@@ -29,11 +40,19 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
   // Playback states
   const [playbackRate, setPlaybackRate] = useState(1.0);
   const [isPlaying, setIsPlaying] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  // Waveform peaks of the recording (null until decoded, or when it cannot be decoded)
+  const [waveform, setWaveform] = useState(null);
+  const [channelCount, setChannelCount] = useState(1);
 
   // Trimming states
   const [isTrimming, setIsTrimming] = useState(false);
   const [trimStart, setTrimStart] = useState(0);
   const [trimEnd, setTrimEnd] = useState(100);
+  const [trimFormat, setTrimFormat] = useState('wav');
+  const [canEncodeOpus, setCanEncodeOpus] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
 
   // Background recording states
   const [isBackgroundRecording, setIsBackgroundRecording] = useState(false);
@@ -59,6 +78,10 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
     if (typeof window === 'undefined') return;
 
     setIsSupported(checkAudioSupport());
+    // Opus keeps trimmed clips small; 16-bit WAV passes 10MB after about two minutes
+    const opusSupported = !!getOpusRecordingMimeType();
+    setCanEncodeOpus(opusSupported);
+    setTrimFormat(opusSupported ? 'opus' : 'wav');
 
     // Check Web Speech API support
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
@@ -226,15 +249,12 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
       };
 
       mediaRecorder.onstop = () => {
-        const blob = new Blob(chunksRef.current, { type: 'audio/webm' });
+        const blob = new Blob(chunksRef.current, { type: mediaRecorder.mimeType.split(';')[0] || 'audio/webm' });
         const url = URL.createObjectURL(blob);
 
         setAudioBlob(blob);
         setAudioUrl(url);
-
-        if (onCapture) {
-          onCapture(blob);
-        }
+        analyzeRecording(blob);
 
         stopMediaStream(streamRef.current);
         streamRef.current = null;
@@ -293,10 +313,29 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
     }
   };
 
+  /**
+   * Draw the waveform and take the exact duration from the decoded recording
+   * @param {Blob} blob - Recording
+   */
+  const analyzeRecording = async (blob) => {
+    try {
+      const audioBuffer = await decodeAudio(blob);
+      setWaveform(computeWaveformPeaks(audioBuffer));
+      setChannelCount(audioBuffer.numberOfChannels);
+      setDuration(audioBuffer.duration);
+    } catch (err) {
+      console.warn('Could not decode recording:', err);
+      setWaveform(null);
+    }
+  };
+
   // Delete recording
   const deleteRecording = () => {
+    if (audioUrl) URL.revokeObjectURL(audioUrl);
     setAudioBlob(null);
     setAudioUrl('');
+    setWaveform(null);
+    setProgress(0);
     setDuration(0);
     setTranscript('');
     setTrimStart(0);
@@ -312,136 +351,61 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
     }
   };
 
-  // Trim audio
-  const trimAudio = async () => {
-    if (!audioBlob) return;
-
-    try {
-      // Load audio into AudioContext
-      const arrayBuffer = await audioBlob.arrayBuffer();
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-
-      // Calculate trim points
-      const startTime = (trimStart / 100) * audioBuffer.duration;
-      const endTime = (trimEnd / 100) * audioBuffer.duration;
-      const trimmedLength = Math.ceil((endTime - startTime) * audioBuffer.sampleRate);
-
-      // Create new trimmed buffer
-      const trimmedBuffer = audioContext.createBuffer(
-        audioBuffer.numberOfChannels,
-        trimmedLength,
-        audioBuffer.sampleRate
-      );
-
-      // Copy trimmed audio data
-      for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
-        const channelData = audioBuffer.getChannelData(channel);
-        const trimmedData = trimmedBuffer.getChannelData(channel);
-        const startSample = Math.floor(startTime * audioBuffer.sampleRate);
-
-        for (let i = 0; i < trimmedLength; i++) {
-          trimmedData[i] = channelData[startSample + i] || 0;
-        }
-      }
-
-      // Convert buffer back to blob
-      const offlineContext = new OfflineAudioContext(
-        trimmedBuffer.numberOfChannels,
-        trimmedBuffer.length,
-        trimmedBuffer.sampleRate
-      );
-
-      const source = offlineContext.createBufferSource();
-      source.buffer = trimmedBuffer;
-      source.connect(offlineContext.destination);
-      source.start();
+  // Jump to a point of the recording from the waveform
+  const seekTo = (share) => {
+    const audio = audioElementRef.current;
+    if (audio && duration > 0) {
+      audio.currentTime = share * duration;
+      setProgress(share);
+    }
+  };
 
-      const renderedBuffer = await offlineContext.startRendering();
+  // Keep the waveform in step with playback
+  const handleTimeUpdate = (e) => {
+    if (duration > 0) setProgress(Math.min(1, e.currentTarget.currentTime / duration));
+  };
 
-      // Convert to WAV blob
-      const wavBlob = await bufferToWave(renderedBuffer, renderedBuffer.length);
-      const url = URL.createObjectURL(wavBlob);
+  // Replace the recording with the section between the trim sliders
+  const applyTrim = async () => {
+    if (!audioBlob || wavTooLarge) return;
 
-      setAudioBlob(wavBlob);
-      setAudioUrl(url);
+    setIsProcessing(true);
+    setError('');
+    try {
+      const trimmed = await trimAudio(audioBlob, {
+        start: (trimStart / 100) * duration,
+        end: (trimEnd / 100) * duration,
+        format: trimFormat,
+      });
+
+      URL.revokeObjectURL(audioUrl);
+      setAudioBlob(trimmed.blob);
+      setAudioUrl(URL.createObjectURL(trimmed.blob));
+      setWaveform(trimmed.waveform);
+      setDuration(trimmed.duration);
+      setProgress(0);
       setIsTrimming(false);
       setTrimStart(0);
       setTrimEnd(100);
-
-      // Update duration
-      const newDuration = Math.ceil(renderedBuffer.duration);
-      setDuration(newDuration);
-
-      if (onCapture) {
-        onCapture(wavBlob);
-      }
-
     } catch (err) {
       setError('Failed to trim audio: ' + err.message);
+    } finally {
+      setIsProcessing(false);
     }
   };
 
-  // Convert AudioBuffer to WAV Blob
-  const bufferToWave = (audioBuffer, len) => {
-    const numOfChan = audioBuffer.numberOfChannels;
-    const length = len * numOfChan * 2 + 44;
-    const buffer = new ArrayBuffer(length);
-    const view = new DataView(buffer);
-    const channels = [];
-    let sample;
-    let offset = 0;
-    let pos = 0;
-
-    // Write WAV header
-    setUint32(0x46464952); // "RIFF"
-    setUint32(length - 8); // file length - 8
-    setUint32(0x45564157); // "WAVE"
-
-    setUint32(0x20746d66); // "fmt " chunk
-    setUint32(16); // length = 16
-    setUint16(1); // PCM (uncompressed)
-    setUint16(numOfChan);
-    setUint32(audioBuffer.sampleRate);
-    setUint32(audioBuffer.sampleRate * 2 * numOfChan); // avg. bytes/sec
-    setUint16(numOfChan * 2); // block-align
-    setUint16(16); // 16-bit
-
-    setUint32(0x61746164); // "data" - chunk
-    setUint32(length - pos - 4); // chunk length
-
-    // Write interleaved data
-    for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
-      channels.push(audioBuffer.getChannelData(i));
-    }
-
-    while (pos < len) {
-      for (let i = 0; i < numOfChan; i++) {
-        sample = Math.max(-1, Math.min(1, channels[i][pos])); // clamp
-        sample = (0.5 + sample < 0 ? sample * 32768 : sample * 32767) | 0; // convert to 16-bit
-        view.setInt16(offset, sample, true); // write 16-bit sample
-        offset += 2;
-      }
-      pos++;
-    }
-
-    return new Blob([buffer], { type: 'audio/wav' });
-
-    function setUint16(data) {
-      view.setUint16(pos, data, true);
-      pos += 2;
-    }
-
-    function setUint32(data) {
-      view.setUint32(pos, data, true);
-      pos += 4;
+  // Hand the recording over
+  const keepRecording = () => {
+    if (audioBlob && onCapture) {
+      onCapture(audioBlob, { waveform });
     }
   };
 
   // Format duration
   const formatDuration = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
+    const total = Math.round(seconds);
+    const mins = Math.floor(total / 60);
+    const secs = total % 60;
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
@@ -451,6 +415,10 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
     return formatDuration(seconds);
   };
 
+  // Size of the trimmed section as WAV, which could not be uploaded above the limit
+  const wavSize = getWavSize(((trimEnd - trimStart) / 100) * duration, channelCount);
+  const wavTooLarge = trimFormat === 'wav' && wavSize > maxSizeMB * 1024 * 1024;
+
   if (!isSupported) {
     return (
       <div className="p-4 bg-yellow-900 border border-yellow-700 rounded-md">
@@ -468,6 +436,15 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
         <div className="p-4 bg-gray-700 border border-gray-600 rounded-md">
           <h3 className="text-sm font-semibold text-white mb-3">Trim Audio</h3>
 
+          {/* Kept section of the waveform */}
+          {waveform && (
+            <Waveform
+              peaks={waveform}
+              range={[trimStart / 100, trimEnd / 100]}
+              className="h-16 mb-3"
+            />
+          )}
+
           {/* Audio preview */}
           <audio ref={audioElementRef} controls src={audioUrl} className="w-full mb-4" />
 
@@ -506,14 +483,55 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
             New duration: {getTrimTime(trimEnd - trimStart)}
           </p>
 
+          {/* Output format */}
+          <div className="mb-4 flex items-center gap-3 text-xs text-gray-300">
+            <span>Save as</span>
+            <label className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="trim-format"
+                checked={trimFormat === 'wav'}
+                onChange={() => setTrimFormat('wav')}
+                disabled={isProcessing}
+              />
+              WAV (lossless, larger)
+            </label>
+            {canEncodeOpus && (
+              <label className="flex items-center gap-1">
+                <input
+                  type="radio"
+                  name="trim-format"
+                  checked={trimFormat === 'opus'}
+                  onChange={() => setTrimFormat('opus')}
+                  disabled={isProcessing}
+                />
+                Opus (small)
+              </label>
+            )}
+          </div>
+
+          {wavTooLarge && (
+            <p className="text-sm text-yellow-400 mb-4">
+              As WAV this section would be about {formatFileSize(wavSize)}, over the {maxSizeMB}MB limit.
+              {canEncodeOpus ? ' Save it as Opus or trim it shorter.' : ' Trim it shorter.'}
+            </p>
+          )}
+
+          {error && (
+            <p className="text-sm text-red-400 mb-4">{error}</p>
+          )}
+
           {/* Actions */}
           <div className="flex gap-2">
             <button
               type="button"
-              onClick={trimAudio}
-              className="bg-green-800 text-white py-2 px-4 rounded-md hover:bg-green-900 text-sm font-medium"
+              onClick={applyTrim}
+              disabled={isProcessing || wavTooLarge}
+              className="bg-green-800 text-white py-2 px-4 rounded-md hover:bg-green-900 text-sm font-medium disabled:opacity-50"
             >
-              Apply Trim
+              {isProcessing
+                ? (trimFormat === 'opus' ? 'Encoding (plays through once)...' : 'Trimming...')
+                : 'Apply Trim'}
             </button>
             <button
               type="button"
@@ -522,7 +540,8 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
                 setTrimStart(0);
                 setTrimEnd(100);
               }}
-              className="bg-gray-600 text-white py-2 px-4 rounded-md hover:bg-gray-700 text-sm"
+              disabled={isProcessing}
+              className="bg-gray-600 text-white py-2 px-4 rounded-md hover:bg-gray-700 text-sm disabled:opacity-50"
             >
               Cancel
             </button>
@@ -552,12 +571,23 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
             </Button>
           </div>
 
+          {/* Waveform (click to jump) */}
+          {waveform && (
+            <Waveform
+              peaks={waveform}
+              progress={progress}
+              onSeek={seekTo}
+              className="h-16 mb-3"
+            />
+          )}
+
           {/* Audio player */}
           <audio
             ref={audioElementRef}
             controls
             src={audioUrl}
             className="w-full mb-3"
+            onTimeUpdate={handleTimeUpdate}
             onPlay={() => setIsPlaying(true)}
             onPause={() => setIsPlaying(false)}
             onEnded={() => setIsPlaying(false)}
@@ -593,14 +623,25 @@ export default function AudioRecorder({ onCapture, onError, onTranscript }) {
           )}
 
           {/* Actions */}
-          <Button
-            type="button"
-            onClick={() => setIsTrimming(true)}
-            variant="primary"
-            size="sm"
-          >
-            ✂️ Trim Audio
-          </Button>
+          <div className="flex gap-2">
+            <Button
+              type="button"
+              onClick={keepRecording}
+              variant="primary"
+              size="sm"
+            >
+              ✓ Use Recording
+            </Button>
+            <Button
+              type="button"
+              onClick={() => setIsTrimming(true)}
+              variant="secondary"
+              size="sm"
+              disabled={!duration}
+            >
+              ✂️ Trim Audio
+            </Button>
+          </div>
         </div>
       </div>
     );
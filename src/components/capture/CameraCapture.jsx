@@ -1,21 +1,52 @@
 'use client';
 
 import { useState, useRef, useEffect, useCallback } from 'react';
-import { checkCameraSupport, requestCamera, stopMediaStream } from '@/lib/hardware-utils';
+import {
+  checkCameraSupport,
+  checkVideoRecordingSupport,
+  extractVideoPoster,
+  getVideoRecordingMimeType,
+  requestCamera,
+  stopMediaStream,
+} from '@/lib/hardware-utils';
+import { formatFileSize } from '@/lib/cloudinary';
 import { useAutoWakeLock } from '@/hooks/useWakeLock';
+import { classifyQrPayload } from '@/utils/qr-utils';
 import jsQR from 'jsqr';
 import Button from '@/components/ui/Button';
+import QrScanResult from './QrScanResult';
+import PhotoEditor from './PhotoEditor';
+
+// Recording bitrates, so the file size can be estimated up front
+const VIDEO_BITS_PER_SECOND = 2500000;
+const AUDIO_BITS_PER_SECOND = 128000;
+
+// QR scanning: frames per second and the width frames are scaled down to before decoding
+const QR_SCAN_INTERVAL_MS = 250;
+const QR_SCAN_WIDTH = 640;
 
 /**
  * Enhanced Camera Capture Component
- * Features: Mode switching, flash, zoom, filters, editing, multiple photos, QR scanning
+ * Features: Photo, video and QR modes, multiple photos, editing captured photos
+ * Video mode is offered when onVideoCapture is set; it records up to maxVideoSeconds and
+ * hands over { video, poster } (poster: JPEG frame, null if it could not be extracted)
+ * QR mode scans continuously and offers actions for the decoded code; onQrText adds its
+ * text to the moment being captured
  */
-export default function CameraCapture({ onCapture, onError, allowMultiple = false }) {
+export default function CameraCapture({
+  onCapture,
+  onVideoCapture,
+  onQrText,
+  onError,
+  allowMultiple = false,
+  maxVideoSeconds = 60,
+  maxVideoSizeMB = 100,
+}) {
   // Core states
   const [isOpen, setIsOpen] = useState(false);
   const [stream, setStream] = useState(null);
   const [capturedImages, setCapturedImages] = useState([]);
-  const [currentEditingIndex, setCurrentEditingIndex] = useState(null);
+  const [currentEditingIndex, setCurrentEditingIndex] = useState(null); // Captured photo open in the editor
   const [error, setError] = useState('');
   const [isSupported, setIsSupported] = useState(true);
 
@@ -26,36 +57,32 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
   // const [capabilities, setCapabilities] = useState(null);
 
   // Mode states
-  const [mode, setMode] = useState('photo'); // Always photo mode
-  // const [qrResult, setQrResult] = useState(null);
-
-  // Video recording states - DISABLED
-  // const [isRecording, setIsRecording] = useState(false);
-  // const [mediaRecorder, setMediaRecorder] = useState(null);
-  // const [recordedChunks, setRecordedChunks] = useState([]);
-  // const [recordingTime, setRecordingTime] = useState(0);
-  // const [recordedVideoUrl, setRecordedVideoUrl] = useState(null);
-  // const [videoBlob, setVideoBlob] = useState(null);
-  // const [estimatedSize, setEstimatedSize] = useState(0);
-
-  // Filter & Edit states - DISABLED
-  // const [activeFilter, setActiveFilter] = useState('none');
-  // const [brightness, setBrightness] = useState(100);
-  // const [rotation, setRotation] = useState(0);
-  // const [editMode, setEditMode] = useState(false);
+  const [mode, setMode] = useState('photo'); // 'photo', 'video' or 'qr'
+  const [canRecordVideo, setCanRecordVideo] = useState(false);
+  const [qrResult, setQrResult] = useState(null);
+
+  // Video recording states
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingTime, setRecordingTime] = useState(0);
+  const [recordedSize, setRecordedSize] = useState(0);
+  const [recordedVideo, setRecordedVideo] = useState(null); // { blob, url, poster, posterUrl }
+  const [processingVideo, setProcessingVideo] = useState(false);
 
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
-  // const qrScanIntervalRef = useRef(null);
-  // const recordingTimerRef = useRef(null);
+  const qrScanIntervalRef = useRef(null);
+  const mediaRecorderRef = useRef(null);
+  const recordedChunksRef = useRef([]);
+  const recordingTimerRef = useRef(null);
 
-  // Keep screen on during video recording - DISABLED
-  // const wakeLock = useAutoWakeLock(isRecording);
+  // Keep screen on during video recording
+  useAutoWakeLock(isRecording);
 
   // Check camera support after component mounts
   useEffect(() => {
     setIsSupported(checkCameraSupport());
-  }, []);
+    setCanRecordVideo(!!onVideoCapture && checkVideoRecordingSupport());
+  }, [onVideoCapture]);
 
   // Hook stream to video element when it changes
   useEffect(() => {
@@ -71,18 +98,34 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
       if (stream) {
         stopMediaStream(stream);
       }
-      // if (qrScanIntervalRef.current) {
-      //   clearInterval(qrScanIntervalRef.current);
-      // }
-      // if (recordingTimerRef.current) {
-      //   clearInterval(recordingTimerRef.current);
-      // }
-      // if (mediaRecorder && mediaRecorder.state !== 'inactive') {
-      //   mediaRecorder.stop();
-      // }
+      if (qrScanIntervalRef.current) {
+        clearInterval(qrScanIntervalRef.current);
+        qrScanIntervalRef.current = null;
+      }
+      if (recordingTimerRef.current) {
+        clearInterval(recordingTimerRef.current);
+      }
+      if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+        mediaRecorderRef.current.onstop = null;
+        mediaRecorderRef.current.stop();
+      }
     };
   }, [stream]);
 
+  // Scan for QR codes while the camera is open in QR mode
+  useEffect(() => {
+    if (mode === 'qr' && isOpen && stream) {
+      startQRScanning();
+    }
+  }, [mode, isOpen, stream]);
+
+  // Stop at the duration limit
+  useEffect(() => {
+    if (isRecording && recordingTime >= maxVideoSeconds) {
+      stopRecording();
+    }
+  }, [isRecording, recordingTime, maxVideoSeconds]);
+
   // Get camera capabilities - DISABLED
   // const updateCapabilities = useCallback((mediaStream) => {
   //   try {
@@ -98,18 +141,30 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
   //   }
   // }, []);
 
-  // Start camera with current settings - SIMPLIFIED
-  const startCamera = async () => {
+  /**
+   * Open the camera; video mode also records sound when the microphone is allowed
+   * @param {string} cameraFacingMode - 'user' or 'environment'
+   * @param {string} cameraMode - 'photo' or 'video'
+   * @returns {Promise<MediaStream>} Camera stream
+   */
+  const openStream = async (cameraFacingMode, cameraMode) => {
+    const video = { facingMode: cameraFacingMode };
+    if (cameraMode !== 'video') {
+      return requestCamera({ video, audio: false });
+    }
+
+    try {
+      return await requestCamera({ video, audio: true });
+    } catch {
+      return requestCamera({ video, audio: false });
+    }
+  };
+
+  // Start camera with current settings
+  const startCamera = async (cameraMode = mode) => {
     setError('');
     try {
-      const constraints = {
-        video: {
-          facingMode: facingMode,
-        },
-        audio: false
-      };
-
-      const mediaStream = await requestCamera(constraints);
+      const mediaStream = await openStream(facingMode, cameraMode);
       setIsOpen(true); // Set this BEFORE setting stream so video element exists
       setStream(mediaStream); // useEffect will handle attaching to video element
     } catch (err) {
@@ -125,11 +180,11 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
       stopMediaStream(stream);
       setStream(null);
     }
-    // if (qrScanIntervalRef.current) {
-    //   clearInterval(qrScanIntervalRef.current);
-    // }
+    if (qrScanIntervalRef.current) {
+      clearInterval(qrScanIntervalRef.current);
+      qrScanIntervalRef.current = null;
+    }
     setIsOpen(false);
-    // setEditMode(false);
   };
 
   // Switch camera (front/back) - FIXED to actually toggle
@@ -145,14 +200,7 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
 
     // Restart with the NEW facing mode
     try {
-      const constraints = {
-        video: {
-          facingMode: newFacingMode, // Use the NEW mode here!
-        },
-        audio: false
-      };
-
-      const mediaStream = await requestCamera(constraints);
+      const mediaStream = await openStream(newFacingMode, mode);
       setStream(mediaStream); // useEffect will handle attaching to video element
     } catch (err) {
       setError(err.message);
@@ -163,10 +211,8 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
   // ALL OTHER FANCY FEATURES DISABLED
   // const toggleFlash = async () => { ... };
   // const handleZoomChange = async (newZoom) => { ... };
-  // const applyFilter = (context, width, height) => { ... };
-  // const applyEdits = (context, canvas, width, height, rotate = rotation) => { ... };
 
-  // Capture photo - SIMPLIFIED (no filters/edits)
+  // Capture photo - edits are made afterwards in the photo editor
   const capturePhoto = () => {
     if (!videoRef.current || !canvasRef.current) return;
 
@@ -196,34 +242,180 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
     }, 'image/jpeg', 0.9);
   };
 
-  // ALL VIDEO/QR/ADVANCED FEATURES - DISABLED
-  // const startQRScanning = () => { ... };
-  // const setupMediaRecorder = (mediaStream) => { ... };
-  // const startRecording = () => { ... };
-  // const stopRecording = () => { ... };
-  // const formatTime = (seconds) => { ... };
-  // const formatFileSize = (bytes) => { ... };
-  // const generateVideoThumbnail = (videoElement) => { ... };
-  // const confirmVideo = async () => { ... };
-  // const retakeVideo = () => { ... };
-
-  // REMOVED: Edit mode functions - filters/brightness now applied during capture
-  // const editPhoto = (index) => {
-  //   setCurrentEditingIndex(index);
-  //   setEditMode(true);
-  // };
-
-  // const applyPhotoEdits = () => {
-  //   if (currentEditingIndex === null) return;
-  //   const image = new Image();
-  //   image.src = capturedImages[currentEditingIndex].url;
-  //   image.onload = () => {
-  //     // Apply edits to captured photo
-  //   };
-  // };
+  // Switch between photo and video; the stream is reopened so video mode gets the microphone
+  const switchMode = async (newMode) => {
+    if (newMode === mode || isRecording) return;
+    setMode(newMode);
+
+    if (isOpen) {
+      if (stream) {
+        stopMediaStream(stream);
+        setStream(null);
+      }
+      await startCamera(newMode);
+    }
+  };
+
+  // Expected file size at the duration limit
+  const estimatedVideoSize = () => {
+    const hasAudio = stream?.getAudioTracks().length > 0;
+    const bitsPerSecond = VIDEO_BITS_PER_SECOND + (hasAudio ? AUDIO_BITS_PER_SECOND : 0);
+    return (bitsPerSecond / 8) * maxVideoSeconds;
+  };
+
+  // Start recording video from the open camera
+  const startRecording = () => {
+    if (!stream || isRecording) return;
+
+    const mimeType = getVideoRecordingMimeType();
+    let mediaRecorder;
+    try {
+      mediaRecorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+        audioBitsPerSecond: AUDIO_BITS_PER_SECOND,
+      });
+    } catch (err) {
+      setError(`Video recording failed: ${err.message}`);
+      if (onError) onError(err.message);
+      return;
+    }
+
+    recordedChunksRef.current = [];
+    mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        recordedChunksRef.current.push(event.data);
+        setRecordedSize((size) => size + event.data.size);
+      }
+    };
+    mediaRecorder.onstop = () => finishRecording(mimeType.split(';')[0]);
+
+    mediaRecorderRef.current = mediaRecorder;
+    mediaRecorder.start(1000); // Chunk every second to show the size so far
+    setRecordingTime(0);
+    setRecordedSize(0);
+    setIsRecording(true);
+
+    recordingTimerRef.current = setInterval(() => {
+      setRecordingTime((time) => time + 1);
+    }, 1000);
+  };
+
+  // Stop recording; the recorder's onstop builds the preview
+  const stopRecording = () => {
+    if (recordingTimerRef.current) {
+      clearInterval(recordingTimerRef.current);
+      recordingTimerRef.current = null;
+    }
+    if (mediaRecorderRef.current && mediaRecorderRef.current.state !== 'inactive') {
+      mediaRecorderRef.current.stop();
+    }
+    setIsRecording(false);
+  };
+
+  /**
+   * Turn the recorded chunks into a video with a poster frame and show the preview
+   * @param {string} type - Container MIME type without codecs
+   */
+  const finishRecording = async (type) => {
+    const blob = new Blob(recordedChunksRef.current, { type });
+    recordedChunksRef.current = [];
+    mediaRecorderRef.current = null;
+    stopCamera();
+
+    if (blob.size > maxVideoSizeMB * 1024 * 1024) {
+      setError(`Video too large (${formatFileSize(blob.size)}). Maximum size is ${maxVideoSizeMB}MB.`);
+      return;
+    }
+
+    setProcessingVideo(true);
+    const poster = await extractVideoPoster(blob);
+    setProcessingVideo(false);
+
+    setRecordedVideo({
+      blob,
+      url: URL.createObjectURL(blob),
+      poster,
+      posterUrl: poster ? URL.createObjectURL(poster) : null,
+    });
+  };
+
+  // Discard the recorded video preview
+  const discardVideo = () => {
+    if (recordedVideo) {
+      URL.revokeObjectURL(recordedVideo.url);
+      if (recordedVideo.posterUrl) URL.revokeObjectURL(recordedVideo.posterUrl);
+    }
+    setRecordedVideo(null);
+    setRecordingTime(0);
+    setRecordedSize(0);
+  };
+
+  // Hand the recorded video over
+  const confirmVideo = () => {
+    if (!recordedVideo) return;
+    if (onVideoCapture) onVideoCapture({ video: recordedVideo.blob, poster: recordedVideo.poster });
+    discardVideo();
+  };
+
+  // Record again
+  const retakeVideo = () => {
+    discardVideo();
+    startCamera('video');
+  };
+
+  // Format seconds as m:ss
+  const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  // Decode the current frame every QR_SCAN_INTERVAL_MS until a code is found
+  const startQRScanning = () => {
+    if (qrScanIntervalRef.current) return;
+
+    qrScanIntervalRef.current = setInterval(() => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (!video || !canvas || !video.videoWidth) return;
+
+      const scale = Math.min(1, QR_SCAN_WIDTH / video.videoWidth);
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+
+      const code = jsQR(data, width, height, { inversionAttempts: 'dontInvert' });
+      if (code?.data.trim()) {
+        if ('vibrate' in navigator) navigator.vibrate(100);
+        setQrResult(classifyQrPayload(code.data, [window.location.origin]));
+        stopCamera();
+      }
+    }, QR_SCAN_INTERVAL_MS);
+  };
+
+  // Back to the camera after a scan
+  const scanAgain = () => {
+    setQrResult(null);
+    startCamera('qr');
+  };
+
+  // Replace the photo open in the editor with its edited version
+  const savePhotoEdit = (blob) => {
+    setCapturedImages((prev) => prev.map((img, i) => {
+      if (i !== currentEditingIndex || blob === img.blob) return img;
+      URL.revokeObjectURL(img.url);
+      return { url: URL.createObjectURL(blob), blob };
+    }));
+    setCurrentEditingIndex(null);
+  };
 
   // Remove photo
   const removePhoto = (index) => {
+    URL.revokeObjectURL(capturedImages[index].url);
     const newImages = capturedImages.filter((_, i) => i !== index);
     setCapturedImages(newImages);
   };
@@ -242,12 +434,9 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
 
   // Retake all - SIMPLIFIED
   const retakeAll = () => {
+    capturedImages.forEach((img) => URL.revokeObjectURL(img.url));
     setCapturedImages([]);
-    // setEditMode(false);
-    // setCurrentEditingIndex(null);
-    // setBrightness(100);
-    // setRotation(0);
-    // setActiveFilter('none');
+    setCurrentEditingIndex(null);
     startCamera();
   };
 
@@ -261,20 +450,83 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
     );
   }
 
-  // QR/VIDEO/EDIT VIEWS - ALL DISABLED
-  // if (qrResult) { return <QR result view> }
-  // if (recordedVideoUrl) { return <Video preview view> }
-  // if (editMode && currentEditingIndex !== null) { return <Edit view> }
-  // if (editMode && currentEditingIndex !== null) {
-  //   return (
-  //     <div className="space-y-4">
-  //       <div className="relative bg-black rounded-md overflow-hidden">
-  //         <canvas ref={canvasRef} className="w-full" />
-  //       </div>
-  //       {/* Filter selection, brightness control, rotation control, action buttons */}
-  //     </div>
-  //   );
-  // }
+  // Recorded video preview
+  if (processingVideo || recordedVideo) {
+    return (
+      <div className="space-y-4">
+        {processingVideo ? (
+          <div className="aspect-video bg-black rounded-md flex items-center justify-center text-sm text-gray-300">
+            Preparing video...
+          </div>
+        ) : (
+          <video
+            src={recordedVideo.url}
+            poster={recordedVideo.posterUrl || undefined}
+            controls
+            playsInline
+            className="w-full rounded-md bg-black"
+          />
+        )}
+
+        {recordedVideo && (
+          <p className="text-xs text-gray-400">
+            {formatTime(recordingTime)} · {formatFileSize(recordedVideo.blob.size)}
+            {!recordedVideo.poster && ' · no preview frame'}
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <Button
+            type="button"
+            onClick={confirmVideo}
+            variant="primary"
+            disabled={processingVideo}
+          >
+            Use Video
+          </Button>
+          <Button
+            type="button"
+            onClick={retakeVideo}
+            variant="secondary"
+            disabled={processingVideo}
+          >
+            Retake
+          </Button>
+          <Button
+            type="button"
+            onClick={discardVideo}
+            variant="danger"
+            disabled={processingVideo}
+          >
+            Discard
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  // Scanned QR code
+  if (qrResult) {
+    return (
+      <QrScanResult
+        result={qrResult}
+        onAttach={onQrText}
+        onScanAgain={scanAgain}
+        onDone={() => setQrResult(null)}
+      />
+    );
+  }
+
+  // Edit view
+  if (currentEditingIndex !== null && capturedImages[currentEditingIndex]) {
+    return (
+      <PhotoEditor
+        file={capturedImages[currentEditingIndex].blob}
+        onSave={savePhotoEdit}
+        onCancel={() => setCurrentEditingIndex(null)}
+      />
+    );
+  }
 
   // Captured images view
   if (capturedImages.length > 0 && !isOpen) {
@@ -288,7 +540,15 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
                 alt={`Captured ${index + 1}`}
                 className="w-full rounded-md"
               />
-              <div className="absolute top-2 right-2">
+              <div className="absolute top-2 right-2 flex">
+                <button
+                  type="button"
+                  onClick={() => setCurrentEditingIndex(index)}
+                  className="text-white p-2 text-xs"
+                  aria-label="Edit photo"
+                >
+                  ✏️
+                </button>
                 <button
                   type="button"
                   onClick={() => removePhoto(index)}
@@ -321,18 +581,44 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
     );
   }
 
+  // Photo/video/QR toggle
+  const modeToggle = (
+    <div className="inline-flex rounded-md bg-gray-800 p-1 text-sm">
+      {[
+        ['photo', '📷 Photo'],
+        canRecordVideo && ['video', '🎬 Video'],
+        ['qr', '🔳 Scan QR'],
+      ].filter(Boolean).map(([value, label]) => (
+        <button
+          key={value}
+          type="button"
+          onClick={() => switchMode(value)}
+          disabled={isRecording}
+          className={`px-3 py-1 rounded ${
+            mode === value ? 'bg-blue-600 text-white' : 'text-gray-300 hover:text-white'
+          } disabled:opacity-50`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+
   // Camera closed view
   if (!isOpen) {
     return (
       <div className="space-y-4">
-        <Button
-          type="button"
-          onClick={startCamera}
-          variant="primary"
-          size="sm"
-        >
-          📷 Open Camera
-        </Button>
+        {modeToggle}
+        <div>
+          <Button
+            type="button"
+            onClick={() => startCamera()}
+            variant="primary"
+            size="sm"
+          >
+            {{ photo: '📷 Open Camera', video: '🎬 Open Camera', qr: '🔳 Start Scanning' }[mode]}
+          </Button>
+        </div>
 
         {error && (
           <p className="text-sm text-red-400">{error}</p>
@@ -341,9 +627,11 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
     );
   }
 
-  // Camera active view - SIMPLIFIED (video + switch + capture)
+  // Camera active view
   return (
     <div className="space-y-4">
+      {modeToggle}
+
       {/* Video preview */}
       <div className="relative bg-black rounded-md overflow-hidden">
         <video
@@ -355,6 +643,25 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
         />
         <canvas ref={canvasRef} className="hidden" />
 
+        {/* Scanning frame */}
+        {mode === 'qr' && (
+          <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
+            <div className="w-48 h-48 border-2 border-white/80 rounded-lg" />
+            <p className="mt-3 text-xs text-white bg-black/60 px-2 py-1 rounded">
+              Point the camera at a QR code
+            </p>
+          </div>
+        )}
+
+        {/* Recording indicator, time left and size so far */}
+        {isRecording && (
+          <div className="absolute top-2 left-2 flex items-center gap-2 bg-black/60 text-white text-xs px-2 py-1 rounded">
+            <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+            {formatTime(recordingTime)} / {formatTime(maxVideoSeconds)}
+            <span className="text-gray-300">· {formatFileSize(recordedSize)}</span>
+          </div>
+        )}
+
         {/* Switch camera button (overlay) */}
         {/* DISABLED
         <div className="absolute top-2 right-2">
@@ -370,28 +677,58 @@ export default function CameraCapture({ onCapture, onError, allowMultiple = fals
         */}
       </div>
 
-      {/* Action buttons - SIMPLIFIED */}
+      {/* Action buttons */}
       <div className="flex gap-2">
-        <Button
-          type="button"
-          onClick={capturePhoto}
-          variant="primary"
-          size="sm"
-        >
-          📸 Capture
-        </Button>
-        <Button
-          type="button"
-          onClick={stopCamera}
-          variant="danger"
-          size="sm"
-        >
-          Cancel
-        </Button>
+        {mode === 'video' ? (
+          <Button
+            type="button"
+            onClick={isRecording ? stopRecording : startRecording}
+            variant={isRecording ? 'danger' : 'primary'}
+            size="sm"
+          >
+            {isRecording ? '⏹ Stop' : '⏺ Record'}
+          </Button>
+        ) : mode === 'photo' && (
+          <Button
+            type="button"
+            onClick={capturePhoto}
+            variant="primary"
+            size="sm"
+          >
+            📸 Capture
+          </Button>
+        )}
+        {mode === 'photo' && allowMultiple && capturedImages.length > 0 && (
+          <Button
+            type="button"
+            onClick={stopCamera}
+            variant="success"
+            size="sm"
+          >
+            Done
+          </Button>
+        )}
+        {!isRecording && (
+          <Button
+            type="button"
+            onClick={stopCamera}
+            variant="danger"
+            size="sm"
+          >
+            Cancel
+          </Button>
+        )}
       </div>
 
+      {/* Expected size at the duration limit */}
+      {mode === 'video' && !isRecording && (
+        <p className="text-xs text-gray-400">
+          Up to {formatTime(maxVideoSeconds)} · about {formatFileSize(estimatedVideoSize())} at full length
+        </p>
+      )}
+
       {/* Captured count (multiple mode) */}
-      {allowMultiple && capturedImages.length > 0 && (
+      {mode === 'photo' && allowMultiple && capturedImages.length > 0 && (
         <div className="text-center text-sm text-white">
           {capturedImages.length} photo{capturedImages.length > 1 ? 's' : ''} captured
         </div>
@@ -1,27 +1,46 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import toast from 'react-hot-toast';
-import { uploadImage, uploadAudio, validateFileType, validateFileSize, formatFileSize } from '@/lib/cloudinary';
+import { fetchPhotoMetadata, validateFileType, validateFileSize, formatFileSize } from '@/lib/cloudinary';
 import { createMoment } from '@/lib/api';
+import { extractVideoPoster } from '@/lib/hardware-utils';
+import { getAudioWaveformPeaks } from '@/lib/audio-editor';
 import CameraCapture from './CameraCapture';
 import GPSCapture from './GPSCapture';
 import AudioRecorder from './AudioRecorder';
+import AttachmentList from './AttachmentList';
+import PhotoEditor from './PhotoEditor';
 import MoodSelector from './MoodSelector';
 import CategorySelector from './CategorySelector';
 import TagSelector from './TagSelector';
 import WeatherFetcher from './WeatherFetcher';
 import { usePasteListener } from '@/hooks/useClipboard';
+import { formatCameraName } from '@/utils/photo-metadata-utils';
 import Button from '@/components/ui/Button';
-
-export default function MomentForm({ onMomentCreated, sharedData }) {
+import Modal from '@/components/ui/Modal';
+
+// Maximum upload size per attachment type (MB)
+const MAX_SIZE_MB = {
+  image: 10,
+  audio: 10,
+  video: 100,
+};
+
+const TYPE_NAMES = {
+  image: 'Image',
+  audio: 'Audio file',
+  video: 'Video',
+};
+
+export default function MomentForm({ onMomentCreated, sharedData, prefill }) {
   const [description, setDescription] = useState('');
-  const [imageData, setImageData] = useState(null); // Blob from camera or file
-  const [audioData, setAudioData] = useState(null); // Blob from recorder or file
+  const [attachments, setAttachments] = useState([]); // Ordered { key, type, file, previewUrl, poster, posterUrl, waveform, caption }
   const [gpsLat, setGpsLat] = useState(0);
   const [gpsLng, setGpsLng] = useState(0);
   const [mood, setMood] = useState(null);
   const [weather, setWeather] = useState(null);
+  const [transcript, setTranscript] = useState(''); // Voice-to-text of the recordings, searchable
   const [categoryId, setCategoryId] = useState(null);
   const [tagIds, setTagIds] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -29,6 +48,134 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
   const [pasteMessage, setPasteMessage] = useState('');
+  const [recorderKey, setRecorderKey] = useState(0);
+  const [photoInfo, setPhotoInfo] = useState(null); // { capturedAt, cameraModel, filledLocation } from EXIF
+  const [prefillInfo, setPrefillInfo] = useState(null); // Fields filled from prefill, until submitted or undone
+  const [stripLocation, setStripLocation] = useState(true);
+  const [editingKey, setEditingKey] = useState(null); // Photo attachment open in the editor
+  const nextKeyRef = useRef(0);
+
+  // Default for removing GPS data from stored photos (Settings → Preferences)
+  useEffect(() => {
+    try {
+      const stored = JSON.parse(localStorage.getItem('userPreferences') || '{}');
+      if (stored.stripPhotoLocation !== undefined) setStripLocation(stored.stripPhotoLocation);
+    } catch (err) {
+      console.error('Failed to load preferences:', err);
+    }
+  }, []);
+
+  /**
+   * Append captured or selected files as attachments
+   * Videos without a poster and audio without a waveform get one made in the background
+   * @param {string} type - 'image', 'audio' or 'video'
+   * @param {Array<File|Blob>} files - Files in capture order
+   * @param {Array<{poster?: Blob|null, waveform?: number[]|null}>} extras - Poster frames of recorded
+   *   videos and waveforms of recorded audio, by file index
+   */
+  const addAttachments = (type, files, extras = []) => {
+    const added = files.map((file, index) => {
+      const { poster = null, waveform = null } = extras[index] || {};
+      return {
+        key: nextKeyRef.current++,
+        type,
+        file,
+        previewUrl: URL.createObjectURL(file),
+        poster,
+        posterUrl: poster ? URL.createObjectURL(poster) : null,
+        waveform,
+        caption: '',
+      };
+    });
+    setAttachments((prev) => [...prev, ...added]);
+    setError('');
+
+    if (type === 'video') {
+      added.filter((attachment) => !attachment.poster).forEach(addVideoPoster);
+    }
+    if (type === 'audio') {
+      added.filter((attachment) => !attachment.waveform).forEach(addAudioWaveform);
+    }
+  };
+
+  /**
+   * Extract and set the poster frame of a video attachment
+   * @param {Object} attachment - Added attachment
+   */
+  const addVideoPoster = async (attachment) => {
+    const poster = await extractVideoPoster(attachment.file);
+    if (!poster) return;
+
+    const posterUrl = URL.createObjectURL(poster);
+    setAttachments((prev) => {
+      if (!prev.some((item) => item.key === attachment.key)) {
+        URL.revokeObjectURL(posterUrl); // Removed meanwhile
+        return prev;
+      }
+      return prev.map((item) => (item.key === attachment.key ? { ...item, poster, posterUrl } : item));
+    });
+  };
+
+  /**
+   * Draw the waveform of an audio attachment
+   * @param {Object} attachment - Added attachment
+   */
+  const addAudioWaveform = async (attachment) => {
+    const waveform = await getAudioWaveformPeaks(attachment.file);
+    if (!waveform) return;
+
+    setAttachments((prev) => prev.map((item) => (item.key === attachment.key ? { ...item, waveform } : item)));
+  };
+
+  /**
+   * Release the preview URLs of attachments
+   * @param {Array<Object>} list - Attachments
+   */
+  const revokePreviews = (list) => {
+    list.forEach((attachment) => {
+      URL.revokeObjectURL(attachment.previewUrl);
+      if (attachment.posterUrl) URL.revokeObjectURL(attachment.posterUrl);
+    });
+  };
+
+  /**
+   * Fill capture time, camera and location from the first imported photo that has them
+   * Needs the server to read EXIF data, so it is skipped offline
+   * @param {Array<File|Blob>} files - Imported image files
+   */
+  const importPhotoMetadata = async (files) => {
+    if (photoInfo || !navigator.onLine) return;
+
+    for (const file of files) {
+      try {
+        const metadata = await fetchPhotoMetadata(file);
+        if (!metadata.capturedAt && !metadata.cameraModel && metadata.gpsLat === null) continue;
+
+        const fillLocation = metadata.gpsLat !== null && gpsLat === 0 && gpsLng === 0;
+        if (fillLocation) {
+          setGpsLat(metadata.gpsLat);
+          setGpsLng(metadata.gpsLng);
+        }
+        setPhotoInfo({
+          capturedAt: metadata.capturedAt ? new Date(metadata.capturedAt).toISOString() : null,
+          cameraModel: formatCameraName(metadata.cameraMake, metadata.cameraModel),
+          filledLocation: fillLocation,
+        });
+        return;
+      } catch (err) {
+        console.warn('Could not read photo metadata:', err);
+      }
+    }
+  };
+
+  // Forget what was taken from a photo
+  const clearPhotoInfo = () => {
+    if (photoInfo?.filledLocation) {
+      setGpsLat(0);
+      setGpsLng(0);
+    }
+    setPhotoInfo(null);
+  };
 
   // Handle paste events (text or images)
   usePasteListener((pasteData) => {
@@ -37,15 +184,38 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
       setDescription(prev => prev ? `${prev}\n${pasteData.data}` : pasteData.data);
       setPasteMessage('Text pasted!');
       setTimeout(() => setPasteMessage(''), 2000);
-    } else if (pasteData.type === 'image' && !imageData) {
-      // Set pasted image if no image is already captured
+    } else if (pasteData.type === 'image') {
       const file = new File([pasteData.blob], 'pasted-image.png', { type: pasteData.blob.type });
-      setImageData(file);
+      addAttachments('image', [file]);
       setPasteMessage('Image pasted!');
       setTimeout(() => setPasteMessage(''), 2000);
     }
   });
 
+  // Fill location, category and tags handed over by the page (e.g. from a geofence reminder)
+  useEffect(() => {
+    if (!prefill) return;
+
+    setGpsLat(prefill.gpsLat);
+    setGpsLng(prefill.gpsLng);
+    if (prefill.categoryId) {
+      setCategoryId((current) => current ?? prefill.categoryId);
+    }
+    if (prefill.tagIds?.length) {
+      setTagIds((current) => [...new Set([...current, ...prefill.tagIds])]);
+    }
+    setPrefillInfo(prefill);
+  }, [prefill]);
+
+  // Undo the prefilled fields
+  const clearPrefill = () => {
+    setGpsLat(0);
+    setGpsLng(0);
+    setCategoryId((current) => (current === prefillInfo.categoryId ? null : current));
+    setTagIds((current) => current.filter((id) => !prefillInfo.tagIds?.includes(id)));
+    setPrefillInfo(null);
+  };
+
   // Handle shared data from Share Target API
   useEffect(() => {
     if (!sharedData) return;
@@ -66,7 +236,7 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
       setDescription(desc);
     }
 
-    // Handle shared media (image or audio)
+    // Handle shared media (image, audio or video)
     if (sharedData.media && sharedData.media.dataUrl) {
       const { dataUrl, type, originalName } = sharedData.media;
 
@@ -77,10 +247,12 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
           // Add filename to blob for better UX
           const file = new File([blob], originalName, { type });
 
-          if (type.startsWith('image/')) {
-            setImageData(file);
-          } else if (type.startsWith('audio/')) {
-            setAudioData(file);
+          const mediaType = ['image', 'audio', 'video'].find((t) => type.startsWith(`${t}/`));
+          if (mediaType) {
+            addAttachments(mediaType, [file]);
+          }
+          if (mediaType === 'image') {
+            importPhotoMetadata([file]);
           }
         })
         .catch(err => {
@@ -90,63 +262,106 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
     }
   }, [sharedData]);
 
-  const handleCameraCapture = (blob) => {
-    setImageData(blob);
-    setError('');
+  // CameraCapture in multiple mode hands over an array of blobs
+  const handleCameraCapture = (blobs) => {
+    addAttachments('image', Array.isArray(blobs) ? blobs : [blobs]);
   };
 
-  const handleGPSCapture = (lat, lng) => {
-    setGpsLat(lat);
-    setGpsLng(lng);
+  // Text or link decoded from a QR code goes into the description, like pasted text
+  const handleQrText = (text) => {
+    setDescription((prev) => (prev ? `${prev}\n${text}` : text));
   };
 
-  const handleAudioCapture = (blob) => {
-    setAudioData(blob);
-    setError('');
+  // Recorded video with its poster frame
+  const handleVideoCapture = ({ video, poster }) => {
+    addAttachments('video', [video], [{ poster }]);
   };
 
-  const handleImageFileChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  const handleGPSCapture = (lat, lng) => {
+    setGpsLat(lat);
+    setGpsLng(lng);
+  };
 
-    if (!validateFileType(file, ['image/'])) {
-      setError('Please select a valid image file');
+  const handleAudioCapture = (blob, { waveform } = {}) => {
+    if (!validateFileSize(blob, MAX_SIZE_MB.audio)) {
+      setError(`Recording too large (${formatFileSize(blob.size)}). Maximum size is ${MAX_SIZE_MB.audio}MB.`);
       return;
     }
 
-    if (!validateFileSize(file, 10)) {
-      setError(`Image too large (${formatFileSize(file.size)}). Maximum size is 10MB.`);
-      return;
-    }
+    addAttachments('audio', [blob], [{ waveform }]);
+    // Remount the recorder so another clip can be recorded
+    setRecorderKey((key) => key + 1);
+  };
 
-    setImageData(file);
-    setError('');
+  const handleTranscript = (text) => {
+    setTranscript((prev) => `${prev} ${text}`.trim());
   };
 
-  const handleAudioFileChange = (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  /**
+   * Validate and add files picked from the file system
+   * @param {Event} e - Change event of a file input
+   * @param {string} type - 'image', 'audio' or 'video'
+   */
+  const handleFileChange = (e, type) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = ''; // Allow picking the same file again
+    if (files.length === 0) return;
+
+    for (const file of files) {
+      if (!validateFileType(file, [`${type}/`])) {
+        setError(`Please select a valid ${type} file`);
+        return;
+      }
 
-    if (!validateFileType(file, ['audio/'])) {
-      setError('Please select a valid audio file');
-      return;
+      if (!validateFileSize(file, MAX_SIZE_MB[type])) {
+        setError(`${TYPE_NAMES[type]} too large (${formatFileSize(file.size)}). Maximum size is ${MAX_SIZE_MB[type]}MB.`);
+        return;
+      }
     }
 
-    if (!validateFileSize(file, 10)) {
-      setError(`Audio file too large (${formatFileSize(file.size)}). Maximum size is 10MB.`);
-      return;
+    addAttachments(type, files);
+    if (type === 'image') {
+      importPhotoMetadata(files);
     }
+  };
 
-    setAudioData(file);
-    setError('');
+  const updateCaption = (index, caption) => {
+    setAttachments((prev) => prev.map((attachment, i) => (
+      i === index ? { ...attachment, caption } : attachment
+    )));
+  };
+
+  const moveAttachment = (index, direction) => {
+    setAttachments((prev) => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
   };
 
-  const clearImage = () => {
-    setImageData(null);
+  /**
+   * Replace a photo attachment with its edited version
+   * Metadata was already read from the original, so the re-encoded file is fine to upload
+   * @param {Blob} blob - Edited image (the original file when nothing changed)
+   */
+  const handlePhotoEdit = (blob) => {
+    setAttachments((prev) => prev.map((attachment) => {
+      if (attachment.key !== editingKey || blob === attachment.file) return attachment;
+      URL.revokeObjectURL(attachment.previewUrl);
+      const extension = blob.type === 'image/png' ? 'png' : 'jpg';
+      const file = new File([blob], `edited-photo.${extension}`, { type: blob.type });
+      return { ...attachment, file, previewUrl: URL.createObjectURL(file) };
+    }));
+    setEditingKey(null);
   };
 
-  const clearAudio = () => {
-    setAudioData(null);
+  const removeAttachment = (index) => {
+    setAttachments((prev) => {
+      revokePreviews([prev[index]]);
+      return prev.filter((_, i) => i !== index);
+    });
   };
 
   const handleSubmit = async (e) => {
@@ -163,45 +378,45 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
     setUploadProgress('');
 
     try {
-      let imageUrl = null;
-      let audioUrl = null;
-
-      // Upload image if captured
-      if (imageData) {
-        setUploadProgress('Uploading image...');
-        imageUrl = await uploadImage(imageData);
-      }
-
-      // Upload audio if recorded
-      if (audioData) {
-        setUploadProgress('Uploading audio...');
-        audioUrl = await uploadAudio(audioData);
-      }
-
       // Create moment (with offline support)
-      setUploadProgress('Creating moment...');
+      // Attachments are uploaded in order first; offline they wait in the outbox
+      setUploadProgress('Saving moment...');
       const newMoment = await createMoment({
         description: description.trim(),
         gpsLat,
         gpsLng,
-        imageUrl,
-        audioUrl,
         mood,
         weather,
+        transcript: transcript || undefined,
         categoryId,
         tagIds: tagIds.length > 0 ? tagIds : undefined,
+        capturedAt: photoInfo?.capturedAt || undefined,
+        cameraModel: photoInfo?.cameraModel || undefined,
+      }, {
+        files: attachments.map(({ type, file, poster, waveform, caption }) => ({
+          type,
+          file,
+          caption: caption.trim() || null,
+          stripLocation: type === 'image' && stripLocation,
+          poster,
+          waveform,
+        })),
+        onProgress: setUploadProgress,
       });
 
       // Clear form
       setDescription('');
-      setImageData(null);
-      setAudioData(null);
+      revokePreviews(attachments);
+      setAttachments([]);
       setGpsLat(0);
       setGpsLng(0);
       setMood(null);
       setWeather(null);
+      setTranscript('');
       setCategoryId(null);
       setTagIds([]);
+      setPhotoInfo(null);
+      setPrefillInfo(null);
       setSuccess(true);
       setUploadProgress('');
 
@@ -234,6 +449,8 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
     }
   };
 
+  const editingAttachment = attachments.find((attachment) => attachment.key === editingKey);
+
   return (
     <div className="bg-gray-800 rounded-lg shadow-lg p-6 mb-8">
       <div className="flex items-center justify-between mb-4">
@@ -262,98 +479,129 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
           />
         </div>
 
+        {/* Attachments */}
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-300 mb-2">
+            Attachments (optional)
+          </label>
+
+          <AttachmentList
+            attachments={attachments}
+            onCaptionChange={updateCaption}
+            onMove={moveAttachment}
+            onRemove={removeAttachment}
+            onEdit={(index) => setEditingKey(attachments[index].key)}
+            disabled={loading}
+          />
+        </div>
+
         {/* Camera / Image Upload */}
         <div className="mb-6">
           <label className="block text-sm font-medium text-gray-300 mb-2">
-            Photo (optional)
+            Add photos and videos
           </label>
 
-          {!imageData && (
-            <>
-              <CameraCapture
-                onCapture={handleCameraCapture}
-              />
-              <div className="mt-2">
-                <input
-                  id="image-upload"
-                  type="file"
-                  accept="image/*"
-                  onChange={handleImageFileChange}
-                  className="hidden"
-                  disabled={loading}
-                />
-                <label
-                  htmlFor="image-upload"
-                  className="text-sm text-blue-300 hover:text-blue-200 transition-colors duration-200 cursor-pointer"
-                >
-                  Or upload from files
-                </label>
-              </div>
-            </>
-          )}
+          <CameraCapture
+            onCapture={handleCameraCapture}
+            onVideoCapture={handleVideoCapture}
+            onQrText={handleQrText}
+            allowMultiple
+            maxVideoSizeMB={MAX_SIZE_MB.video}
+          />
+          <div className="mt-2 flex gap-4">
+            <input
+              id="image-upload"
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={(e) => handleFileChange(e, 'image')}
+              className="hidden"
+              disabled={loading}
+            />
+            <label
+              htmlFor="image-upload"
+              className="text-sm text-blue-300 hover:text-blue-200 transition-colors duration-200 cursor-pointer"
+            >
+              Or upload from files
+            </label>
+            <input
+              id="video-upload"
+              type="file"
+              accept="video/*"
+              multiple
+              onChange={(e) => handleFileChange(e, 'video')}
+              className="hidden"
+              disabled={loading}
+            />
+            <label
+              htmlFor="video-upload"
+              className="text-sm text-blue-300 hover:text-blue-200 transition-colors duration-200 cursor-pointer"
+            >
+              Upload videos
+            </label>
+          </div>
 
-          {imageData && (
-            <div className="relative">
-              <img
-                src={URL.createObjectURL(imageData)}
-                alt="Preview"
-                className="w-full h-48 object-cover rounded-md"
-              />
+          {/* Details read from the photo's EXIF data */}
+          {photoInfo && (
+            <div className="mt-3 p-3 bg-gray-900/50 border border-gray-700 rounded text-sm text-gray-300 flex items-start justify-between gap-3">
+              <p>
+                📷 From photo:
+                {photoInfo.cameraModel && ` ${photoInfo.cameraModel}`}
+                {photoInfo.capturedAt && ` · taken ${new Date(photoInfo.capturedAt).toLocaleString()}`}
+                {photoInfo.filledLocation && ' · location filled in'}
+              </p>
               <button
                 type="button"
-                onClick={clearImage}
-                className="absolute top-2 right-2 bg-red-800 text-white px-3 py-1 rounded hover:bg-red-900 transition-colors duration-200"
-                disabled={loading}
+                onClick={clearPhotoInfo}
+                className="text-gray-400 hover:text-gray-200 whitespace-nowrap"
               >
-                Remove
+                Don&apos;t use
               </button>
             </div>
           )}
+
+          {attachments.some((attachment) => attachment.type === 'image') && (
+            <label className="mt-3 flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={stripLocation}
+                onChange={(e) => setStripLocation(e.target.checked)}
+                disabled={loading}
+              />
+              Remove location data from photo files
+            </label>
+          )}
         </div>
 
         {/* Audio Recorder / Upload */}
         <div className="mb-6">
           <label className="block text-sm font-medium text-gray-300 mb-2">
-            Audio (optional)
+            Add audio
           </label>
 
-          {!audioData && (
-            <>
-              <AudioRecorder
-                onCapture={handleAudioCapture}
-              />
-              <div className="mt-2">
-                <input
-                  id="audio-upload"
-                  type="file"
-                  accept="audio/*"
-                  onChange={handleAudioFileChange}
-                  className="hidden"
-                  disabled={loading}
-                />
-                <label
-                  htmlFor="audio-upload"
-                  className="text-sm text-blue-300 hover:text-blue-200 transition-colors duration-200 cursor-pointer"
-                >
-                  Or upload audio file
-                </label>
-              </div>
-            </>
-          )}
-
-          {audioData && (
-            <div className="flex items-center gap-2 p-3 bg-gray-700 border border-gray-600 rounded-md">
-              <span className="text-sm text-gray-300 flex-1">Audio recorded</span>
-              <Button
-                type="button"
-                onClick={clearAudio}
-                variant="danger"
-                size="sm"
-              >
-                Remove
-              </Button>
-            </div>
-          )}
+          <AudioRecorder
+            key={recorderKey}
+            onCapture={handleAudioCapture}
+            onTranscript={handleTranscript}
+            maxSizeMB={MAX_SIZE_MB.audio}
+          />
+          <div className="mt-2">
+            <input
+              id="audio-upload"
+              type="file"
+              accept="audio/*"
+              multiple
+              onChange={(e) => handleFileChange(e, 'audio')}
+              className="hidden"
+              disabled={loading}
+            />
+            <label
+              htmlFor="audio-upload"
+              className="text-sm text-blue-300 hover:text-blue-200 transition-colors duration-200 cursor-pointer"
+            >
+              Or upload audio file
+            </label>
+          </div>
         </div>
 
         {/* GPS Location */}
@@ -364,6 +612,24 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
           <GPSCapture
             onCapture={handleGPSCapture}
           />
+          {/* Fields filled from the page, e.g. a geofence reminder */}
+          {prefillInfo && (
+            <div className="mt-3 p-3 bg-gray-900/50 border border-gray-700 rounded text-sm text-gray-300 flex items-start justify-between gap-3">
+              <p>
+                🗺️ From {prefillInfo.name}: location
+                {prefillInfo.categoryId && ', category'}
+                {prefillInfo.tagIds?.length > 0 && ', tags'}
+                {' filled in'}
+              </p>
+              <button
+                type="button"
+                onClick={clearPrefill}
+                className="text-gray-400 hover:text-gray-200 whitespace-nowrap"
+              >
+                Don&apos;t use
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Mood Selector */}
@@ -437,6 +703,22 @@ export default function MomentForm({ onMomentCreated, sharedData }) {
           </Button>
         </div>
       </form>
+
+      <Modal
+        isOpen={!!editingAttachment}
+        onClose={() => setEditingKey(null)}
+        title="Edit Photo"
+        size="xl"
+      >
+        {editingAttachment && (
+          <PhotoEditor
+            key={editingAttachment.key}
+            file={editingAttachment.file}
+            onSave={handlePhotoEdit}
+            onCancel={() => setEditingKey(null)}
+          />
+        )}
+      </Modal>
     </div>
   );
 }
@@ -0,0 +1,422 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import {
+  drawEditedImage,
+  exportEditedImage,
+  loadEditableImage,
+} from '@/lib/image-editor';
+import {
+  ADJUSTMENT_RANGE,
+  ANNOTATION_COLORS,
+  BRUSH_SIZES,
+  CROP_ASPECTS,
+  DEFAULT_PHOTO_EDITS,
+  PHOTO_FILTERS,
+  TEXT_SIZES,
+  fitCropToAspect,
+  flipEdits,
+  getFilterString,
+  getRotatedSize,
+  hasPhotoEdits,
+  moveCrop,
+  resizeCrop,
+  rotateEdits,
+} from '@/utils/photo-edit-utils';
+import Button from '@/components/ui/Button';
+
+// Longest side of the on-screen preview (pixels)
+const PREVIEW_SIZE = 1024;
+
+const TABS = [
+  ['crop', '✂️ Crop'],
+  ['adjust', '🎚️ Adjust'],
+  ['filters', '🎨 Filters'],
+  ['draw', '✏️ Draw'],
+  ['text', '🔤 Text'],
+];
+
+const ADJUSTMENTS = [
+  ['brightness', 'Brightness'],
+  ['contrast', 'Contrast'],
+  ['saturation', 'Saturation'],
+];
+
+/**
+ * Photo editor: crop with aspect presets, rotate/flip, brightness/contrast/saturation,
+ * filters, freehand drawing and text
+ * The original is only re-encoded on save; onSave gets the edited Blob, or the original
+ * file when nothing was changed
+ */
+export default function PhotoEditor({ file, onSave, onCancel }) {
+  const [image, setImage] = useState(null);
+  const [edits, setEdits] = useState(DEFAULT_PHOTO_EDITS);
+  const [tab, setTab] = useState('crop');
+  const [draft, setDraft] = useState(null); // Stroke being drawn
+  const [color, setColor] = useState(ANNOTATION_COLORS[2]);
+  const [brushSize, setBrushSize] = useState('medium');
+  const [textSize, setTextSize] = useState('medium');
+  const [text, setText] = useState('');
+  const [filterThumbnail, setFilterThumbnail] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null); // { mode: 'move'|'resize', startX, startY, crop }
+
+  // Decode the photo
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = null;
+
+    loadEditableImage(file)
+      .then((decoded) => {
+        loaded = decoded;
+        if (cancelled) {
+          if (typeof decoded.close === 'function') decoded.close();
+          return;
+        }
+        setImage(decoded);
+
+        // Small copy for the filter buttons
+        const thumbnail = document.createElement('canvas');
+        drawEditedImage(thumbnail, decoded, DEFAULT_PHOTO_EDITS, { maxSize: 96 });
+        setFilterThumbnail(thumbnail.toDataURL('image/jpeg', 0.7));
+      })
+      .catch((err) => {
+        console.error('Photo editor error:', err);
+        setError('This photo could not be opened for editing');
+      });
+
+    return () => {
+      cancelled = true;
+      if (loaded && typeof loaded.close === 'function') loaded.close();
+    };
+  }, [file]);
+
+  // Redraw the preview; the whole photo is shown while cropping
+  useEffect(() => {
+    if (!image || !canvasRef.current) return;
+    const shown = draft ? { ...edits, annotations: [...edits.annotations, draft] } : edits;
+    drawEditedImage(canvasRef.current, image, shown, { maxSize: PREVIEW_SIZE, cropped: tab !== 'crop' });
+  }, [image, edits, draft, tab]);
+
+  const rotated = image ? getRotatedSize(image.width, image.height, edits.rotation) : null;
+  const imageRatio = rotated ? rotated.width / rotated.height : 1;
+  const aspectRatio = CROP_ASPECTS.find((aspect) => aspect.id === edits.aspect)?.ratio || null;
+
+  const updateEdits = (changes) => setEdits((prev) => ({ ...prev, ...changes }));
+
+  const selectAspect = (aspect) => {
+    updateEdits({ aspect: aspect.id, crop: fitCropToAspect(aspect.ratio, imageRatio) });
+  };
+
+  /**
+   * Pointer position as a fraction of the rotated, uncropped photo
+   * @param {PointerEvent} e - Pointer event on the preview
+   * @returns {number[]} [x, y]
+   */
+  const getPhotoPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
+    if (tab === 'crop') return [x, y];
+
+    const { crop } = edits;
+    return [crop.x + x * crop.width, crop.y + y * crop.height];
+  };
+
+  // Crop box: drag inside to move, drag the corner to resize
+  const startCropDrag = (e, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const [startX, startY] = getPhotoPoint(e);
+    dragRef.current = { mode, startX, startY, crop: edits.crop };
+  };
+
+  const moveCropDrag = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const [x, y] = getPhotoPoint(e);
+    const dx = x - drag.startX;
+    const dy = y - drag.startY;
+
+    updateEdits({
+      crop: drag.mode === 'move'
+        ? moveCrop(drag.crop, drag.crop.x + dx, drag.crop.y + dy)
+        : resizeCrop(drag.crop, drag.crop.width + dx, drag.crop.height + dy, aspectRatio, imageRatio),
+    });
+  };
+
+  const endCropDrag = () => {
+    dragRef.current = null;
+  };
+
+  // Freehand drawing
+  const handlePointerDown = (e) => {
+    if (tab === 'draw') {
+      e.preventDefault();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setDraft({ type: 'stroke', color, size: BRUSH_SIZES[brushSize], points: [getPhotoPoint(e)] });
+    } else if (tab === 'text' && text.trim()) {
+      const [x, y] = getPhotoPoint(e);
+      updateEdits({
+        annotations: [...edits.annotations, { type: 'text', color, size: TEXT_SIZES[textSize], text: text.trim(), x, y }],
+      });
+      setText('');
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    const point = getPhotoPoint(e);
+    setDraft((prev) => prev && { ...prev, points: [...prev.points, point] });
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    updateEdits({ annotations: [...edits.annotations, draft] });
+    setDraft(null);
+  };
+
+  const undoAnnotation = () => {
+    updateEdits({ annotations: edits.annotations.slice(0, -1) });
+  };
+
+  const handleSave = async () => {
+    if (!hasPhotoEdits(edits)) {
+      onSave(file);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      onSave(await exportEditedImage(file, edits));
+    } catch (err) {
+      console.error('Photo export error:', err);
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  if (error && !image) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-red-400">{error}</p>
+        <Button type="button" onClick={onCancel} variant="secondary" size="sm">
+          Close
+        </Button>
+      </div>
+    );
+  }
+
+  if (!image) {
+    return (
+      <div className="aspect-video bg-black rounded-md flex items-center justify-center text-sm text-gray-300">
+        Opening photo...
+      </div>
+    );
+  }
+
+  const { crop } = edits;
+  const annotating = tab === 'draw' || (tab === 'text' && text.trim());
+
+  return (
+    <div className="space-y-4">
+      {/* Preview */}
+      <div className="relative mx-auto w-fit max-w-full overflow-hidden rounded-md bg-black">
+        <canvas
+          ref={canvasRef}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          className={`block max-w-full max-h-[60vh] touch-none ${annotating ? 'cursor-crosshair' : ''}`}
+        />
+
+        {tab === 'crop' && (
+          <div
+            onPointerDown={(e) => startCropDrag(e, 'move')}
+            onPointerMove={moveCropDrag}
+            onPointerUp={endCropDrag}
+            onPointerCancel={endCropDrag}
+            className="absolute border-2 border-white cursor-move touch-none"
+            style={{
+              left: `${crop.x * 100}%`,
+              top: `${crop.y * 100}%`,
+              width: `${crop.width * 100}%`,
+              height: `${crop.height * 100}%`,
+              boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.55)',
+            }}
+          >
+            <div
+              onPointerDown={(e) => startCropDrag(e, 'resize')}
+              onPointerMove={moveCropDrag}
+              onPointerUp={endCropDrag}
+              onPointerCancel={endCropDrag}
+              className="absolute -right-2 -bottom-2 w-5 h-5 bg-white rounded-full cursor-nwse-resize touch-none"
+              aria-label="Resize crop"
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Tools */}
+      <div className="inline-flex flex-wrap rounded-md bg-gray-900 p-1 text-sm">
+        {TABS.map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setTab(value)}
+            className={`px-3 py-1 rounded ${
+              tab === value ? 'bg-blue-600 text-white' : 'text-gray-300 hover:text-white'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {tab === 'crop' && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {CROP_ASPECTS.map((aspect) => (
+              <Button
+                key={aspect.id}
+                type="button"
+                onClick={() => selectAspect(aspect)}
+                variant={edits.aspect === aspect.id ? 'primary' : 'secondary'}
+                size="sm"
+              >
+                {aspect.label}
+              </Button>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button type="button" onClick={() => setEdits(rotateEdits)} variant="secondary" size="sm">
+              ↻ Rotate
+            </Button>
+            <Button type="button" onClick={() => setEdits((prev) => flipEdits(prev, true))} variant="secondary" size="sm">
+              ⇋ Flip
+            </Button>
+            <Button type="button" onClick={() => setEdits((prev) => flipEdits(prev, false))} variant="secondary" size="sm">
+              ⇵ Flip
+            </Button>
+          </div>
+          <p className="text-xs text-gray-400">Drag the box to move it, and its corner to resize it.</p>
+        </div>
+      )}
+
+      {tab === 'adjust' && (
+        <div className="space-y-3">
+          {ADJUSTMENTS.map(([key, label]) => (
+            <label key={key} className="block text-sm text-gray-300">
+              <span className="flex justify-between">
+                {label}
+                <span className="text-gray-400">{edits[key]}%</span>
+              </span>
+              <input
+                type="range"
+                min={ADJUSTMENT_RANGE.min}
+                max={ADJUSTMENT_RANGE.max}
+                value={edits[key]}
+                onChange={(e) => updateEdits({ [key]: Number(e.target.value) })}
+                className="w-full"
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {tab === 'filters' && (
+        <div className="flex gap-2 overflow-x-auto pb-1">
+          {PHOTO_FILTERS.map((filter) => (
+            <button
+              key={filter.id}
+              type="button"
+              onClick={() => updateEdits({ filter: filter.id })}
+              className={`flex-shrink-0 text-xs text-center rounded p-1 ${
+                edits.filter === filter.id ? 'ring-2 ring-blue-500 text-white' : 'text-gray-300'
+              }`}
+            >
+              {filterThumbnail && (
+                <img
+                  src={filterThumbnail}
+                  alt=""
+                  className="w-16 h-16 object-cover rounded mb-1"
+                  style={{ filter: getFilterString({ ...DEFAULT_PHOTO_EDITS, filter: filter.id }) }}
+                />
+              )}
+              {filter.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {(tab === 'draw' || tab === 'text') && (
+        <div className="space-y-3">
+          {tab === 'text' && (
+            <input
+              type="text"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="Type, then tap the photo to place it"
+              maxLength={100}
+              className="w-full px-3 py-2 text-sm bg-gray-700 border border-gray-600 text-white placeholder-gray-400 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            {ANNOTATION_COLORS.map((value) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setColor(value)}
+                className={`w-7 h-7 rounded-full border-2 ${color === value ? 'border-blue-500' : 'border-gray-600'}`}
+                style={{ backgroundColor: value }}
+                aria-label={`Color ${value}`}
+              />
+            ))}
+            <select
+              value={tab === 'draw' ? brushSize : textSize}
+              onChange={(e) => (tab === 'draw' ? setBrushSize : setTextSize)(e.target.value)}
+              className="px-2 py-1 text-sm bg-gray-700 border border-gray-600 text-white rounded"
+              aria-label="Size"
+            >
+              <option value="small">Small</option>
+              <option value="medium">Medium</option>
+              <option value="large">Large</option>
+            </select>
+            <Button
+              type="button"
+              onClick={undoAnnotation}
+              variant="secondary"
+              size="sm"
+              disabled={edits.annotations.length === 0}
+            >
+              ↶ Undo
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-400">{error}</p>
+      )}
+
+      {/* Actions */}
+      <div className="flex gap-2">
+        <Button type="button" onClick={handleSave} variant="primary" loading={saving} disabled={saving}>
+          Save
+        </Button>
+        <Button type="button" onClick={() => setEdits(DEFAULT_PHOTO_EDITS)} variant="secondary" disabled={saving}>
+          Reset
+        </Button>
+        <Button type="button" onClick={onCancel} variant="secondary" disabled={saving}>
+          Cancel
+        </Button>
+      </div>
+    </div>
+  );
+}
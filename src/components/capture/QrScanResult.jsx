@@ -0,0 +1,131 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import toast from 'react-hot-toast';
+import geofenceManager from '@/lib/geofence-manager';
+import Button from '@/components/ui/Button';
+
+const KIND_LABELS = {
+  share: '🔗 Shared moment',
+  geofence: '📍 Location',
+  url: '🌐 Link',
+  text: '📝 Text',
+};
+
+/**
+ * Actions for a scanned QR code
+ * - Our own share links open in the app
+ * - geo: URIs can be imported as a geofence
+ * - Anything can be added to the moment being captured (when onAttach is set)
+ * Result: classifyQrPayload() result (see src/utils/qr-utils.js)
+ */
+export default function QrScanResult({ result, onAttach, onScanAgain, onDone }) {
+  const router = useRouter();
+  const [imported, setImported] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const handleAttach = () => {
+    onAttach(result.text);
+    toast.success('Added to the moment');
+    onDone();
+  };
+
+  const handleImportGeofence = async () => {
+    const { lat, lng, radius, name } = result.geofence;
+    setImporting(true);
+    try {
+      await geofenceManager.createGeofence({
+        name: name || `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+        lat,
+        lng,
+        radius,
+        notifyOnEnter: true,
+        notifyOnExit: true,
+      });
+      setImported(true);
+      toast.success('Geofence added. Start monitoring on the Geofences page.');
+    } catch (err) {
+      toast.error(`Failed to add geofence: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-gray-900/50 border border-gray-700 rounded-md space-y-2">
+        <p className="text-xs text-gray-400">{KIND_LABELS[result.kind]}</p>
+        {result.kind === 'geofence' ? (
+          <p className="text-sm text-white">
+            {result.geofence.name && <span className="font-medium">{result.geofence.name} · </span>}
+            {result.geofence.lat.toFixed(6)}, {result.geofence.lng.toFixed(6)} · {result.geofence.radius}m radius
+          </p>
+        ) : (
+          <p className="text-sm text-white break-all whitespace-pre-wrap">{result.text}</p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {result.kind === 'share' && (
+          <Button
+            type="button"
+            onClick={() => router.push(result.path)}
+            variant="primary"
+            size="sm"
+          >
+            Open Moment
+          </Button>
+        )}
+        {result.kind === 'geofence' && (
+          imported ? (
+            <Button
+              type="button"
+              onClick={() => router.push('/geofences')}
+              variant="primary"
+              size="sm"
+            >
+              Open Geofences
+            </Button>
+          ) : (
+            <Button
+              type="button"
+              onClick={handleImportGeofence}
+              variant="primary"
+              size="sm"
+              loading={importing}
+            >
+              Import as Geofence
+            </Button>
+          )
+        )}
+        {onAttach && (
+          <Button
+            type="button"
+            onClick={handleAttach}
+            variant={result.kind === 'share' || result.kind === 'geofence' ? 'secondary' : 'primary'}
+            size="sm"
+          >
+            Add to Moment
+          </Button>
+        )}
+        <Button
+          type="button"
+          onClick={onScanAgain}
+          variant="secondary"
+          size="sm"
+        >
+          Scan Again
+        </Button>
+        <Button
+          type="button"
+          onClick={onDone}
+          variant="secondary"
+          size="sm"
+        >
+          Close
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,9 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
 import { syncPendingMoments } from '@/lib/db';
+import { deleteMoment } from '@/lib/api';
 import { useOnlineStatus } from '@/hooks/useOnlineStatus';
 import { useAutoBadge } from '@/hooks/useBadge';
 import { useShakeToRefresh } from '@/hooks/useShakeToRefresh';
@@ -70,17 +72,23 @@ export default function DashboardClient({ initialMoments }) {
     }
 
     try {
-      const response = await fetch(`/api/moments/${id}`, {
-        method: 'DELETE',
-      });
-
-      if (!response.ok && response.status !== 204) {
-        throw new Error('Failed to delete moment');
-      }
+      // Queued offline if needed; the moment disappears right away either way
+      const result = await deleteMoment(moments.find((m) => m.id === id));
 
       // Remove moment from list and refresh
       setMoments(moments.filter((m) => m.id !== id));
-      router.refresh();
+
+      if (result.conflict) {
+        toast.error('This moment was changed on another device. Choose whether to delete it anyway.', {
+          duration: 5000,
+        });
+      } else if (result.pending) {
+        toast.success('Deleted offline! Will sync when online.', {
+          duration: 4000,
+        });
+      } else {
+        router.refresh();
+      }
     } catch (err) {
       alert('Error deleting moment: ' + err.message);
     }
@@ -93,7 +101,10 @@ export default function DashboardClient({ initialMoments }) {
   const handleSave = (updatedMoment) => {
     // Update moment in list
     setMoments(moments.map((m) => (m.id === updatedMoment.id ? updatedMoment : m)));
-    router.refresh();
+    // Server data would not include an edit that is still queued
+    if (!updatedMoment.pending) {
+      router.refresh();
+    }
   };
 
   const handleCloseModal = () => {
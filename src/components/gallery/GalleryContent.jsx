@@ -6,12 +6,16 @@ import GalleryFilters from './GalleryFilters';
 import Lightbox from './Lightbox';
 import Button from '@/components/ui/Button';
 import Skeleton from '@/components/ui/Skeleton';
+import { getLightboxItems } from '@/utils/attachment-utils';
+import { SaveSmartAlbumButton, SmartAlbumHeader } from '@/components/albums';
+import { ShareSetButton } from '@/components/share';
 
 /**
  * Main gallery content component
  * Manages state for filters, sorting, infinite scroll, and lightbox
+ * albumId (optional): show only the moments of a smart album
  */
-export default function GalleryContent({ initialMoments }) {
+export default function GalleryContent({ initialMoments, albumId = null }) {
   const [moments, setMoments] = useState(initialMoments?.moments || []);
   const [pagination, setPagination] = useState(initialMoments?.pagination || {});
   const [loading, setLoading] = useState(false);
@@ -50,6 +54,9 @@ export default function GalleryContent({ initialMoments }) {
         ...filters,
         tagIds: JSON.stringify(filters.tagIds),
       });
+      if (albumId) {
+        queryParams.append('albumId', albumId.toString());
+      }
 
       const response = await fetch(`/api/gallery?${queryParams}`);
       if (!response.ok) throw new Error('Failed to fetch moments');
@@ -78,10 +85,21 @@ export default function GalleryContent({ initialMoments }) {
     }
   };
 
+  // Every attachment of every loaded moment, in display order, for the lightbox carousel
+  const mediaItems = getLightboxItems(moments);
+
   /**
-   * Open lightbox at specific index
+   * Open lightbox at an attachment of a moment
+   * @param {number} momentIndex - Index of the moment in the grid
+   * @param {number} attachmentIndex - Attachment within the moment (default: first)
    */
-  const openLightbox = (index) => {
+  const openLightbox = (momentIndex, attachmentIndex = 0) => {
+    const momentId = moments[momentIndex]?.id;
+    const index = mediaItems.findIndex(
+      (item) => item.momentId === momentId && item.attachmentIndex === attachmentIndex
+    );
+    if (index === -1) return;
+
     setLightboxIndex(index);
     setLightboxOpen(true);
   };
@@ -93,25 +111,39 @@ export default function GalleryContent({ initialMoments }) {
     setFilters((prev) => ({ ...prev, ...newFilters }));
   };
 
-  // Extract media items for lightbox (images and videos only)
-  const mediaItems = moments
-    .filter((m) => m.imageUrl || m.videoUrl)
-    .map((m) => ({
-      id: m.id,
-      type: m.imageUrl ? 'image' : 'video',
-      url: m.imageUrl || m.videoUrl,
-      description: m.description,
-      createdAt: m.createdAt,
-    }));
+  // Filters a smart album can save (sort order is a view setting)
+  const albumFilters = {
+    mediaType: filters.mediaType,
+    dateFrom: filters.dateFrom,
+    dateTo: filters.dateTo,
+    tagIds: filters.tagIds,
+    categoryId: filters.categoryId,
+  };
+  const hasActiveFilters =
+    albumFilters.mediaType !== 'all' ||
+    albumFilters.dateFrom ||
+    albumFilters.dateTo ||
+    albumFilters.tagIds.length > 0 ||
+    albumFilters.categoryId;
 
   return (
     <div className="space-y-6">
+      {/* Smart Album */}
+      {albumId && <SmartAlbumHeader albumId={albumId} view="gallery" />}
+
       {/* Filters */}
       <GalleryFilters
         filters={filters}
         onFilterChange={handleFilterChange}
       />
 
+      {hasActiveFilters && !albumId && (
+        <div className="flex justify-end gap-2">
+          <ShareSetButton filters={albumFilters} />
+          <SaveSmartAlbumButton filters={albumFilters} />
+        </div>
+      )}
+
       {/* Gallery Grid */}
       {moments.length === 0 && !loading ? (
         <div className="text-center py-16">
@@ -2,6 +2,9 @@
 
 import { useState, useEffect } from 'react';
 import Skeleton from '@/components/ui/Skeleton';
+import ResponsiveImage from '@/components/ui/ResponsiveImage';
+import { formatFileSize } from '@/lib/cloudinary';
+import { countAttachmentTypes, formatMediaDuration, getMomentAttachments } from '@/utils/attachment-utils';
 
 /**
  * Masonry grid layout for gallery items
@@ -53,7 +56,7 @@ export default function GalleryGrid({ moments, onItemClick, loading }) {
             <GalleryItem
               key={moment.id}
               moment={moment}
-              onClick={() => onItemClick(index)}
+              onClick={(attachmentIndex) => onItemClick(index, attachmentIndex)}
             />
           ))}
         </div>
@@ -62,25 +65,53 @@ export default function GalleryGrid({ moments, onItemClick, loading }) {
   );
 }
 
+/**
+ * Codec and file size of an audio or video attachment, as recorded on upload
+ * @param {Object} attachment - Attachment
+ * @returns {string} e.g. "H264/AAC · 4.2 MB" ('' when unknown)
+ */
+function getMediaDetails(attachment) {
+  return [
+    attachment?.codec?.toUpperCase(),
+    attachment?.bytes ? formatFileSize(attachment.bytes) : null,
+  ].filter(Boolean).join(' · ');
+}
+
 /**
  * Individual gallery item card
+ * Moments with several photos or videos can be browsed in place
  */
 function GalleryItem({ moment, onClick }) {
-  const hasImage = moment.imageUrl;
-  const hasVideo = moment.videoUrl;
-  const hasAudio = moment.audioUrl;
+  const [slide, setSlide] = useState(0);
+
+  const attachments = getMomentAttachments(moment);
+  const visual = attachments.filter((attachment) => attachment.type !== 'audio');
+  const counts = countAttachmentTypes(attachments);
+  const current = visual[slide];
+  const firstAudio = attachments.find((attachment) => attachment.type === 'audio');
+
+  const showSlide = (e, index) => {
+    e.stopPropagation();
+    setSlide((index + visual.length) % visual.length);
+  };
+
+  // Open the lightbox at the attachment currently shown
+  const handleClick = () => {
+    onClick(current ? attachments.indexOf(current) : 0);
+  };
 
   return (
     <div
       className="group relative bg-gray-800 rounded-lg overflow-hidden shadow-lg hover:shadow-2xl transition-all duration-300 cursor-pointer transform hover:-translate-y-1"
-      onClick={onClick}
+      onClick={handleClick}
     >
       {/* Media Preview */}
-      {hasImage && (
+      {current?.type === 'image' && (
         <div className="relative w-full h-64 overflow-hidden">
-          <img
-            src={moment.imageUrl}
-            alt={moment.description}
+          <ResponsiveImage
+            image={current}
+            alt={current.caption || moment.description}
+            sizes="(min-width: 1280px) 25vw, (min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw"
             style={{ width: '100%', height: '100%', objectFit: 'cover', display: 'block' }}
           />
           {/* Hover overlay */}
@@ -95,10 +126,11 @@ function GalleryItem({ moment, onClick }) {
         </div>
       )}
 
-      {hasVideo && !hasImage && (
+      {current?.type === 'video' && (
         <div className="relative aspect-video bg-gray-900">
           <video
-            src={moment.videoUrl}
+            src={current.url}
+            poster={current.posterUrl || undefined}
             className="w-full h-full object-cover"
             muted
             playsInline
@@ -106,20 +138,70 @@ function GalleryItem({ moment, onClick }) {
           <div className="absolute inset-0 bg-black bg-opacity-40 flex items-center justify-center">
             <span className="text-white text-5xl">▶️</span>
           </div>
+          {current.duration > 0 && (
+            <span className="absolute bottom-2 right-2 bg-black bg-opacity-70 text-white text-xs px-2 py-0.5 rounded">
+              {formatMediaDuration(current.duration)}
+            </span>
+          )}
         </div>
       )}
 
-      {hasAudio && !hasImage && !hasVideo && (
+      {!current && counts.audio > 0 && (
         <div className="aspect-video bg-gradient-to-br from-purple-900 to-blue-900 flex items-center justify-center">
           <div className="text-center">
             <span className="text-6xl mb-2 block">🎵</span>
-            <p className="text-sm text-gray-300">Audio Recording</p>
+            <p className="text-sm text-gray-300">
+              {counts.audio > 1 ? `${counts.audio} Audio Recordings` : 'Audio Recording'}
+              {firstAudio.duration > 0 && ` · ${formatMediaDuration(firstAudio.duration)}`}
+            </p>
+            {getMediaDetails(firstAudio) && (
+              <p className="text-xs text-gray-400 mt-1">{getMediaDetails(firstAudio)}</p>
+            )}
           </div>
         </div>
       )}
 
+      {/* Carousel controls */}
+      {visual.length > 1 && (
+        <>
+          <button
+            type="button"
+            onClick={(e) => showSlide(e, slide - 1)}
+            className="absolute left-2 top-28 bg-black bg-opacity-50 text-white rounded-full w-8 h-8 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity"
+            aria-label="Previous attachment"
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            onClick={(e) => showSlide(e, slide + 1)}
+            className="absolute right-2 top-28 bg-black bg-opacity-50 text-white rounded-full w-8 h-8 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity"
+            aria-label="Next attachment"
+          >
+            ›
+          </button>
+          <div className="absolute top-2 right-2 bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded">
+            {slide + 1} / {visual.length}
+          </div>
+        </>
+      )}
+
       {/* Info Overlay */}
       <div className="p-4">
+        {/* Caption of the shown attachment */}
+        {current?.caption && (
+          <p className="text-xs text-gray-400 italic line-clamp-1 mb-1">
+            {current.caption}
+          </p>
+        )}
+
+        {/* Codec and size of the shown video */}
+        {current?.type === 'video' && getMediaDetails(current) && (
+          <p className="text-xs text-gray-500 mb-1">
+            {getMediaDetails(current)}
+          </p>
+        )}
+
         {/* Description */}
         <p className="text-sm text-gray-300 line-clamp-2 mb-2">
           {moment.description}
@@ -137,19 +219,19 @@ function GalleryItem({ moment, onClick }) {
 
           {/* Media type badges */}
           <div className="flex gap-1">
-            {hasImage && (
+            {counts.image > 0 && (
               <span className="bg-blue-900 text-blue-200 px-2 py-1 rounded text-xs">
-                📷
+                📷{counts.image > 1 && ` ${counts.image}`}
               </span>
             )}
-            {hasVideo && (
+            {counts.video > 0 && (
               <span className="bg-purple-900 text-purple-200 px-2 py-1 rounded text-xs">
-                🎬
+                🎬{counts.video > 1 && ` ${counts.video}`}
               </span>
             )}
-            {hasAudio && (
+            {counts.audio > 0 && (
               <span className="bg-green-900 text-green-200 px-2 py-1 rounded text-xs">
-                🎤
+                🎤{counts.audio > 1 && ` ${counts.audio}`}
               </span>
             )}
           </div>
@@ -1,15 +1,20 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import Image from 'next/image';
 import { useFileSystem } from '@/hooks/useFileSystem';
 import Button from '@/components/ui/Button';
+import ResponsiveImage from '@/components/ui/ResponsiveImage';
+// Not the albums barrel: it imports the gallery components
+import AddToAlbumButton from '@/components/albums/AddToAlbumButton';
 
 /**
  * Lightbox component for full-screen media viewing
- * Supports images and videos with navigation and download
+ * Steps through every attachment (images, videos and audio) with navigation and download
+ * Items: { id, momentId, type, url, variants?, placeholder?, posterUrl?, caption?, description, createdAt,
+ *   attachmentIndex, attachmentCount }
+ * showAlbumActions: offer "Add to Album" for the current moment (off for public pages)
  */
-export default function Lightbox({ items, initialIndex = 0, onClose }) {
+export default function Lightbox({ items, initialIndex = 0, onClose, showAlbumActions = true }) {
   const [currentIndex, setCurrentIndex] = useState(initialIndex);
   const [isZoomed, setIsZoomed] = useState(false);
   const { downloadImage, loading: downloading } = useFileSystem();
@@ -21,6 +26,8 @@ export default function Lightbox({ items, initialIndex = 0, onClose }) {
   // Keyboard navigation
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Typing in a dialog opened from the lightbox
+      if (e.target.closest?.('input, textarea')) return;
       if (e.key === 'Escape') onClose();
       if (e.key === 'ArrowRight' && canGoNext) goNext();
       if (e.key === 'ArrowLeft' && canGoPrev) goPrev();
@@ -55,7 +62,7 @@ export default function Lightbox({ items, initialIndex = 0, onClose }) {
   const handleDownload = async () => {
     if (currentItem.type !== 'image') return;
 
-    const filename = `moment-${currentItem.id}-${new Date(currentItem.createdAt)
+    const filename = `moment-${currentItem.momentId}-${currentItem.attachmentIndex + 1}-${new Date(currentItem.createdAt)
       .toISOString()
       .split('T')[0]}.jpg`;
     await downloadImage(currentItem.url, filename, {
@@ -145,11 +152,12 @@ export default function Lightbox({ items, initialIndex = 0, onClose }) {
             className={`relative ${isZoomed ? 'cursor-zoom-out' : 'cursor-zoom-in'} w-full h-[90vh]`}
             onClick={toggleZoom}
           >
-            <Image
-              src={currentItem.url}
+            <ResponsiveImage
+              key={currentItem.id}
+              image={currentItem}
               alt={currentItem.description}
-              fill
-              className={`object-contain transition-transform duration-300 ${
+              loading="eager"
+              className={`absolute inset-0 w-full h-full object-contain transition-transform duration-300 ${
                 isZoomed ? 'scale-150' : 'scale-100'
               }`}
               style={isZoomed ? { transformOrigin: 'center center' } : {}}
@@ -159,12 +167,26 @@ export default function Lightbox({ items, initialIndex = 0, onClose }) {
         ) : currentItem.type === 'video' ? (
           <video
             src={currentItem.url}
+            poster={currentItem.posterUrl || undefined}
             controls
             autoPlay
             className="w-full h-auto max-h-[90vh]"
           >
             Your browser does not support the video element.
           </video>
+        ) : currentItem.type === 'audio' ? (
+          <div className="mx-auto max-w-xl bg-gradient-to-br from-purple-900 to-blue-900 rounded-lg p-8 text-center">
+            <span className="text-6xl mb-4 block">🎵</span>
+            <audio
+              key={currentItem.url}
+              src={currentItem.url}
+              controls
+              autoPlay
+              className="w-full"
+            >
+              Your browser does not support the audio element.
+            </audio>
+          </div>
         ) : null}
       </div>
 
@@ -174,7 +196,7 @@ export default function Lightbox({ items, initialIndex = 0, onClose }) {
           {/* Info */}
           <div className="flex-1 mr-4">
             <p className="text-white text-sm font-medium truncate">
-              {currentItem.description}
+              {currentItem.caption || currentItem.description}
             </p>
             <p className="text-gray-400 text-xs mt-1">
               {new Date(currentItem.createdAt).toLocaleDateString('en-US', {
@@ -184,6 +206,12 @@ export default function Lightbox({ items, initialIndex = 0, onClose }) {
                 hour: '2-digit',
                 minute: '2-digit',
               })}
+              {currentItem.attachmentCount > 1 && (
+                <>
+                  {' • '}
+                  Attachment {currentItem.attachmentIndex + 1} of {currentItem.attachmentCount}
+                </>
+              )}
               {' • '}
               {currentIndex + 1} / {items.length}
             </p>
@@ -213,6 +241,9 @@ export default function Lightbox({ items, initialIndex = 0, onClose }) {
                 </Button>
               </>
             )}
+            {showAlbumActions && (
+              <AddToAlbumButton momentId={currentItem.momentId} />
+            )}
             <Button
               onClick={onClose}
               variant="secondary"
@@ -242,18 +273,19 @@ export default function Lightbox({ items, initialIndex = 0, onClose }) {
                 }`}
               >
                 {item.type === 'image' ? (
+                  <ResponsiveImage
+                    image={item}
+                    className="w-full h-full object-cover"
+                    sizes="64px"
+                  />
+                ) : item.type === 'video' && item.posterUrl ? (
                   <div className="relative w-full h-full">
-                    <Image
-                      src={item.url}
-                      alt=""
-                      fill
-                      className="object-cover"
-                      sizes="64px"
-                    />
+                    <img src={item.posterUrl} alt="" className="w-full h-full object-cover" />
+                    <span className="absolute inset-0 flex items-center justify-center text-xl">▶️</span>
                   </div>
                 ) : (
                   <div className="w-full h-full bg-gray-700 flex items-center justify-center">
-                    <span className="text-2xl">▶️</span>
+                    <span className="text-2xl">{item.type === 'audio' ? '🎵' : '▶️'}</span>
                   </div>
                 )}
               </button>
@@ -0,0 +1,68 @@
+'use client';
+
+import { MapContainer, TileLayer, Circle, Polygon, CircleMarker, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+
+const FENCE_STYLE = { color: '#3b82f6', fillColor: '#3b82f6', fillOpacity: 0.2, weight: 2 };
+
+// Reports clicks on the map
+function ClickHandler({ onClick }) {
+  useMapEvents({
+    click: (e) => onClick(e.latlng.lat, e.latlng.lng),
+  });
+  return null;
+}
+
+/**
+ * GeofenceMap Component
+ * Draws a geofence being added or edited: clicking places a circle's center or
+ * adds a polygon's next point
+ *
+ * @param {Object} props
+ * @param {string} props.shape - 'circle' or 'polygon'
+ * @param {{lat: number, lng: number}|null} props.center - Circle center
+ * @param {number} props.radius - Circle radius in meters
+ * @param {Array<[number, number]>} props.polygon - Polygon points as [lat, lng] pairs
+ * @param {{lat: number, lng: number}|null} [props.position] - Current position, where the map starts without a fence
+ * @param {Function} props.onMapClick - Called with (lat, lng)
+ */
+export default function GeofenceMap({ shape, center, radius, polygon, position, onMapClick }) {
+  // Only used when the map is created
+  const start = (shape === 'polygon' && polygon[0] && { lat: polygon[0][0], lng: polygon[0][1] }) ||
+    center || position;
+
+  return (
+    <div className="h-[300px] rounded-lg overflow-hidden">
+      <MapContainer
+        center={start ? [start.lat, start.lng] : [20, 0]}
+        zoom={start ? 16 : 2}
+        style={{ height: '100%', width: '100%' }}
+        scrollWheelZoom={true}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+        <ClickHandler onClick={onMapClick} />
+
+        {shape === 'circle' && center && (
+          <Circle center={[center.lat, center.lng]} radius={radius} pathOptions={FENCE_STYLE} />
+        )}
+
+        {shape === 'polygon' && polygon.length > 0 && (
+          <>
+            <Polygon positions={polygon} pathOptions={FENCE_STYLE} />
+            {polygon.map((point, index) => (
+              <CircleMarker
+                key={index}
+                center={point}
+                radius={4}
+                pathOptions={{ color: '#ffffff', fillColor: '#3b82f6', fillOpacity: 1, weight: 1 }}
+              />
+            ))}
+          </>
+        )}
+      </MapContainer>
+    </div>
+  );
+}
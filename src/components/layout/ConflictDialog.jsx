@@ -0,0 +1,98 @@
+'use client';
+
+import Button from '@/components/ui/Button';
+
+const FIELD_LABELS = {
+  description: 'Description',
+  gpsLat: 'Latitude',
+  gpsLng: 'Longitude',
+  attachments: 'Attachments',
+  imageUrl: 'Photo',
+  audioUrl: 'Audio',
+  videoUrl: 'Video',
+};
+
+/**
+ * Format a field value for side-by-side comparison
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return `${value.length} item${value.length !== 1 ? 's' : ''}`;
+  return String(value);
+}
+
+/**
+ * ConflictDialog Component
+ * Shown when a change made offline meets a moment that was also changed on the server
+ * Conflict: { localId, operation, changes, serverMoment }
+ */
+export default function ConflictDialog({ conflict, onResolve, onClose, resolving }) {
+  if (!conflict) return null;
+
+  const { operation, changes, serverMoment } = conflict;
+  const isDelete = operation === 'delete';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center p-4 z-50">
+      <div className="bg-gray-800 rounded-lg shadow-xl max-w-lg w-full p-6">
+        <h2 className="text-2xl font-bold mb-2 text-white">Sync Conflict</h2>
+        <p className="text-sm text-gray-400 mb-4">
+          {isDelete
+            ? 'You deleted this moment while offline, but it was changed on another device.'
+            : 'You edited this moment while offline, and it was also changed on another device.'}
+        </p>
+
+        {isDelete ? (
+          <div className="mb-6 p-3 bg-gray-700 rounded text-sm">
+            <p className="text-gray-400 text-xs mb-1">Current version</p>
+            <p className="text-gray-200 whitespace-pre-wrap">{serverMoment?.description}</p>
+          </div>
+        ) : (
+          <div className="mb-6 space-y-3">
+            {Object.keys(changes).map((field) => (
+              <div key={field} className="text-sm">
+                <p className="text-gray-400 text-xs mb-1">{FIELD_LABELS[field] || field}</p>
+                <div className="grid grid-cols-2 gap-2">
+                  <div className="p-2 bg-blue-900/30 border border-blue-800 rounded">
+                    <p className="text-xs text-blue-300 mb-1">Your version</p>
+                    <p className="text-gray-200 whitespace-pre-wrap break-words">{formatValue(changes[field])}</p>
+                  </div>
+                  <div className="p-2 bg-gray-700 border border-gray-600 rounded">
+                    <p className="text-xs text-gray-400 mb-1">Other device</p>
+                    <p className="text-gray-200 whitespace-pre-wrap break-words">{formatValue(serverMoment?.[field])}</p>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <Button
+            onClick={() => onResolve('local')}
+            variant={isDelete ? 'danger' : 'primary'}
+            disabled={resolving}
+            fullWidth
+          >
+            {isDelete ? 'Delete anyway' : 'Keep mine'}
+          </Button>
+          <Button
+            onClick={() => onResolve('server')}
+            variant="secondary"
+            disabled={resolving}
+            fullWidth
+          >
+            {isDelete ? 'Keep moment' : 'Keep theirs'}
+          </Button>
+        </div>
+        <button
+          onClick={onClose}
+          className="mt-3 w-full text-sm text-gray-400 hover:text-gray-300"
+          disabled={resolving}
+        >
+          Decide later
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -3,15 +3,17 @@
 import { useState } from 'react';
 import Link from 'next/link';
 import { usePathname } from 'next/navigation';
+import { useSmartAlbums } from '@/hooks/useSmartAlbums';
 
 /**
  * Navigation Component
  * Mobile: Bottom navigation bar
- * Desktop: Sidebar navigation with collapsible feature
+ * Desktop: Sidebar navigation with collapsible feature, listing smart albums with live counts
  */
 
 export default function Navigation({ isCollapsed, setIsCollapsed, onCaptureClick }) {
   const pathname = usePathname();
+  const { albums } = useSmartAlbums();
 
   const navItems = [
     // {
@@ -51,6 +53,15 @@ export default function Navigation({ isCollapsed, setIsCollapsed, onCaptureClick
         </svg>
       ),
     },
+    {
+      name: 'Albums',
+      href: '/albums',
+      icon: (
+        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
+        </svg>
+      ),
+    },
     {
       name: 'Stats',
       href: '/stats',
@@ -225,6 +236,26 @@ export default function Navigation({ isCollapsed, setIsCollapsed, onCaptureClick
               </Link>
             );
           })}
+
+          {/* Smart Albums */}
+          {albums.length > 0 && !isCollapsed && (
+            <div className="mt-4 pt-4 border-t border-gray-700">
+              <p className="px-6 pb-2 text-xs font-semibold uppercase tracking-wider text-gray-500">
+                Smart Albums
+              </p>
+              {albums.map((album) => (
+                <Link
+                  key={album.id}
+                  href={`/timeline?album=${album.id}`}
+                  className="flex items-center justify-between px-6 py-2 text-sm text-gray-300 hover:bg-gray-700 hover:text-white transition-colors duration-200"
+                  title={album.name}
+                >
+                  <span className="truncate">⭐ {album.name}</span>
+                  <span className="ml-2 text-xs text-gray-500">{album.count}</span>
+                </Link>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Footer Info */}
@@ -134,7 +134,6 @@ export default function PushNotificationManager() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           subscription: newSubscription.toJSON(),
-          userId: 1, // TODO: Get from user context
         }),
       });
 
@@ -197,7 +196,6 @@ export default function PushNotificationManager() {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          userId: 1, // TODO: Get from user context
           title: 'Test Notification',
           body: 'This is a test notification from CapturePWA!',
           data: { url: '/settings' },
@@ -4,13 +4,21 @@ import { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
 import { getSyncManager } from '@/lib/sync-manager';
 import { useOnlineStatus } from '@/hooks/useOnlineStatus';
+import ConflictDialog from './ConflictDialog';
 
 /**
  * SyncIndicator Component
- * Shows sync status and pending item count
+ * Shows sync status, pending item count, moments that failed to sync
+ * and conflicts between offline changes and changes made elsewhere
  */
 export default function SyncIndicator() {
   const [pendingCount, setPendingCount] = useState(0);
+  const [dueCount, setDueCount] = useState(0);
+  const [failedItems, setFailedItems] = useState([]);
+  const [showFailed, setShowFailed] = useState(false);
+  const [conflicts, setConflicts] = useState([]);
+  const [activeConflict, setActiveConflict] = useState(null);
+  const [resolving, setResolving] = useState(false);
   const [syncing, setSyncing] = useState(false);
   const isOnline = useOnlineStatus();
   const [syncManager, setSyncManager] = useState(null);
@@ -55,16 +63,52 @@ export default function SyncIndicator() {
     };
   }, []);
 
-  // Trigger sync when coming back online
+  // Trigger sync when coming back online, or when queued retries become due
   useEffect(() => {
-    if (isOnline && syncManager && pendingCount > 0) {
+    if (isOnline && syncManager && dueCount > 0) {
       handleSync();
     }
-  }, [isOnline, syncManager]);
+  }, [isOnline, syncManager, dueCount]);
 
   async function updateStatus(manager) {
     const status = await manager.getSyncStatus();
     setPendingCount(status.pending);
+    setDueCount(status.due);
+    setFailedItems(status.failedItems);
+    setConflicts(status.conflicts);
+  }
+
+  async function handleResolve(keep) {
+    setResolving(true);
+    try {
+      await syncManager.resolveConflict(activeConflict.localId, keep);
+      setActiveConflict(null);
+      toast.success(keep === 'local' ? 'Your version was kept' : 'The other version was kept', {
+        duration: 3000,
+      });
+    } catch (error) {
+      console.error('[SyncIndicator] Failed to resolve conflict:', error);
+      toast.error('Failed to resolve conflict');
+    } finally {
+      setResolving(false);
+      await updateStatus(syncManager);
+    }
+  }
+
+  async function handleRetry(localId) {
+    setSyncing(true);
+    try {
+      await syncManager.retryItem(localId);
+    } finally {
+      setSyncing(false);
+      await updateStatus(syncManager);
+    }
+  }
+
+  async function handleDiscard(localId) {
+    await syncManager.discardItem(localId);
+    await updateStatus(syncManager);
+    toast.success('Pending moment discarded', { duration: 3000 });
   }
 
   async function handleSync() {
@@ -88,44 +132,109 @@ export default function SyncIndicator() {
   }
 
   // Don't render if nothing to show
-  if (pendingCount === 0 && !syncing) {
+  if (pendingCount === 0 && failedItems.length === 0 && conflicts.length === 0 && !syncing) {
     return null;
   }
 
   return (
-    <div className="flex items-center gap-2 px-3 py-1.5 bg-yellow-900/20 border border-yellow-700 rounded-lg text-sm">
-      {syncing ? (
-        <>
-          <div className="w-4 h-4 border-2 border-yellow-500 border-t-transparent rounded-full animate-spin" />
-          <span className="text-yellow-300">Syncing...</span>
-        </>
-      ) : (
-        <>
-          <svg
-            className="w-4 h-4 text-yellow-500"
-            fill="none"
-            stroke="currentColor"
-            viewBox="0 0 24 24"
-          >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
-            />
-          </svg>
-          <span className="text-yellow-300">
-            {pendingCount} moment{pendingCount !== 1 ? 's' : ''} pending sync
-          </span>
-          {isOnline && (
-            <button
-              onClick={handleSync}
-              className="ml-2 text-yellow-400 hover:text-yellow-300 underline"
-            >
-              Sync now
-            </button>
+    <div className="relative flex items-center gap-2">
+      {(pendingCount > 0 || syncing) && (
+        <div className="flex items-center gap-2 px-3 py-1.5 bg-yellow-900/20 border border-yellow-700 rounded-lg text-sm">
+          {syncing ? (
+            <>
+              <div className="w-4 h-4 border-2 border-yellow-500 border-t-transparent rounded-full animate-spin" />
+              <span className="text-yellow-300">Syncing...</span>
+            </>
+          ) : (
+            <>
+              <svg
+                className="w-4 h-4 text-yellow-500"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+                />
+              </svg>
+              <span className="text-yellow-300">
+                {pendingCount} change{pendingCount !== 1 ? 's' : ''} pending sync
+              </span>
+              {isOnline && (
+                <button
+                  onClick={handleSync}
+                  className="ml-2 text-yellow-400 hover:text-yellow-300 underline"
+                >
+                  Sync now
+                </button>
+              )}
+            </>
           )}
-        </>
+        </div>
+      )}
+
+      {/* Offline changes that clash with changes made elsewhere */}
+      {conflicts.length > 0 && (
+        <button
+          onClick={() => setActiveConflict(conflicts[0])}
+          className="px-3 py-1.5 bg-orange-900/20 border border-orange-700 rounded-lg text-sm text-orange-300 hover:text-orange-200"
+        >
+          ⚡ {conflicts.length} conflict{conflicts.length !== 1 ? 's' : ''}
+        </button>
+      )}
+
+      <ConflictDialog
+        conflict={activeConflict}
+        onResolve={handleResolve}
+        onClose={() => setActiveConflict(null)}
+        resolving={resolving}
+      />
+
+      {/* Moments that need attention */}
+      {failedItems.length > 0 && (
+        <button
+          onClick={() => setShowFailed(!showFailed)}
+          className="px-3 py-1.5 bg-red-900/20 border border-red-700 rounded-lg text-sm text-red-300 hover:text-red-200"
+        >
+          ⚠️ {failedItems.length} failed
+        </button>
+      )}
+
+      {showFailed && failedItems.length > 0 && (
+        <div className="absolute right-0 top-full mt-2 w-80 z-50 bg-gray-800 border border-gray-700 rounded-lg shadow-xl p-3 space-y-3">
+          {failedItems.map((item) => (
+            <div key={item.localId} className="text-sm border-b border-gray-700 pb-3 last:border-0 last:pb-0">
+              <p className="text-gray-200 truncate">
+                {item.operation === 'delete'
+                  ? `Delete moment #${item.momentId}`
+                  : item.description || 'Untitled moment'}
+              </p>
+              <p className="text-xs text-red-400 mt-1">
+                {item.syncError || 'Sync failed'}
+                {' • '}
+                {item.attempts} attempt{item.attempts !== 1 ? 's' : ''}
+              </p>
+              <div className="flex gap-3 mt-2">
+                <button
+                  onClick={() => handleRetry(item.localId)}
+                  disabled={!isOnline || syncing}
+                  className="text-blue-400 hover:text-blue-300 underline disabled:opacity-50"
+                >
+                  Retry
+                </button>
+                <button
+                  onClick={() => handleDiscard(item.localId)}
+                  className="text-gray-400 hover:text-red-400 underline"
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
       )}
     </div>
   );
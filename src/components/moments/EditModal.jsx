@@ -1,20 +1,27 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { updateMoment } from '@/lib/api';
 
 export default function EditModal({ moment, onClose, onSave }) {
   const [description, setDescription] = useState('');
+  const [transcript, setTranscript] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
   useEffect(() => {
     if (moment) {
       setDescription(moment.description);
+      setTranscript(moment.transcript || '');
     }
   }, [moment]);
 
   if (!moment) return null;
 
+  // Transcripts belong to audio, so the field is only offered when there is some
+  const hasAudio = !!moment.audioUrl || (moment.attachments || []).some((attachment) => attachment.type === 'audio');
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -27,22 +34,23 @@ export default function EditModal({ moment, onClose, onSave }) {
     setError('');
 
     try {
-      const response = await fetch(`/api/moments/${moment.id}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          description: description.trim(),
-        }),
-      });
-
-      if (!response.ok) {
-        const data = await response.json();
-        throw new Error(data.error || 'Failed to update moment');
+      // Queued offline if needed; conflicts are resolved from the sync indicator
+      const changes = { description: description.trim() };
+      if (transcript.trim() !== (moment.transcript || '')) {
+        changes.transcript = transcript.trim() || null;
+      }
+      const updatedMoment = await updateMoment(moment, changes);
+
+      if (updatedMoment.syncStatus === 'conflict') {
+        toast.error('This moment was changed on another device. Choose which version to keep.', {
+          duration: 5000,
+        });
+      } else if (updatedMoment.pending) {
+        toast.success('Saved offline! Will sync when online.', {
+          duration: 4000,
+        });
       }
 
-      const updatedMoment = await response.json();
       onSave(updatedMoment);
       onClose();
     } catch (err) {
@@ -72,6 +80,23 @@ export default function EditModal({ moment, onClose, onSave }) {
             />
           </div>
 
+          {(hasAudio || moment.transcript) && (
+            <div className="mb-4">
+              <label htmlFor="edit-transcript" className="block text-sm font-medium text-gray-300 mb-2">
+                Transcript
+              </label>
+              <textarea
+                id="edit-transcript"
+                value={transcript}
+                onChange={(e) => setTranscript(e.target.value)}
+                rows={3}
+                placeholder="What was said in the audio (searchable)"
+                className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-white placeholder-gray-400 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                disabled={loading}
+              />
+            </div>
+          )}
+
           {error && (
             <div className="mb-4 p-3 bg-red-900 border border-red-700 text-red-200 rounded">
               {error}
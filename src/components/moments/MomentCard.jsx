@@ -1,15 +1,19 @@
 'use client';
 
 import { useState } from 'react';
-import Image from 'next/image';
 import Button from '@/components/ui/Button';
+import ResponsiveImage from '@/components/ui/ResponsiveImage';
 import ShareButton from '@/components/ui/ShareButton';
 import MapView from '@/components/capture/MapView';
+import { AddToAlbumButton } from '@/components/albums';
+import { ShareLinksModal } from '@/components/share';
 import { useClipboard } from '@/hooks/useClipboard';
 import { useFileSystem } from '@/hooks/useFileSystem';
+import { getCoverAttachment } from '@/utils/attachment-utils';
 
 export default function MomentCard({ moment, onDelete, onEdit }) {
   const [showMap, setShowMap] = useState(false);
+  const [showShareLinks, setShowShareLinks] = useState(false);
   const { copyText, copied, loading: copying } = useClipboard();
   const { downloadImage, loading: downloading, success: downloaded } = useFileSystem();
 
@@ -25,6 +29,8 @@ export default function MomentCard({ moment, onDelete, onEdit }) {
   };
 
   const hasLocation = moment.gpsLat !== 0 || moment.gpsLng !== 0;
+  const coverImage = getCoverAttachment(moment, 'image');
+  const coverVideo = getCoverAttachment(moment, 'video');
 
   // Copy moment text
   const handleCopyText = () => {
@@ -57,11 +63,10 @@ export default function MomentCard({ moment, onDelete, onEdit }) {
       {/* Image */}
       {moment.imageUrl && (
         <div className="w-full h-48 bg-gray-700 relative cursor-pointer" onClick={() => window.open(moment.imageUrl, '_blank')}>
-          <Image
-            src={moment.imageUrl}
+          <ResponsiveImage
+            image={coverImage}
             alt="Moment"
-            fill
-            className="object-cover"
+            className="absolute inset-0 w-full h-full object-cover"
             sizes="(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 33vw"
           />
         </div>
@@ -76,8 +81,13 @@ export default function MomentCard({ moment, onDelete, onEdit }) {
         {/* Video Player */}
         {moment.videoUrl && (
           <div className="mb-3">
-            <video controls className="w-full rounded-lg">
-              <source src={moment.videoUrl} type="video/mp4" />
+            <video
+              src={coverVideo.url}
+              poster={coverVideo.posterUrl || undefined}
+              controls
+              preload="metadata"
+              className="w-full rounded-lg"
+            >
               Your browser does not support the video element.
             </video>
           </div>
@@ -162,6 +172,18 @@ export default function MomentCard({ moment, onDelete, onEdit }) {
             </p>
           )}
 
+          {moment.capturedAt && (
+            <p>
+              <span className="font-medium">Taken:</span> {formatDate(moment.capturedAt)}
+            </p>
+          )}
+
+          {moment.cameraModel && (
+            <p>
+              <span className="font-medium">Camera:</span> {moment.cameraModel}
+            </p>
+          )}
+
           {!hasLocation && (
             <p className="text-gray-500">No location</p>
           )}
@@ -207,6 +229,22 @@ export default function MomentCard({ moment, onDelete, onEdit }) {
             </Button>
           )}
 
+          {/* Add to Album (once the moment exists on the server) */}
+          {moment.id && (
+            <AddToAlbumButton momentId={moment.id} />
+          )}
+
+          {/* Share links with expiry, password and stats */}
+          {moment.id && (
+            <Button
+              onClick={() => setShowShareLinks(true)}
+              variant="secondary"
+              size="sm"
+            >
+              Share Links
+            </Button>
+          )}
+
           {/* Edit Button */}
           <Button
             onClick={() => onEdit(moment)}
@@ -226,6 +264,15 @@ export default function MomentCard({ moment, onDelete, onEdit }) {
           </Button>
         </div>
       </div>
+
+      {moment.id && (
+        <ShareLinksModal
+          isOpen={showShareLinks}
+          onClose={() => setShowShareLinks(false)}
+          target={{ momentId: moment.id }}
+          title="Share Links"
+        />
+      )}
     </div>
   );
 }
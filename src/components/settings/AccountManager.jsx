@@ -0,0 +1,151 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import {
+  fetchCurrentUser,
+  isPasskeySupported,
+  registerPasskey,
+  signOut,
+} from '@/lib/auth-client';
+
+/**
+ * AccountManager Component
+ * Shows the signed-in user, manages passkeys and signs out
+ */
+export default function AccountManager() {
+  const [user, setUser] = useState(null);
+  const [passkeys, setPasskeys] = useState([]);
+  const [passkeySupported, setPasskeySupported] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setPasskeySupported(isPasskeySupported());
+    fetchCurrentUser().then(setUser);
+    loadPasskeys();
+  }, []);
+
+  const loadPasskeys = async () => {
+    try {
+      const response = await fetch('/api/auth/passkeys');
+      if (response.ok) {
+        const data = await response.json();
+        setPasskeys(data.passkeys);
+      }
+    } catch (err) {
+      console.error('Failed to load passkeys:', err);
+    }
+  };
+
+  const handleAddPasskey = async () => {
+    setBusy(true);
+    try {
+      await registerPasskey(navigator.platform || 'Passkey');
+      toast.success('Passkey added');
+      await loadPasskeys();
+    } catch (err) {
+      // NotAllowedError = user dismissed the browser prompt
+      if (err.name !== 'NotAllowedError') {
+        toast.error(err.message);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemovePasskey = async (id) => {
+    if (!confirm('Remove this passkey? You will no longer be able to sign in with it.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/auth/passkeys?id=${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+      });
+      if (!response.ok) {
+        throw new Error('Failed to remove passkey');
+      }
+      setPasskeys((prev) => prev.filter((passkey) => passkey.id !== id));
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleSignOut = async () => {
+    setBusy(true);
+    try {
+      const signedOut = await signOut({
+        confirmDiscard: (count) => confirm(
+          `${count} offline change${count === 1 ? ' has' : 's have'} not synced yet and will be lost. Sign out anyway?`
+        ),
+      });
+      if (!signedOut) {
+        setBusy(false);
+        return;
+      }
+      window.location.assign('/login');
+    } catch (err) {
+      toast.error(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-3">
+        <div>
+          <label className="text-sm text-gray-400">User Name:</label>
+          <p className="font-medium">{user?.name || '…'}</p>
+        </div>
+        <div>
+          <label className="text-sm text-gray-400">Email:</label>
+          <p className="font-medium">{user?.email || '—'}</p>
+        </div>
+      </div>
+
+      <div className="border-t border-gray-700 pt-4">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold">Passkeys</h3>
+          {passkeySupported && (
+            <Button variant="secondary" size="sm" onClick={handleAddPasskey} disabled={busy}>
+              Add passkey
+            </Button>
+          )}
+        </div>
+
+        {passkeys.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {passkeySupported
+              ? 'No passkeys yet. Add one to sign in without a password.'
+              : 'This browser does not support passkeys.'}
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {passkeys.map((passkey) => (
+              <li key={passkey.id} className="flex items-center justify-between bg-gray-700/50 rounded-lg px-3 py-2">
+                <div>
+                  <p className="text-sm font-medium">{passkey.name || 'Passkey'}</p>
+                  <p className="text-xs text-gray-400">
+                    Added {new Date(passkey.createdAt).toLocaleDateString()}
+                    {passkey.lastUsedAt && ` · last used ${new Date(passkey.lastUsedAt).toLocaleDateString()}`}
+                    {passkey.backedUp && ' · synced'}
+                  </p>
+                </div>
+                <Button variant="danger" size="sm" onClick={() => handleRemovePasskey(passkey.id)}>
+                  Remove
+                </Button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="border-t border-gray-700 pt-4">
+        <Button variant="danger" size="sm" onClick={handleSignOut} disabled={busy}>
+          Sign out
+        </Button>
+      </div>
+    </div>
+  );
+}
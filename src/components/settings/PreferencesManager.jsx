@@ -5,13 +5,14 @@ import Button from '@/components/ui/Button';
 
 /**
  * PreferencesManager Component
- * Manages user preferences: dark mode, vibration, auto-sync
+ * Manages user preferences: dark mode, vibration, auto-sync, photo location
  */
 export default function PreferencesManager() {
   const [preferences, setPreferences] = useState({
     darkMode: true,
     vibration: true,
     autoSync: true,
+    stripPhotoLocation: true,
   });
   const [hasChanges, setHasChanges] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -34,6 +35,7 @@ export default function PreferencesManager() {
           darkMode: parsed.darkMode !== undefined ? parsed.darkMode : true,
           vibration: parsed.vibration !== undefined ? parsed.vibration : true,
           autoSync: parsed.autoSync !== undefined ? parsed.autoSync : true,
+          stripPhotoLocation: parsed.stripPhotoLocation !== undefined ? parsed.stripPhotoLocation : true,
         });
       }
     } catch (err) {
@@ -95,6 +97,7 @@ export default function PreferencesManager() {
         darkMode: true,
         vibration: true,
         autoSync: true,
+        stripPhotoLocation: true,
       };
       setPreferences(defaults);
       setHasChanges(true);
@@ -205,6 +208,34 @@ export default function PreferencesManager() {
             </button>
           </div>
         </div>
+
+        {/* Photo Location Toggle */}
+        <div className="p-4 bg-gray-900/50 border border-gray-700 rounded-lg">
+          <div className="flex items-center justify-between">
+            <div>
+              <div className="flex items-center gap-2 mb-1">
+                <span className="text-xl">📍</span>
+                <h4 className="font-medium">Remove Location From Photos</h4>
+              </div>
+              <p className="text-sm text-gray-400">
+                Store photos without their GPS data, so shared photos don&apos;t reveal where they were taken
+              </p>
+            </div>
+            <button
+              onClick={() => handleToggle('stripPhotoLocation')}
+              className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                preferences.stripPhotoLocation ? 'bg-blue-600' : 'bg-gray-600'
+              }`}
+              aria-label="Toggle removing location from photos"
+            >
+              <span
+                className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                  preferences.stripPhotoLocation ? 'translate-x-6' : 'translate-x-1'
+                }`}
+              />
+            </button>
+          </div>
+        </div>
       </div>
 
       {/* Action Buttons */}
@@ -0,0 +1,75 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { ShareLinkRow } from '@/components/share';
+import { SHARE_LINKS_CHANGED_EVENT } from '@/utils/share-link-utils';
+import { describeAlbumFilters } from '@/utils/smart-album-utils';
+
+/**
+ * What a link shares, for the list of all links
+ */
+function getLinkLabel(link) {
+  if (link.kind === 'moment') return `Moment #${link.momentId}`;
+  if (link.kind === 'album') return `Album: ${link.albumName || `#${link.albumId}`}`;
+
+  const summary = link.filters ? describeAlbumFilters(link.filters) : [];
+  return link.title || (summary.length > 0 ? `Moments: ${summary.join(', ')}` : 'All moments');
+}
+
+/**
+ * ShareLinksManager Component
+ * Lists every share link of the signed-in user with its views, rotate and revoke
+ */
+export default function ShareLinksManager() {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showRevoked, setShowRevoked] = useState(false);
+
+  const loadLinks = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/share-links${showRevoked ? '?includeRevoked=true' : ''}`);
+      if (response.ok) {
+        setLinks(await response.json());
+      }
+    } catch (err) {
+      console.error('Failed to load share links:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [showRevoked]);
+
+  useEffect(() => {
+    loadLinks();
+
+    window.addEventListener(SHARE_LINKS_CHANGED_EVENT, loadLinks);
+    return () => window.removeEventListener(SHARE_LINKS_CHANGED_EVENT, loadLinks);
+  }, [loadLinks]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-sm text-gray-400">
+          Links to moments, albums and filtered sets. Anyone with an active link can view without signing in.
+        </p>
+        <label className="flex items-center gap-2 text-sm text-gray-400 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={showRevoked}
+            onChange={(e) => setShowRevoked(e.target.checked)}
+          />
+          Show revoked
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="h-20 bg-gray-700 rounded animate-pulse" />
+      ) : links.length === 0 ? (
+        <p className="text-sm text-gray-500">You have not shared anything yet.</p>
+      ) : (
+        links.map((link) => (
+          <ShareLinkRow key={`${link.id}-${link.status}-${link.token}`} link={link} label={getLinkLabel(link)} />
+        ))
+      )}
+    </div>
+  );
+}
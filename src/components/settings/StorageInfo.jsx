@@ -125,6 +125,7 @@ export default function StorageInfo() {
       // Clear all tables
       await db.moments.clear();
       await db.pendingMoments.clear();
+      await db.syncState.clear();
 
       console.log('IndexedDB cleared');
 
@@ -161,6 +162,7 @@ export default function StorageInfo() {
       // Clear IndexedDB
       await db.moments.clear();
       await db.pendingMoments.clear();
+      await db.syncState.clear();
 
       // Clear localStorage
       localStorage.clear();
@@ -0,0 +1,118 @@
+'use client';
+
+import { useState } from 'react';
+import Input from '@/components/ui/Input';
+import Button from '@/components/ui/Button';
+import { EXPIRY_OPTIONS, SHARE_LINKS_CHANGED_EVENT, getExpiryDate } from '@/utils/share-link-utils';
+
+/**
+ * Create a share link with optional expiry, password, title and hidden details
+ * target: { momentId } | { albumId } | { filters }; onCreated receives the new link
+ */
+export default function ShareLinkForm({ target, defaultTitle = '', onCreated }) {
+  const [expiryDays, setExpiryDays] = useState('');
+  const [password, setPassword] = useState('');
+  const [title, setTitle] = useState(defaultTitle);
+  const [hideLocation, setHideLocation] = useState(false);
+  const [hideAuthor, setHideAuthor] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/share-links', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...target,
+          title: target.filters ? title : undefined,
+          expiresAt: getExpiryDate(expiryDays ? parseInt(expiryDays, 10) : null),
+          password: password || null,
+          hideLocation,
+          hideAuthor,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create share link');
+      }
+
+      setPassword('');
+      window.dispatchEvent(new Event(SHARE_LINKS_CHANGED_EVENT));
+      onCreated?.(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {target.filters && (
+        <Input
+          label="Title shown to viewers"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="e.g. Our trip to Lisbon"
+          maxLength={100}
+        />
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-300 mb-2">Expires</label>
+          <select
+            value={expiryDays}
+            onChange={(e) => setExpiryDays(e.target.value)}
+            className="w-full px-3 py-2 bg-gray-700 border border-gray-600 text-white rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.days || ''}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <Input
+          label="Password (optional)"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="new-password"
+          minLength={4}
+          maxLength={128}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm text-gray-300">
+        <label className="flex items-center gap-2" title="Rounds the location to about 1 km and shares photos without their GPS data">
+          <input
+            type="checkbox"
+            checked={hideLocation}
+            onChange={(e) => setHideLocation(e.target.checked)}
+          />
+          Hide exact location
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={hideAuthor}
+            onChange={(e) => setHideAuthor(e.target.checked)}
+          />
+          Hide my name
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      <Button type="submit" loading={creating} disabled={creating} fullWidth>
+        Create Link
+      </Button>
+    </form>
+  );
+}
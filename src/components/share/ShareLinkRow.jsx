@@ -0,0 +1,184 @@
+'use client';
+
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import { useClipboard } from '@/hooks/useClipboard';
+import { SHARE_LINKS_CHANGED_EVENT } from '@/utils/share-link-utils';
+import ShareQrCode from './ShareQrCode';
+
+const STATUS_STYLES = {
+  active: 'bg-green-900 text-green-200',
+  expired: 'bg-yellow-900 text-yellow-200',
+  revoked: 'bg-gray-700 text-gray-300',
+};
+
+/**
+ * One share link for its owner: URL, QR code, status, views, analytics, audience options, rotate and revoke
+ * label (optional): what the link shares, for lists mixing several targets
+ */
+export default function ShareLinkRow({ link: initialLink, label = null }) {
+  const { copyText } = useClipboard();
+  const [link, setLink] = useState(initialLink);
+  const [analytics, setAnalytics] = useState(null);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [showQrCode, setShowQrCode] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+  /**
+   * Send a change to the link and show the result
+   */
+  const updateLink = async (method, body, successMessage) => {
+    setBusy(true);
+    try {
+      const response = await fetch(`/api/share-links/${link.id}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to update share link');
+
+      setLink(data);
+      window.dispatchEvent(new Event(SHARE_LINKS_CHANGED_EVENT));
+      toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRotate = () => {
+    if (!confirm('Create a new URL for this link? The current URL stops working.')) return;
+    updateLink('PATCH', { rotateToken: true }, 'New link created. Share the new URL.');
+  };
+
+  const toggleOption = (option) => {
+    const hidden = !link[option];
+    updateLink('PATCH', { [option]: hidden }, hidden ? 'Hidden from viewers' : 'Shown to viewers');
+  };
+
+  const handleRevoke = () => {
+    if (!confirm('Revoke this link? It stops working for good.')) return;
+    updateLink('DELETE', null, 'Link revoked');
+  };
+
+  const toggleAnalytics = async () => {
+    if (showAnalytics) {
+      setShowAnalytics(false);
+      return;
+    }
+
+    setShowAnalytics(true);
+    try {
+      const response = await fetch(`/api/share-links/${link.id}`);
+      if (!response.ok) throw new Error('Failed to fetch analytics');
+      const data = await response.json();
+      setAnalytics(data.analytics);
+    } catch (error) {
+      console.error('Error fetching share link analytics:', error);
+      toast.error('Could not load analytics');
+    }
+  };
+
+  const maxDaily = analytics ? Math.max(1, ...analytics.daily.map((day) => day.views)) : 1;
+
+  return (
+    <div className={`bg-gray-900/50 border border-gray-700 rounded-lg p-3 ${link.status === 'revoked' ? 'opacity-60' : ''}`}>
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className={`px-2 py-0.5 rounded ${STATUS_STYLES[link.status]}`}>{link.status}</span>
+        {link.hasPassword && <span className="text-gray-400" title="Password protected">🔒</span>}
+        {link.hideLocation && <span className="text-gray-400" title="Exact location hidden">📍✕</span>}
+        {link.hideAuthor && <span className="text-gray-400" title="Your name is hidden">👤✕</span>}
+        {label && <span className="text-gray-300 font-medium truncate">{label}</span>}
+        <span className="text-gray-500">
+          {link.expiresAt ? `${link.status === 'expired' ? 'Expired' : 'Expires'} ${formatDate(link.expiresAt)}` : 'No expiry'}
+        </span>
+        <span className="text-gray-500">· {link.viewCount} view{link.viewCount !== 1 ? 's' : ''}</span>
+      </div>
+
+      {link.status !== 'revoked' && (
+        <p className="mt-2 text-sm text-gray-300 font-mono truncate" title={link.url}>{link.url}</p>
+      )}
+
+      <div className="mt-2 flex flex-wrap gap-2">
+        {link.status === 'active' && (
+          <>
+            <Button onClick={() => copyText(link.url)} variant="secondary" size="sm">
+              Copy
+            </Button>
+            <Button onClick={() => setShowQrCode(!showQrCode)} variant="secondary" size="sm">
+              {showQrCode ? 'Hide QR' : 'QR Code'}
+            </Button>
+          </>
+        )}
+        <Button onClick={toggleAnalytics} variant="secondary" size="sm">
+          {showAnalytics ? 'Hide Stats' : 'Stats'}
+        </Button>
+        {link.status !== 'revoked' && (
+          <>
+            <Button onClick={() => toggleOption('hideLocation')} variant="secondary" size="sm" disabled={busy}>
+              {link.hideLocation ? 'Show Location' : 'Hide Location'}
+            </Button>
+            <Button onClick={() => toggleOption('hideAuthor')} variant="secondary" size="sm" disabled={busy}>
+              {link.hideAuthor ? 'Show Name' : 'Hide Name'}
+            </Button>
+            <Button onClick={handleRotate} variant="secondary" size="sm" disabled={busy}>
+              New URL
+            </Button>
+            <Button onClick={handleRevoke} variant="danger" size="sm" disabled={busy}>
+              Revoke
+            </Button>
+          </>
+        )}
+      </div>
+
+      {showQrCode && link.status === 'active' && (
+        <div className="mt-3 border-t border-gray-700 pt-3">
+          <ShareQrCode url={link.url} defaultCaption={link.title || label || ''} />
+        </div>
+      )}
+
+      {showAnalytics && (
+        <div className="mt-3 border-t border-gray-700 pt-3 text-xs text-gray-400">
+          {!analytics ? (
+            <div className="h-16 bg-gray-800 rounded animate-pulse" />
+          ) : (
+            <>
+              <p>
+                {analytics.totalViews} total views · {analytics.recentViews} in the last {analytics.days} days
+                from {analytics.uniqueVisitors} visitor{analytics.uniqueVisitors !== 1 ? 's' : ''}
+                {analytics.lastViewedAt && ` · last viewed ${formatDate(analytics.lastViewedAt)}`}
+              </p>
+
+              {/* Daily views */}
+              <div className="mt-2 flex items-end gap-px h-12" aria-label="Views per day">
+                {analytics.daily.map((day) => (
+                  <div
+                    key={day.date}
+                    className="flex-1 bg-blue-500 rounded-t"
+                    style={{ height: `${(day.views / maxDaily) * 100}%`, minHeight: day.views ? '2px' : 0 }}
+                    title={`${day.date}: ${day.views} view${day.views !== 1 ? 's' : ''}`}
+                  />
+                ))}
+              </div>
+
+              {analytics.referrers.length > 0 && (
+                <p className="mt-2">
+                  From: {analytics.referrers.map((referrer) => `${referrer.host} (${referrer.views})`).join(', ')}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
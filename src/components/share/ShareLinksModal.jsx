@@ -0,0 +1,69 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import Modal from '@/components/ui/Modal';
+import ShareLinkForm from './ShareLinkForm';
+import ShareLinkRow from './ShareLinkRow';
+import { useClipboard } from '@/hooks/useClipboard';
+
+/**
+ * Manage the share links of a moment, an album or a filtered set
+ * target: { momentId } | { albumId } | { filters }
+ * Filtered sets have no fixed identity, so only links created here are listed for them
+ */
+export default function ShareLinksModal({ isOpen, onClose, target, title = 'Share', defaultTitle = '' }) {
+  const { copyText } = useClipboard();
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const query = target.momentId
+    ? `momentId=${target.momentId}`
+    : target.albumId
+      ? `albumId=${target.albumId}`
+      : null;
+
+  const fetchLinks = useCallback(async () => {
+    if (!query) return;
+
+    setLoading(true);
+    try {
+      const response = await fetch(`/api/share-links?${query}`);
+      if (!response.ok) throw new Error('Failed to fetch share links');
+      setLinks(await response.json());
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    if (isOpen) fetchLinks();
+  }, [isOpen, fetchLinks]);
+
+  const handleCreated = async (link) => {
+    setLinks((prev) => [link, ...prev]);
+    await copyText(link.url);
+    toast.success('Link created and copied');
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title} size="md">
+      <div className="space-y-5">
+        <ShareLinkForm target={target} defaultTitle={defaultTitle} onCreated={handleCreated} />
+
+        <div className="border-t border-gray-700 pt-4 space-y-2">
+          <h3 className="text-sm font-semibold text-gray-300">Links</h3>
+          {loading && links.length === 0 ? (
+            <div className="h-20 bg-gray-700 rounded animate-pulse" />
+          ) : links.length === 0 ? (
+            <p className="text-sm text-gray-500">No links yet. Anyone with a link can view without signing in.</p>
+          ) : (
+            links.map((link) => <ShareLinkRow key={link.id} link={link} />)
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,30 @@
+import Link from 'next/link';
+
+/**
+ * Full-page message on public share pages (expired links and similar)
+ * Children are shown below the message
+ */
+export default function ShareNotice({ title, message, children }) {
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-900 to-black text-white flex items-center justify-center px-4">
+      <div className="max-w-md w-full text-center">
+        <div className="mb-8">
+          <div className="w-24 h-24 mx-auto bg-gray-800 rounded-full flex items-center justify-center">
+            <svg className="w-12 h-12 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+            </svg>
+          </div>
+        </div>
+
+        <h1 className="text-4xl font-bold mb-4">{title}</h1>
+        <p className="text-gray-400 mb-8">{message}</p>
+
+        {children}
+
+        <p className="mt-8 text-sm text-gray-500">
+          Shared with <Link href="/" className="text-blue-400 font-semibold">CapturePWA</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import Button from '@/components/ui/Button';
+import { downloadFile } from '@/lib/filesystem-utils';
+import { MAX_QR_CAPTION_LENGTH, getShareQrUrl } from '@/utils/share-link-utils';
+
+// Printed size of downloaded PNGs (pixels)
+const PNG_SIZE = 1024;
+
+/**
+ * Printable QR code of a share URL with optional logo and caption, downloadable as SVG or PNG
+ * defaultCaption: caption field's initial text
+ * compact: hide the logo/caption options (e.g. on public share pages)
+ */
+export default function ShareQrCode({ url, defaultCaption = '', compact = false }) {
+  const [logo, setLogo] = useState(true);
+  const [caption, setCaption] = useState(defaultCaption.slice(0, MAX_QR_CAPTION_LENGTH));
+  const [previewCaption, setPreviewCaption] = useState(caption);
+  const [downloading, setDownloading] = useState(null);
+
+  // Redraw the preview once typing pauses
+  useEffect(() => {
+    const timeout = setTimeout(() => setPreviewCaption(caption), 400);
+    return () => clearTimeout(timeout);
+  }, [caption]);
+
+  const options = { logo, caption };
+
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    try {
+      const response = await fetch(getShareQrUrl(url, { ...options, format, size: PNG_SIZE }));
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to create QR code');
+      }
+
+      const result = await downloadFile(await response.blob(), `share-qr-code.${format}`);
+      if (!result.success) throw new Error(result.error || 'Download failed');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <img
+        src={getShareQrUrl(url, { logo, caption: previewCaption, format: 'svg' })}
+        alt="QR code of the share link"
+        className="w-48 mx-auto rounded bg-white"
+      />
+
+      {!compact && (
+        <div className="space-y-2">
+          <input
+            type="text"
+            value={caption}
+            onChange={(e) => setCaption(e.target.value)}
+            placeholder="Caption below the code (optional)"
+            maxLength={MAX_QR_CAPTION_LENGTH}
+            className="w-full px-3 py-2 text-sm bg-gray-800 border border-gray-600 text-white placeholder-gray-500 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={logo}
+              onChange={(e) => setLogo(e.target.checked)}
+            />
+            Show the app logo in the middle
+          </label>
+        </div>
+      )}
+
+      <div className="flex justify-center gap-2">
+        <Button
+          type="button"
+          onClick={() => handleDownload('png')}
+          variant="secondary"
+          size="sm"
+          loading={downloading === 'png'}
+          disabled={!!downloading}
+        >
+          💾 PNG
+        </Button>
+        <Button
+          type="button"
+          onClick={() => handleDownload('svg')}
+          variant="secondary"
+          size="sm"
+          loading={downloading === 'svg'}
+          disabled={!!downloading}
+        >
+          💾 SVG
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+'use client';
+
+import { useState } from 'react';
+import Button from '@/components/ui/Button';
+import ShareLinksModal from './ShareLinksModal';
+
+/**
+ * Share the moments matching the current timeline or gallery filters
+ * Filters: any subset of the smart album filter definition (see src/utils/smart-album-utils.js)
+ */
+export default function ShareSetButton({ filters }) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <>
+      <Button onClick={() => setOpen(true)} variant="secondary" size="sm">
+        🔗 Share These
+      </Button>
+
+      <ShareLinksModal
+        isOpen={open}
+        onClose={() => setOpen(false)}
+        target={{ filters }}
+        title="Share These Moments"
+      />
+    </>
+  );
+}
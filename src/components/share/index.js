@@ -0,0 +1,11 @@
+/**
+ * Share link components exports
+ */
+
+export { default as ShareLinkForm } from './ShareLinkForm';
+export { default as ShareLinkRow } from './ShareLinkRow';
+export { default as ShareLinksModal } from './ShareLinksModal';
+export { default as ShareSetButton } from './ShareSetButton';
+export { default as ShareNotice } from './ShareNotice';
+export { default as ShareQrCode } from './ShareQrCode';
+export { default as SharePasswordForm } from './SharePasswordForm';
@@ -2,19 +2,25 @@
 
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import toast from 'react-hot-toast';
+import { deleteMoment } from '@/lib/api';
 import { groupMomentsByDate } from '@/utils/date-grouping';
 import TimelineGroup from './TimelineGroup';
+import TimelineItem from './TimelineItem';
 import TimelineSearch from './TimelineSearch';
 import TimelineFilters from './TimelineFilters';
 import Button from '@/components/ui/Button';
 import Skeleton from '@/components/ui/Skeleton';
 import EditModal from '@/components/moments/EditModal';
+import { SaveSmartAlbumButton, SmartAlbumHeader } from '@/components/albums';
+import { ShareSetButton } from '@/components/share';
 
 /**
  * Main timeline content component
  * Manages state for search, filters, pagination, and moment display
+ * albumId (optional): show only the moments of a smart album
  */
-export default function TimelineContent({ initialData }) {
+export default function TimelineContent({ initialData, albumId = null }) {
   const router = useRouter();
   const [moments, setMoments] = useState(initialData?.moments || []);
   const [pagination, setPagination] = useState(initialData?.pagination || {});
@@ -44,7 +50,6 @@ export default function TimelineContent({ initialData }) {
       const queryParams = new URLSearchParams({
         page: page.toString(),
         limit: '20',
-        searchQuery,
         tagIds: JSON.stringify(filters.tagIds),
       });
 
@@ -54,8 +59,17 @@ export default function TimelineContent({ initialData }) {
       if (filters.mood) {
         queryParams.append('mood', filters.mood);
       }
+      if (albumId) {
+        queryParams.append('albumId', albumId.toString());
+      }
+
+      // Searches go to full-text search, which ranks results by relevance
+      if (searchQuery.trim()) {
+        queryParams.append('q', searchQuery);
+      }
+      const endpoint = searchQuery.trim() ? '/api/search' : '/api/timeline';
 
-      const response = await fetch(`/api/timeline?${queryParams}`);
+      const response = await fetch(`${endpoint}?${queryParams}`);
       if (!response.ok) throw new Error('Failed to fetch moments');
 
       const data = await response.json();
@@ -126,17 +140,23 @@ export default function TimelineContent({ initialData }) {
     }
 
     try {
-      const response = await fetch(`/api/moments/${id}`, {
-        method: 'DELETE',
-      });
-
-      if (!response.ok && response.status !== 204) {
-        throw new Error('Failed to delete moment');
-      }
+      // Queued offline if needed; the moment disappears right away either way
+      const result = await deleteMoment(moments.find((m) => m.id === id));
 
       // Remove moment from list and refresh
       setMoments(moments.filter((m) => m.id !== id));
-      router.refresh();
+
+      if (result.conflict) {
+        toast.error('This moment was changed on another device. Choose whether to delete it anyway.', {
+          duration: 5000,
+        });
+      } else if (result.pending) {
+        toast.success('Deleted offline! Will sync when online.', {
+          duration: 4000,
+        });
+      } else {
+        router.refresh();
+      }
     } catch (err) {
       alert('Error deleting moment: ' + err.message);
     }
@@ -148,7 +168,10 @@ export default function TimelineContent({ initialData }) {
   const handleSave = (updatedMoment) => {
     // Update moment in list
     setMoments(moments.map((m) => (m.id === updatedMoment.id ? updatedMoment : m)));
-    router.refresh();
+    // Server data would not include an edit that is still queued
+    if (!updatedMoment.pending) {
+      router.refresh();
+    }
   };
 
   /**
@@ -158,8 +181,9 @@ export default function TimelineContent({ initialData }) {
     setEditingMoment(null);
   };
 
-  // Group moments by date
-  const groupedMoments = groupMomentsByDate(moments);
+  // Group moments by date (search results keep their ranking instead)
+  const isSearching = searchQuery.trim() !== '';
+  const groupedMoments = isSearching ? [] : groupMomentsByDate(moments);
 
   const hasActiveFilters =
     searchQuery ||
@@ -182,6 +206,13 @@ export default function TimelineContent({ initialData }) {
 
       {/* Main Timeline */}
       <div className="flex-1 min-w-0">
+        {/* Smart Album */}
+        {albumId && (
+          <div className="mb-6">
+            <SmartAlbumHeader albumId={albumId} view="timeline" />
+          </div>
+        )}
+
         {/* Search Bar */}
         <div className="mb-6">
           <TimelineSearch
@@ -190,6 +221,12 @@ export default function TimelineContent({ initialData }) {
             onToggleFilters={() => setShowFilters(!showFilters)}
             showFilters={showFilters}
           />
+          {hasActiveFilters && !albumId && (
+            <div className="mt-3 flex justify-end gap-2">
+              <ShareSetButton filters={{ query: searchQuery, ...filters }} />
+              <SaveSmartAlbumButton filters={{ query: searchQuery, ...filters }} />
+            </div>
+          )}
         </div>
 
         {/* Timeline Groups */}
@@ -206,6 +243,19 @@ export default function TimelineContent({ initialData }) {
               </p>
             )}
           </div>
+        ) : isSearching ? (
+          <div className="space-y-6">
+            <h2 className="text-sm text-gray-400">Best matches first</h2>
+            {moments.map((moment, index) => (
+              <TimelineItem
+                key={moment.id}
+                moment={moment}
+                isLast={index === moments.length - 1}
+                onEdit={handleEdit}
+                onDelete={handleDelete}
+              />
+            ))}
+          </div>
         ) : (
           <div className="space-y-8">
             {groupedMoments.map((group) => (
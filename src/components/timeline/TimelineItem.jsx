@@ -3,9 +3,12 @@
 import { useState } from 'react';
 import Image from 'next/image';
 import { formatTimelineDate, getTimeAgo } from '@/utils/date-grouping';
+import { splitSnippet } from '@/utils/search-utils';
+import { getAudioWaveform, getCoverAttachment } from '@/utils/attachment-utils';
 import MapView from '@/components/capture/MapView';
 import ShareButton from '@/components/ui/ShareButton';
 import Button from '@/components/ui/Button';
+import WaveformPlayer from '@/components/ui/WaveformPlayer';
 
 /**
  * Individual timeline item
@@ -16,6 +19,7 @@ export default function TimelineItem({ moment, isLast, onEdit, onDelete }) {
 
   const hasLocation = moment.gpsLat !== 0 || moment.gpsLng !== 0;
   const hasMedia = moment.imageUrl || moment.audioUrl || moment.videoUrl;
+  const coverVideo = getCoverAttachment(moment, 'video');
 
   return (
     <div className="relative pl-0 md:pl-16">
@@ -41,8 +45,13 @@ export default function TimelineItem({ moment, isLast, onEdit, onDelete }) {
 
         {moment.videoUrl && (
           <div className="w-full">
-            <video controls className="w-full h-auto max-h-96">
-              <source src={moment.videoUrl} type="video/mp4" />
+            <video
+              src={coverVideo.url}
+              poster={coverVideo.posterUrl || undefined}
+              controls
+              preload="metadata"
+              className="w-full h-auto max-h-96"
+            >
               Your browser does not support the video element.
             </video>
           </div>
@@ -50,10 +59,10 @@ export default function TimelineItem({ moment, isLast, onEdit, onDelete }) {
 
         {moment.audioUrl && (
           <div className="p-4 bg-gray-750">
-            <audio controls className="w-full">
-              <source src={moment.audioUrl} type="audio/mpeg" />
-              Your browser does not support the audio element.
-            </audio>
+            <WaveformPlayer
+              src={moment.audioUrl}
+              peaks={getAudioWaveform(getCoverAttachment(moment, 'audio'))}
+            />
           </div>
         )}
 
@@ -107,6 +116,31 @@ export default function TimelineItem({ moment, isLast, onEdit, onDelete }) {
             {moment.description}
           </p>
 
+          {/* Voice-to-text of the audio */}
+          {moment.transcript && (
+            <details className="mb-4 text-sm">
+              <summary className="cursor-pointer text-gray-400 hover:text-gray-200">🎤 Transcript</summary>
+              <p className="mt-2 text-gray-300 whitespace-pre-wrap border-l-2 border-green-700 pl-3">
+                {moment.transcript}
+              </p>
+            </details>
+          )}
+
+          {/* Search Match (description, location, tags, category or transcript) */}
+          {moment.snippet && (
+            <p className="text-sm text-gray-400 mb-4 border-l-2 border-blue-500 pl-3">
+              {splitSnippet(moment.snippet).map((part, index) => (
+                part.match ? (
+                  <mark key={index} className="bg-yellow-500/30 text-yellow-100 rounded px-0.5">
+                    {part.text}
+                  </mark>
+                ) : (
+                  <span key={index}>{part.text}</span>
+                )
+              ))}
+            </p>
+          )}
+
           {/* Metadata Flex */}
           <div className="flex flex-wrap gap-3 text-sm">
             {/* Mood */}
@@ -4,7 +4,7 @@ import { useState, useEffect } from 'react';
 
 /**
  * Timeline search component
- * Debounced search input for filtering moments
+ * Debounced full-text search input; supports "exact phrase", prefix*, OR and -exclude
  */
 export default function TimelineSearch({
   searchQuery,
@@ -50,7 +50,7 @@ export default function TimelineSearch({
           type="text"
           value={inputValue}
           onChange={(e) => setInputValue(e.target.value)}
-          placeholder="Search descriptions, locations..."
+          placeholder='Search moments, tags, transcripts... ("phrase", OR, -exclude)'
           className="w-full pl-10 pr-10 py-3 bg-gray-800 text-gray-200 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
         />
         {inputValue && (
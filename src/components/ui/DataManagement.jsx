@@ -22,6 +22,8 @@ export default function DataManagement() {
   const [loadingMoments, setLoadingMoments] = useState(false);
   const [importPreview, setImportPreview] = useState(null);
   const [importing, setImporting] = useState(false);
+  // Idempotency-Key of the loaded file: retrying its bulk import does not duplicate moments
+  const [importKey, setImportKey] = useState(null);
 
   const { exportMoments, loading: exporting, error: exportError, success: exportSuccess } = useExportMoments();
   const { importMoments, importedData, clearImportedData, loading: loadingImport, error: importError } = useImportMoments();
@@ -68,6 +70,7 @@ export default function DataManagement() {
 
     if (result.success) {
       setImportPreview(result.data);
+      setImportKey(crypto.randomUUID());
     }
 
     // Reset file input
@@ -125,14 +128,18 @@ export default function DataManagement() {
       // Call bulk import API that uses Prisma transaction
       const response = await fetch('/api/moments/bulk-import', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': importKey,
+        },
         body: JSON.stringify({ moments: momentsToImport }),
       });
 
       const result = await response.json();
 
       if (result.success) {
-        alert(`✅ Bulk import successful!\n\n${result.count} moments imported atomically using Prisma transaction.\n\nAll moments imported or none (atomic operation).`);
+        const skipped = result.existing > 0 ? `\n\n${result.existing} moments were already imported and skipped.` : '';
+        alert(`✅ Bulk import successful!\n\n${result.count} moments imported atomically using Prisma transaction.${skipped}\n\nAll moments imported or none (atomic operation).`);
       } else {
         throw new Error(result.message || 'Bulk import failed');
       }
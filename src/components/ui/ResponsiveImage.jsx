@@ -0,0 +1,48 @@
+import { IMAGE_VARIANT_FORMATS, getImageVariants } from '@/utils/attachment-utils';
+
+/**
+ * Reusable ResponsiveImage component
+ * Serves the resized AVIF/WebP copies of a photo with srcset, showing its blurred
+ * placeholder while loading. Photos without copies use their original URL.
+ */
+export default function ResponsiveImage({
+  image,
+  alt = '',
+  sizes = '100vw',
+  loading = 'lazy',
+  className = '',
+  style,
+  ...props
+}) {
+  const variants = getImageVariants(image);
+  const fallback = variants?.webp?.at(-1)?.url || image.url;
+
+  return (
+    <picture>
+      {variants && IMAGE_VARIANT_FORMATS.filter((format) => variants[format]).map((format) => (
+        <source
+          key={format}
+          type={`image/${format}`}
+          srcSet={variants[format].map(({ width, url }) => `${url} ${width}w`).join(', ')}
+          sizes={sizes}
+        />
+      ))}
+      <img
+        src={fallback}
+        alt={alt}
+        loading={loading}
+        decoding="async"
+        className={className}
+        style={{
+          ...(image.placeholder && {
+            backgroundImage: `url(${image.placeholder})`,
+            backgroundSize: 'cover',
+            backgroundPosition: 'center',
+          }),
+          ...style,
+        }}
+        {...props}
+      />
+    </picture>
+  );
+}
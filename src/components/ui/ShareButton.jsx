@@ -2,12 +2,15 @@
 
 import { useState, useEffect } from 'react';
 import Button from './Button';
+// Not the share barrel: it pulls in the share link modal
+import ShareQrCode from '@/components/share/ShareQrCode';
 
 /**
  * ShareButton Component - Web Share API Implementation
  *
  * Allows sharing content using the device's native share functionality.
  * Falls back to clipboard copy on unsupported browsers.
+ * Also shows a printable QR code of the share link.
  *
  * @param {Object} props
  * @param {Object} props.moment - Moment object to share
@@ -17,8 +20,10 @@ import Button from './Button';
 export default function ShareButton({ moment, onShareSuccess, className = '' }) {
   const [isSharing, setIsSharing] = useState(false);
   const [showCopied, setShowCopied] = useState(false);
-  const [shareToken, setShareToken] = useState(moment.shareToken);
+  const [shareToken, setShareToken] = useState(null);
   const [canShare, setCanShare] = useState(false);
+  const [qrUrl, setQrUrl] = useState(null);
+  const [loadingQr, setLoadingQr] = useState(false);
 
   /**
    * Check if Web Share API is supported (only on client)
@@ -29,7 +34,7 @@ export default function ShareButton({ moment, onShareSuccess, className = '' })
   }, []);
 
   /**
-   * Generate share token if one doesn't exist
+   * Get a share link token (the server reuses an active link without options)
    */
   const ensureShareToken = async () => {
     if (shareToken) return shareToken;
@@ -138,6 +143,25 @@ export default function ShareButton({ moment, onShareSuccess, className = '' })
     }
   };
 
+  /**
+   * Show or hide the QR code of the share link
+   */
+  const toggleQrCode = async () => {
+    if (qrUrl) {
+      setQrUrl(null);
+      return;
+    }
+
+    setLoadingQr(true);
+    try {
+      setQrUrl(await getShareUrl());
+    } catch {
+      alert('Failed to create share link. Please try again.');
+    } finally {
+      setLoadingQr(false);
+    }
+  };
+
   /**
    * Main click handler
    */
@@ -160,6 +184,16 @@ export default function ShareButton({ moment, onShareSuccess, className = '' })
       >
         {isSharing ? 'Sharing...' : showCopied ? 'Copied!' : (canShare ? 'Share' : 'Copy Link')}
       </Button>
+      <Button
+        onClick={toggleQrCode}
+        disabled={loadingQr}
+        variant="secondary"
+        loading={loadingQr}
+        className="ml-2"
+        title="QR code of the share link"
+      >
+        {qrUrl ? 'Hide QR' : 'QR Code'}
+      </Button>
 
       {/* Success indicator */}
       {showCopied && (
@@ -167,6 +201,12 @@ export default function ShareButton({ moment, onShareSuccess, className = '' })
           Link copied to clipboard!
         </div>
       )}
+
+      {qrUrl && (
+        <div className="mt-3 p-3 bg-gray-900 border border-gray-700 rounded-lg">
+          <ShareQrCode url={qrUrl} defaultCaption={moment.description?.slice(0, 60) || ''} />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,72 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+
+const COLORS = {
+  played: 'rgb(96, 165, 250)', // blue-400
+  unplayed: 'rgb(107, 114, 128)', // gray-500
+  outside: 'rgba(107, 114, 128, 0.3)',
+};
+
+/**
+ * Static audio waveform drawn from stored peak levels (no decoding)
+ * peaks: levels between 0 and 1
+ * progress: played share (0-1), drawn highlighted
+ * range: [start, end] shares kept when trimming; bars outside are dimmed
+ * onSeek: called with the clicked share (0-1)
+ */
+export default function Waveform({ peaks, progress = 0, range = null, onSeek, className = 'h-12' }) {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !peaks?.length) return;
+
+    const draw = () => {
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth * ratio;
+      const height = canvas.clientHeight * ratio;
+      if (!width || !height) return;
+      canvas.width = width;
+      canvas.height = height;
+
+      const context = canvas.getContext('2d');
+      context.clearRect(0, 0, width, height);
+
+      const barWidth = width / peaks.length;
+      const gap = Math.min(2 * ratio, barWidth * 0.3);
+      peaks.forEach((peak, index) => {
+        const position = (index + 0.5) / peaks.length;
+        const outside = range && (position < range[0] || position > range[1]);
+        context.fillStyle = outside ? COLORS.outside : position <= progress ? COLORS.played : COLORS.unplayed;
+
+        // Quiet slices still show a thin bar
+        const barHeight = Math.max(ratio * 2, peak * height);
+        context.fillRect(index * barWidth, (height - barHeight) / 2, barWidth - gap, barHeight);
+      });
+    };
+
+    draw();
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(draw);
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [peaks, progress, range]);
+
+  if (!peaks?.length) return null;
+
+  const handleClick = (e) => {
+    if (!onSeek) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    onSeek(Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)));
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      onClick={handleClick}
+      className={`w-full block ${onSeek ? 'cursor-pointer' : ''} ${className}`}
+      aria-hidden="true"
+    />
+  );
+}
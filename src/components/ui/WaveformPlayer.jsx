@@ -0,0 +1,48 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import Waveform from './Waveform';
+
+/**
+ * Audio player with its waveform above the controls
+ * Click the waveform to jump; without peaks only the player is shown
+ */
+export default function WaveformPlayer({ src, peaks, className = '', waveformClassName, audioClassName = '' }) {
+  const audioRef = useRef(null);
+  const [progress, setProgress] = useState(0);
+
+  const updateProgress = () => {
+    const audio = audioRef.current;
+    // Recorded WebM files report an infinite duration until fully played
+    if (audio && Number.isFinite(audio.duration) && audio.duration > 0) {
+      setProgress(audio.currentTime / audio.duration);
+    }
+  };
+
+  const seek = (share) => {
+    const audio = audioRef.current;
+    if (audio && Number.isFinite(audio.duration)) {
+      audio.currentTime = share * audio.duration;
+      setProgress(share);
+    }
+  };
+
+  return (
+    <div className={className}>
+      {peaks && (
+        <Waveform peaks={peaks} progress={progress} onSeek={seek} className={waveformClassName} />
+      )}
+      <audio
+        ref={audioRef}
+        src={src}
+        controls
+        preload="metadata"
+        onTimeUpdate={updateProgress}
+        onSeeked={updateProgress}
+        className={`w-full ${peaks ? 'mt-2' : ''} ${audioClassName}`}
+      >
+        Your browser does not support the audio element.
+      </audio>
+    </div>
+  );
+}
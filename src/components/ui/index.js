@@ -10,3 +10,6 @@ export { default as Textarea } from './Textarea';
 export { default as Badge } from './Badge';
 export { default as Modal } from './Modal';
 export { default as Skeleton, SkeletonCard } from './Skeleton';
+export { default as ResponsiveImage } from './ResponsiveImage';
+export { default as Waveform } from './Waveform';
+export { default as WaveformPlayer } from './WaveformPlayer';
@@ -0,0 +1,56 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { SMART_ALBUMS_CHANGED_EVENT } from '@/utils/smart-album-utils';
+
+// Counts are refreshed this often while the page is visible
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Custom hook listing the user's smart albums with live moment counts
+ * Refreshes when albums change, when the window regains focus and periodically
+ * @returns {Object} { albums, loading, refresh }
+ */
+export function useSmartAlbums() {
+  const [albums, setAlbums] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    if (!navigator.onLine) return;
+
+    try {
+      const response = await fetch('/api/smart-albums');
+      if (!response.ok) throw new Error('Failed to fetch smart albums');
+      setAlbums(await response.json());
+    } catch (error) {
+      console.error('Error fetching smart albums:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') refresh();
+    };
+
+    const interval = setInterval(() => {
+      if (document.visibilityState === 'visible') refresh();
+    }, REFRESH_INTERVAL_MS);
+
+    window.addEventListener(SMART_ALBUMS_CHANGED_EVENT, refresh);
+    window.addEventListener('focus', refresh);
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener(SMART_ALBUMS_CHANGED_EVENT, refresh);
+      window.removeEventListener('focus', refresh);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [refresh]);
+
+  return { albums, loading, refresh };
+}
@@ -0,0 +1,33 @@
+/**
+ * Next.js instrumentation hook
+ * Runs once when the server starts; schedules background maintenance jobs
+ */
+
+export async function register() {
+  // Jobs use Prisma and storage drivers, which are Node-only
+  if (process.env.NEXT_RUNTIME !== 'nodejs') {
+    return;
+  }
+
+  // Set to 0 to disable and rely on POST /api/cron/media-gc instead
+  const intervalMinutes = Number(process.env.MEDIA_GC_INTERVAL_MINUTES ?? 60);
+  if (!intervalMinutes) {
+    return;
+  }
+
+  const { collectOrphanedMedia } = await import('@/lib/media-assets');
+
+  const timer = setInterval(async () => {
+    try {
+      const { found, released } = await collectOrphanedMedia();
+      if (found > 0) {
+        console.log(`🧹 Media GC: released ${released}/${found} orphaned uploads`);
+      }
+    } catch (error) {
+      console.error('Media GC failed:', error);
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Do not keep the process alive just for this timer
+  timer.unref?.();
+}
@@ -0,0 +1,205 @@
+/**
+ * Albums
+ * Hand-picked collections of moments with a custom order, description and cover
+ * (see also src/utils/album-utils.js). Moments belong to albums through AlbumMoment rows,
+ * whose position is the display order.
+ */
+
+import { prisma } from '@/lib/prisma';
+import { getShareLinkStatus } from '@/utils/share-link-utils';
+
+// Relations needed by formatAlbum()
+export const ALBUM_SUMMARY_INCLUDE = {
+  coverMoment: {
+    select: { id: true, imageUrl: true },
+  },
+  // Fallback cover: first moment with an image
+  moments: {
+    where: { moment: { imageUrl: { not: null } } },
+    orderBy: { position: 'asc' },
+    take: 1,
+    include: {
+      moment: { select: { id: true, imageUrl: true } },
+    },
+  },
+  shareLinks: {
+    where: { revokedAt: null },
+    select: { expiresAt: true },
+  },
+  _count: {
+    select: { moments: true },
+  },
+};
+
+/**
+ * Format an album for API responses
+ * @param {Object} album - Album row loaded with ALBUM_SUMMARY_INCLUDE
+ * @returns {Object} { id, name, description, coverMomentId, coverUrl, count, isShared, createdAt, updatedAt }
+ *   isShared: the album has a share link that still works
+ */
+export function formatAlbum(album) {
+  const cover = album.coverMoment?.imageUrl
+    ? album.coverMoment
+    : album.moments[0]?.moment;
+
+  return {
+    id: album.id,
+    name: album.name,
+    description: album.description,
+    coverMomentId: album.coverMomentId,
+    coverUrl: cover?.imageUrl || null,
+    count: album._count.moments,
+    isShared: album.shareLinks.some((link) => getShareLinkStatus(link) === 'active'),
+    createdAt: album.createdAt,
+    updatedAt: album.updatedAt,
+  };
+}
+
+/**
+ * Get one of a user's albums, formatted
+ * @param {number} userId - Album owner
+ * @param {number} albumId - Album ID
+ * @returns {Promise<Object|null>} Album (see formatAlbum), or null if it does not exist
+ */
+export async function getAlbum(userId, albumId) {
+  const album = await prisma.album.findFirst({
+    where: { id: albumId, userId },
+    include: ALBUM_SUMMARY_INCLUDE,
+  });
+  return album ? formatAlbum(album) : null;
+}
+
+/**
+ * Get the moments of an album in album order
+ * @param {number} albumId - Album ID (ownership is checked by the caller)
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Items per page (default: 50)
+ * @param {boolean} options.publicView - Leave out fields only the owner should see (shared albums)
+ * @returns {Promise<Object>} { moments, pagination } like getTimelineMoments()
+ */
+export async function getAlbumMoments(albumId, { page = 1, limit = 50, publicView = false } = {}) {
+  const [entries, totalCount] = await Promise.all([
+    prisma.albumMoment.findMany({
+      where: { albumId },
+      orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+      skip: (page - 1) * limit,
+      take: limit,
+      include: {
+        moment: {
+          include: {
+            user: {
+              select: {
+                id: true,
+                name: true,
+              },
+            },
+            tags: {
+              include: {
+                tag: true,
+              },
+            },
+            category: true,
+            attachments: {
+              orderBy: { position: 'asc' },
+            },
+          },
+          ...(publicView && {
+            omit: { shareToken: true, clientId: true },
+          }),
+        },
+      },
+    }),
+    prisma.albumMoment.count({ where: { albumId } }),
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  return {
+    moments: entries.map(({ moment }) => ({
+      ...moment,
+      tags: moment.tags.map((mt) => mt.tag),
+    })),
+    pagination: {
+      page,
+      limit,
+      totalCount,
+      totalPages,
+      hasMore: page < totalPages,
+    },
+  };
+}
+
+/**
+ * Add a user's moments to the end of an album
+ * Moments already in the album keep their place; IDs that are not the user's are ignored
+ * @param {number} albumId - Album ID (ownership is checked by the caller)
+ * @param {number} userId - Album owner
+ * @param {number[]} momentIds - Moments to add, in the order to append them
+ * @returns {Promise<number>} Number of moments added
+ */
+export async function addMomentsToAlbum(albumId, userId, momentIds) {
+  return prisma.$transaction(async (tx) => {
+    const [owned, existing, last] = await Promise.all([
+      tx.moment.findMany({
+        where: { id: { in: momentIds }, userId },
+        select: { id: true },
+      }),
+      tx.albumMoment.findMany({
+        where: { albumId, momentId: { in: momentIds } },
+        select: { momentId: true },
+      }),
+      tx.albumMoment.findFirst({
+        where: { albumId },
+        orderBy: { position: 'desc' },
+        select: { position: true },
+      }),
+    ]);
+
+    const ownedIds = new Set(owned.map((moment) => moment.id));
+    const existingIds = new Set(existing.map((entry) => entry.momentId));
+    const newIds = momentIds.filter((id) => ownedIds.has(id) && !existingIds.has(id));
+    const start = last ? last.position + 1 : 0;
+
+    if (newIds.length > 0) {
+      await tx.albumMoment.createMany({
+        data: newIds.map((momentId, index) => ({ albumId, momentId, position: start + index })),
+      });
+      // Album lists are sorted by last change
+      await tx.album.update({ where: { id: albumId }, data: { updatedAt: new Date() } });
+    }
+
+    return newIds.length;
+  });
+}
+
+/**
+ * Reorder the moments of an album
+ * The given moments come first in the given order; any others keep their relative order after them
+ * @param {number} albumId - Album ID (ownership is checked by the caller)
+ * @param {number[]} momentIds - New order
+ * @returns {Promise<void>}
+ */
+export async function reorderAlbumMoments(albumId, momentIds) {
+  const entries = await prisma.albumMoment.findMany({
+    where: { albumId },
+    orderBy: [{ position: 'asc' }, { createdAt: 'asc' }],
+    select: { momentId: true },
+  });
+
+  const current = entries.map((entry) => entry.momentId);
+  const members = new Set(current);
+  const listed = momentIds.filter((id) => members.has(id));
+  const listedSet = new Set(listed);
+  const order = [...listed, ...current.filter((id) => !listedSet.has(id))];
+
+  await prisma.$transaction([
+    ...order.map((momentId, position) =>
+      prisma.albumMoment.update({
+        where: { albumId_momentId: { albumId, momentId } },
+        data: { position },
+      })
+    ),
+    prisma.album.update({ where: { id: albumId }, data: { updatedAt: new Date() } }),
+  ]);
+}
@@ -8,38 +8,67 @@ import {
   saveMomentToCache,
   savePendingMoment,
   getPendingMoments,
+  deletePendingMoment,
+  syncPendingMoment,
+  toPendingMoment,
+  queueMomentUpdate,
+  revertMomentUpdate,
+  queueMomentDelete,
+  getSyncCursor,
+  applyMomentChanges,
 } from './db';
+import { OUTBOX_OPERATION } from './outbox-schema';
+import { getSyncManager } from './sync-manager';
 
 const API_BASE = '/api/moments';
+const SYNC_API = '/api/sync';
+
+/**
+ * Bring the IndexedDB moment cache up to date
+ * Only changes since the last sync are downloaded (GET /api/sync), so large
+ * libraries stay cheap to refresh; the first sync downloads everything, page by page
+ * (an interrupted one resumes from the stored cursor)
+ * @returns {Promise<Object>} Last applied changes: { full, moments, deleted, hasMore, cursor, tags, categories }
+ */
+export async function syncMomentCache() {
+  let changes;
+  do {
+    const cursor = await getSyncCursor();
+    const response = await fetch(cursor ? `${SYNC_API}?since=${encodeURIComponent(cursor)}` : SYNC_API);
+    if (!response.ok) {
+      throw new Error('Failed to sync moments');
+    }
+    changes = await response.json();
+
+    await applyMomentChanges(changes);
+  } while (changes.hasMore);
+
+  return changes;
+}
 
 /**
  * Fetch all moments
+ * The cache is synced first and then read; edits and deletes still waiting
+ * in the outbox are already applied there
  * Falls back to cached data if offline or network error
  * @returns {Promise<Array>} Array of moment objects
  */
 export async function fetchMoments() {
   try {
-    const response = await fetch(API_BASE);
-    if (!response.ok) {
-      throw new Error('Failed to fetch moments');
-    }
-    const moments = await response.json();
-
-    // Cache the fetched moments
-    for (const moment of moments) {
-      await saveMomentToCache(moment);
-    }
-
-    return moments;
+    await syncMomentCache();
+    return await getMomentsFromCache();
   } catch (error) {
-    console.error('Error fetching moments, using cache:', error);
+    console.error('Error syncing moments, using cache:', error);
 
     // Fall back to cached data
     const cachedMoments = await getMomentsFromCache();
     const pendingMoments = await getPendingMoments();
 
-    // Combine cached and pending moments
-    return [...cachedMoments, ...pendingMoments];
+    // Combine cached moments (already showing queued edits) and moments created offline
+    const pendingCreates = pendingMoments
+      .filter((item) => item.operation === OUTBOX_OPERATION.CREATE)
+      .map(toPendingMoment);
+    return [...cachedMoments, ...pendingCreates];
   }
 }
 
@@ -63,92 +92,122 @@ export async function fetchMomentById(id) {
 
 /**
  * Create a new moment
- * Saves to pending queue if offline
- * @param {Object} data - Moment data { description, gpsLat?, gpsLng?, imageUrl?, audioUrl? }
+ * The moment goes through the offline outbox: it is queued first (with any media
+ * blobs), then synced right away when online. If that fails for a temporary reason
+ * the moment stays queued and is retried with backoff.
+ * @param {Object} data - Moment data { description, gpsLat?, gpsLng?, mood?, weather?, categoryId?, tagIds?, capturedAt?, cameraModel?, attachments? }
+ * @param {Object} options
+ * @param {Array<{type: string, file: Blob, caption?: string, stripLocation?: boolean, poster?: Blob, waveform?: number[]}>} options.files
+ *   Media to upload before creating the moment (stripLocation: store photos without GPS data;
+ *   poster: still frame of a video; waveform: peak levels of an audio file)
+ * @param {Function} options.onProgress - Called with a status message while syncing
  * @returns {Promise<Object>} Created moment object (or pending moment)
  */
-export async function createMoment(data) {
-  try {
-    const response = await fetch(API_BASE, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(data),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Failed to create moment');
-    }
+export async function createMoment(data, { files = [], onProgress } = {}) {
+  const localId = await savePendingMoment(data, files);
+
+  const pendingMoment = {
+    localId,
+    ...data,
+    createdAt: new Date().toISOString(),
+    pending: true,
+  };
+
+  if (!navigator.onLine) {
+    await getSyncManager().registerSync();
+    return pendingMoment;
+  }
 
-    const moment = await response.json();
+  const result = await syncPendingMoment(localId, { onProgress });
 
-    // Cache the created moment
-    await saveMomentToCache(moment);
+  if (result.status === 'synced') {
+    return result.moment;
+  }
 
-    return moment;
-  } catch (error) {
-    console.error('Error creating moment, saving offline:', error);
-
-    // If offline or network error, save to pending queue
-    const localId = await savePendingMoment(data);
-
-    // Return a pending moment object
-    return {
-      localId,
-      ...data,
-      createdAt: new Date().toISOString(),
-      pending: true,
-    };
+  // The server rejected the moment itself (e.g. validation): report it instead of queueing
+  if (result.status === 'failed' && !result.retryable) {
+    await deletePendingMoment(localId);
+    throw new Error(result.error);
   }
+
+  console.error('Error creating moment, saved offline:', result.error);
+  await getSyncManager().registerSync();
+  return pendingMoment;
 }
 
 /**
  * Update an existing moment
- * @param {number} id - Moment ID
+ * The edit is queued in the outbox and applied to the cache right away, then synced
+ * when online. The server rejects it with a conflict if the moment changed elsewhere
+ * since `moment.updatedAt`; the user resolves that from the sync indicator.
+ * @param {Object} moment - Moment being edited (needs id and updatedAt)
  * @param {Object} data - Updated moment data
- * @returns {Promise<Object>} Updated moment object
+ * @returns {Promise<Object>} Updated moment object (flagged pending if not synced yet)
  */
-export async function updateMoment(id, data) {
-  try {
-    const response = await fetch(`${API_BASE}/${id}`, {
-      method: 'PUT',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(data),
-    });
+export async function updateMoment(moment, data) {
+  const { localId, moment: optimistic, previous } = await queueMomentUpdate(moment, data);
+  const pendingMoment = { ...optimistic, pending: true };
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Failed to update moment');
-    }
+  if (!navigator.onLine) {
+    await getSyncManager().registerSync();
+    return pendingMoment;
+  }
 
-    return await response.json();
-  } catch (error) {
-    console.error('Error updating moment:', error);
-    throw error;
+  const result = await syncPendingMoment(localId);
+
+  if (result.status === 'synced') {
+    return result.moment;
   }
+
+  if (result.status === 'conflict') {
+    return { ...pendingMoment, syncStatus: 'conflict' };
+  }
+
+  // The server rejected the edit itself: undo it (keeping earlier queued edits) instead of queueing
+  if (result.status === 'failed' && !result.retryable) {
+    await revertMomentUpdate(localId, moment, previous);
+    if (previous) await getSyncManager().registerSync();
+    throw new Error(result.error);
+  }
+
+  console.error('Error updating moment, saved offline:', result.error);
+  await getSyncManager().registerSync();
+  return pendingMoment;
 }
 
 /**
  * Delete a moment
- * @param {number} id - Moment ID
- * @returns {Promise<void>}
+ * The delete is queued in the outbox and removed from the cache right away, then
+ * synced when online (with the same conflict check as updates)
+ * @param {Object} moment - Moment being deleted (needs id and updatedAt)
+ * @returns {Promise<{pending: boolean, conflict: boolean}>} Whether the delete still waits to sync
  */
-export async function deleteMoment(id) {
-  try {
-    const response = await fetch(`${API_BASE}/${id}`, {
-      method: 'DELETE',
-    });
+export async function deleteMoment(moment) {
+  const localId = await queueMomentDelete(moment);
 
-    if (!response.ok && response.status !== 204) {
-      const error = await response.json();
-      throw new Error(error.error || 'Failed to delete moment');
-    }
-  } catch (error) {
-    console.error('Error deleting moment:', error);
-    throw error;
+  if (!navigator.onLine) {
+    await getSyncManager().registerSync();
+    return { pending: true, conflict: false };
+  }
+
+  const result = await syncPendingMoment(localId);
+
+  if (result.status === 'synced') {
+    return { pending: false, conflict: false };
   }
+
+  if (result.status === 'conflict') {
+    return { pending: true, conflict: true };
+  }
+
+  // The server refused the delete: restore the moment instead of queueing
+  if (result.status === 'failed' && !result.retryable) {
+    await deletePendingMoment(localId);
+    await saveMomentToCache(moment);
+    throw new Error(result.error);
+  }
+
+  console.error('Error deleting moment, queued offline:', result.error);
+  await getSyncManager().registerSync();
+  return { pending: true, conflict: false };
 }
@@ -0,0 +1,224 @@
+/**
+ * Audio trimming and waveforms in the browser (Web Audio API)
+ * Trimmed clips are re-encoded as WAV (lossless, large) or Opus (small; encoded by
+ * MediaRecorder, which plays the clip through silently and so takes its length in time)
+ */
+
+import { WAVEFORM_PEAK_COUNT } from '@/utils/attachment-utils';
+
+// Opus containers MediaRecorder may write, best first
+const OPUS_RECORDING_TYPES = [
+  'audio/webm;codecs=opus',
+  'audio/ogg;codecs=opus',
+];
+
+const OPUS_BITS_PER_SECOND = 64000;
+
+// Decoding only needs a context, not sound output (offline contexts are never suspended)
+const DECODE_SAMPLE_RATE = 48000;
+
+/**
+ * Opus format MediaRecorder can write in this browser
+ * @returns {string|null} MIME type, or null when Opus output is unavailable
+ */
+export function getOpusRecordingMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return OPUS_RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Decode an audio file
+ * @param {Blob} blob - Audio file
+ * @returns {Promise<AudioBuffer>} Decoded samples
+ */
+export async function decodeAudio(blob) {
+  const context = new OfflineAudioContext(1, 1, DECODE_SAMPLE_RATE);
+  return context.decodeAudioData(await blob.arrayBuffer());
+}
+
+/**
+ * Peak levels of evenly sized slices of the audio, for drawing a waveform
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {number} count - Number of slices
+ * @returns {number[]} Levels between 0 and 1 (scaled so the loudest slice is 1)
+ */
+export function computeWaveformPeaks(audioBuffer, count = WAVEFORM_PEAK_COUNT) {
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  const sliceLength = Math.max(1, Math.floor(audioBuffer.length / count));
+  // Looking at a few hundred samples per slice finds the peaks well enough
+  const step = Math.max(1, Math.floor(sliceLength / 500));
+
+  const peaks = [];
+  for (let slice = 0; slice < count; slice++) {
+    const start = slice * sliceLength;
+    const end = Math.min(start + sliceLength, audioBuffer.length);
+    let peak = 0;
+    for (const data of channels) {
+      for (let i = start; i < end; i += step) {
+        const level = Math.abs(data[i]);
+        if (level > peak) peak = level;
+      }
+    }
+    peaks.push(peak);
+  }
+
+  const loudest = Math.max(...peaks);
+  return peaks.map((peak) => (loudest > 0 ? Math.round((peak / loudest) * 100) / 100 : 0));
+}
+
+/**
+ * Waveform of an audio file
+ * @param {Blob} blob - Audio file
+ * @returns {Promise<number[]|null>} Peak levels, or null when the file cannot be decoded
+ */
+export async function getAudioWaveformPeaks(blob) {
+  try {
+    return computeWaveformPeaks(await decodeAudio(blob));
+  } catch (error) {
+    console.warn('Could not draw waveform:', error);
+    return null;
+  }
+}
+
+/**
+ * Cut a section out of decoded audio
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {number} startSeconds - Start of the kept section
+ * @param {number} endSeconds - End of the kept section
+ * @returns {AudioBuffer} Kept section
+ */
+export function sliceAudioBuffer(audioBuffer, startSeconds, endSeconds) {
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const startSample = Math.max(0, Math.floor(startSeconds * sampleRate));
+  const endSample = Math.min(audioBuffer.length, Math.ceil(endSeconds * sampleRate));
+  const sliced = new AudioBuffer({
+    numberOfChannels,
+    length: Math.max(1, endSample - startSample),
+    sampleRate,
+  });
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    sliced.copyToChannel(audioBuffer.getChannelData(channel).subarray(startSample, endSample), channel);
+  }
+  return sliced;
+}
+
+/**
+ * Size of the WAV file encodeWav() writes for decoded audio of this length
+ * @param {number} seconds - Length of the audio
+ * @param {number} numberOfChannels - Channels of the decoded audio
+ * @returns {number} File size in bytes
+ */
+export function getWavSize(seconds, numberOfChannels = 1) {
+  return 44 + Math.ceil(seconds * DECODE_SAMPLE_RATE) * numberOfChannels * 2;
+}
+
+/**
+ * Encode audio as a 16-bit PCM WAV file
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @returns {Blob} WAV file
+ */
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const dataLength = length * numberOfChannels * 2;
+  const view = new DataView(new ArrayBuffer(44 + dataLength));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk length
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * 2, true); // bytes per second
+  view.setUint16(32, numberOfChannels * 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  // Interleave channels
+  const channels = Array.from({ length: numberOfChannels }, (_, i) => audioBuffer.getChannelData(i));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (const data of channels) {
+      const sample = Math.max(-1, Math.min(1, data[i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += 2;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+/**
+ * Encode audio as Opus by playing it into a MediaRecorder
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {AudioContext} context - Running context (create it during the user's click, or
+ *   the browser may keep it suspended); closed when done
+ * @returns {Promise<Blob>} WebM or Ogg file
+ */
+export async function encodeOpus(audioBuffer, context) {
+  const mimeType = getOpusRecordingMimeType();
+  if (!mimeType) {
+    throw new Error('This browser cannot encode Opus audio');
+  }
+
+  try {
+    const destination = context.createMediaStreamDestination();
+    const source = context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(destination);
+
+    const recorder = new MediaRecorder(destination.stream, { mimeType, audioBitsPerSecond: OPUS_BITS_PER_SECOND });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+      recorder.onstop = resolve;
+      recorder.onerror = (event) => reject(event.error || new Error('Opus encoding failed'));
+    });
+    source.onended = () => recorder.stop();
+
+    await context.resume();
+    recorder.start();
+    source.start();
+    await stopped;
+
+    return new Blob(chunks, { type: mimeType.split(';')[0] });
+  } finally {
+    context.close().catch(() => {});
+  }
+}
+
+/**
+ * Trim an audio file
+ * Call straight from a click handler when encoding Opus: the playback context is
+ * created before anything is awaited
+ * @param {Blob} blob - Audio file
+ * @param {Object} options
+ * @param {number} options.start - Start of the kept section (seconds)
+ * @param {number} options.end - End of the kept section (seconds)
+ * @param {string} options.format - 'wav' or 'opus'
+ * @returns {Promise<{blob: Blob, duration: number, waveform: number[]}>} Trimmed file, its length and waveform
+ */
+export async function trimAudio(blob, { start, end, format = 'wav' }) {
+  const context = format === 'opus' ? new (window.AudioContext || window.webkitAudioContext)() : null;
+
+  try {
+    const trimmed = sliceAudioBuffer(await decodeAudio(blob), start, end);
+    return {
+      blob: format === 'opus' ? await encodeOpus(trimmed, context) : encodeWav(trimmed),
+      duration: trimmed.duration,
+      waveform: computeWaveformPeaks(trimmed),
+    };
+  } catch (error) {
+    context?.close().catch(() => {});
+    throw error;
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Client-side authentication helpers
+ * Wrap the /api/auth routes and the browser WebAuthn ceremony
+ */
+
+import { startAuthentication, startRegistration } from '@simplewebauthn/browser';
+import { clearAllCache, getPendingMomentsCount, syncOutbox } from './db';
+import geofenceManager from './geofence-manager';
+
+const API_BASE = '/api/auth';
+
+/**
+ * POST JSON and return the parsed body, throwing the server's error message on failure
+ * @param {string} path - Path under /api/auth
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response body
+ */
+async function postJSON(path, body = {}) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+
+  return data;
+}
+
+/**
+ * Create an account and sign in
+ * @param {Object} data - { name?, email, password }
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signUp(data) {
+  const { user } = await postJSON('/signup', data);
+  return user;
+}
+
+/**
+ * Sign in with email and password
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signIn(email, password) {
+  const { user } = await postJSON('/signin', { email, password });
+  return user;
+}
+
+/**
+ * Sign in with a passkey
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signInWithPasskey() {
+  const optionsJSON = await postJSON('/passkey/login/options');
+  const response = await startAuthentication({ optionsJSON });
+  const { user } = await postJSON('/passkey/login/verify', { response });
+  return user;
+}
+
+/**
+ * Register a new passkey for the signed-in user
+ * @param {string} name - Optional label for the passkey
+ * @returns {Promise<Object>} Created passkey
+ */
+export async function registerPasskey(name) {
+  const optionsJSON = await postJSON('/passkey/register/options');
+  const response = await startRegistration({ optionsJSON });
+  const { passkey } = await postJSON('/passkey/register/verify', { response, name });
+  return passkey;
+}
+
+/**
+ * Sign out and drop the offline cache so the next user starts clean
+ * (including the geofences being monitored)
+ * The outbox is synced first; changes that still could not be sent are only
+ * discarded once confirmDiscard agrees, otherwise the user stays signed in
+ * @param {Object} options
+ * @param {Function} options.confirmDiscard - Called with the number of unsynced changes; resolves true to discard them
+ * @returns {Promise<boolean>} True when signed out
+ */
+export async function signOut({ confirmDiscard = () => false } = {}) {
+  await syncOutbox({ force: true });
+  const unsynced = await getPendingMomentsCount();
+  if (unsynced > 0 && !(await confirmDiscard(unsynced))) {
+    return false;
+  }
+
+  await postJSON('/signout');
+  geofenceManager.stopMonitoring();
+  geofenceManager.clearGeofences();
+  await clearAllCache();
+  return true;
+}
+
+/**
+ * Fetch the signed-in user
+ * @returns {Promise<Object|null>} User, or null if not signed in
+ */
+export async function fetchCurrentUser() {
+  try {
+    const response = await fetch(`${API_BASE}/me`);
+    if (!response.ok) {
+      return null;
+    }
+    const { user } = await response.json();
+    return user;
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether this browser can use passkeys
+ * @returns {boolean} True if WebAuthn is available
+ */
+export function isPasskeySupported() {
+  return typeof window !== 'undefined' && !!window.PublicKeyCredential;
+}
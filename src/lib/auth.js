@@ -0,0 +1,160 @@
+/**
+ * Server-side authentication utilities
+ * Password hashing, database-backed sessions and the current-user lookup used by API routes
+ */
+
+import { cookies } from 'next/headers';
+import { NextResponse } from 'next/server';
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { prisma } from '@/lib/prisma';
+import {
+  SESSION_COOKIE,
+  SESSION_MAX_AGE,
+  createSessionCookieValue,
+  readSessionCookieValue,
+} from '@/lib/session';
+
+const scryptAsync = promisify(scrypt);
+
+const PASSWORD_KEY_LENGTH = 64;
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} "salt:hash" (both hex)
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const derived = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH);
+  return `${salt}:${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword()
+ * @param {string} password - Plain text password
+ * @param {string|null} storedHash - Stored "salt:hash"
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) return false;
+
+  const [salt, hash] = storedHash.split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(expected, derived);
+}
+
+/**
+ * Normalize an email address for storage and lookup
+ * @param {string} email - Raw email
+ * @returns {string} Trimmed, lower-cased email
+ */
+export function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+/**
+ * Basic email format check
+ * @param {string} email - Normalized email
+ * @returns {boolean} True if it looks like an email address
+ */
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+/**
+ * Create a session for a user and set the session cookie
+ * Must be called from a route handler or server action
+ * @param {number} userId - User ID
+ * @param {string|null} userAgent - Request user agent (shown in session lists)
+ * @returns {Promise<Object>} Created session
+ */
+export async function createSession(userId, userAgent = null) {
+  const expiresAt = new Date(Date.now() + SESSION_MAX_AGE * 1000);
+
+  const session = await prisma.session.create({
+    data: {
+      id: randomBytes(32).toString('hex'),
+      userId,
+      userAgent: userAgent ? userAgent.slice(0, 255) : null,
+      expiresAt,
+    },
+  });
+
+  const cookieStore = await cookies();
+  cookieStore.set(SESSION_COOKIE, await createSessionCookieValue(session.id, expiresAt), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    expires: expiresAt,
+  });
+
+  return session;
+}
+
+/**
+ * Delete the current session and clear the cookie
+ */
+export async function destroySession() {
+  const cookieStore = await cookies();
+  const session = await readSessionCookieValue(cookieStore.get(SESSION_COOKIE)?.value);
+
+  if (session) {
+    await prisma.session.deleteMany({
+      where: { id: session.sessionId },
+    });
+  }
+
+  cookieStore.delete(SESSION_COOKIE);
+}
+
+/**
+ * Get the user for the current request's session cookie
+ * @returns {Promise<{id: number, name: string, email: string|null}|null>} User, or null if not signed in
+ */
+export async function getSessionUser() {
+  try {
+    const cookieStore = await cookies();
+    const session = await readSessionCookieValue(cookieStore.get(SESSION_COOKIE)?.value);
+
+    if (!session) return null;
+
+    const record = await prisma.session.findUnique({
+      where: { id: session.sessionId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+      },
+    });
+
+    if (!record || record.expiresAt <= new Date()) {
+      return null;
+    }
+
+    return record.user;
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    return null;
+  }
+}
+
+/**
+ * Standard 401 response for API routes
+ * @returns {NextResponse} JSON error response
+ */
+export function unauthorizedResponse() {
+  return NextResponse.json(
+    { error: 'Authentication required' },
+    { status: 401 }
+  );
+}
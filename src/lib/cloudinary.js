@@ -1,9 +1,11 @@
 /**
- * Client-side utilities for uploading files to Cloudinary
+ * Client-side utilities for uploading media
+ * Files go through /api/upload, which stores them with the configured
+ * storage driver (Cloudinary, local disk or S3, see src/lib/storage)
  */
 
 /**
- * Upload an image file to Cloudinary
+ * Upload an image file
  * @param {File|Blob} file - Image file or blob to upload
  * @returns {Promise<string>} The secure URL of the uploaded image
  */
@@ -12,7 +14,7 @@ export async function uploadImage(file) {
 }
 
 /**
- * Upload an audio file to Cloudinary
+ * Upload an audio file
  * @param {File|Blob} file - Audio file or blob to upload
  * @returns {Promise<string>} The secure URL of the uploaded audio
  */
@@ -21,7 +23,7 @@ export async function uploadAudio(file) {
 }
 
 /**
- * Upload a video file to Cloudinary
+ * Upload a video file
  * @param {File|Blob} file - Video file or blob to upload
  * @returns {Promise<string>} The secure URL of the uploaded video
  */
@@ -36,6 +38,17 @@ export async function uploadVideo(file) {
  * @returns {Promise<string>} The secure URL of the uploaded file
  */
 async function uploadFile(file, type) {
+  const data = await uploadMedia(file, type);
+  return data.url;
+}
+
+/**
+ * Upload a file and return the full storage result
+ * @param {File|Blob} file - File or blob to upload
+ * @param {string} type - Type of file ('image', 'audio', 'video' or 'auto')
+ * @returns {Promise<Object>} { url, publicId, format, resourceType, bytes, driver, variants, placeholder, duration, codec }
+ */
+export async function uploadMedia(file, type = 'auto') {
   try {
     const formData = new FormData();
     formData.append('file', file);
@@ -51,14 +64,36 @@ async function uploadFile(file, type) {
       throw new Error(error.error || 'Upload failed');
     }
 
-    const data = await response.json();
-    return data.url;
+    return await response.json();
   } catch (error) {
     console.error(`Error uploading ${type}:`, error);
     throw error;
   }
 }
 
+/**
+ * Read when, where and with which camera a photo was taken (its EXIF data)
+ * The file is read by the server but not stored
+ * @param {File|Blob} file - Photo
+ * @returns {Promise<Object>} { capturedAt, gpsLat, gpsLng, cameraMake, cameraModel } (missing values are null)
+ */
+export async function fetchPhotoMetadata(file) {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  const response = await fetch('/api/upload/metadata', {
+    method: 'POST',
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Failed to read photo metadata');
+  }
+
+  return response.json();
+}
+
 /**
  * Validate file type
  * @param {File} file - File to validate
@@ -1,4 +1,13 @@
 import Dexie from 'dexie';
+import {
+  MAX_ATTEMPTS,
+  OUTBOX_DB_NAME,
+  OUTBOX_OPERATION,
+  OUTBOX_STATUS,
+  getRetryDelay,
+  isOutboxItemDue,
+  isRetryableStatus,
+} from './outbox-schema';
 
 /**
  * IndexedDB database for offline storage
@@ -7,7 +16,7 @@ import Dexie from 'dexie';
 
 class MomentDatabase extends Dexie {
   constructor() {
-    super('MomentCaptureDB');
+    super(OUTBOX_DB_NAME);
 
     this.version(1).stores({
       // Cached moments from server
@@ -16,9 +25,43 @@ class MomentDatabase extends Dexie {
       // Pending moments to upload when back online
       pendingMoments: '++localId, createdAt, description',
     });
+
+    // Pending moments become outbox items shared with the service worker
+    this.version(2).stores({
+      pendingMoments: '++localId, clientId, status, nextAttemptAt, createdAt',
+    }).upgrade((tx) => tx.table('pendingMoments').toCollection().modify((item) => {
+      const { localId, createdAt, pending, ...data } = item;
+      Object.keys(item).forEach((key) => {
+        if (key !== 'localId') delete item[key];
+      });
+      Object.assign(item, createOutboxItem({ data, createdAt }));
+    }));
+
+    // The outbox also carries edits and deletes of synced moments
+    this.version(3).stores({
+      pendingMoments: '++localId, operation, momentId, clientId, status, nextAttemptAt, createdAt',
+    }).upgrade((tx) => tx.table('pendingMoments').toCollection().modify((item) => {
+      item.operation = item.operation || OUTBOX_OPERATION.CREATE;
+      item.momentId = item.momentId ?? null;
+      item.baseUpdatedAt = item.baseUpdatedAt ?? null;
+      item.serverMoment = item.serverMoment ?? null;
+    }));
+
+    // Cursor of the last delta sync of the moments store
+    this.version(4).stores({
+      syncState: 'key',
+    });
+
+    // Geofences from the server, so monitoring works offline
+    this.version(5).stores({
+      geofences: 'id',
+    });
   }
 }
 
+// syncState key of the moment cache's delta sync cursor
+const MOMENT_SYNC_KEY = 'moments';
+
 // Lazy database instance (only create in browser)
 let dbInstance = null;
 
@@ -65,19 +108,96 @@ export async function getMomentsFromCache() {
 }
 
 /**
- * Save a pending moment (offline creation)
- * @param {Object} momentData - Moment data to save
+ * Get geofences from IndexedDB cache
+ * @returns {Promise<Array>} Cached geofences
+ */
+export async function getCachedGeofences() {
+  try {
+    const db = getDB();
+    if (!db) return [];
+    return await db.geofences.toArray();
+  } catch (error) {
+    console.error('Failed to get cached geofences:', error);
+    return [];
+  }
+}
+
+/**
+ * Replace the cached geofences with the server's list
+ * @param {Array} geofences - Geofences from GET /api/geofences
+ */
+export async function cacheGeofences(geofences) {
+  try {
+    const db = getDB();
+    if (!db) return;
+    await db.transaction('rw', db.geofences, async () => {
+      await db.geofences.clear();
+      await db.geofences.bulkPut(geofences);
+    });
+  } catch (error) {
+    console.error('Failed to cache geofences:', error);
+  }
+}
+
+/**
+ * Build a new outbox item (see src/lib/outbox-schema.js)
+ * @param {Object} item
+ * @param {string} item.operation - 'create', 'update' or 'delete'
+ * @param {number|null} item.momentId - Server ID (update/delete)
+ * @param {string|null} item.baseUpdatedAt - updatedAt of the edited copy (update/delete)
+ * @param {Object} item.data - Moment fields for the request
+ * @param {Array<{type: string, file: Blob, caption?: string, stripLocation?: boolean, poster?: Blob, waveform?: number[]}>} item.files
+ *   Media to upload first
+ * @param {string} item.createdAt - ISO creation date
+ * @returns {Object} Outbox item without localId
+ */
+function createOutboxItem({
+  operation = OUTBOX_OPERATION.CREATE,
+  momentId = null,
+  baseUpdatedAt = null,
+  data = {},
+  files = [],
+  createdAt = new Date().toISOString(),
+}) {
+  return {
+    operation,
+    momentId,
+    baseUpdatedAt,
+    clientId: crypto.randomUUID(),
+    data,
+    files: files.map(({ type, file, caption, stripLocation, poster, waveform }) => ({
+      type,
+      blob: file,
+      name: file.name || null,
+      caption: caption || null,
+      stripLocation: !!stripLocation,
+      poster: poster || null,
+      waveform: waveform || null,
+      url: null,
+      posterUrl: null,
+    })),
+    status: OUTBOX_STATUS.PENDING,
+    serverMoment: null,
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: Date.now(),
+    lockedAt: null,
+    createdAt,
+    updatedAt: createdAt,
+  };
+}
+
+/**
+ * Save a pending moment (offline creation) to the outbox
+ * @param {Object} momentData - Moment fields to save
+ * @param {Array<{type: string, file: Blob, caption?: string, poster?: Blob, waveform?: number[]}>} files - Media blobs to upload when syncing
  * @returns {Promise<number>} Local ID of pending moment
  */
-export async function savePendingMoment(momentData) {
+export async function savePendingMoment(momentData, files = []) {
   try {
     const db = getDB();
     if (!db) throw new Error('Database not available');
-    const localId = await db.pendingMoments.add({
-      ...momentData,
-      createdAt: new Date().toISOString(),
-      pending: true,
-    });
+    const localId = await db.pendingMoments.add(createOutboxItem({ data: momentData, files }));
     return localId;
   } catch (error) {
     console.error('Failed to save pending moment:', error);
@@ -86,20 +206,248 @@ export async function savePendingMoment(momentData) {
 }
 
 /**
- * Get all pending moments
- * @returns {Promise<Array>} Pending moments
+ * Queue an edit of a synced moment and apply it to the cache right away
+ * Edits queued for the same moment are merged and keep the version they were based on
+ * @param {Object} moment - Moment as last seen (needs id and updatedAt)
+ * @param {Object} changes - Changed fields for PUT /api/moments/[id]
+ * @returns {Promise<{localId: number, moment: Object, previous: {data: Object, status: string}|null}>}
+ *   Outbox item ID, the optimistic moment and the edit queued before (for revertMomentUpdate())
+ */
+export async function queueMomentUpdate(moment, changes) {
+  const db = getDB();
+  if (!db) throw new Error('Database not available');
+
+  return db.transaction('rw', db.pendingMoments, db.moments, async () => {
+    const queued = await db.pendingMoments
+      .where('momentId')
+      .equals(moment.id)
+      .filter((item) => item.operation === OUTBOX_OPERATION.UPDATE && item.status !== OUTBOX_STATUS.SYNCING)
+      .first();
+
+    let localId;
+    if (queued) {
+      localId = queued.localId;
+      await db.pendingMoments.update(localId, {
+        data: { ...queued.data, ...changes },
+        status: queued.status === OUTBOX_STATUS.CONFLICT ? queued.status : OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: Date.now(),
+        updatedAt: new Date().toISOString(),
+      });
+    } else {
+      localId = await db.pendingMoments.add(createOutboxItem({
+        operation: OUTBOX_OPERATION.UPDATE,
+        momentId: moment.id,
+        baseUpdatedAt: moment.updatedAt,
+        data: changes,
+      }));
+    }
+
+    const optimistic = { ...moment, ...changes, synced: false };
+    await db.moments.put(optimistic);
+
+    const previous = queued ? { data: queued.data, status: queued.status } : null;
+    return { localId, moment: optimistic, previous };
+  });
+}
+
+/**
+ * Undo an edit queued by queueMomentUpdate() that the server rejected
+ * Edits queued before it stay in the outbox and the cache; only this edit's fields are rolled back
+ * @param {number} localId - Local ID of the outbox item
+ * @param {Object} moment - Moment as passed to queueMomentUpdate()
+ * @param {{data: Object, status: string}|null} previous - As returned by queueMomentUpdate()
+ */
+export async function revertMomentUpdate(localId, moment, previous) {
+  const db = getDB();
+  if (!db) return;
+
+  await db.transaction('rw', db.pendingMoments, db.moments, async () => {
+    if (!previous) {
+      await db.pendingMoments.delete(localId);
+      await db.moments.put({ ...moment, synced: true });
+      return;
+    }
+
+    await db.pendingMoments.update(localId, {
+      data: previous.data,
+      status: previous.status,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: Date.now(),
+      lockedAt: null,
+      updatedAt: new Date().toISOString(),
+    });
+    await db.moments.put({ ...moment, ...previous.data, synced: false });
+  });
+}
+
+/**
+ * Queue the deletion of a synced moment and remove it from the cache right away
+ * Queued edits of the moment are dropped, since the delete supersedes them
+ * @param {Object} moment - Moment as last seen (needs id and updatedAt)
+ * @returns {Promise<number>} Local ID of the outbox item
+ */
+export async function queueMomentDelete(moment) {
+  const db = getDB();
+  if (!db) throw new Error('Database not available');
+
+  return db.transaction('rw', db.pendingMoments, db.moments, async () => {
+    const edits = await db.pendingMoments
+      .where('momentId')
+      .equals(moment.id)
+      .filter((item) => item.operation === OUTBOX_OPERATION.UPDATE && item.status !== OUTBOX_STATUS.SYNCING)
+      .toArray();
+
+    await db.pendingMoments.bulkDelete(edits.map((item) => item.localId));
+
+    const localId = await db.pendingMoments.add(createOutboxItem({
+      operation: OUTBOX_OPERATION.DELETE,
+      momentId: moment.id,
+      // The dropped edits never reached the server, so it still has their base version
+      baseUpdatedAt: edits[0]?.baseUpdatedAt ?? moment.updatedAt,
+    }));
+
+    await db.moments.delete(moment.id);
+
+    return localId;
+  });
+}
+
+/**
+ * Collect the edits and deletes waiting in the outbox, per moment
+ * @param {Array} pending - Outbox items
+ * @returns {{deleted: Set<number>, edits: Map<number, Object>}} Queued changes by moment ID
+ */
+function getQueuedChanges(pending) {
+  const deleted = new Set();
+  const edits = new Map();
+
+  pending.forEach((item) => {
+    if (item.operation === OUTBOX_OPERATION.DELETE) {
+      deleted.add(item.momentId);
+    } else if (item.operation === OUTBOX_OPERATION.UPDATE) {
+      edits.set(item.momentId, { ...edits.get(item.momentId), ...item.data });
+    }
+  });
+
+  return { deleted, edits };
+}
+
+/**
+ * Get the cursor of the last delta sync
+ * @returns {Promise<string|null>} Cursor for GET /api/sync, or null if the cache was never synced
+ */
+export async function getSyncCursor() {
+  try {
+    const db = getDB();
+    if (!db) return null;
+    const state = await db.syncState.get(MOMENT_SYNC_KEY);
+    return state?.cursor ?? null;
+  } catch (error) {
+    console.error('Failed to get sync cursor:', error);
+    return null;
+  }
+}
+
+/**
+ * Give cached moments the current names of their tags and category
+ * Deleted tags are dropped and a deleted category is cleared, as on the server
+ * @param {Dexie} db - Database instance
+ * @param {Array} tags - The user's tags
+ * @param {Array} categories - All categories
+ */
+async function relabelCachedMoments(db, tags, categories) {
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+  const categoriesById = new Map(categories.map((category) => [category.id, category]));
+
+  const relabeled = [];
+  for (const moment of await db.moments.toArray()) {
+    const category = moment.categoryId ? categoriesById.get(moment.categoryId) ?? null : moment.category;
+    const momentTags = Array.isArray(moment.tags)
+      ? moment.tags.map((tag) => tagsById.get(tag.id)).filter(Boolean)
+      : moment.tags;
+
+    if (JSON.stringify([category, momentTags]) !== JSON.stringify([moment.category, moment.tags])) {
+      relabeled.push({ ...moment, category, tags: momentTags });
+    }
+  }
+
+  await db.moments.bulkPut(relabeled);
+}
+
+/**
+ * Store the result of a delta sync (GET /api/sync) in the moment cache
+ * Queued edits and deletes are kept on top of the server versions
+ * @param {Object} changes
+ * @param {boolean} changes.full - First page of a full sync: everything else is dropped
+ * @param {Array} changes.moments - Created or updated moments
+ * @param {number[]} changes.deleted - IDs of deleted moments
+ * @param {string} changes.cursor - Cursor for the next sync
+ * @param {Array} [changes.tags] - Current tags, to relabel cached moments
+ * @param {Array} [changes.categories] - Current categories, likewise
+ */
+export async function applyMomentChanges({ full, moments, deleted, cursor, tags, categories }) {
+  const db = getDB();
+  if (!db) return;
+
+  await db.transaction('rw', db.moments, db.pendingMoments, db.syncState, async () => {
+    const queued = getQueuedChanges(await db.pendingMoments.toArray());
+
+    if (full) {
+      await db.moments.clear();
+    }
+    await db.moments.bulkDelete(deleted);
+    await db.moments.bulkPut(moments
+      .filter((moment) => !queued.deleted.has(moment.id))
+      .map((moment) => (queued.edits.has(moment.id)
+        ? { ...moment, ...queued.edits.get(moment.id), synced: false }
+        : { ...moment, synced: true })));
+
+    if (tags && categories) {
+      await relabelCachedMoments(db, tags, categories);
+    }
+
+    await db.syncState.put({ key: MOMENT_SYNC_KEY, cursor, syncedAt: new Date().toISOString() });
+  });
+}
+
+/**
+ * Get all outbox items
+ * @returns {Promise<Array>} Pending moments (raw outbox items)
  */
 export async function getPendingMoments() {
   try {
     const db = getDB();
     if (!db) return [];
-    return await db.pendingMoments.toArray();
+    return await db.pendingMoments.orderBy('createdAt').toArray();
   } catch (error) {
     console.error('Failed to get pending moments:', error);
     return [];
   }
 }
 
+/**
+ * Shape an outbox item like a moment for lists
+ * @param {Object} item - Outbox item
+ * @returns {Object} Moment-like object flagged as pending
+ */
+export function toPendingMoment(item) {
+  return {
+    ...item.data,
+    localId: item.localId,
+    operation: item.operation,
+    momentId: item.momentId,
+    createdAt: item.createdAt,
+    pending: true,
+    syncStatus: item.status,
+    syncError: item.lastError,
+    attempts: item.attempts,
+    fileCount: item.files.length,
+  };
+}
+
 /**
  * Get count of pending moments
  * @returns {Promise<number>} Number of pending moments
@@ -116,7 +464,32 @@ export async function getPendingMomentsCount() {
 }
 
 /**
- * Delete a pending moment after successful upload
+ * Summarize the outbox for sync indicators
+ * @returns {Promise<{pending: number, failed: number, due: number, failedItems: Array, conflicts: Array}>} Outbox status
+ */
+export async function getOutboxStatus() {
+  const items = await getPendingMoments();
+  const now = Date.now();
+  const failedItems = items.filter((item) => item.status === OUTBOX_STATUS.FAILED);
+  const conflicts = items.filter((item) => item.status === OUTBOX_STATUS.CONFLICT);
+
+  return {
+    pending: items.length - failedItems.length - conflicts.length,
+    failed: failedItems.length,
+    due: items.filter((item) => isOutboxItemDue(item, now)).length,
+    failedItems: failedItems.map(toPendingMoment),
+    conflicts: conflicts.map((item) => ({
+      localId: item.localId,
+      operation: item.operation,
+      momentId: item.momentId,
+      changes: item.data,
+      serverMoment: item.serverMoment,
+    })),
+  };
+}
+
+/**
+ * Delete a pending moment after successful upload (or when discarded)
  * @param {number} localId - Local ID of pending moment
  */
 export async function deletePendingMoment(localId) {
@@ -130,60 +503,377 @@ export async function deletePendingMoment(localId) {
 }
 
 /**
- * Sync pending moments to server
- * @returns {Promise<number>} Number of moments synced
+ * Reset a failed pending moment so it is retried on the next sync
+ * @param {number} localId - Local ID of pending moment
  */
-export async function syncPendingMoments() {
+export async function retryPendingMoment(localId) {
   try {
-    const pending = await getPendingMoments();
+    const db = getDB();
+    if (!db) return;
+    await db.pendingMoments.update(localId, {
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: Date.now(),
+      lockedAt: null,
+      updatedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error('Failed to reset pending moment:', error);
+  }
+}
 
-    if (pending.length === 0) {
-      return 0;
+/**
+ * Fetch the server version of a moment
+ * @param {number} momentId - Moment ID
+ * @returns {Promise<Object|null>} Moment, or null when it is gone or cannot be fetched
+ */
+async function fetchServerMoment(momentId) {
+  try {
+    const response = await fetch(`/api/moments/${momentId}`);
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    console.error('Failed to fetch server moment:', error);
+    return null;
+  }
+}
+
+/**
+ * Settle a conflict between a queued change and the server version
+ * @param {number} localId - Local ID of the conflicting outbox item
+ * @param {'local'|'server'} keep - Which version wins
+ */
+export async function resolveConflict(localId, keep) {
+  const db = getDB();
+  if (!db) return;
+
+  // The conflict response may not have carried the server version: look it up first
+  // (fetching inside the transaction would end it)
+  const conflict = await db.pendingMoments.get(localId);
+  const fetchedMoment = conflict && !conflict.serverMoment ? await fetchServerMoment(conflict.momentId) : null;
+
+  await db.transaction('rw', db.pendingMoments, db.moments, async () => {
+    const item = await db.pendingMoments.get(localId);
+    if (!item || item.status !== OUTBOX_STATUS.CONFLICT) return;
+
+    // Still unknown when offline; the next delta sync refreshes the cache then
+    const serverMoment = item.serverMoment || fetchedMoment;
+
+    if (keep === 'server') {
+      await db.pendingMoments.delete(localId);
+      if (serverMoment) {
+        await db.moments.put({ ...serverMoment, synced: true });
+      }
+      return;
+    }
+
+    // Keep the local change: base it on the server version so the next sync applies it
+    await db.pendingMoments.update(localId, {
+      baseUpdatedAt: serverMoment?.updatedAt ?? item.baseUpdatedAt,
+      serverMoment: null,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: Date.now(),
+      lockedAt: null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    if (serverMoment && item.operation === OUTBOX_OPERATION.UPDATE) {
+      await db.moments.put({ ...serverMoment, ...item.data, synced: false });
+    }
+  });
+}
+
+/**
+ * After an edit reaches the server, point other queued changes of the same
+ * moment at the new version so they are not reported as conflicts
+ * @param {Dexie} db - Database instance
+ * @param {number} momentId - Moment ID
+ * @param {string} previousUpdatedAt - Version the synced edit was based on
+ * @param {string} updatedAt - New server version
+ */
+async function rebaseQueuedChanges(db, momentId, previousUpdatedAt, updatedAt) {
+  await db.pendingMoments
+    .where('momentId')
+    .equals(momentId)
+    .filter((item) => item.baseUpdatedAt === previousUpdatedAt)
+    .modify({ baseUpdatedAt: updatedAt });
+}
+
+/**
+ * Claim an outbox item so the page and service worker do not sync it twice
+ * @param {Dexie} db - Database instance
+ * @param {number} localId - Local ID of pending moment
+ * @param {boolean} force - Ignore the backoff schedule
+ * @returns {Promise<Object|null>} Claimed item, or null if missing, not due or claimed elsewhere
+ */
+function claimPendingMoment(db, localId, force) {
+  return db.transaction('rw', db.pendingMoments, async () => {
+    const item = await db.pendingMoments.get(localId);
+    if (!item || !isOutboxItemDue(item, Date.now(), force)) {
+      return null;
+    }
+
+    const claimed = { ...item, status: OUTBOX_STATUS.SYNCING, lockedAt: Date.now() };
+    await db.pendingMoments.put(claimed);
+    return claimed;
+  });
+}
+
+/**
+ * Throw an error carrying the HTTP status for a failed response
+ * @param {Response} response - Failed fetch response
+ * @param {string} fallbackMessage - Message when the body has none
+ */
+export async function throwResponseError(response, fallbackMessage) {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.error || `${fallbackMessage} (HTTP ${response.status})`);
+  error.status = response.status;
+  error.body = body;
+  throw error;
+}
+
+/**
+ * Upload one media blob from an outbox item
+ * @param {Object} file - Outbox file entry
+ * @param {Object} options
+ * @param {boolean} options.variants - Let the server make resized copies of photos
+ * @returns {Promise<Object>} Upload response ({ url, variants, placeholder, duration, codec, bytes, ... })
+ */
+async function uploadOutboxFile(file, { variants = true } = {}) {
+  const formData = new FormData();
+  formData.append('file', file.blob, file.name || file.type);
+  formData.append('type', file.type);
+  if (file.stripLocation) {
+    formData.append('stripLocation', 'true');
+  }
+  if (!variants) {
+    formData.append('variants', 'false');
+  }
+
+  const response = await fetch('/api/upload', {
+    method: 'POST',
+    body: formData,
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Upload failed');
+  }
+
+  return response.json();
+}
+
+/**
+ * Upload an outbox item's media, then create the moment
+ * @param {Dexie} db - Database instance
+ * @param {Object} item - Claimed outbox item
+ * @param {Function} onProgress - Called with a status message
+ * @returns {Promise<Object>} Created moment
+ */
+async function sendCreate(db, item, onProgress) {
+  const files = [...item.files];
+  for (const [index, file] of files.entries()) {
+    if (file.poster && !file.posterUrl) {
+      onProgress?.(`Uploading poster of attachment ${index + 1}...`);
+      const { url: posterUrl } = await uploadOutboxFile(
+        { type: 'image', blob: file.poster, name: 'poster.jpg' },
+        { variants: false }
+      );
+
+      files[index] = { ...file, poster: null, posterUrl };
+      await db.pendingMoments.update(item.localId, { files, updatedAt: new Date().toISOString() });
+    }
+
+    if (files[index].url) continue;
+
+    onProgress?.(`Uploading attachment ${index + 1} of ${files.length}...`);
+    const { url, variants, placeholder, duration, codec, bytes } = await uploadOutboxFile(files[index]);
+
+    // Persist each upload so a retry does not upload the file again
+    files[index] = { ...files[index], url, variants, placeholder, duration, codec, bytes, blob: null };
+    await db.pendingMoments.update(item.localId, { files, updatedAt: new Date().toISOString() });
+  }
+
+  onProgress?.('Creating moment...');
+
+  const body = { ...item.data, clientId: item.clientId };
+  if (files.length > 0) {
+    body.attachments = [
+      ...(item.data.attachments || []),
+      ...files.map(({ type, url, variants, placeholder, posterUrl, waveform, duration, codec, bytes, caption }) => ({
+        type, url, variants, placeholder, posterUrl, waveform, duration, codec, bytes, caption,
+      })),
+    ];
+  }
+
+  const response = await fetch('/api/moments', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Failed to create moment');
+  }
+
+  return response.json();
+}
+
+/**
+ * Send a queued edit; the server answers 409 if the moment changed since baseUpdatedAt
+ * @param {Object} item - Claimed outbox item
+ * @returns {Promise<Object>} Updated moment
+ */
+async function sendUpdate(item) {
+  const response = await fetch(`/api/moments/${item.momentId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ ...item.data, expectedUpdatedAt: item.baseUpdatedAt }),
+  });
+
+  if (!response.ok) {
+    await throwResponseError(response, 'Failed to update moment');
+  }
+
+  return response.json();
+}
+
+/**
+ * Send a queued delete; a moment that is already gone counts as deleted
+ * @param {Object} item - Claimed outbox item
+ */
+async function sendDelete(item) {
+  const query = item.baseUpdatedAt
+    ? `?expectedUpdatedAt=${encodeURIComponent(item.baseUpdatedAt)}`
+    : '';
+  const response = await fetch(`/api/moments/${item.momentId}${query}`, {
+    method: 'DELETE',
+  });
+
+  if (!response.ok && response.status !== 404) {
+    await throwResponseError(response, 'Failed to delete moment');
+  }
+}
+
+/**
+ * Sync one outbox item: create (uploading its media first), update or delete a moment
+ * Failures are recorded on the item and scheduled for retry with exponential backoff;
+ * changes to a moment that was also changed on the server are marked as conflicts
+ * @param {number} localId - Local ID of pending moment
+ * @param {Object} options
+ * @param {boolean} options.force - Ignore the backoff schedule
+ * @param {Function} options.onProgress - Called with a status message
+ * @returns {Promise<{status: 'synced'|'retry'|'failed'|'conflict'|'skipped', moment?: Object, error?: string, retryable?: boolean}>} Result
+ */
+export async function syncPendingMoment(localId, { force = false, onProgress } = {}) {
+  const db = getDB();
+  if (!db) return { status: 'skipped' };
+
+  const item = await claimPendingMoment(db, localId, force);
+  if (!item) return { status: 'skipped' };
+
+  try {
+    let moment = null;
+
+    if (item.operation === OUTBOX_OPERATION.UPDATE) {
+      moment = await sendUpdate(item);
+      await saveMomentToCache(moment);
+      await rebaseQueuedChanges(db, item.momentId, item.baseUpdatedAt, moment.updatedAt);
+    } else if (item.operation === OUTBOX_OPERATION.DELETE) {
+      await sendDelete(item);
+      await db.moments.delete(item.momentId);
+    } else {
+      moment = await sendCreate(db, item, onProgress);
+      await saveMomentToCache(moment);
     }
 
-    let syncedCount = 0;
-
-    for (const pendingMoment of pending) {
-      try {
-        // Upload to server
-        const response = await fetch('/api/moments', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            description: pendingMoment.description,
-            gpsLat: pendingMoment.gpsLat || 0,
-            gpsLng: pendingMoment.gpsLng || 0,
-            imageUrl: pendingMoment.imageUrl || null,
-            audioUrl: pendingMoment.audioUrl || null,
-          }),
-        });
-
-        if (response.ok) {
-          const serverMoment = await response.json();
-
-          // Save to cache
-          await saveMomentToCache(serverMoment);
-
-          // Delete pending
-          await deletePendingMoment(pendingMoment.localId);
-
-          syncedCount++;
-        }
-      } catch (error) {
-        console.error('Failed to sync moment:', error);
-        // Continue with next moment
+    await db.pendingMoments.delete(localId);
+
+    return { status: 'synced', moment };
+  } catch (error) {
+    if (error.status === 409) {
+      // Changed on both sides: keep both versions until the user picks one
+      await db.pendingMoments.update(localId, {
+        status: OUTBOX_STATUS.CONFLICT,
+        serverMoment: error.body?.moment || null,
+        lastError: error.message,
+        lockedAt: null,
+        updatedAt: new Date().toISOString(),
+      });
+      return { status: 'conflict', error: error.message };
+    }
+
+    // fetch() rejects without a status when the network is unavailable
+    const retryable = isRetryableStatus(error.status ?? null);
+    const attempts = item.attempts + 1;
+    const failed = !retryable || attempts >= MAX_ATTEMPTS;
+
+    await db.pendingMoments.update(localId, {
+      status: failed ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: Date.now() + getRetryDelay(attempts),
+      lockedAt: null,
+      updatedAt: new Date().toISOString(),
+    });
+
+    console.error('Failed to sync moment:', error);
+    return { status: failed ? 'failed' : 'retry', error: error.message, retryable };
+  }
+}
+
+/**
+ * Sync all due pending moments to the server
+ * @param {Object} options
+ * @param {boolean} options.force - Also sync items still waiting for their retry time
+ * @returns {Promise<{successful: number, failed: number, total: number}>} Sync summary
+ */
+export async function syncOutbox({ force = false } = {}) {
+  const summary = { successful: 0, failed: 0, total: 0 };
+
+  try {
+    if (typeof navigator !== 'undefined' && !navigator.onLine) {
+      return summary;
+    }
+
+    const pending = await getPendingMoments();
+    const now = Date.now();
+
+    for (const item of pending) {
+      if (!isOutboxItemDue(item, now, force)) continue;
+
+      const result = await syncPendingMoment(item.localId, { force });
+      if (result.status === 'skipped') continue;
+
+      summary.total++;
+      if (result.status === 'synced') {
+        summary.successful++;
+      } else {
+        summary.failed++;
       }
     }
 
-    return syncedCount;
+    return summary;
   } catch (error) {
     console.error('Sync failed:', error);
-    return 0;
+    return summary;
   }
 }
 
+/**
+ * Sync pending moments to server
+ * @returns {Promise<number>} Number of moments synced
+ */
+export async function syncPendingMoments() {
+  const { successful } = await syncOutbox({ force: true });
+  return successful;
+}
+
 /**
  * Clear all cached data
  */
@@ -193,6 +883,8 @@ export async function clearAllCache() {
     if (!db) return;
     await db.moments.clear();
     await db.pendingMoments.clear();
+    await db.syncState.clear();
+    await db.geofences.clear();
   } catch (error) {
     console.error('Failed to clear cache:', error);
   }
@@ -209,5 +901,9 @@ export const db = {
   get pendingMoments() {
     const instance = getDB();
     return instance ? instance.pendingMoments : { toArray: async () => [], clear: async () => {} };
+  },
+  get syncState() {
+    const instance = getDB();
+    return instance ? instance.syncState : { toArray: async () => [], clear: async () => {} };
   }
 };
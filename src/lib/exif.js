@@ -0,0 +1,249 @@
+/**
+ * Photo metadata (EXIF)
+ * Reads capture time, GPS position and camera from uploaded photos, and removes the
+ * GPS position from photo files before they are stored.
+ *
+ * sharp extracts the raw EXIF block; the few tags we need are read from it here.
+ * Whether GPS data is removed is set with PHOTO_LOCATION_STRIPPING:
+ * - "optional" (default): per upload, when the client asks for it (stripLocation field)
+ * - "always": every photo is stored without GPS data
+ * - "never": photos are stored as uploaded
+ */
+
+import sharp from 'sharp';
+
+// Formats sharp can write back after removing GPS data
+const STRIPPABLE_FORMATS = ['jpeg', 'png', 'webp', 'tiff', 'avif'];
+
+const STRIPPING_MODES = ['optional', 'always', 'never'];
+
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  dateTime: 0x0132,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+  gpsLatitudeRef: 0x0001,
+  gpsLatitude: 0x0002,
+  gpsLongitudeRef: 0x0003,
+  gpsLongitude: 0x0004,
+};
+
+/**
+ * Read the entries of one IFD
+ * @returns {Map<number, *>} Tag -> value (strings, numbers or arrays of numbers)
+ */
+function readIfd(tiff, offset, littleEndian) {
+  const entries = new Map();
+  if (offset < 8 || offset + 2 > tiff.length) return entries;
+
+  const u16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const s32 = (at) => (littleEndian ? tiff.readInt32LE(at) : tiff.readInt32BE(at));
+
+  const count = u16(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const valueCount = u32(entry + 4);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+
+    const valueOffset = size * valueCount > 4 ? u32(entry + 8) : entry + 8;
+    if (valueOffset + size * valueCount > tiff.length) continue;
+
+    const read = (index) => {
+      const at = valueOffset + index * size;
+      switch (type) {
+        case 3: return u16(at);
+        case 4: return u32(at);
+        case 9: return s32(at);
+        case 5: return u32(at + 4) ? u32(at) / u32(at + 4) : 0;
+        case 10: return s32(at + 4) ? s32(at) / s32(at + 4) : 0;
+        default: return tiff[at];
+      }
+    };
+
+    if (type === 2) {
+      entries.set(tag, tiff.toString('latin1', valueOffset, valueOffset + valueCount).replace(/\0+$/, '').trim());
+    } else {
+      const values = Array.from({ length: valueCount }, (_, index) => read(index));
+      entries.set(tag, values.length === 1 ? values[0] : values);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * EXIF date ("YYYY:MM:DD HH:MM:SS") as an ISO string
+ * Without a time zone offset the result has none either, so clients read it as local time
+ * @returns {string|null} ISO date string
+ */
+function parseExifDate(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  if (year === '0000') return null;
+
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+/**
+ * GPS degrees/minutes/seconds as a signed decimal coordinate
+ * @returns {number|null} Coordinate
+ */
+function parseGpsCoordinate(value, ref, max) {
+  if (!Array.isArray(value) || value.length < 3) return null;
+
+  const [degrees, minutes, seconds] = value;
+  const coordinate = degrees + minutes / 60 + seconds / 3600;
+  if (!Number.isFinite(coordinate) || coordinate > max) return null;
+
+  return ref === 'S' || ref === 'W' ? -coordinate : coordinate;
+}
+
+/**
+ * Read the first IFD of a raw EXIF block
+ * @param {Buffer} exif - EXIF data, with or without the "Exif\0\0" prefix
+ * @returns {{tiff: Buffer, littleEndian: boolean, ifd0: Map}|null} null when the block is not EXIF
+ */
+function readIfd0(exif) {
+  if (!exif || exif.length < 14) return null;
+
+  const tiff = exif.toString('latin1', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+  const littleEndian = byteOrder === 'II';
+  const ifd0 = readIfd(tiff, littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), littleEndian);
+  return { tiff, littleEndian, ifd0 };
+}
+
+/**
+ * Parse a raw EXIF block
+ * @param {Buffer} exif - EXIF data, with or without the "Exif\0\0" prefix
+ * @returns {Object} { capturedAt, gpsLat, gpsLng, cameraMake, cameraModel } (missing values are null)
+ */
+export function parseExif(exif) {
+  const result = { capturedAt: null, gpsLat: null, gpsLng: null, cameraMake: null, cameraModel: null };
+  const block = readIfd0(exif);
+  if (!block) return result;
+
+  const { tiff, littleEndian, ifd0 } = block;
+  const exifIfd = ifd0.has(TAGS.exifIfd) ? readIfd(tiff, ifd0.get(TAGS.exifIfd), littleEndian) : new Map();
+  const gpsIfd = ifd0.has(TAGS.gpsIfd) ? readIfd(tiff, ifd0.get(TAGS.gpsIfd), littleEndian) : new Map();
+
+  result.capturedAt = parseExifDate(
+    exifIfd.get(TAGS.dateTimeOriginal),
+    exifIfd.get(TAGS.offsetTimeOriginal)
+  ) || parseExifDate(ifd0.get(TAGS.dateTime));
+
+  const gpsLat = parseGpsCoordinate(gpsIfd.get(TAGS.gpsLatitude), gpsIfd.get(TAGS.gpsLatitudeRef), 90);
+  const gpsLng = parseGpsCoordinate(gpsIfd.get(TAGS.gpsLongitude), gpsIfd.get(TAGS.gpsLongitudeRef), 180);
+  // 0,0 is how cameras without a fix often fill the fields
+  if (gpsLat !== null && gpsLng !== null && (gpsLat !== 0 || gpsLng !== 0)) {
+    result.gpsLat = gpsLat;
+    result.gpsLng = gpsLng;
+  }
+
+  result.cameraMake = typeof ifd0.get(TAGS.make) === 'string' ? ifd0.get(TAGS.make) || null : null;
+  result.cameraModel = typeof ifd0.get(TAGS.model) === 'string' ? ifd0.get(TAGS.model) || null : null;
+
+  return result;
+}
+
+/**
+ * Read the metadata of a photo
+ * @param {Buffer} buffer - Image file
+ * @returns {Promise<Object>} parseExif() result; all null for files without EXIF or that are not images
+ */
+export async function readPhotoMetadata(buffer) {
+  try {
+    const { exif } = await sharp(buffer).metadata();
+    return parseExif(exif);
+  } catch {
+    return parseExif(null);
+  }
+}
+
+/**
+ * Configured GPS stripping mode
+ * @returns {'optional'|'always'|'never'} Mode
+ */
+export function getLocationStrippingMode() {
+  const configured = process.env.PHOTO_LOCATION_STRIPPING?.trim().toLowerCase();
+  return STRIPPING_MODES.includes(configured) ? configured : 'optional';
+}
+
+/**
+ * Whether an upload is stored without its GPS data
+ * @param {boolean} requested - The client asked for it
+ * @returns {boolean} Strip GPS data
+ */
+export function shouldStripLocation(requested) {
+  const mode = getLocationStrippingMode();
+  return mode === 'always' || (mode === 'optional' && requested);
+}
+
+/**
+ * Remove GPS data from a photo
+ * The image is re-encoded in its own format with orientation applied and the camera,
+ * capture time and color profile kept; XMP metadata, which can also hold a position, is
+ * dropped. Any GPS IFD counts, even one without usable coordinates, and EXIF that cannot
+ * be read is dropped entirely. Files without GPS or XMP data, or in formats sharp cannot
+ * write, are returned unchanged.
+ * @param {Buffer} buffer - Image file
+ * @returns {Promise<{buffer: Buffer, stripped: boolean}>} Photo to store
+ */
+export async function stripPhotoLocation(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return { buffer, stripped: false };
+  }
+
+  let kept = { capturedAt: null, cameraMake: null, cameraModel: null };
+  let hasLocation;
+  try {
+    kept = parseExif(metadata.exif);
+    hasLocation = Boolean(readIfd0(metadata.exif)?.ifd0.has(TAGS.gpsIfd) || metadata.xmp);
+  } catch {
+    // A malformed block may still hold a position
+    hasLocation = Boolean(metadata.exif || metadata.xmp);
+  }
+  if (!hasLocation || !STRIPPABLE_FORMATS.includes(metadata.format)) {
+    return { buffer, stripped: false };
+  }
+
+  const { capturedAt, cameraMake, cameraModel } = kept;
+
+  const ifd0 = {};
+  const ifd2 = {};
+  if (cameraMake) ifd0.Make = cameraMake;
+  if (cameraModel) ifd0.Model = cameraModel;
+  if (capturedAt) {
+    ifd2.DateTimeOriginal = capturedAt.slice(0, 19).replace('T', ' ').replace(/-/g, ':');
+    if (capturedAt.length > 19) ifd2.OffsetTimeOriginal = capturedAt.slice(19);
+  }
+
+  const output = await sharp(buffer)
+    .rotate()
+    .keepIccProfile()
+    .withExif({ IFD0: ifd0, IFD2: ifd2 })
+    .toFormat(metadata.format, metadata.format === 'jpeg' ? { quality: 92, mozjpeg: true } : {})
+    .toBuffer();
+
+  return { buffer: output, stripped: true };
+}
@@ -3,10 +3,12 @@
  */
 
 import { prisma } from '@/lib/prisma';
+import { countAttachmentTypes, getMomentAttachments } from '@/utils/attachment-utils';
 
 /**
  * Get all moments that have media (images, audio, or video)
  * @param {Object} options - Query options
+ * @param {number} options.userId - Owner of the moments (required)
  * @param {number} options.page - Page number (default: 1)
  * @param {number} options.limit - Items per page (default: 20)
  * @param {string} options.mediaType - Filter by media type: 'image', 'audio', 'video', or 'all'
@@ -15,9 +17,11 @@ import { prisma } from '@/lib/prisma';
  * @param {Date} options.dateTo - Filter to date
  * @param {number[]} options.tagIds - Filter by tag IDs
  * @param {number} options.categoryId - Filter by category ID
- * @returns {Promise<Object>} Paginated moments with metadata
+ * @param {Object} options.albumWhere - Only moments of a smart album (see getSmartAlbumWhere)
+ * @returns {Promise<Object>} Paginated moments with metadata and per-type attachment counts
  */
 export async function getAllMomentsWithMedia({
+  userId,
   page = 1,
   limit = 20,
   mediaType = 'all',
@@ -26,15 +30,20 @@ export async function getAllMomentsWithMedia({
   dateTo = null,
   tagIds = [],
   categoryId = null,
+  albumWhere = null,
 } = {}) {
   try {
     // Build where clause
+    // The cover URL columns mirror the first attachment of each type,
+    // so they also tell whether a moment has any attachment of that type
     const where = {
+      userId,
       OR: [
         { imageUrl: { not: null } },
         { audioUrl: { not: null } },
         { videoUrl: { not: null } },
       ],
+      ...(albumWhere && { AND: [albumWhere] }),
     };
 
     // Media type filter
@@ -103,15 +112,21 @@ export async function getAllMomentsWithMedia({
             },
           },
           category: true,
+          attachments: {
+            orderBy: { position: 'asc' },
+          },
         },
       }),
       prisma.moment.count({ where }),
     ]);
 
+    const mediaCounts = await countMediaByType(where);
+
     // Format tags to flatten the nested structure
     const formattedMoments = moments.map(moment => ({
       ...moment,
       tags: moment.tags.map(mt => mt.tag),
+      mediaCounts: countAttachmentTypes(getMomentAttachments(moment)),
     }));
 
     const totalPages = Math.ceil(totalCount / limit);
@@ -119,6 +134,7 @@ export async function getAllMomentsWithMedia({
 
     return {
       moments: formattedMoments,
+      mediaCounts,
       pagination: {
         page,
         limit,
@@ -131,6 +147,7 @@ export async function getAllMomentsWithMedia({
     console.error('Error fetching moments with media:', error);
     return {
       moments: [],
+      mediaCounts: { image: 0, audio: 0, video: 0 },
       pagination: {
         page: 1,
         limit,
@@ -142,14 +159,46 @@ export async function getAllMomentsWithMedia({
   }
 }
 
+/**
+ * Count attachments per media type across all moments matching a filter
+ * Moments created before attachments existed are counted from their URL columns
+ * @param {Object} where - Moment where clause
+ * @returns {Promise<{image: number, audio: number, video: number}>} Counts per type
+ */
+async function countMediaByType(where) {
+  const legacyWhere = { ...where, attachments: { none: {} } };
+
+  const [grouped, legacyImages, legacyAudio, legacyVideos] = await Promise.all([
+    prisma.attachment.groupBy({
+      by: ['type'],
+      where: { moment: where },
+      _count: { _all: true },
+    }),
+    prisma.moment.count({ where: { ...legacyWhere, imageUrl: { not: null } } }),
+    prisma.moment.count({ where: { ...legacyWhere, audioUrl: { not: null } } }),
+    prisma.moment.count({ where: { ...legacyWhere, videoUrl: { not: null } } }),
+  ]);
+
+  const counts = { image: legacyImages, audio: legacyAudio, video: legacyVideos };
+  grouped.forEach((group) => {
+    if (counts[group.type] !== undefined) {
+      counts[group.type] += group._count._all;
+    }
+  });
+
+  return counts;
+}
+
 /**
  * Get available filters (tags, categories) for gallery
+ * @param {number} userId - User whose tags are listed
  * @returns {Promise<Object>} Available filters
  */
-export async function getGalleryFilters() {
+export async function getGalleryFilters(userId) {
   try {
     const [tags, categories] = await Promise.all([
       prisma.tag.findMany({
+        where: { userId },
         orderBy: { name: 'asc' },
       }),
       prisma.category.findMany({
@@ -1,60 +1,240 @@
 /**
  * Geofence Manager
  * Monitors user location and triggers notifications when entering/leaving geofenced areas
+ * Geofences are stored on the server (GET/POST /api/geofences, PUT/DELETE /api/geofences/[id])
+ * and cached in IndexedDB, so every device monitors the same areas, also offline
+ * Entering, leaving and staying for a geofence's dwell time are logged on the server
+ * (POST /api/geofences/[id]/events); geofences with remindOnEnter, and dwell events, ask to
+ * capture a moment with a notification that opens /capture
  */
 
-import { isInsideGeofence } from '@/utils/location-utils';
+import { cacheGeofences, getCachedGeofences, throwResponseError } from '@/lib/db';
+import {
+  GEOFENCES_CHANGED_EVENT,
+  GEOFENCE_CROSSED_EVENT,
+  getGeofenceCapturePath,
+  getGeofenceTransition,
+} from '@/utils/geofence-utils';
+
+const API_BASE = '/api/geofences';
+
+// How often dwell times are checked while monitoring
+const DWELL_CHECK_INTERVAL_MS = 30 * 1000;
 
 class GeofenceManager {
   constructor() {
     this.geofences = [];
+    this.loaded = false;
     this.watchId = null;
+    this.dwellTimer = null;
     this.currentPosition = null;
-    this.activeGeofences = new Set(); // Track which geofences user is currently inside
+    this.activeGeofences = new Map(); // Geofences the user is currently inside → when they entered (ms)
+    this.dwelledGeofences = new Set(); // Active geofences whose dwell event has fired
+  }
+
+  /**
+   * Load the user's geofences: the cached list first, then the server's
+   * Keeps the cached list when offline
+   * @returns {Promise<Array>} Geofences
+   */
+  async load() {
+    if (!this.loaded) {
+      this.setGeofences(await getCachedGeofences());
+    }
+
+    try {
+      const response = await fetch(API_BASE);
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to fetch geofences');
+      }
+
+      const geofences = await response.json();
+      this.setGeofences(geofences);
+      await cacheGeofences(geofences);
+    } catch (error) {
+      console.error('Error loading geofences, using cache:', error);
+    }
+
+    this.loaded = true;
+    return this.geofences;
+  }
+
+  /**
+   * Create a geofence on the server and start watching it
+   * @param {Object} geofence - { name, lat, lng, radius, notifyOnEnter?, notifyOnExit?, categoryId?, tagId? }
+   * @returns {Promise<Object>} Created geofence
+   */
+  async createGeofence(geofence) {
+    const response = await fetch(API_BASE, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(geofence),
+    });
+    if (!response.ok) {
+      await throwResponseError(response, 'Failed to create geofence');
+    }
+
+    const created = await response.json();
+    this.addGeofence(created);
+    await this.saveChanges();
+    return created;
+  }
+
+  /**
+   * Edit a geofence on the server
+   * @param {number} id - Geofence ID
+   * @param {Object} changes - Changed fields (see PUT /api/geofences/[id])
+   * @returns {Promise<Object>} Updated geofence
+   */
+  async updateGeofence(id, changes) {
+    const response = await fetch(`${API_BASE}/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    if (!response.ok) {
+      await throwResponseError(response, 'Failed to update geofence');
+    }
+
+    const updated = await response.json();
+    // Whether the user is inside is kept; a moved or reshaped area is re-checked from the last fix
+    this.addGeofence(updated);
+    this.checkGeofences();
+    await this.saveChanges();
+    return updated;
+  }
+
+  /**
+   * Delete a geofence on the server and stop watching it
+   * @param {number} id - Geofence ID
+   */
+  async deleteGeofence(id) {
+    const response = await fetch(`${API_BASE}/${id}`, { method: 'DELETE' });
+    // Already deleted on another device
+    if (!response.ok && response.status !== 404) {
+      await throwResponseError(response, 'Failed to delete geofence');
+    }
+
+    this.removeGeofence(id);
+    await this.saveChanges();
+  }
+
+  /**
+   * Fetch the enter, exit and dwell log
+   * @param {Object} options
+   * @param {number} options.limit - Maximum events (newest first)
+   * @param {number} options.geofenceId - Only this geofence's events
+   * @returns {Promise<Array>} Events (see GET /api/geofences/events)
+   */
+  async getEvents({ limit = 50, geofenceId } = {}) {
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (geofenceId) params.set('geofenceId', String(geofenceId));
+
+    const response = await fetch(`${API_BASE}/events?${params}`);
+    if (!response.ok) {
+      await throwResponseError(response, 'Failed to fetch geofence events');
+    }
+    return response.json();
+  }
+
+  /**
+   * Log entering, leaving or staying in a geofence and fire GEOFENCE_CROSSED_EVENT on window
+   * Best effort: events noticed offline are not kept
+   * @param {Object} geofence - Watched geofence
+   * @param {string} type - 'enter', 'exit' or 'dwell'
+   */
+  async logEvent(geofence, type) {
+    const { lat, lng, accuracy } = this.currentPosition;
+
+    try {
+      const response = await fetch(`${API_BASE}/${geofence.id}/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type, lat, lng, accuracy, occurredAt: new Date().toISOString() }),
+      });
+      if (!response.ok) {
+        await throwResponseError(response, 'Failed to log geofence event');
+      }
+    } catch (error) {
+      console.error(`Error logging geofence ${type}:`, error);
+    }
+
+    window.dispatchEvent(new CustomEvent(GEOFENCE_CROSSED_EVENT, { detail: { geofence, type } }));
+  }
+
+  /**
+   * Cache the current list and tell listeners it changed
+   */
+  async saveChanges() {
+    await cacheGeofences(this.geofences);
+    this.notifyChange();
+  }
+
+  /**
+   * Fire GEOFENCES_CHANGED_EVENT on window
+   */
+  notifyChange() {
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new Event(GEOFENCES_CHANGED_EVENT));
+    }
   }
 
   /**
-   * Add a geofence
-   * @param {Object} geofence - {id, name, lat, lng, radius, onEnter, onExit}
+   * Replace the watched geofences
+   * Areas the user is inside stay marked, so reloading does not notify again
+   * @param {Array} geofences - Geofences (see src/utils/geofence-utils.js)
+   */
+  setGeofences(geofences) {
+    this.geofences = geofences.map(toWatchedGeofence);
+
+    const ids = new Set(this.geofences.map(g => g.id));
+    [...this.activeGeofences.keys()].forEach((id) => {
+      if (!ids.has(id)) {
+        this.activeGeofences.delete(id);
+        this.dwelledGeofences.delete(id);
+      }
+    });
+
+    this.notifyChange();
+  }
+
+  /**
+   * Watch a geofence (in memory only; replaces one with the same ID, keeping its enter and dwell state)
+   * @param {Object} geofence - {id, name, lat, lng, radius, shape?, polygon?, dwellMinutes?, notifyOnEnter?, notifyOnExit?,
+   *   remindOnEnter?, category?, tag?}
    */
   addGeofence(geofence) {
-    if (!geofence.id || !geofence.lat || !geofence.lng || !geofence.radius) {
+    if (geofence.id === undefined || geofence.id === null || typeof geofence.lat !== 'number' ||
+      typeof geofence.lng !== 'number' || !geofence.radius) {
       throw new Error('Geofence must have id, lat, lng, and radius');
     }
 
-    // Remove existing geofence with same ID
-    this.removeGeofence(geofence.id);
+    // Replace existing geofence with same ID
+    this.geofences = this.geofences.filter(g => g.id !== geofence.id);
 
-    this.geofences.push({
-      id: geofence.id,
-      name: geofence.name || 'Unnamed Location',
-      lat: geofence.lat,
-      lng: geofence.lng,
-      radius: geofence.radius, // in meters
-      onEnter: geofence.onEnter || null,
-      onExit: geofence.onExit || null,
-      notifyOnEnter: geofence.notifyOnEnter !== false, // default true
-      notifyOnExit: geofence.notifyOnExit !== false, // default true
-    });
+    this.geofences.push(toWatchedGeofence(geofence));
 
     console.log(`Geofence added: ${geofence.name} (${geofence.radius}m radius)`);
   }
 
   /**
-   * Remove a geofence by ID
-   * @param {string} id - Geofence ID
+   * Stop watching a geofence (in memory only)
+   * @param {number} id - Geofence ID
    */
   removeGeofence(id) {
     this.geofences = this.geofences.filter(g => g.id !== id);
     this.activeGeofences.delete(id);
+    this.dwelledGeofences.delete(id);
   }
 
   /**
-   * Clear all geofences
+   * Clear all geofences (in memory only; the next load() starts from the cache again)
    */
   clearGeofences() {
+    this.loaded = false;
     this.geofences = [];
     this.activeGeofences.clear();
+    this.dwelledGeofences.clear();
   }
 
   /**
@@ -91,6 +271,8 @@ class GeofenceManager {
       }
     );
 
+    this.dwellTimer = setInterval(() => this.checkDwell(), DWELL_CHECK_INTERVAL_MS);
+
     console.log('Geofence monitoring started');
     return true;
   }
@@ -102,44 +284,40 @@ class GeofenceManager {
     if (this.watchId !== null) {
       navigator.geolocation.clearWatch(this.watchId);
       this.watchId = null;
+      clearInterval(this.dwellTimer);
+      this.dwellTimer = null;
       console.log('Geofence monitoring stopped');
     }
   }
 
   /**
    * Check current position against all geofences
+   * Fixes near a boundary only count once they are clear of it (see getGeofenceTransition)
    */
   checkGeofences() {
     if (!this.currentPosition) return;
 
-    const { lat, lng } = this.currentPosition;
-
     this.geofences.forEach(geofence => {
-      const isInside = isInsideGeofence(
-        lat,
-        lng,
-        geofence.lat,
-        geofence.lng,
-        geofence.radius
-      );
-
       const wasInside = this.activeGeofences.has(geofence.id);
+      const transition = getGeofenceTransition(geofence, this.currentPosition, wasInside);
 
       // Entering geofence
-      if (isInside && !wasInside) {
-        this.activeGeofences.add(geofence.id);
+      if (transition === 'enter') {
+        this.activeGeofences.set(geofence.id, Date.now());
         console.log(`Entered geofence: ${geofence.name}`);
+        this.logEvent(geofence, 'enter');
 
-        // Trigger callback
-        if (geofence.onEnter) {
-          geofence.onEnter(geofence, this.currentPosition);
-        }
-
-        // Show notification
-        if (geofence.notifyOnEnter && 'Notification' in window) {
+        // Show notification; reminders open the capture page prefilled from the geofence
+        if (geofence.remindOnEnter && 'Notification' in window) {
+          this.showNotification(
+            `Capture a moment at ${geofence.name}?`,
+            `You are now near ${geofence.name}${describeLinks(geofence)}`,
+            { url: getGeofenceCapturePath(geofence) }
+          );
+        } else if (geofence.notifyOnEnter && 'Notification' in window) {
           this.showNotification(
             `Entered ${geofence.name}`,
-            `You are now near ${geofence.name}`
+            `You are now near ${geofence.name}${describeLinks(geofence)}`
           );
         }
 
@@ -150,20 +328,17 @@ class GeofenceManager {
       }
 
       // Exiting geofence
-      if (!isInside && wasInside) {
+      if (transition === 'exit') {
         this.activeGeofences.delete(geofence.id);
+        this.dwelledGeofences.delete(geofence.id);
         console.log(`Exited geofence: ${geofence.name}`);
-
-        // Trigger callback
-        if (geofence.onExit) {
-          geofence.onExit(geofence, this.currentPosition);
-        }
+        this.logEvent(geofence, 'exit');
 
         // Show notification
         if (geofence.notifyOnExit && 'Notification' in window) {
           this.showNotification(
             `Left ${geofence.name}`,
-            `You have left ${geofence.name}`
+            `You have left ${geofence.name}${describeLinks(geofence)}`
           );
         }
 
@@ -173,14 +348,46 @@ class GeofenceManager {
         }
       }
     });
+
+    this.checkDwell();
+  }
+
+  /**
+   * Fire a dwell event for geofences the user has stayed in for their dwell time
+   * Runs on every fix and on a timer, since a device standing still reports few fixes
+   */
+  checkDwell() {
+    const now = Date.now();
+
+    this.getActiveGeofences().forEach(geofence => {
+      if (!geofence.dwellMinutes || this.dwelledGeofences.has(geofence.id)) return;
+      if (now - this.activeGeofences.get(geofence.id) < geofence.dwellMinutes * 60 * 1000) return;
+
+      this.dwelledGeofences.add(geofence.id);
+      console.log(`Dwelling in geofence: ${geofence.name}`);
+      this.logEvent(geofence, 'dwell');
+
+      // Staying somewhere is a good time to capture it
+      if ('Notification' in window) {
+        this.showNotification(
+          `At ${geofence.name} for ${geofence.dwellMinutes} min`,
+          `Capture a moment at ${geofence.name}?${describeLinks(geofence)}`,
+          { url: getGeofenceCapturePath(geofence) }
+        );
+      }
+    });
   }
 
   /**
    * Show browser notification
+   * With a URL, the notification (and its "Capture moment" action) opens it; the service
+   * worker shows it when registered, since only its notifications can have actions
    * @param {string} title
    * @param {string} body
+   * @param {Object} options
+   * @param {string} options.url - Page opened by clicking the notification
    */
-  async showNotification(title, body) {
+  async showNotification(title, body, { url } = {}) {
     // Check if notifications are supported
     if (!('Notification' in window)) {
       console.log('Notifications not supported');
@@ -193,14 +400,38 @@ class GeofenceManager {
     }
 
     // Show notification if permitted
-    if (Notification.permission === 'granted') {
-      new Notification(title, {
-        body,
-        icon: '/icons/icon-192x192.png',
-        badge: '/icons/icon-72x72.png',
-        tag: 'geofence',
-        vibrate: [200, 100, 200],
+    if (Notification.permission !== 'granted') return;
+
+    const options = {
+      body,
+      icon: '/icons/icon-192x192.png',
+      badge: '/icons/icon-72x72.png',
+      tag: 'geofence',
+      vibrate: [200, 100, 200],
+    };
+
+    if (!url) {
+      new Notification(title, options);
+      return;
+    }
+
+    const registration = 'serviceWorker' in navigator
+      ? await navigator.serviceWorker.getRegistration()
+      : null;
+    if (registration) {
+      // The service worker's notificationclick handler opens data.url
+      await registration.showNotification(title, {
+        ...options,
+        data: { url },
+        actions: [{ action: 'capture', title: '📸 Capture moment' }],
       });
+    } else {
+      const notification = new Notification(title, options);
+      notification.onclick = () => {
+        window.focus();
+        window.location.href = url;
+        notification.close();
+      };
     }
   }
 
@@ -237,6 +468,40 @@ class GeofenceManager {
   }
 }
 
+/**
+ * Geofence with the defaults monitoring relies on
+ * @param {Object} geofence - Geofence from the server, the cache or addGeofence()
+ * @returns {Object} Watched geofence
+ */
+function toWatchedGeofence(geofence) {
+  return {
+    ...geofence,
+    name: geofence.name || 'Unnamed Location',
+    shape: geofence.polygon ? 'polygon' : 'circle',
+    polygon: geofence.polygon || null,
+    radius: geofence.radius, // in meters
+    dwellMinutes: geofence.dwellMinutes || null,
+    notifyOnEnter: geofence.notifyOnEnter !== false, // default true
+    notifyOnExit: geofence.notifyOnExit !== false, // default true
+    remindOnEnter: geofence.remindOnEnter === true,
+    autoTag: geofence.autoTag === true,
+    category: geofence.category || null,
+    tag: geofence.tag || null,
+  };
+}
+
+/**
+ * Linked category and tag for notification texts
+ * @param {Object} geofence - Watched geofence
+ * @returns {string} e.g. " · 🏠 Home · #family" ('' without links)
+ */
+function describeLinks(geofence) {
+  return [
+    geofence.category && `${geofence.category.icon} ${geofence.category.name}`,
+    geofence.tag && `#${geofence.tag.name}`,
+  ].filter(Boolean).map((link) => ` · ${link}`).join('');
+}
+
 // Create singleton instance
 const geofenceManager = new GeofenceManager();
 
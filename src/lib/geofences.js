@@ -0,0 +1,152 @@
+/**
+ * Geofences
+ * Stored per user so every device monitors the same areas (see src/utils/geofence-utils.js
+ * for the format and src/lib/geofence-manager.js for monitoring)
+ */
+
+import { prisma } from '@/lib/prisma';
+import { findGeofencesAt } from '@/utils/geofence-utils';
+
+// Events kept per geofence; older ones are deleted as new ones arrive
+const MAX_EVENTS_PER_GEOFENCE = 200;
+
+// Relations needed by formatGeofence()
+export const GEOFENCE_INCLUDE = {
+  category: {
+    select: { id: true, name: true, icon: true },
+  },
+  tag: {
+    select: { id: true, name: true, color: true },
+  },
+};
+
+/**
+ * Read a stored polygon
+ * @param {string|null} value - JSON array of [lat, lng] vertices
+ * @returns {Array<[number, number]>|null} Vertices, null for circles and unreadable values
+ */
+function parseStoredPolygon(value) {
+  if (!value) return null;
+  try {
+    const polygon = JSON.parse(value);
+    return Array.isArray(polygon) ? polygon : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Format a geofence for API responses
+ * @param {Object} geofence - Geofence row loaded with GEOFENCE_INCLUDE
+ * @returns {Object} { id, name, shape, polygon, lat, lng, radius, dwellMinutes, notifyOnEnter, notifyOnExit,
+ *   remindOnEnter, autoTag, categoryId, category, tagId, tag, createdAt, updatedAt }
+ */
+export function formatGeofence(geofence) {
+  const polygon = geofence.shape === 'polygon' ? parseStoredPolygon(geofence.polygon) : null;
+
+  return {
+    id: geofence.id,
+    name: geofence.name,
+    // A polygon that cannot be read falls back to its surrounding circle
+    shape: polygon ? 'polygon' : 'circle',
+    polygon,
+    lat: geofence.lat,
+    lng: geofence.lng,
+    radius: geofence.radius,
+    dwellMinutes: geofence.dwellMinutes,
+    notifyOnEnter: geofence.notifyOnEnter,
+    notifyOnExit: geofence.notifyOnExit,
+    remindOnEnter: geofence.remindOnEnter,
+    autoTag: geofence.autoTag,
+    categoryId: geofence.categoryId,
+    category: geofence.category || null,
+    tagId: geofence.tagId,
+    tag: geofence.tag || null,
+    createdAt: geofence.createdAt,
+    updatedAt: geofence.updatedAt,
+  };
+}
+
+/**
+ * Check that a geofence's linked category exists and its tag belongs to the user
+ * @param {number} userId - Geofence owner
+ * @param {Object} data - Normalized fields (categoryId and tagId optional)
+ * @returns {Promise<string|null>} Error message, or null when the links are valid
+ */
+export async function validateGeofenceLinks(userId, { categoryId, tagId }) {
+  if (categoryId) {
+    const category = await prisma.category.findUnique({ where: { id: categoryId } });
+    if (!category) return 'Category not found';
+  }
+  if (tagId) {
+    const tag = await prisma.tag.findFirst({ where: { id: tagId, userId } });
+    if (!tag) return 'Tag not found';
+  }
+  return null;
+}
+
+/**
+ * Tags to add to a moment created at a location: those of the user's auto-tagging geofences around it
+ * @param {number} userId - Moment owner
+ * @param {number} lat - Moment latitude
+ * @param {number} lng - Moment longitude
+ * @returns {Promise<number[]>} Tag IDs (empty when the moment has no location)
+ */
+export async function getAutoTagIds(userId, lat, lng) {
+  if (!lat && !lng) return [];
+
+  const geofences = await prisma.geofence.findMany({
+    where: { userId, autoTag: true, tagId: { not: null } },
+    select: { shape: true, polygon: true, lat: true, lng: true, radius: true, tagId: true },
+  });
+  const areas = geofences.map((geofence) => ({
+    ...geofence,
+    polygon: geofence.shape === 'polygon' ? parseStoredPolygon(geofence.polygon) : null,
+  }));
+
+  return [...new Set(findGeofencesAt(areas, lat, lng).map((geofence) => geofence.tagId))];
+}
+
+/**
+ * Format an enter, exit or dwell event for API responses
+ * @param {Object} event - GeofenceEvent row, optionally loaded with its geofence's name
+ * @returns {Object} { id, geofenceId, geofenceName, type, lat, lng, accuracy, occurredAt }
+ */
+export function formatGeofenceEvent(event) {
+  return {
+    id: event.id,
+    geofenceId: event.geofenceId,
+    geofenceName: event.geofence?.name ?? null,
+    type: event.type,
+    lat: event.lat,
+    lng: event.lng,
+    accuracy: event.accuracy,
+    occurredAt: event.occurredAt,
+  };
+}
+
+/**
+ * Log an enter, exit or dwell event and drop the geofence's oldest events beyond MAX_EVENTS_PER_GEOFENCE
+ * @param {number} geofenceId - Geofence
+ * @param {Object} data - Fields from parseGeofenceEvent()
+ * @returns {Promise<Object>} Created event
+ */
+export async function logGeofenceEvent(geofenceId, data) {
+  const event = await prisma.geofenceEvent.create({
+    data: { ...data, geofenceId },
+  });
+
+  const stale = await prisma.geofenceEvent.findMany({
+    where: { geofenceId },
+    orderBy: [{ occurredAt: 'desc' }, { id: 'desc' }],
+    skip: MAX_EVENTS_PER_GEOFENCE,
+    select: { id: true },
+  });
+  if (stale.length > 0) {
+    await prisma.geofenceEvent.deleteMany({
+      where: { id: { in: stale.map((row) => row.id) } },
+    });
+  }
+
+  return event;
+}
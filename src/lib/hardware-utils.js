@@ -1,8 +1,16 @@
 /**
  * Hardware detection and utility functions
- * Checks browser support for camera, GPS, and microphone
+ * Checks browser support for camera, GPS, microphone and video recording
  */
 
+// Containers tried for recorded video, best first (Safari only records MP4)
+const VIDEO_RECORDING_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+  'video/mp4',
+];
+
 /**
  * Check if camera/video is supported
  * @returns {boolean} True if camera is available
@@ -14,6 +22,72 @@ export function checkCameraSupport() {
   );
 }
 
+/**
+ * Check if the camera can record video
+ * @returns {boolean} True if MediaRecorder can write a supported format
+ */
+export function checkVideoRecordingSupport() {
+  return checkCameraSupport() && getVideoRecordingMimeType() !== null;
+}
+
+/**
+ * Best video format MediaRecorder can write in this browser
+ * @returns {string|null} MIME type, or null when video cannot be recorded
+ */
+export function getVideoRecordingMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return VIDEO_RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Draw one frame of a video as a JPEG poster
+ * @param {Blob} blob - Video file
+ * @param {number} atSeconds - Preferred frame time (clamped to the video's middle for short clips)
+ * @returns {Promise<Blob|null>} Poster image, or null when the video cannot be decoded
+ */
+export function extractVideoPoster(blob, atSeconds = 1) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    // Some browsers never fire seeked for files they cannot decode
+    const timeout = setTimeout(() => finish(null), 10000);
+
+    const finish = (poster) => {
+      clearTimeout(timeout);
+      URL.revokeObjectURL(url);
+      video.removeAttribute('src');
+      resolve(poster);
+    };
+
+    video.onloadeddata = () => {
+      // Recorded WebM often reports an infinite duration; the first frames are fine then
+      video.currentTime = Number.isFinite(video.duration)
+        ? Math.min(atSeconds, video.duration / 2)
+        : 0.1;
+    };
+
+    video.onseeked = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      if (!canvas.width || !canvas.height) {
+        finish(null);
+        return;
+      }
+
+      canvas.getContext('2d').drawImage(video, 0, 0);
+      canvas.toBlob(finish, 'image/jpeg', 0.85);
+    };
+
+    video.onerror = () => finish(null);
+    video.src = url;
+  });
+}
+
 /**
  * Check if GPS/geolocation is supported
  * @returns {boolean} True if GPS is available
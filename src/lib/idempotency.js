@@ -0,0 +1,95 @@
+/**
+ * Idempotent moment creation
+ * Clients tag each new moment with an ID (body `clientId` or the Idempotency-Key header)
+ * that is stored uniquely per user on Moment.clientId, so a retried submission returns
+ * the moment that already exists instead of creating a duplicate
+ */
+
+import { prisma } from '@/lib/prisma';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const MAX_CLIENT_ID_LENGTH = 128;
+
+/**
+ * Validate a client ID
+ * @param {*} value - Candidate client ID
+ * @returns {boolean} True if usable
+ */
+function isValidClientId(value) {
+  return typeof value === 'string'
+    && value.length > 0
+    && value.length <= MAX_CLIENT_ID_LENGTH
+    && /^[\w.:-]+$/.test(value);
+}
+
+/**
+ * Validate an optional client ID
+ * @param {*} value - Value sent by the client
+ * @returns {{clientId: string|null, error: string|null}} Client ID (null if none was sent)
+ */
+function parseClientId(value) {
+  if (value === null || value === undefined || value === '') {
+    return { clientId: null, error: null };
+  }
+
+  if (!isValidClientId(value)) {
+    return { clientId: null, error: 'Invalid client ID or Idempotency-Key' };
+  }
+
+  return { clientId: value, error: null };
+}
+
+/**
+ * Read the client ID of a create request
+ * The body field wins over the header
+ * @param {Request} request - Incoming request
+ * @param {Object} body - Parsed JSON body
+ * @returns {{clientId: string|null, error: string|null}} Client ID (null if none was sent)
+ */
+export function getClientId(request, body) {
+  return parseClientId(body?.clientId ?? request.headers.get(IDEMPOTENCY_HEADER));
+}
+
+/**
+ * Read the client IDs of a batch create request
+ * Each moment may carry its own clientId; otherwise one is derived from the
+ * batch Idempotency-Key and the moment's position, so resending the same batch
+ * maps every moment to the same ID
+ * @param {Request} request - Incoming request
+ * @param {Array<Object>} moments - Moments in the batch
+ * @returns {{clientIds: Array<string|null>, error: string|null}} Client ID per moment
+ */
+export function getBatchClientIds(request, moments) {
+  const { clientId: batchKey, error } = parseClientId(request.headers.get(IDEMPOTENCY_HEADER));
+  if (error) {
+    return { clientIds: [], error };
+  }
+
+  const clientIds = [];
+  for (const [index, moment] of moments.entries()) {
+    const parsed = parseClientId(moment.clientId);
+    if (parsed.error) {
+      return { clientIds: [], error: parsed.error };
+    }
+    clientIds.push(parsed.clientId || (batchKey ? `${batchKey}:${index}` : null));
+  }
+
+  return { clientIds, error: null };
+}
+
+/**
+ * Find a moment created earlier with the same client ID
+ * @param {number} userId - Moment owner
+ * @param {string} clientId - Client ID
+ * @param {Object} options
+ * @param {Object} options.client - Prisma client or transaction (default: prisma)
+ * @param {Object} options.include - Relations to include
+ * @returns {Promise<Object|null>} Existing moment
+ */
+export function findMomentByClientId(userId, clientId, { client = prisma, include } = {}) {
+  return client.moment.findUnique({
+    where: { userId_clientId: { userId, clientId } },
+    include,
+  });
+}
@@ -0,0 +1,160 @@
+/**
+ * Draws photo edits (see src/utils/photo-edit-utils.js) on a canvas
+ * The editor preview and the exported file both go through drawEditedImage
+ */
+
+import {
+  getColorMatrix,
+  getFilterString,
+  getRotatedSize,
+} from '@/utils/photo-edit-utils';
+
+const JPEG_QUALITY = 0.92;
+
+/**
+ * Decode a photo for editing
+ * @param {Blob} blob - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image (EXIF orientation applied)
+ */
+export async function loadEditableImage(blob) {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(blob);
+  }
+
+  const url = URL.createObjectURL(blob);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Apply a color matrix to the pixels of a canvas
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {number[][]} matrix - 3x4 color matrix
+ */
+function applyColorMatrix(context, matrix) {
+  const { width, height } = context.canvas;
+  const imageData = context.getImageData(0, 0, width, height);
+  const { data } = imageData;
+  const [m0, m1, m2] = matrix;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    data[i] = m0[0] * r + m0[1] * g + m0[2] * b + m0[3];
+    data[i + 1] = m1[0] * r + m1[1] * g + m1[2] * b + m1[3];
+    data[i + 2] = m2[0] * r + m2[1] * g + m2[2] * b + m2[3];
+  }
+
+  context.putImageData(imageData, 0, 0);
+}
+
+/**
+ * Draw stroke and text annotations
+ * @param {CanvasRenderingContext2D} context - Context transformed to rotated photo pixels
+ * @param {Array<Object>} annotations - Annotations
+ * @param {number} width - Rotated photo width
+ * @param {number} height - Rotated photo height
+ */
+function drawAnnotations(context, annotations, width, height) {
+  const shortSide = Math.min(width, height);
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+
+  annotations.forEach((annotation) => {
+    const size = annotation.size * shortSide;
+
+    if (annotation.type === 'stroke') {
+      const [first, ...rest] = annotation.points;
+      context.strokeStyle = annotation.color;
+      context.lineWidth = size;
+      context.beginPath();
+      context.moveTo(first[0] * width, first[1] * height);
+      // A single tap still leaves a dot
+      (rest.length > 0 ? rest : [first]).forEach(([x, y]) => context.lineTo(x * width, y * height));
+      context.stroke();
+    } else {
+      context.font = `bold ${size}px Helvetica, Arial, sans-serif`;
+      context.fillStyle = annotation.color;
+      // Outline in the opposite shade so text reads on any background
+      context.strokeStyle = annotation.color === '#000000' ? '#ffffff' : '#000000';
+      context.lineWidth = size / 12;
+      context.strokeText(annotation.text, annotation.x * width, annotation.y * height);
+      context.fillText(annotation.text, annotation.x * width, annotation.y * height);
+    }
+  });
+}
+
+/**
+ * Draw an edited photo onto a canvas (the canvas is resized to fit)
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {ImageBitmap|HTMLImageElement} image - Decoded photo
+ * @param {Object} edits - Photo edits
+ * @param {Object} options
+ * @param {number|null} options.maxSize - Longest side of the result (null = full resolution)
+ * @param {boolean} options.cropped - Apply the crop (the editor shows the whole photo while cropping)
+ */
+export function drawEditedImage(canvas, image, edits, { maxSize = null, cropped = true } = {}) {
+  const rotated = getRotatedSize(image.width, image.height, edits.rotation);
+  const crop = cropped ? edits.crop : { x: 0, y: 0, width: 1, height: 1 };
+  const cropWidth = crop.width * rotated.width;
+  const cropHeight = crop.height * rotated.height;
+  const scale = maxSize ? Math.min(1, maxSize / Math.max(cropWidth, cropHeight)) : 1;
+
+  canvas.width = Math.max(1, Math.round(cropWidth * scale));
+  canvas.height = Math.max(1, Math.round(cropHeight * scale));
+
+  const context = canvas.getContext('2d');
+  const filter = getFilterString(edits);
+  const canFilter = typeof context.filter === 'string';
+
+  // From here on, drawing is in rotated photo pixels
+  context.setTransform(scale, 0, 0, scale, -crop.x * rotated.width * scale, -crop.y * rotated.height * scale);
+
+  context.save();
+  if (canFilter) context.filter = filter;
+  context.translate(rotated.width / 2, rotated.height / 2);
+  context.scale(edits.flipH ? -1 : 1, edits.flipV ? -1 : 1);
+  context.rotate((edits.rotation * Math.PI) / 180);
+  context.drawImage(image, -image.width / 2, -image.height / 2);
+  context.restore();
+
+  if (!canFilter && filter !== 'none') {
+    context.save();
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    applyColorMatrix(context, getColorMatrix(edits));
+    context.restore();
+  }
+
+  drawAnnotations(context, edits.annotations, rotated.width, rotated.height);
+}
+
+/**
+ * Render the edited photo as a new file
+ * PNGs stay PNG (screenshots, transparency); everything else becomes JPEG
+ * @param {Blob} blob - Original image file
+ * @param {Object} edits - Photo edits
+ * @returns {Promise<Blob>} Edited image
+ */
+export async function exportEditedImage(blob, edits) {
+  const image = await loadEditableImage(blob);
+  const canvas = document.createElement('canvas');
+  drawEditedImage(canvas, image, edits);
+  if (typeof image.close === 'function') image.close();
+
+  const type = blob.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((result) => {
+      if (result) resolve(result);
+      else reject(new Error('Could not encode the edited photo'));
+    }, type, JPEG_QUALITY);
+  });
+}
@@ -0,0 +1,120 @@
+/**
+ * Image pipeline
+ * Every uploaded photo gets resized AVIF and WebP copies (thumbnail, medium, full) and a
+ * tiny blurred placeholder, so galleries load small files on every storage driver.
+ * The copies are stored next to the original and tracked as media assets of the uploader;
+ * their URLs travel with the attachment (see getImageVariants in src/utils/attachment-utils.js).
+ *
+ * Set IMAGE_VARIANTS="false" to store originals only (e.g. when Cloudinary transformations
+ * are used instead).
+ */
+
+import sharp from 'sharp';
+import { recordUpload } from '@/lib/media-assets';
+import { MEDIA_FOLDERS, buildStorageKey } from '@/lib/storage';
+
+// Widths of the resized copies (never larger than the original)
+export const IMAGE_VARIANT_WIDTHS = {
+  thumbnail: 320,
+  medium: 960,
+  full: 1920,
+};
+
+const ENCODERS = {
+  avif: (image) => image.avif({ quality: 50, effort: 2 }),
+  webp: (image) => image.webp({ quality: 78 }),
+};
+
+const PLACEHOLDER_SIZE = 16;
+
+/**
+ * Whether resized copies are made
+ * @returns {boolean} Enabled
+ */
+export function isImagePipelineEnabled() {
+  return process.env.IMAGE_VARIANTS?.trim().toLowerCase() !== 'false';
+}
+
+/**
+ * Widths to produce for an image
+ * Widths above the original are dropped; a small image gets one copy at its own width
+ * @param {number} originalWidth - Width after orientation
+ * @returns {number[]} Widths
+ */
+function getVariantWidths(originalWidth) {
+  const widths = Object.values(IMAGE_VARIANT_WIDTHS).filter((width) => width < originalWidth);
+  return widths.length < Object.keys(IMAGE_VARIANT_WIDTHS).length ? [...widths, originalWidth] : widths;
+}
+
+/**
+ * Tiny blurred copy of an image as a data URL
+ * @param {Buffer} buffer - Image file
+ * @returns {Promise<string>} data:image/webp;base64,...
+ */
+async function createPlaceholder(buffer) {
+  const data = await sharp(buffer)
+    .rotate()
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return `data:image/webp;base64,${data.toString('base64')}`;
+}
+
+/**
+ * Make and store the resized copies and placeholder of an uploaded photo
+ * Copies never carry the original's EXIF data
+ * @param {Buffer} buffer - Image file as stored
+ * @param {Object} storage - Storage driver
+ * @param {number} userId - Uploading user
+ * @returns {Promise<{variants: Object|null, placeholder: string|null}>} variants: { avif: [{width, url}], webp: [...] };
+ *   both null when disabled or the file cannot be decoded, encoded or stored
+ */
+export async function createImageVariants(buffer, storage, userId) {
+  if (!isImagePipelineEnabled()) {
+    return { variants: null, placeholder: null };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    console.warn('Image pipeline: cannot decode upload:', error.message);
+    return { variants: null, placeholder: null };
+  }
+
+  // EXIF orientations 5-8 swap width and height
+  const width = (metadata.orientation || 1) >= 5 ? metadata.height : metadata.width;
+  if (!width) {
+    return { variants: null, placeholder: null };
+  }
+
+  try {
+    const variants = {};
+    for (const [format, encode] of Object.entries(ENCODERS)) {
+      variants[format] = [];
+
+      for (const variantWidth of getVariantWidths(width)) {
+        const output = await encode(
+          sharp(buffer).rotate().resize({ width: variantWidth, withoutEnlargement: true })
+        ).toBuffer();
+
+        const result = await storage.upload(output, {
+          key: buildStorageKey(MEDIA_FOLDERS.image, `image/${format}`),
+          contentType: `image/${format}`,
+          resourceType: 'image',
+        });
+        await recordUpload(result, userId);
+
+        variants[format].push({ width: variantWidth, url: result.url });
+      }
+    }
+
+    return { variants, placeholder: await createPlaceholder(buffer) };
+  } catch (error) {
+    // The original is still stored; copies stored so far are never attached, so media GC removes them
+    console.warn('Image pipeline: cannot make variants:', error.message);
+    return { variants: null, placeholder: null };
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Media asset bookkeeping
+ * Every upload gets a MediaAsset row so stored files can be removed when the
+ * moment using them is deleted or edited, and so abandoned uploads can be collected
+ */
+
+import { prisma } from '@/lib/prisma';
+import { getStorageDriver } from '@/lib/storage';
+import { getVariantUrls } from '@/utils/attachment-utils';
+
+// Moment columns that hold media URLs
+export const MEDIA_URL_FIELDS = ['imageUrl', 'audioUrl', 'videoUrl'];
+
+/**
+ * Collect every media URL a moment references (cover columns, attachments, their resized copies and posters)
+ * @param {Object} moment - Moment, optionally with attachments
+ * @returns {string[]} Unique media URLs
+ */
+export function getMomentMediaUrls(moment) {
+  const urls = [
+    ...MEDIA_URL_FIELDS.map((field) => moment[field]),
+    ...(moment.attachments || []).flatMap((attachment) => [
+      attachment.url,
+      attachment.posterUrl,
+      ...getVariantUrls(attachment),
+    ]),
+  ];
+  return [...new Set(urls.filter(Boolean))];
+}
+
+// Unattached uploads older than this are removed by collectOrphanedMedia()
+const DEFAULT_ORPHAN_MAX_AGE_HOURS = 24;
+
+/**
+ * Record a finished upload
+ * @param {Object} result - Result of storage.upload()
+ * @param {number} userId - Uploading user
+ * @returns {Promise<Object>} Created MediaAsset
+ */
+export function recordUpload(result, userId) {
+  return prisma.mediaAsset.create({
+    data: {
+      publicId: result.key,
+      driver: result.driver,
+      url: result.url,
+      resourceType: result.resourceType,
+      contentType: result.contentType || null,
+      bytes: result.bytes || 0,
+      userId,
+    },
+  });
+}
+
+/**
+ * Link the uploads referenced by a moment to it
+ * Only the user's own, still unattached uploads are linked
+ * @param {number} momentId - Moment ID
+ * @param {Array<string|null>} urls - Media URLs used by the moment
+ * @param {number} userId - Moment owner
+ * @param {Object} client - Prisma client or transaction (default: prisma)
+ * @returns {Promise<number>} Number of assets linked
+ */
+export async function attachMediaToMoment(momentId, urls, userId, client = prisma) {
+  const mediaUrls = urls.filter(Boolean);
+  if (mediaUrls.length === 0) return 0;
+
+  const { count } = await client.mediaAsset.updateMany({
+    where: {
+      url: { in: mediaUrls },
+      userId,
+      momentId: null,
+    },
+    data: { momentId },
+  });
+
+  return count;
+}
+
+/**
+ * Delete assets from storage and remove their rows
+ * Rows are kept when the file cannot be deleted, so garbage collection can retry
+ * @param {Object[]} assets - MediaAsset rows
+ * @returns {Promise<number>} Number of assets removed
+ */
+export async function releaseAssets(assets) {
+  let released = 0;
+
+  for (const asset of assets) {
+    try {
+      await getStorageDriver(asset.driver).delete(asset.publicId, {
+        resourceType: asset.resourceType,
+      });
+      await prisma.mediaAsset.delete({ where: { id: asset.id } });
+      released++;
+    } catch (error) {
+      console.error('Failed to release media asset:', asset.url, error);
+    }
+  }
+
+  return released;
+}
+
+/**
+ * Remove all media belonging to a moment that is being deleted
+ * Only files recorded as the owner's uploads are deleted: a moment's URLs are
+ * client-supplied and may point at someone else's files
+ * Call with the moment loaded before deletion, including mediaAssets
+ * @param {Object} moment - Moment with mediaAssets
+ * @returns {Promise<void>}
+ */
+export async function releaseMomentMedia(moment) {
+  const assets = (moment.mediaAssets || []).filter((asset) => asset.userId === moment.userId);
+  await releaseAssets(assets);
+}
+
+/**
+ * Reconcile media after a moment update
+ * New URLs are attached; URLs that were replaced or cleared are released
+ * @param {Object} before - Moment before the update, including attachments
+ * @param {Object} after - Moment after the update, including attachments
+ * @param {number} userId - Moment owner
+ * @returns {Promise<void>}
+ */
+export async function syncMomentMedia(before, after, userId) {
+  const previousUrls = getMomentMediaUrls(before);
+  const currentUrls = getMomentMediaUrls(after);
+
+  const removedUrls = previousUrls.filter((url) => !currentUrls.includes(url));
+
+  await attachMediaToMoment(after.id, currentUrls, userId);
+
+  if (removedUrls.length === 0) return;
+
+  // Untracked URLs are left alone: they may be someone else's files
+  const removedAssets = await prisma.mediaAsset.findMany({
+    where: { url: { in: removedUrls }, momentId: before.id, userId },
+  });
+  await releaseAssets(removedAssets);
+}
+
+/**
+ * Garbage-collect uploads that were never attached to a moment
+ * (e.g. the user uploaded a photo and then abandoned the form)
+ * @param {Object} options
+ * @param {number} options.maxAgeHours - Minimum age before an upload counts as abandoned
+ * @returns {Promise<{found: number, released: number}>} Sweep result
+ */
+export async function collectOrphanedMedia({
+  maxAgeHours = Number(process.env.MEDIA_GC_MAX_AGE_HOURS) || DEFAULT_ORPHAN_MAX_AGE_HOURS,
+} = {}) {
+  const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+
+  const orphans = await prisma.mediaAsset.findMany({
+    where: {
+      momentId: null,
+      createdAt: { lt: cutoff },
+    },
+  });
+
+  const released = await releaseAssets(orphans);
+
+  return { found: orphans.length, released };
+}
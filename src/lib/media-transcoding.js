@@ -0,0 +1,227 @@
+/**
+ * Audio and video pipeline
+ * Recordings arrive in whatever format the browser's MediaRecorder writes (WebM/Opus on
+ * Chrome and Firefox, MP4 on Safari), which not every player handles. Uploaded audio is
+ * converted to AAC in an M4A file and video to H.264/AAC in an MP4 file with ffmpeg;
+ * files already in those formats are kept as they are. The duration and codecs are read
+ * at the same time and travel with the attachment (see parseAttachmentInput in
+ * src/utils/attachment-utils.js).
+ *
+ * ffmpeg comes from the ffmpeg-static package (set FFMPEG_BIN to use another binary).
+ * Without a usable binary, or with MEDIA_TRANSCODING="false", files are stored as
+ * uploaded and only their size is known.
+ */
+
+import { execFile } from 'child_process';
+import { constants as fsConstants } from 'fs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ffmpegStatic from 'ffmpeg-static';
+import { MEDIA_EXTENSIONS } from '@/lib/storage/media-types';
+
+// Conversions that fail or hang fall back to storing the original
+const TRANSCODE_TIMEOUT_MS = 5 * 60 * 1000;
+
+const TARGETS = {
+  audio: {
+    extension: 'm4a',
+    contentType: 'audio/mp4',
+    args: ['-vn', '-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart'],
+  },
+  video: {
+    extension: 'mp4',
+    contentType: 'video/mp4',
+    args: [
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+      // H.264 needs even dimensions
+      '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+      '-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart',
+    ],
+  },
+};
+
+// ffmpeg demuxer of each (sniffed) upload type, so ffmpeg never guesses the format
+// of untrusted input (playlists and similar formats could make it read other files)
+const DEMUXERS = {
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/aac': 'aac',
+  'audio/mp4': 'mov',
+  'audio/webm': 'matroska',
+  'video/webm': 'matroska',
+  'video/mp4': 'mov',
+  'video/quicktime': 'mov',
+  'video/ogg': 'ogg',
+};
+
+let ffmpegPathPromise = null;
+
+/**
+ * Whether audio and video are converted
+ * @returns {boolean} Enabled
+ */
+export function isTranscodingEnabled() {
+  return process.env.MEDIA_TRANSCODING?.trim().toLowerCase() !== 'false';
+}
+
+/**
+ * Path of a runnable ffmpeg binary (looked up once per process)
+ * The ffmpeg-static download can fail on install or not exist for the platform
+ * @returns {Promise<string|null>} Binary path, or null when ffmpeg is unavailable
+ */
+export function getFfmpegPath() {
+  if (!ffmpegPathPromise) {
+    ffmpegPathPromise = ffmpegStatic
+      ? fs.access(ffmpegStatic, fsConstants.X_OK).then(() => ffmpegStatic, () => {
+        console.warn(`Media transcoding: no ffmpeg binary at ${ffmpegStatic}; files are stored as uploaded`);
+        return null;
+      })
+      : Promise.resolve(null);
+  }
+  return ffmpegPathPromise;
+}
+
+/**
+ * Run ffmpeg
+ * @param {string} ffmpeg - Binary path
+ * @param {string[]} args - Arguments
+ * @returns {Promise<{ok: boolean, stderr: string}>} ok is false when ffmpeg failed or timed out
+ */
+function runFfmpeg(ffmpeg, args) {
+  return new Promise((resolve) => {
+    execFile(
+      ffmpeg,
+      ['-hide_banner', '-nostdin', ...args],
+      { timeout: TRANSCODE_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => resolve({ ok: !error, stderr: String(stderr) })
+    );
+  });
+}
+
+/**
+ * ffmpeg arguments to open a local file
+ * @param {string} file - File path
+ * @param {string} [format] - Demuxer (guessed by ffmpeg when omitted)
+ * @returns {string[]} Input arguments
+ */
+function inputArgs(file, format) {
+  return ['-protocol_whitelist', 'file', ...(format ? ['-f', format] : []), '-i', file];
+}
+
+/**
+ * Read the container, duration and codecs of a media file
+ * ffmpeg prints them when given an input only (and then exits with an error)
+ * @param {string} ffmpeg - Binary path
+ * @param {string} file - File path
+ * @param {string} [format] - Demuxer
+ * @returns {Promise<{container: string, duration: number|null, videoCodec: string|null, audioCodec: string|null}>}
+ *   container: ffmpeg's format names, e.g. "mov,mp4,m4a,3gp,3g2,mj2" or "matroska,webm"
+ */
+async function probeMedia(ffmpeg, file, format) {
+  const { stderr } = await runFfmpeg(ffmpeg, inputArgs(file, format));
+
+  const duration = stderr.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  const seconds = duration ? Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]) : null;
+
+  return {
+    container: stderr.match(/Input #0, (\S+), from/)?.[1] || '',
+    duration: seconds > 0 ? Math.round(seconds * 100) / 100 : null,
+    videoCodec: stderr.match(/Stream #\S+.*?: Video: (\w+)/)?.[1] || null,
+    audioCodec: stderr.match(/Stream #\S+.*?: Audio: (\w+)/)?.[1] || null,
+  };
+}
+
+/**
+ * Whether a probed file plays nearly everywhere as it is
+ * @param {Object} probe - Result of probeMedia()
+ * @param {string} resourceType - 'audio' or 'video'
+ * @returns {boolean} True for AAC or MP3 audio and H.264 video (with AAC sound) in MP4 or MP3 files
+ */
+function isWidelyPlayable(probe, resourceType) {
+  const mp4 = probe.container.split(',').includes('mp4');
+
+  if (resourceType === 'audio') {
+    return (mp4 && probe.audioCodec === 'aac') || (probe.container === 'mp3' && probe.audioCodec === 'mp3');
+  }
+  return mp4 && probe.videoCodec === 'h264' && (!probe.audioCodec || probe.audioCodec === 'aac');
+}
+
+/**
+ * Codec description stored with the attachment
+ * @param {Object} probe - Result of probeMedia()
+ * @param {string} resourceType - 'audio' or 'video'
+ * @returns {string|null} e.g. "aac" or "h264/aac"
+ */
+function describeCodecs(probe, resourceType) {
+  const codecs = resourceType === 'video' ? [probe.videoCodec, probe.audioCodec] : [probe.audioCodec];
+  return codecs.filter(Boolean).join('/') || null;
+}
+
+/**
+ * Convert an uploaded audio or video file to a widely playable format and read its details
+ * Never throws: when ffmpeg is missing or fails, the file is returned unchanged
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} options
+ * @param {string} options.resourceType - 'audio' or 'video'
+ * @param {string} options.contentType - MIME type sniffed from the file (see src/lib/storage/media-types.js)
+ * @param {string} options.fileName - Uploaded file name
+ * @returns {Promise<{buffer: Buffer, contentType: string, fileName: string, media: Object}>} File to store;
+ *   media: { duration (seconds), codec, bytes }, duration and codec null when unknown
+ */
+export async function transcodeMedia(buffer, { resourceType, contentType, fileName = '' }) {
+  const original = {
+    buffer,
+    contentType,
+    fileName,
+    media: { duration: null, codec: null, bytes: buffer.length },
+  };
+
+  const target = TARGETS[resourceType];
+  const format = DEMUXERS[contentType];
+  const ffmpeg = target && format && isTranscodingEnabled() ? await getFfmpegPath() : null;
+  if (!ffmpeg) return original;
+
+  let directory = null;
+  try {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'capture-media-'));
+    const input = path.join(directory, `input.${MEDIA_EXTENSIONS[contentType]}`);
+    await fs.writeFile(input, buffer);
+
+    const probe = await probeMedia(ffmpeg, input, format);
+    const unchanged = {
+      ...original,
+      media: { ...original.media, duration: probe.duration, codec: describeCodecs(probe, resourceType) },
+    };
+    if (isWidelyPlayable(probe, resourceType)) return unchanged;
+
+    const output = path.join(directory, `output.${target.extension}`);
+    const { ok, stderr } = await runFfmpeg(ffmpeg, ['-y', ...inputArgs(input, format), ...target.args, output]);
+    if (!ok) {
+      console.warn('Media transcoding failed; storing the original:', stderr.trim().split('\n').pop());
+      return unchanged;
+    }
+
+    // Recorded WebM files often carry no duration; the converted file does
+    const converted = await fs.readFile(output);
+    const convertedProbe = await probeMedia(ffmpeg, output, 'mov');
+    return {
+      buffer: converted,
+      contentType: target.contentType,
+      fileName: `${path.basename(fileName, path.extname(fileName)) || resourceType}.${target.extension}`,
+      media: {
+        duration: convertedProbe.duration ?? probe.duration,
+        codec: describeCodecs(convertedProbe, resourceType),
+        bytes: converted.length,
+      },
+    };
+  } catch (error) {
+    console.warn('Media transcoding failed; storing the original:', error.message);
+    return original;
+  } finally {
+    if (directory) {
+      await fs.rm(directory, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Delta sync of moments
+ * Clients keep a cursor from their last sync and ask only for what changed since:
+ * moments created or updated after it, plus tombstones (DeletedMoment rows) for deletions.
+ * A full sync (no or expired cursor) is sent in pages; the cursor of an unfinished one
+ * also records the last moment sent.
+ * The cursor is opaque to clients; it records the user and the server time of the sync.
+ * Tags and categories can be renamed without their moments changing, so every response
+ * also carries the current lists (both are small) for the client to relabel its cache.
+ */
+
+import { prisma } from '@/lib/prisma';
+
+// Tombstones older than this are pruned; older cursors get a full sync instead
+export const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Each window overlaps the previous one, so writes committed while a sync was
+// being read are not missed (re-sent moments are simply stored again)
+const SYNC_OVERLAP_MS = 5 * 1000;
+
+// Moments per response of a full sync
+export const FULL_SYNC_PAGE_SIZE = 500;
+
+const MOMENT_INCLUDE = {
+  category: true,
+  attachments: { orderBy: { position: 'asc' } },
+  tags: { include: { tag: true } },
+};
+
+/**
+ * Encode a sync cursor
+ * @param {number} userId - User the cursor belongs to
+ * @param {Date} since - Changes after this time are still to be fetched
+ * @param {number|null} afterId - Last moment sent by an unfinished full sync
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(userId, since, afterId = null) {
+  const position = { u: userId, t: since.getTime(), ...(afterId !== null && { a: afterId }) };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a sync cursor
+ * @param {string|null} cursor - Cursor from a previous sync
+ * @param {number} userId - Requesting user
+ * @returns {{since: Date, afterId: number|null}|null} Time to sync from (and where an unfinished
+ *   full sync stopped), or null if a full sync is needed
+ *   (no cursor, malformed, another user's, or older than the tombstone retention)
+ */
+function decodeCursor(cursor, userId) {
+  if (!cursor) return null;
+
+  try {
+    const { u, t, a } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (u !== userId || !Number.isFinite(t) || t < Date.now() - TOMBSTONE_RETENTION_MS) {
+      return null;
+    }
+    return { since: new Date(t), afterId: Number.isInteger(a) ? a : null };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Shape a moment for sync responses (tags flattened like the moments API)
+ * @param {Object} moment - Moment loaded with MOMENT_INCLUDE
+ * @returns {Object} Moment
+ */
+function formatSyncedMoment(moment) {
+  return { ...moment, tags: moment.tags.map((momentTag) => momentTag.tag) };
+}
+
+/**
+ * Current tags and categories, for relabeling cached moments
+ * @param {number} userId - Tag owner
+ * @returns {Promise<{tags: Array, categories: Array}>} Lists
+ */
+async function getLabels(userId) {
+  const [tags, categories] = await Promise.all([
+    prisma.tag.findMany({ where: { userId } }),
+    prisma.category.findMany(),
+  ]);
+  return { tags, categories };
+}
+
+/**
+ * Get one page of a full sync
+ * The time it started is kept until the last page, so the delta sync after it
+ * also returns changes made while the pages were being fetched
+ * @param {number} userId - Moment owner
+ * @param {{since: Date, afterId: number}|null} position - Where the previous page stopped (null: first page)
+ * @returns {Promise<Object>} Changes (see getMomentChanges())
+ */
+async function getFullSyncPage(userId, position) {
+  const startedAt = position?.since ?? new Date(Date.now() - SYNC_OVERLAP_MS);
+
+  const [page, labels] = await Promise.all([
+    prisma.moment.findMany({
+      where: { userId, ...(position && { id: { gt: position.afterId } }) },
+      orderBy: { id: 'asc' },
+      take: FULL_SYNC_PAGE_SIZE + 1,
+      include: MOMENT_INCLUDE,
+    }),
+    getLabels(userId),
+  ]);
+
+  const hasMore = page.length > FULL_SYNC_PAGE_SIZE;
+  const moments = page.slice(0, FULL_SYNC_PAGE_SIZE);
+
+  return {
+    full: !position,
+    moments: moments.map(formatSyncedMoment),
+    deleted: [],
+    hasMore,
+    cursor: encodeCursor(userId, startedAt, hasMore ? moments[moments.length - 1].id : null),
+    ...labels,
+  };
+}
+
+/**
+ * Get the changes to a user's moments since a cursor
+ * @param {number} userId - Moment owner
+ * @param {string|null} cursor - Cursor from the previous sync
+ * @returns {Promise<{full: boolean, moments: Array, deleted: number[], hasMore: boolean, cursor: string,
+ *   tags: Array, categories: Array}>}
+ *   full: first page of a full sync, the client should drop anything else it cached;
+ *   hasMore: fetch again with the new cursor for the next page
+ */
+export async function getMomentChanges(userId, cursor) {
+  const position = decodeCursor(cursor, userId);
+  if (!position || position.afterId !== null) {
+    return getFullSyncPage(userId, position);
+  }
+
+  const { since } = position;
+  const nextCursor = encodeCursor(userId, new Date(Date.now() - SYNC_OVERLAP_MS));
+
+  const [moments, tombstones, labels] = await Promise.all([
+    prisma.moment.findMany({
+      where: { userId, updatedAt: { gt: since } },
+      orderBy: { createdAt: 'desc' },
+      include: MOMENT_INCLUDE,
+    }),
+    prisma.deletedMoment.findMany({
+      where: { userId, deletedAt: { gt: since } },
+      select: { momentId: true },
+    }),
+    getLabels(userId),
+  ]);
+
+  return {
+    full: false,
+    moments: moments.map(formatSyncedMoment),
+    deleted: tombstones.map((tombstone) => tombstone.momentId),
+    hasMore: false,
+    cursor: nextCursor,
+    ...labels,
+  };
+}
+
+/**
+ * Queries that delete a moment and leave a tombstone, for use in prisma.$transaction()
+ * Also prunes the user's tombstones past retention
+ * @param {Object} where - Unique filter of the moment to delete (must include id and userId)
+ * @param {Object} include - Relations to return with the deleted moment
+ * @returns {Array} [delete, create tombstone, prune] queries; the first resolves to the deleted moment
+ */
+export function deleteMomentQueries(where, include) {
+  return [
+    prisma.moment.delete({ where, include }),
+    prisma.deletedMoment.create({
+      data: { momentId: where.id, userId: where.userId },
+    }),
+    prisma.deletedMoment.deleteMany({
+      where: {
+        userId: where.userId,
+        deletedAt: { lt: new Date(Date.now() - TOMBSTONE_RETENTION_MS) },
+      },
+    }),
+  ];
+}
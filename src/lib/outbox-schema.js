@@ -0,0 +1,91 @@
+/**
+ * Offline outbox schema
+ * Moments created, edited or deleted offline are queued in the "pendingMoments" store of the
+ * MomentCaptureDB IndexedDB database. The page (src/lib/db.js) and the service
+ * worker (public/sw-manual.js) both read and process this store, so the
+ * constants and retry rules below are mirrored in sw-manual.js — keep them in sync.
+ *
+ * Outbox item:
+ * {
+ *   localId: number,          // Auto-increment key
+ *   operation: 'create' | 'update' | 'delete',
+ *   momentId: number | null,  // Server ID for update/delete
+ *   baseUpdatedAt: string | null,  // updatedAt of the copy that was edited (update/delete)
+ *   clientId: string,         // UUID sent with created moments; the server ignores repeats
+ *   data: Object,             // create: fields for POST /api/moments (attachments = uploaded URLs)
+ *                             // update: changed fields for PUT /api/moments/[id]
+ *   files: Array<{ type, blob, name, caption, stripLocation, poster, waveform, url, variants, placeholder, posterUrl,
+ *                 duration, codec, bytes }>,
+ *                             // Media captured offline; url (and posterUrl for a video's poster blob)
+ *                             // is set once uploaded
+ *   status: 'pending' | 'syncing' | 'failed' | 'conflict',
+ *   serverMoment: Object | null,  // Server version when status is 'conflict'
+ *   attempts: number,
+ *   lastError: string | null,
+ *   nextAttemptAt: number,    // Epoch ms; the item is skipped until then
+ *   lockedAt: number | null,  // Epoch ms when a sync claimed the item
+ *   createdAt: string,        // ISO date
+ *   updatedAt: string,        // ISO date
+ * }
+ */
+
+export const OUTBOX_DB_NAME = 'MomentCaptureDB';
+export const OUTBOX_STORE = 'pendingMoments';
+
+export const OUTBOX_OPERATION = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  FAILED: 'failed', // Needs the user: retry or discard
+  CONFLICT: 'conflict', // Changed on the server too: the user picks a version
+};
+
+// Give up retrying automatically after this many attempts
+export const MAX_ATTEMPTS = 8;
+
+// A claimed item is considered abandoned (e.g. tab closed mid-upload) after this long
+export const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt: exponential backoff capped at one hour
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * Network errors, server errors, timeouts, rate limits and expired sessions are retried;
+ * other client errors (e.g. validation) will not succeed on retry
+ * @param {number|null} status - HTTP status, or null for a network error
+ * @returns {boolean} True if the request should be retried later
+ */
+export function isRetryableStatus(status) {
+  if (status === null) return true;
+  return status >= 500 || status === 401 || status === 408 || status === 429;
+}
+
+/**
+ * Whether an item should be processed now
+ * @param {Object} item - Outbox item
+ * @param {number} now - Current time (epoch ms)
+ * @param {boolean} force - Ignore the backoff schedule (manual "sync now")
+ * @returns {boolean} True if the item is due
+ */
+export function isOutboxItemDue(item, now, force = false) {
+  if (item.status === OUTBOX_STATUS.FAILED || item.status === OUTBOX_STATUS.CONFLICT) return false;
+  if (item.status === OUTBOX_STATUS.SYNCING && now - (item.lockedAt || 0) < LOCK_TIMEOUT_MS) {
+    return false;
+  }
+  return force || (item.nextAttemptAt || 0) <= now;
+}
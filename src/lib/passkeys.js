@@ -0,0 +1,80 @@
+/**
+ * WebAuthn (passkey) configuration and challenge storage
+ * Challenges are kept in a short-lived signed cookie between the options and verify requests
+ */
+
+import { cookies } from 'next/headers';
+import { signValue, verifySignedValue } from '@/lib/session';
+
+const CHALLENGE_COOKIE = 'capture_webauthn';
+
+// Challenges are valid for 5 minutes
+const CHALLENGE_TTL = 5 * 60;
+
+export const RP_NAME = 'CapturePWA';
+
+/**
+ * Resolve the relying party ID and expected origin for a request
+ * WEBAUTHN_RP_ID / WEBAUTHN_ORIGIN override the values derived from the request URL
+ * @param {Request} request - Incoming request
+ * @returns {{rpID: string, origin: string}} Relying party settings
+ */
+export function getRelyingParty(request) {
+  const url = new URL(request.url);
+  return {
+    rpID: process.env.WEBAUTHN_RP_ID || url.hostname,
+    origin: process.env.WEBAUTHN_ORIGIN || url.origin,
+  };
+}
+
+/**
+ * Store a challenge for the next verify request
+ * @param {string} challenge - Challenge from the generated options
+ * @param {number} userId - User registering a passkey (0 for sign-in)
+ */
+export async function saveChallenge(challenge, userId = 0) {
+  const expires = Date.now() + CHALLENGE_TTL * 1000;
+  const cookieStore = await cookies();
+
+  cookieStore.set(CHALLENGE_COOKIE, await signValue(`${challenge}.${userId}.${expires}`), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth/passkey',
+    maxAge: CHALLENGE_TTL,
+  });
+}
+
+/**
+ * Read and clear the stored challenge
+ * @returns {Promise<{challenge: string, userId: number}|null>} Challenge, or null if missing or expired
+ */
+export async function consumeChallenge() {
+  const cookieStore = await cookies();
+  const value = await verifySignedValue(cookieStore.get(CHALLENGE_COOKIE)?.value);
+
+  cookieStore.delete({ name: CHALLENGE_COOKIE, path: '/api/auth/passkey' });
+
+  if (!value) return null;
+
+  const [challenge, userId, expires] = value.split('.');
+  if (!challenge || Number(expires) < Date.now()) {
+    return null;
+  }
+
+  return { challenge, userId: parseInt(userId, 10) };
+}
+
+/**
+ * Parse the stored transports JSON of a passkey
+ * @param {Object} passkey - Passkey record
+ * @returns {string[]|undefined} Transports hint list
+ */
+export function parseTransports(passkey) {
+  if (!passkey.transports) return undefined;
+  try {
+    return JSON.parse(passkey.transports);
+  } catch {
+    return undefined;
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Printable QR codes for share links
+ * Codes are drawn as SVG (one path for all dark modules) with an optional app logo in
+ * the middle and a caption below; PNGs are rasterized from the same SVG with sharp.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+
+export const QR_FORMATS = ['svg', 'png'];
+
+export const QR_SIZE = { min: 128, max: 2048, default: 512 };
+
+// Light margin around the code, in modules (the QR spec asks for at least 4)
+const QUIET_ZONE = 4;
+
+// Caption band below the code, in modules
+const CAPTION_HEIGHT = 6;
+
+// Logo width as a share of the code; level H error correction still reads it
+const LOGO_SHARE = 0.22;
+
+const LOGO_PATH = path.join(process.cwd(), 'public', 'icons', 'icon-192x192.png');
+
+let logoDataUrl = null;
+
+/**
+ * App icon as a data URL (read once)
+ * @returns {Promise<string>} data:image/png;base64,...
+ */
+async function getLogoDataUrl() {
+  if (!logoDataUrl) {
+    const logo = await readFile(LOGO_PATH);
+    logoDataUrl = `data:image/png;base64,${logo.toString('base64')}`;
+  }
+  return logoDataUrl;
+}
+
+/**
+ * Escape text for an SVG text node
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, (char) => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    "'": '&apos;',
+    '"': '&quot;',
+  })[char]);
+}
+
+/**
+ * Draw a QR code as SVG
+ * @param {string} text - Text to encode (a share URL)
+ * @param {Object} options
+ * @param {boolean} options.logo - Put the app logo in the middle
+ * @param {string|null} options.caption - Text printed below the code
+ * @param {number} options.size - Width in pixels
+ * @returns {Promise<string>} SVG document
+ */
+export async function renderQrSvg(text, { logo = false, caption = null, size = QR_SIZE.default } = {}) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: logo ? 'H' : 'M' });
+  const count = modules.size;
+  const width = count + QUIET_ZONE * 2;
+  const height = width + (caption ? CAPTION_HEIGHT : 0);
+
+  let darkModules = '';
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (modules.get(row, col)) {
+        darkModules += `M${col + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`;
+      }
+    }
+  }
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${size}" height="${Math.round(size * height / width)}" shape-rendering="crispEdges">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<path d="${darkModules}" fill="#000000"/>`,
+  ];
+
+  if (logo) {
+    const logoSize = Math.round(count * LOGO_SHARE);
+    const offset = (width - logoSize) / 2;
+    parts.push(
+      `<rect x="${offset - 1}" y="${offset - 1}" width="${logoSize + 2}" height="${logoSize + 2}" rx="1.5" fill="#ffffff"/>`,
+      `<image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" href="${await getLogoDataUrl()}"/>`
+    );
+  }
+
+  if (caption) {
+    parts.push(
+      `<text x="${width / 2}" y="${width + CAPTION_HEIGHT / 2 - 1}" font-family="Helvetica, Arial, sans-serif" font-size="${Math.min(3, (width * 1.8) / caption.length)}" text-anchor="middle" dominant-baseline="middle" fill="#000000">${escapeXml(caption)}</text>`
+    );
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+/**
+ * Draw a QR code as PNG
+ * @param {string} text - Text to encode
+ * @param {Object} options - See renderQrSvg
+ * @returns {Promise<Buffer>} PNG file
+ */
+export async function renderQrPng(text, options = {}) {
+  const svg = await renderQrSvg(text, options);
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
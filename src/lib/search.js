@@ -0,0 +1,257 @@
+/**
+ * Full-text search of moments (SQLite FTS5)
+ * The moment_search virtual table indexes description, location name, tag names,
+ * category name and voice transcript of every moment (rowid = moment ID).
+ * Triggers keep it in sync with Moment, MomentTag, Tag and Category.
+ *
+ * The table and triggers are not part of schema.prisma (Prisma cannot model FTS5),
+ * so they are created on first use and missing rows are backfilled. A `prisma db push`
+ * that drops or rebuilds them is repaired by the next server start.
+ */
+
+import { Prisma } from '@/generated/prisma';
+import { prisma } from '@/lib/prisma';
+import { SNIPPET_MATCH_END, SNIPPET_MATCH_START, toFtsQuery } from '@/utils/search-utils';
+
+// Column weights for ranking (bm25), in table column order
+const COLUMN_WEIGHTS = {
+  description: 10.0,
+  location: 4.0,
+  tags: 6.0,
+  category: 3.0,
+  transcript: 2.0,
+};
+
+// Tokens of context around matches in snippets
+const SNIPPET_TOKENS = 16;
+
+/**
+ * SELECT producing moment_search rows for the moments matching a condition
+ * @param {string} condition - SQL condition on Moment aliased as m
+ * @returns {string} INSERT ... SELECT statement
+ */
+function indexRowsSql(condition) {
+  return `INSERT INTO moment_search (rowid, description, location, tags, category, transcript)
+    SELECT m.id, m.description, m.locationName,
+      (SELECT group_concat(t.name, ' ') FROM "MomentTag" mt JOIN "Tag" t ON t.id = mt.tagId WHERE mt.momentId = m.id),
+      (SELECT c.name FROM "Category" c WHERE c.id = m.categoryId),
+      m.transcript
+    FROM "Moment" m WHERE ${condition};`;
+}
+
+/**
+ * Statements re-indexing the moments matching a condition
+ * @param {string} condition - SQL condition on Moment aliased as m
+ * @returns {string} Trigger body statements
+ */
+function reindexSql(condition) {
+  return `DELETE FROM moment_search WHERE rowid IN (SELECT m.id FROM "Moment" m WHERE ${condition});
+    ${indexRowsSql(condition)}`;
+}
+
+const SETUP_STATEMENTS = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS moment_search USING fts5(
+    ${Object.keys(COLUMN_WEIGHTS).join(', ')},
+    tokenize = 'porter unicode61 remove_diacritics 2'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS moment_search_insert AFTER INSERT ON "Moment" BEGIN
+    ${indexRowsSql('m.id = NEW.id')}
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS moment_search_update
+    AFTER UPDATE OF description, locationName, categoryId, transcript ON "Moment" BEGIN
+    ${reindexSql('m.id = NEW.id')}
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS moment_search_delete AFTER DELETE ON "Moment" BEGIN
+    DELETE FROM moment_search WHERE rowid = OLD.id;
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS moment_search_tag_add AFTER INSERT ON "MomentTag" BEGIN
+    ${reindexSql('m.id = NEW.momentId')}
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS moment_search_tag_remove AFTER DELETE ON "MomentTag" BEGIN
+    ${reindexSql('m.id = OLD.momentId')}
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS moment_search_tag_rename AFTER UPDATE OF name ON "Tag" BEGIN
+    ${reindexSql('m.id IN (SELECT momentId FROM "MomentTag" WHERE tagId = NEW.id)')}
+  END`,
+  `CREATE TRIGGER IF NOT EXISTS moment_search_category_rename AFTER UPDATE OF name ON "Category" BEGIN
+    ${reindexSql('m.categoryId = NEW.id')}
+  END`,
+  // Backfill moments written while the index did not exist, drop rows of deleted moments
+  indexRowsSql('m.id NOT IN (SELECT rowid FROM moment_search)'),
+  'DELETE FROM moment_search WHERE rowid NOT IN (SELECT id FROM "Moment")',
+];
+
+let setupPromise = null;
+
+/**
+ * Create the search index and its triggers if needed (once per server process)
+ * @returns {Promise<void>}
+ */
+export function ensureSearchIndex() {
+  if (!setupPromise) {
+    setupPromise = (async () => {
+      for (const statement of SETUP_STATEMENTS) {
+        await prisma.$executeRawUnsafe(statement);
+      }
+    })().catch((error) => {
+      // Try again on the next search
+      setupPromise = null;
+      throw error;
+    });
+  }
+  return setupPromise;
+}
+
+/**
+ * Build SQL conditions for the timeline filters
+ * @param {Object} filters - { tagIds?, categoryId?, mood? }
+ * @param {number[]} momentIds - Only these moments (optional)
+ * @returns {Prisma.Sql} Conditions to AND onto the search (empty if none)
+ */
+function filterSql({ tagIds, categoryId, mood } = {}, momentIds = null) {
+  const conditions = [];
+
+  if (momentIds) {
+    conditions.push(momentIds.length > 0
+      ? Prisma.sql`AND m.id IN (${Prisma.join(momentIds)})`
+      : Prisma.sql`AND 0`);
+  }
+
+  if (categoryId) {
+    conditions.push(Prisma.sql`AND m.categoryId = ${categoryId}`);
+  }
+  if (mood) {
+    conditions.push(Prisma.sql`AND m.mood = ${mood}`);
+  }
+  if (tagIds && tagIds.length > 0) {
+    conditions.push(Prisma.sql`AND EXISTS (
+      SELECT 1 FROM "MomentTag" mt WHERE mt.momentId = m.id AND mt.tagId IN (${Prisma.join(tagIds)})
+    )`);
+  }
+
+  return conditions.length > 0 ? Prisma.join(conditions, ' ') : Prisma.empty;
+}
+
+/**
+ * IDs of all of a user's moments matching a search, unranked
+ * @param {number} userId - Owner of the moments
+ * @param {string} query - Search input
+ * @returns {Promise<number[]>} Matching moment IDs
+ */
+export async function findMatchingMomentIds(userId, query) {
+  const match = toFtsQuery(query);
+  if (!match) return [];
+
+  await ensureSearchIndex();
+
+  const rows = await prisma.$queryRaw`
+    SELECT moment_search.rowid AS id
+    FROM moment_search
+    JOIN "Moment" m ON m.id = moment_search.rowid
+    WHERE moment_search MATCH ${match} AND m.userId = ${userId}`;
+
+  return rows.map((row) => Number(row.id));
+}
+
+/**
+ * Search a user's moments, best matches first
+ * @param {Object} options - Query options
+ * @param {number} options.userId - Owner of the moments (required)
+ * @param {string} options.query - Search input (see src/utils/search-utils.js for syntax)
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Items per page (default: 20)
+ * @param {Object} options.filters - Same filters as getTimelineMoments()
+ * @param {Object} options.albumWhere - Only moments of a smart album (see getSmartAlbumWhere)
+ * @returns {Promise<Object>} { moments, pagination } like getTimelineMoments(); each
+ *   moment has a `snippet` with matches wrapped in SNIPPET_MATCH_START/END
+ */
+export async function searchMoments({
+  userId,
+  query,
+  page = 1,
+  limit = 20,
+  filters = {},
+  albumWhere = null,
+}) {
+  const match = toFtsQuery(query);
+  if (!match) {
+    return {
+      moments: [],
+      pagination: { page, limit, totalCount: 0, totalPages: 0, hasMore: false },
+    };
+  }
+
+  await ensureSearchIndex();
+
+  const momentIds = albumWhere
+    ? (await prisma.moment.findMany({ where: albumWhere, select: { id: true } })).map((moment) => moment.id)
+    : null;
+
+  const where = Prisma.sql`moment_search MATCH ${match} AND m.userId = ${userId} ${filterSql(filters, momentIds)}`;
+  const weights = Prisma.raw(Object.values(COLUMN_WEIGHTS).join(', '));
+
+  const [hits, [{ count }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT moment_search.rowid AS id,
+        snippet(moment_search, -1, ${SNIPPET_MATCH_START}, ${SNIPPET_MATCH_END}, '…', ${SNIPPET_TOKENS}) AS snippet
+      FROM moment_search
+      JOIN "Moment" m ON m.id = moment_search.rowid
+      WHERE ${where}
+      ORDER BY bm25(moment_search, ${weights})
+      LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+    prisma.$queryRaw`
+      SELECT COUNT(*) AS count
+      FROM moment_search
+      JOIN "Moment" m ON m.id = moment_search.rowid
+      WHERE ${where}`,
+  ]);
+
+  const ids = hits.map((hit) => Number(hit.id));
+  const moments = await prisma.moment.findMany({
+    where: { id: { in: ids }, userId },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+      tags: {
+        include: {
+          tag: true,
+        },
+      },
+      category: true,
+      attachments: {
+        orderBy: { position: 'asc' },
+      },
+    },
+  });
+
+  // Keep the ranking order and flatten tags like the timeline does
+  const byId = new Map(moments.map((moment) => [moment.id, moment]));
+  const rankedMoments = hits
+    .filter((hit) => byId.has(Number(hit.id)))
+    .map((hit) => {
+      const moment = byId.get(Number(hit.id));
+      return {
+        ...moment,
+        tags: moment.tags.map((mt) => mt.tag),
+        snippet: hit.snippet,
+      };
+    });
+
+  const totalCount = Number(count);
+  const totalPages = Math.ceil(totalCount / limit);
+
+  return {
+    moments: rankedMoments,
+    pagination: {
+      page,
+      limit,
+      totalCount,
+      totalPages,
+      hasMore: page < totalPages,
+    },
+  };
+}
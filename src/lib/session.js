@@ -0,0 +1,123 @@
+/**
+ * Signed cookie helpers for sessions
+ * Uses Web Crypto only, so it runs both in the Edge middleware and in Node route handlers
+ */
+
+export const SESSION_COOKIE = 'capture_session';
+
+// 30 days, in seconds (cookie maxAge unit)
+export const SESSION_MAX_AGE = 30 * 24 * 60 * 60;
+
+const encoder = new TextEncoder();
+let keyPromise = null;
+
+/**
+ * Get the signing secret from the environment
+ * Falls back to a fixed development secret outside production
+ * @returns {string} Secret
+ */
+function getSecret() {
+  if (process.env.AUTH_SECRET) {
+    return process.env.AUTH_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_SECRET is not configured');
+  }
+  return 'capturepwa-development-secret';
+}
+
+/**
+ * Import the HMAC key once and reuse it
+ * @returns {Promise<CryptoKey>} HMAC-SHA256 key
+ */
+function getKey() {
+  if (!keyPromise) {
+    keyPromise = crypto.subtle.importKey(
+      'raw',
+      encoder.encode(getSecret()),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    );
+  }
+  return keyPromise;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Sign a string value
+ * @param {string} value - Value to sign (must not be empty)
+ * @returns {Promise<string>} "<value>.<signature>"
+ */
+export async function signValue(value) {
+  const key = await getKey();
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+  return `${value}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify a value produced by signValue()
+ * @param {string} signed - Signed value
+ * @returns {Promise<string|null>} Original value, or null if the signature is invalid
+ */
+export async function verifySignedValue(signed) {
+  if (!signed || typeof signed !== 'string') return null;
+
+  const separator = signed.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const value = signed.slice(0, separator);
+  try {
+    const key = await getKey();
+    const signature = fromBase64Url(signed.slice(separator + 1));
+    const valid = await crypto.subtle.verify('HMAC', key, signature, encoder.encode(value));
+    return valid ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the session cookie value
+ * @param {string} sessionId - Session ID
+ * @param {Date} expiresAt - Session expiry
+ * @returns {Promise<string>} Signed cookie value
+ */
+export function createSessionCookieValue(sessionId, expiresAt) {
+  return signValue(`${sessionId}.${expiresAt.getTime()}`);
+}
+
+/**
+ * Parse and verify a session cookie value
+ * Does not hit the database, so revoked sessions still pass; route handlers
+ * confirm the session with getSessionUser() in src/lib/auth.js
+ * @param {string} cookieValue - Raw cookie value
+ * @returns {Promise<{sessionId: string, expiresAt: Date}|null>} Session info, or null if invalid or expired
+ */
+export async function readSessionCookieValue(cookieValue) {
+  const value = await verifySignedValue(cookieValue);
+  if (!value) return null;
+
+  const [sessionId, expires] = value.split('.');
+  const expiresAt = new Date(Number(expires));
+
+  if (!sessionId || isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+    return null;
+  }
+
+  return { sessionId, expiresAt };
+}
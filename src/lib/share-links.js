@@ -0,0 +1,464 @@
+/**
+ * Share links
+ * Public links to a moment, an album or a filtered set of moments, with optional
+ * expiry and password, per-link view analytics, and revocation that replaces the token
+ * (see also src/utils/share-link-utils.js).
+ *
+ * Links can hide the exact location (coordinates rounded to about 1 km, no street-level
+ * address, photos only as their resized copies, which carry no EXIF GPS data) and the
+ * owner's name; every public response goes through applyAudience().
+ *
+ * Visitors of a password-protected link unlock it once per day: the unlock route sets a
+ * signed cookie bound to the link's current token and password, so rotating either locks
+ * everyone out again.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { prisma } from '@/lib/prisma';
+import { verifyPassword } from '@/lib/auth';
+import { signValue, verifySignedValue } from '@/lib/session';
+import { getAlbumMoments } from '@/lib/albums';
+import { getAlbumWhere } from '@/lib/smart-albums';
+import { normalizeAlbumFilters } from '@/utils/smart-album-utils';
+import { getImageVariants } from '@/utils/attachment-utils';
+import { getShareLinkStatus, getSharePath } from '@/utils/share-link-utils';
+
+const ACCESS_COOKIE_PREFIX = 'share_access_';
+
+// Seconds an unlocked password-protected link stays unlocked
+const ACCESS_MAX_AGE = 24 * 60 * 60;
+
+// Days of daily view counts in analytics
+const ANALYTICS_DAYS = 30;
+
+// Shared albums and sets show at most this many moments
+const SHARED_MOMENTS_LIMIT = 100;
+
+// Moment fields only the owner should see (the transcript is shared along with its audio)
+const PRIVATE_MOMENT_FIELDS = { shareToken: true, clientId: true };
+
+// Decimals kept when a link hides the exact location (about 1 km)
+const COARSE_LOCATION_DECIMALS = 2;
+
+/**
+ * Generate a random share token
+ */
+export function generateShareToken() {
+  return randomBytes(16).toString('hex');
+}
+
+/**
+ * Full public URL of a link
+ * @param {Object} link - ShareLink row
+ * @returns {string} URL
+ */
+export function getShareUrl(link) {
+  return `${process.env.NEXT_PUBLIC_BASE_URL || 'http://localhost:3000'}${getSharePath(link)}`;
+}
+
+/**
+ * Parse the stored filter definition of a shared set
+ * @param {Object} link - ShareLink row
+ * @returns {Object|null} Normalized filter definition, or null for moment and album links
+ */
+function parseLinkFilters(link) {
+  if (!link.filters) return null;
+
+  try {
+    return normalizeAlbumFilters(JSON.parse(link.filters)).filters || normalizeAlbumFilters({}).filters;
+  } catch {
+    return normalizeAlbumFilters({}).filters;
+  }
+}
+
+/**
+ * Format a link for its owner (never includes the password hash)
+ * @param {Object} link - ShareLink row (album name is used when included)
+ * @returns {Object} { id, token, url, kind, momentId, albumId, albumName, filters, title, expiresAt, hasPassword,
+ *   hideLocation, hideAuthor, status, viewCount, lastViewedAt, createdAt }
+ */
+export function formatShareLink(link) {
+  return {
+    id: link.id,
+    token: link.token,
+    url: getShareUrl(link),
+    kind: link.momentId ? 'moment' : link.albumId ? 'album' : 'set',
+    momentId: link.momentId,
+    albumId: link.albumId,
+    albumName: link.album?.name ?? null,
+    filters: parseLinkFilters(link),
+    title: link.title,
+    expiresAt: link.expiresAt,
+    hasPassword: !!link.passwordHash,
+    hideLocation: link.hideLocation,
+    hideAuthor: link.hideAuthor,
+    status: getShareLinkStatus(link),
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+    createdAt: link.createdAt,
+  };
+}
+
+/**
+ * Validate what a new link shares
+ * @param {number} userId - Link owner
+ * @param {Object} body - { momentId } | { albumId } | { filters }
+ * @returns {Promise<{target: Object|null, error: string|null, status: number}>} ShareLink target fields
+ */
+export async function parseShareTarget(userId, { momentId, albumId, filters } = {}) {
+  const given = [momentId, albumId, filters].filter((value) => value !== undefined && value !== null);
+  if (given.length !== 1) {
+    return { target: null, error: 'Share exactly one of momentId, albumId or filters', status: 400 };
+  }
+
+  if (momentId !== undefined && momentId !== null) {
+    const moment = Number.isInteger(momentId) && await prisma.moment.findFirst({
+      where: { id: momentId, userId },
+      select: { id: true },
+    });
+    return moment
+      ? { target: { momentId }, error: null, status: 200 }
+      : { target: null, error: 'Moment not found', status: 404 };
+  }
+
+  if (albumId !== undefined && albumId !== null) {
+    const album = Number.isInteger(albumId) && await prisma.album.findFirst({
+      where: { id: albumId, userId },
+      select: { id: true },
+    });
+    return album
+      ? { target: { albumId }, error: null, status: 200 }
+      : { target: null, error: 'Album not found', status: 404 };
+  }
+
+  const { filters: normalized, error } = normalizeAlbumFilters(filters);
+  return error
+    ? { target: null, error, status: 400 }
+    : { target: { filters: JSON.stringify(normalized) }, error: null, status: 200 };
+}
+
+/**
+ * Data that revokes a link: it stops working and its token is replaced,
+ * so the old URL can never resolve again
+ * @returns {Object} ShareLink update data
+ */
+export function revokedLinkData() {
+  return { revokedAt: new Date(), token: generateShareToken() };
+}
+
+/**
+ * Find a link by token with what its public page needs
+ * @param {string} token - Token from the URL
+ * @returns {Promise<Object|null>} ShareLink with user and album, or null
+ */
+export async function findShareLink(token) {
+  if (!token) return null;
+
+  return prisma.shareLink.findUnique({
+    where: { token },
+    include: {
+      user: { select: { id: true, name: true } },
+      album: { select: { id: true, name: true, description: true } },
+    },
+  });
+}
+
+/**
+ * Name of the cookie unlocking a password-protected link
+ * @param {Object} link - ShareLink row
+ * @returns {string} Cookie name
+ */
+export function getAccessCookieName(link) {
+  return `${ACCESS_COOKIE_PREFIX}${link.id}`;
+}
+
+/**
+ * Value bound to the link's current token and password (the salt changes with every new password)
+ */
+function accessValue(link) {
+  return `${link.id}:${link.token}:${link.passwordHash.split(':')[0]}`;
+}
+
+/**
+ * Check a visitor's password and build the unlock cookie
+ * @param {Object} link - ShareLink row
+ * @param {string} password - Password entered by the visitor
+ * @returns {Promise<Object|null>} Cookie { name, value, options }, or null if the password is wrong
+ */
+export async function unlockShareLink(link, password) {
+  if (!(await verifyPassword(password, link.passwordHash))) {
+    return null;
+  }
+
+  const expiresAt = link.expiresAt ? new Date(link.expiresAt).getTime() : Infinity;
+  const maxAge = Math.max(1, Math.min(ACCESS_MAX_AGE, Math.floor((expiresAt - Date.now()) / 1000)));
+
+  return {
+    name: getAccessCookieName(link),
+    value: await signValue(accessValue(link)),
+    options: {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/',
+      maxAge,
+    },
+  };
+}
+
+/**
+ * Whether a visitor may see a link's content
+ * @param {Object} link - ShareLink row
+ * @param {Object} cookieStore - Request cookies (next/headers cookies() or request.cookies)
+ * @returns {Promise<boolean>} True if the link has no password or the visitor unlocked it
+ */
+export async function hasShareAccess(link, cookieStore) {
+  if (!link.passwordHash) return true;
+
+  const value = await verifySignedValue(cookieStore.get(getAccessCookieName(link))?.value);
+  return value === accessValue(link);
+}
+
+/**
+ * Record a view of a link for its analytics
+ * Moment links also count towards the moment's view count
+ * @param {Object} link - ShareLink row
+ * @param {Headers} headerList - Request headers
+ * @returns {Promise<void>}
+ */
+export async function recordShareView(link, headerList) {
+  const ip = (headerList.get('x-forwarded-for') || '').split(',')[0].trim() || headerList.get('x-real-ip') || '';
+  const userAgent = headerList.get('user-agent') || '';
+  const visitorHash = createHash('sha256')
+    .update(`${link.id}:${ip}:${userAgent}`)
+    .digest('hex')
+    .slice(0, 32);
+
+  let referrer = null;
+  try {
+    const referer = headerList.get('referer');
+    const host = referer && new URL(referer).host;
+    if (host && host !== headerList.get('host')) referrer = host;
+  } catch {
+    // Malformed Referer header
+  }
+
+  await prisma.$transaction([
+    prisma.shareLinkView.create({
+      data: { shareLinkId: link.id, referrer, visitorHash },
+    }),
+    prisma.shareLink.update({
+      where: { id: link.id },
+      data: { viewCount: { increment: 1 }, lastViewedAt: new Date() },
+    }),
+    ...(link.momentId ? [incrementMomentViews(link.momentId)] : []),
+  ]);
+}
+
+/**
+ * Count a view of a shared moment
+ * Raw update so views do not touch updatedAt (views are not edits for sync)
+ * @param {number} momentId - Moment ID
+ * @returns {Promise<number>} Query (also usable in a $transaction batch)
+ */
+export function incrementMomentViews(momentId) {
+  return prisma.$executeRaw`UPDATE "Moment" SET viewCount = viewCount + 1 WHERE id = ${momentId}`;
+}
+
+/**
+ * Round a coordinate to COARSE_LOCATION_DECIMALS (0 stays 0, meaning no location)
+ */
+function coarsenCoordinate(value) {
+  const factor = 10 ** COARSE_LOCATION_DECIMALS;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Replace a moment's photos by their largest resized copy
+ * Uploaded originals keep their GPS data unless the uploader removed it; the copies
+ * are re-encoded without metadata. Photos without copies are left out.
+ * @param {Object} moment - Moment with attachments
+ * @returns {{imageUrl: string|null, attachments: Array}} Fields to override
+ */
+function withoutPhotoOriginals(moment) {
+  const attachments = (moment.attachments || []).flatMap((attachment) => {
+    if (attachment.type !== 'image') return [attachment];
+
+    const variants = getImageVariants(attachment);
+    const largest = (variants?.webp || variants?.avif)?.at(-1);
+    return largest ? [{ ...attachment, url: largest.url }] : [];
+  });
+
+  return {
+    imageUrl: attachments.find((attachment) => attachment.type === 'image')?.url || null,
+    attachments,
+  };
+}
+
+/**
+ * Remove what a link hides from a shared moment
+ * @param {Object} moment - Moment with user relation
+ * @param {Object|null} link - ShareLink row (null for legacy links, which hide nothing)
+ * @returns {Object} Moment safe to show to the link's audience
+ */
+function applyAudience(moment, link) {
+  const shared = { ...moment };
+
+  if (link?.hideLocation) {
+    // Keep only the last two parts of the short address, e.g. "New York, USA"
+    const place = moment.locationName?.split(',').map((part) => part.trim()).filter(Boolean);
+    Object.assign(shared, {
+      gpsLat: coarsenCoordinate(moment.gpsLat),
+      gpsLng: coarsenCoordinate(moment.gpsLng),
+      gpsAccuracy: null,
+      locationName: place?.length ? place.slice(-2).join(', ') : null,
+      locationAddress: null,
+      locationApproximate: true,
+      ...withoutPhotoOriginals(moment),
+    });
+  }
+
+  if (link?.hideAuthor) {
+    delete shared.userId;
+    shared.user = null;
+  }
+
+  return shared;
+}
+
+/**
+ * Name shown as the author of a link's content
+ * @param {Object} link - ShareLink row with user relation
+ * @returns {string|null} Owner name, or null if the link hides it
+ */
+export function getShareAuthorName(link) {
+  return link.hideAuthor ? null : link.user.name;
+}
+
+/**
+ * A publicly shared moment with its relations
+ * @param {Object} where - Unique moment filter
+ * @param {Object|null} [link] - ShareLink the moment is seen through (applies its audience options)
+ * @returns {Promise<Object|null>} Moment with flattened tags, or null
+ */
+export async function getSharedMoment(where, link = null) {
+  const moment = await prisma.moment.findUnique({
+    where,
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+      category: true,
+      tags: {
+        include: {
+          tag: true,
+        },
+      },
+      attachments: {
+        orderBy: { position: 'asc' },
+      },
+    },
+    omit: PRIVATE_MOMENT_FIELDS,
+  });
+
+  return moment && applyAudience({ ...moment, tags: moment.tags.map((mt) => mt.tag) }, link);
+}
+
+/**
+ * Moments of an album or filtered set link
+ * @param {Object} link - ShareLink row
+ * @returns {Promise<{moments: Array, totalCount: number}>} Up to SHARED_MOMENTS_LIMIT moments
+ */
+export async function getSharedMoments(link) {
+  if (link.albumId) {
+    const { moments, pagination } = await getAlbumMoments(link.albumId, {
+      limit: SHARED_MOMENTS_LIMIT,
+      publicView: true,
+    });
+    return {
+      moments: moments.map((moment) => applyAudience(moment, link)),
+      totalCount: pagination.totalCount,
+    };
+  }
+
+  const where = await getAlbumWhere(link.userId, parseLinkFilters(link));
+  const [moments, totalCount] = await Promise.all([
+    prisma.moment.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: SHARED_MOMENTS_LIMIT,
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        tags: {
+          include: {
+            tag: true,
+          },
+        },
+        category: true,
+        attachments: {
+          orderBy: { position: 'asc' },
+        },
+      },
+      omit: PRIVATE_MOMENT_FIELDS,
+    }),
+    prisma.moment.count({ where }),
+  ]);
+
+  return {
+    moments: moments.map((moment) => applyAudience({
+      ...moment,
+      tags: moment.tags.map((mt) => mt.tag),
+    }, link)),
+    totalCount,
+  };
+}
+
+/**
+ * View analytics of a link
+ * @param {Object} link - ShareLink row
+ * @returns {Promise<Object>} { totalViews, lastViewedAt, days, recentViews, uniqueVisitors,
+ *   daily: [{ date, views }] (oldest first), referrers: [{ host, views }] (most first) }
+ */
+export async function getShareLinkAnalytics(link) {
+  const start = new Date();
+  start.setUTCHours(0, 0, 0, 0);
+  start.setUTCDate(start.getUTCDate() - (ANALYTICS_DAYS - 1));
+
+  const views = await prisma.shareLinkView.findMany({
+    where: { shareLinkId: link.id, viewedAt: { gte: start } },
+    select: { viewedAt: true, referrer: true, visitorHash: true },
+  });
+
+  const daily = Array.from({ length: ANALYTICS_DAYS }, (_, index) => {
+    const date = new Date(start.getTime() + index * 24 * 60 * 60 * 1000);
+    return { date: date.toISOString().slice(0, 10), views: 0 };
+  });
+  const referrers = new Map();
+
+  views.forEach((view) => {
+    const day = Math.floor((view.viewedAt.getTime() - start.getTime()) / (24 * 60 * 60 * 1000));
+    if (daily[day]) daily[day].views++;
+    if (view.referrer) referrers.set(view.referrer, (referrers.get(view.referrer) || 0) + 1);
+  });
+
+  return {
+    totalViews: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+    days: ANALYTICS_DAYS,
+    recentViews: views.length,
+    uniqueVisitors: new Set(views.map((view) => view.visitorHash)).size,
+    daily,
+    referrers: [...referrers.entries()]
+      .map(([host, count]) => ({ host, views: count }))
+      .sort((a, b) => b.views - a.views)
+      .slice(0, 10),
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Smart albums
+ * Saved filter definitions (see src/utils/smart-album-utils.js) resolved to
+ * Prisma where clauses, so the timeline and gallery can show an album's moments
+ * and counts always reflect the current data
+ */
+
+import { prisma } from '@/lib/prisma';
+import { findMatchingMomentIds } from '@/lib/search';
+import { calculateDistance } from '@/utils/location-utils';
+import { normalizeAlbumFilters } from '@/utils/smart-album-utils';
+
+// Moment column telling whether a moment has media of a type (mirrors its first attachment)
+const MEDIA_COLUMNS = {
+  image: 'imageUrl',
+  audio: 'audioUrl',
+  video: 'videoUrl',
+};
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * IDs of a user's moments within a radius
+ * Narrowed with a bounding box in the database, then checked exactly
+ * @param {number} userId - Owner of the moments
+ * @param {Object} location - { lat, lng, radiusKm }
+ * @returns {Promise<number[]>} Moment IDs
+ */
+async function findMomentIdsNear(userId, { lat, lng, radiusKm }) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const lngDelta = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+
+  const candidates = await prisma.moment.findMany({
+    where: {
+      userId,
+      gpsLat: { gte: lat - latDelta, lte: lat + latDelta },
+      // Near the antimeridian the box wraps around; skip the longitude bound there
+      ...(Math.abs(lng) + lngDelta < 180 && {
+        gpsLng: { gte: lng - lngDelta, lte: lng + lngDelta },
+      }),
+      NOT: { gpsLat: 0, gpsLng: 0 },
+    },
+    select: { id: true, gpsLat: true, gpsLng: true },
+  });
+
+  return candidates
+    .filter((moment) => calculateDistance(lat, lng, moment.gpsLat, moment.gpsLng) <= radiusKm * 1000)
+    .map((moment) => moment.id);
+}
+
+/**
+ * Resolve a filter definition to a Prisma where clause
+ * @param {number} userId - Owner of the moments
+ * @param {Object} filters - Normalized filter definition
+ * @returns {Promise<Object>} Moment where clause
+ */
+export async function getAlbumWhere(userId, filters) {
+  const conditions = [];
+
+  if (filters.tagIds.length > 0) {
+    conditions.push({ tags: { some: { tagId: { in: filters.tagIds } } } });
+  }
+  if (filters.categoryId) {
+    conditions.push({ categoryId: filters.categoryId });
+  }
+  if (filters.mood) {
+    conditions.push({ mood: filters.mood });
+  }
+  if (filters.dateFrom || filters.dateTo) {
+    conditions.push({
+      createdAt: {
+        ...(filters.dateFrom && { gte: new Date(filters.dateFrom) }),
+        ...(filters.dateTo && { lte: new Date(filters.dateTo) }),
+      },
+    });
+  }
+  if (filters.mediaType !== 'all') {
+    conditions.push({ [MEDIA_COLUMNS[filters.mediaType]]: { not: null } });
+  }
+  if (filters.location) {
+    conditions.push({ id: { in: await findMomentIdsNear(userId, filters.location) } });
+  }
+  if (filters.query) {
+    conditions.push({ id: { in: await findMatchingMomentIds(userId, filters.query) } });
+  }
+
+  return { userId, AND: conditions };
+}
+
+/**
+ * Parse the stored filter definition of an album
+ * @param {Object} album - SmartAlbum row
+ * @returns {Object} Normalized filter definition (no filters if the stored JSON is unusable)
+ */
+function parseStoredFilters(album) {
+  try {
+    return normalizeAlbumFilters(JSON.parse(album.filters)).filters || normalizeAlbumFilters({}).filters;
+  } catch {
+    return normalizeAlbumFilters({}).filters;
+  }
+}
+
+/**
+ * Format an album for API responses, with its current moment count
+ * @param {Object} album - SmartAlbum row
+ * @returns {Promise<Object>} { id, name, filters, count, createdAt, updatedAt }
+ */
+export async function formatAlbum(album) {
+  const filters = parseStoredFilters(album);
+  const count = await prisma.moment.count({ where: await getAlbumWhere(album.userId, filters) });
+
+  return {
+    id: album.id,
+    name: album.name,
+    filters,
+    count,
+    createdAt: album.createdAt,
+    updatedAt: album.updatedAt,
+  };
+}
+
+/**
+ * Get the where clause of one of a user's albums
+ * @param {number} userId - Album owner
+ * @param {number} albumId - Album ID
+ * @returns {Promise<Object|null>} Moment where clause, or null if the album does not exist
+ */
+export async function getSmartAlbumWhere(userId, albumId) {
+  const album = await prisma.smartAlbum.findFirst({
+    where: { id: albumId, userId },
+  });
+  if (!album) return null;
+
+  return getAlbumWhere(userId, parseStoredFilters(album));
+}
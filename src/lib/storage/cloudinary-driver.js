@@ -0,0 +1,106 @@
+/**
+ * Cloudinary storage driver
+ */
+
+import { v2 as cloudinary } from 'cloudinary';
+
+/**
+ * Check whether Cloudinary credentials are present
+ * @returns {boolean} True if configured
+ */
+export function isCloudinaryConfigured() {
+  return Boolean(
+    process.env.CLOUDINARY_CLOUD_NAME &&
+    process.env.CLOUDINARY_API_KEY &&
+    process.env.CLOUDINARY_API_SECRET
+  );
+}
+
+// Cloudinary stores audio under the 'video' resource type
+function toCloudinaryResourceType(resourceType) {
+  if (resourceType === 'image') return 'image';
+  if (resourceType === 'audio' || resourceType === 'video') return 'video';
+  return 'raw';
+}
+
+/**
+ * Create the Cloudinary driver
+ * @returns {Object} Storage driver
+ */
+export function createCloudinaryDriver() {
+  if (!isCloudinaryConfigured()) {
+    throw new Error('Cloudinary not configured. Please add credentials to .env file or choose another STORAGE_DRIVER.');
+  }
+
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+
+  return {
+    name: 'cloudinary',
+
+    async upload(buffer, { key, contentType, resourceType }) {
+      const cloudinaryType = toCloudinaryResourceType(resourceType);
+      const dataURI = `data:${contentType};base64,${buffer.toString('base64')}`;
+
+      // Cloudinary adds the extension itself; public IDs keep the folder part of the key
+      const publicId = key.replace(/\.[^/.]+$/, '');
+
+      const result = await cloudinary.uploader.upload(dataURI, {
+        public_id: publicId,
+        resource_type: cloudinaryType,
+        transformation: cloudinaryType === 'image' ? [
+          { width: 1000, height: 1000, crop: 'limit' }, // Limit image size
+          { quality: 'auto' },
+        ] : undefined,
+        // 2 minutes for video
+        timeout: resourceType === 'video' ? 120000 : undefined,
+      });
+
+      return {
+        url: result.secure_url,
+        key: result.public_id,
+        bytes: result.bytes,
+        format: result.format,
+        contentType,
+        resourceType,
+        driver: 'cloudinary',
+      };
+    },
+
+    async read(key, { resourceType } = {}) {
+      const url = cloudinary.url(key, {
+        resource_type: toCloudinaryResourceType(resourceType),
+        secure: true,
+      });
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Cloudinary download failed: ${response.status}`);
+      }
+      return Buffer.from(await response.arrayBuffer());
+    },
+
+    async delete(key, { resourceType } = {}) {
+      await cloudinary.uploader.destroy(key, {
+        resource_type: toCloudinaryResourceType(resourceType),
+        invalidate: true,
+      });
+    },
+
+    keyFromUrl(url) {
+      // https://res.cloudinary.com/<cloud>/<type>/upload/[<transformations>/]v<version>/<public_id>.<ext>
+      const match = url.match(/^https?:\/\/res\.cloudinary\.com\/([^/]+)\/(image|video|raw)\/upload\/(?:.*?\/)?v\d+\/(.+?)(?:\.[a-z0-9]+)?$/i);
+      if (!match || match[1] !== cloudName) {
+        return null;
+      }
+      return {
+        key: decodeURIComponent(match[3]),
+        resourceType: match[2] === 'raw' ? 'raw' : match[2],
+      };
+    },
+  };
+}
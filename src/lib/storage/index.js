@@ -0,0 +1,126 @@
+/**
+ * Media storage layer
+ * Picks a storage driver from STORAGE_DRIVER and exposes a single interface to API routes
+ *
+ * Every driver implements:
+ * - upload(buffer, { key, contentType, resourceType }) -> { url, key, bytes, contentType, resourceType, driver }
+ * - read(key, { resourceType }) -> Buffer
+ * - delete(key, { resourceType }) -> void
+ * - keyFromUrl(url) -> { key, resourceType } | null (null when the URL was not stored by this driver)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { createCloudinaryDriver, isCloudinaryConfigured } from './cloudinary-driver';
+import { createLocalDriver } from './local-driver';
+import { createS3Driver } from './s3-driver';
+import { MEDIA_EXTENSIONS } from './media-types';
+
+const driverFactories = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+const driverInstances = new Map();
+
+/**
+ * Name of the configured driver
+ * Defaults to Cloudinary when its credentials exist, local disk otherwise
+ * @returns {string} Driver name
+ */
+export function getStorageDriverName() {
+  const configured = process.env.STORAGE_DRIVER?.trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+  return isCloudinaryConfigured() ? 'cloudinary' : 'local';
+}
+
+/**
+ * Get a storage driver by name (created once per process)
+ * Used directly when a file must be removed from the driver that stored it
+ * @param {string} name - Driver name
+ * @returns {Object} Storage driver
+ */
+export function getStorageDriver(name) {
+  if (!driverInstances.has(name)) {
+    const factory = driverFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(driverFactories).join(', ')}`);
+    }
+
+    driverInstances.set(name, factory());
+  }
+  return driverInstances.get(name);
+}
+
+/**
+ * Get the active storage driver
+ * @returns {Object} Storage driver
+ */
+export function getStorage() {
+  return getStorageDriver(getStorageDriverName());
+}
+
+/**
+ * Classify a file as image, audio or video
+ * @param {string} mimeType - File MIME type
+ * @param {string} hint - Type requested by the client ('image', 'audio', 'video' or 'auto')
+ * @returns {string} 'image', 'audio', 'video' or 'raw'
+ */
+export function getResourceType(mimeType = '', hint = 'auto') {
+  if (hint === 'image' || mimeType.startsWith('image/')) return 'image';
+  if (hint === 'audio' || mimeType.startsWith('audio/')) return 'audio';
+  if (hint === 'video' || mimeType.startsWith('video/')) return 'video';
+  return 'raw';
+}
+
+/**
+ * Build a unique storage key
+ * The extension comes from the allow-list in ./media-types, never from a file name
+ * @param {string} folder - Folder prefix (e.g. 'moments/images')
+ * @param {string} contentType - Checked content type (see resolveContentType)
+ * @returns {string} Key like "moments/images/<uuid>.jpg" ("<uuid>.bin" for other types)
+ */
+export function buildStorageKey(folder, contentType = '') {
+  const extension = MEDIA_EXTENSIONS[contentType] || 'bin';
+  return `${folder}/${uuidv4()}.${extension}`;
+}
+
+/**
+ * Folder used for each resource type
+ */
+export const MEDIA_FOLDERS = {
+  image: 'moments/images',
+  audio: 'moments/audio',
+  video: 'moments/videos',
+  raw: 'moments',
+};
+
+/**
+ * Delete stored media by public URL (best effort)
+ * URLs not produced by the active driver (e.g. seeded Unsplash images) are skipped
+ * @param {Array<string|null>} urls - Media URLs
+ * @returns {Promise<number>} Number of files deleted
+ */
+export async function deleteMediaByUrls(urls) {
+  const storage = getStorage();
+  let deleted = 0;
+
+  for (const url of urls) {
+    if (!url) continue;
+
+    const target = storage.keyFromUrl(url);
+    if (!target) continue;
+
+    try {
+      await storage.delete(target.key, { resourceType: target.resourceType });
+      deleted++;
+    } catch (error) {
+      console.error('Failed to delete media:', url, error);
+    }
+  }
+
+  return deleted;
+}
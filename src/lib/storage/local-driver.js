@@ -0,0 +1,91 @@
+/**
+ * Local filesystem storage driver
+ * Files live under STORAGE_LOCAL_DIR and are served by GET /api/media/[...key]
+ */
+
+import { mkdir, readFile, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+
+export const LOCAL_MEDIA_ROUTE = '/api/media';
+
+/**
+ * Root directory for stored files
+ * @returns {string} Absolute path
+ */
+export function getLocalStorageRoot() {
+  return path.resolve(process.cwd(), process.env.STORAGE_LOCAL_DIR || 'storage');
+}
+
+/**
+ * Resolve a key to an absolute path inside the storage root
+ * Rejects keys that would escape the root (e.g. "../")
+ * @param {string} key - Storage key
+ * @returns {string} Absolute file path
+ */
+export function resolveLocalPath(key) {
+  const root = getLocalStorageRoot();
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error('Invalid storage key');
+  }
+  return filePath;
+}
+
+/**
+ * Create the local filesystem driver
+ * @returns {Object} Storage driver
+ */
+export function createLocalDriver() {
+  return {
+    name: 'local',
+
+    async upload(buffer, { key, contentType, resourceType }) {
+      const filePath = resolveLocalPath(key);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, buffer);
+
+      return {
+        url: `${LOCAL_MEDIA_ROUTE}/${key}`,
+        key,
+        bytes: buffer.length,
+        format: path.extname(key).slice(1),
+        contentType,
+        resourceType,
+        driver: 'local',
+      };
+    },
+
+    async read(key) {
+      return readFile(resolveLocalPath(key));
+    },
+
+    async delete(key) {
+      try {
+        await unlink(resolveLocalPath(key));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    keyFromUrl(url) {
+      const pathname = url.startsWith('/') ? url : safePathname(url);
+      if (!pathname?.startsWith(`${LOCAL_MEDIA_ROUTE}/`)) {
+        return null;
+      }
+      return {
+        key: decodeURIComponent(pathname.slice(LOCAL_MEDIA_ROUTE.length + 1)),
+        resourceType: null,
+      };
+    },
+  };
+}
+
+function safePathname(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return null;
+  }
+}
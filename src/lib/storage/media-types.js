@@ -0,0 +1,103 @@
+/**
+ * Media types accepted for storage
+ * Uploaded files are identified by their content, never by the name or type the
+ * client sent, and stored under an extension from this list only. Anything else
+ * (SVG, HTML, ...) is refused, so nothing served from the app's origin can run script.
+ */
+
+// Content type -> file extension of every type that may be stored
+export const MEDIA_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/heic': 'heic',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/webm': 'weba',
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/ogg': 'ogv',
+};
+
+// File extension -> content type, for serving stored files
+export const EXTENSION_TYPES = {
+  ...Object.fromEntries(
+    Object.entries(MEDIA_EXTENSIONS).map(([contentType, extension]) => [extension, contentType])
+  ),
+  // Extensions of files stored before uploads were sniffed
+  jpeg: 'image/jpeg',
+  mpeg: 'audio/mpeg',
+  opus: 'audio/ogg',
+};
+
+/**
+ * Read the four-character brand of an ISO media (MP4/MOV/HEIF) file
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Major brand, e.g. "isom", "M4A ", "qt  ", "avif"
+ */
+function getIsoBrand(buffer) {
+  return buffer.length >= 12 && buffer.toString('latin1', 4, 8) === 'ftyp'
+    ? buffer.toString('latin1', 8, 12)
+    : null;
+}
+
+/**
+ * Identify a media file from its first bytes
+ * Containers holding either audio or video (MP4, WebM, Ogg) are reported as video, or
+ * as audio for Ogg and audio-only MP4 brands; see resolveContentType() for the client's hint
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Content type from MEDIA_EXTENSIONS, or null when not a supported format
+ */
+export function sniffContentType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) return 'video/webm';
+  if (ascii(0, 3) === 'ID3') return 'audio/mpeg';
+  // MPEG audio frame sync: layer III is MP3; ADTS (layer bits 00) is AAC
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return (buffer[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+  }
+
+  const brand = getIsoBrand(buffer);
+  if (brand) {
+    if (brand === 'avif' || brand === 'avis') return 'image/avif';
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+
+  return null;
+}
+
+/**
+ * Content type to store a file under
+ * Uses the sniffed type, but keeps the client's when it names the same container
+ * for the other kind of media (e.g. "audio/webm" for a recording sniffed as video/webm)
+ * @param {Buffer} buffer - File contents
+ * @param {string} declaredType - Content type sent by the client
+ * @returns {string|null} Content type from MEDIA_EXTENSIONS, or null when not a supported format
+ */
+export function resolveContentType(buffer, declaredType = '') {
+  const sniffed = sniffContentType(buffer);
+  if (!sniffed) return null;
+
+  const declared = declaredType.split(';')[0].trim().toLowerCase();
+  const sameContainer = declared.split('/')[1] === sniffed.split('/')[1];
+
+  return sameContainer && MEDIA_EXTENSIONS[declared] ? declared : sniffed;
+}
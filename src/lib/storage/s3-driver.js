@@ -0,0 +1,119 @@
+/**
+ * S3-compatible storage driver
+ * Works with AWS S3 and self-hosted stand-ins such as MinIO (set S3_FORCE_PATH_STYLE=true)
+ */
+
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from '@aws-sdk/client-s3';
+
+/**
+ * Read S3 settings from the environment
+ * @returns {Object} S3 configuration
+ */
+function getS3Config() {
+  const config = {
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  };
+
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error('S3 storage not configured. Set S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.');
+  }
+
+  // Base URL objects are publicly reachable at
+  config.publicUrl = (process.env.S3_PUBLIC_URL || defaultPublicUrl(config)).replace(/\/+$/, '');
+
+  return config;
+}
+
+function defaultPublicUrl({ endpoint, bucket, region, forcePathStyle }) {
+  if (endpoint) {
+    const base = endpoint.replace(/\/+$/, '');
+    if (forcePathStyle) {
+      return `${base}/${bucket}`;
+    }
+    const url = new URL(base);
+    return `${url.protocol}//${bucket}.${url.host}`;
+  }
+  return `https://${bucket}.s3.${region}.amazonaws.com`;
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Create the S3 driver
+ * @returns {Object} Storage driver
+ */
+export function createS3Driver() {
+  const config = getS3Config();
+
+  const client = new S3Client({
+    endpoint: config.endpoint,
+    region: config.region,
+    forcePathStyle: config.forcePathStyle,
+    credentials: {
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey,
+    },
+  });
+
+  return {
+    name: 's3',
+
+    async upload(buffer, { key, contentType, resourceType }) {
+      await client.send(new PutObjectCommand({
+        Bucket: config.bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        // Keys are random, so objects can be cached forever
+        CacheControl: 'public, max-age=31536000, immutable',
+      }));
+
+      return {
+        url: `${config.publicUrl}/${encodeKey(key)}`,
+        key,
+        bytes: buffer.length,
+        format: key.split('.').pop(),
+        contentType,
+        resourceType,
+        driver: 's3',
+      };
+    },
+
+    async read(key) {
+      const result = await client.send(new GetObjectCommand({
+        Bucket: config.bucket,
+        Key: key,
+      }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({
+        Bucket: config.bucket,
+        Key: key,
+      }));
+    },
+
+    keyFromUrl(url) {
+      if (!url.startsWith(`${config.publicUrl}/`)) {
+        return null;
+      }
+      return {
+        key: decodeURIComponent(url.slice(config.publicUrl.length + 1)),
+        resourceType: null,
+      };
+    },
+  };
+}
@@ -52,16 +52,12 @@ class SyncManager {
   async triggerManualSync() {
     try {
       console.log('[SyncManager] Manually triggering sync...');
-      const { syncPendingMoments } = await import('./db');
-      const syncedCount = await syncPendingMoments();
+      const { syncOutbox } = await import('./db');
+      const summary = await syncOutbox({ force: true });
 
-      this.notifyListeners({
-        successful: syncedCount,
-        failed: 0,
-        total: syncedCount,
-      });
+      this.notifyListeners(summary);
 
-      return syncedCount;
+      return summary.successful;
     } catch (error) {
       console.error('[SyncManager] Manual sync failed:', error);
       return 0;
@@ -69,20 +65,56 @@ class SyncManager {
   }
 
   /**
-   * Get sync status (number of pending items)
+   * Get sync status
+   * pending: items waiting to sync, failed: items that need the user,
+   * due: items whose retry time has come, failedItems: failed items with their errors,
+   * conflicts: queued changes whose moment was also changed on the server
    */
   async getSyncStatus() {
     try {
-      const { getPendingMomentsCount } = await import('./db');
-      const count = await getPendingMomentsCount();
+      const { getOutboxStatus } = await import('./db');
+      const status = await getOutboxStatus();
       return {
-        pending: count,
+        ...status,
         syncing: false, // We don't track this yet
       };
     } catch (error) {
       console.error('[SyncManager] Failed to get sync status:', error);
-      return { pending: 0, syncing: false };
+      return { pending: 0, failed: 0, due: 0, failedItems: [], conflicts: [], syncing: false };
+    }
+  }
+
+  /**
+   * Retry a failed item now
+   * @param {number} localId - Local ID of the pending moment
+   */
+  async retryItem(localId) {
+    const { retryPendingMoment } = await import('./db');
+    await retryPendingMoment(localId);
+    return this.triggerManualSync();
+  }
+
+  /**
+   * Resolve a sync conflict and sync the outcome
+   * @param {number} localId - Local ID of the conflicting item
+   * @param {'local'|'server'} keep - Which version wins
+   */
+  async resolveConflict(localId, keep) {
+    const { resolveConflict } = await import('./db');
+    await resolveConflict(localId, keep);
+    if (keep === 'local') {
+      return this.triggerManualSync();
     }
+    return 0;
+  }
+
+  /**
+   * Discard a pending item without syncing it
+   * @param {number} localId - Local ID of the pending moment
+   */
+  async discardItem(localId) {
+    const { deletePendingMoment } = await import('./db');
+    await deletePendingMoment(localId);
   }
 
   /**
@@ -3,56 +3,38 @@
  */
 
 import { prisma } from '@/lib/prisma';
+import { searchMoments } from '@/lib/search';
 
 /**
  * Get moments for timeline view with search and filters
  * @param {Object} options - Query options
+ * @param {number} options.userId - Owner of the moments (required)
  * @param {number} options.page - Page number (default: 1)
  * @param {number} options.limit - Items per page (default: 20)
- * @param {string} options.searchQuery - Search term for descriptions/locations/tags
+ * @param {string} options.searchQuery - Full-text search; results are then ranked by relevance (see searchMoments)
  * @param {Object} options.filters - Filter options
  * @param {number[]} options.filters.tagIds - Filter by tag IDs
  * @param {number} options.filters.categoryId - Filter by category ID
  * @param {string} options.filters.mood - Filter by mood
+ * @param {Object} options.albumWhere - Only moments of a smart album (see getSmartAlbumWhere)
  * @returns {Promise<Object>} Paginated moments with metadata
  */
 export async function getTimelineMoments({
+  userId,
   page = 1,
   limit = 20,
   searchQuery = '',
   filters = {},
+  albumWhere = null,
 } = {}) {
   try {
-    // Build where clause
-    const where = {};
-
-    // Search functionality (description, location name, or tag names)
     if (searchQuery) {
-      where.OR = [
-        {
-          description: {
-            contains: searchQuery,
-          },
-        },
-        {
-          locationName: {
-            contains: searchQuery,
-          },
-        },
-        {
-          tags: {
-            some: {
-              tag: {
-                name: {
-                  contains: searchQuery,
-                },
-              },
-            },
-          },
-        },
-      ];
+      return await searchMoments({ userId, query: searchQuery, page, limit, filters, albumWhere });
     }
 
+    // Build where clause
+    const where = albumWhere ? { userId, AND: [albumWhere] } : { userId };
+
     // Filter by category
     if (filters.categoryId) {
       where.categoryId = filters.categoryId;
@@ -95,6 +77,9 @@ export async function getTimelineMoments({
             },
           },
           category: true,
+          attachments: {
+            orderBy: { position: 'asc' },
+          },
         },
       }),
       prisma.moment.count({ where }),
@@ -136,12 +121,14 @@ export async function getTimelineMoments({
 
 /**
  * Get available filters for timeline
+ * @param {number} userId - User whose tags and moods are listed
  * @returns {Promise<Object>} Available filters
  */
-export async function getTimelineFilters() {
+export async function getTimelineFilters(userId) {
   try {
     const [tags, categories, moods] = await Promise.all([
       prisma.tag.findMany({
+        where: { userId },
         orderBy: { name: 'asc' },
       }),
       prisma.category.findMany({
@@ -150,6 +137,7 @@ export async function getTimelineFilters() {
       // Get unique moods from moments
       prisma.moment.findMany({
         where: {
+          userId,
           mood: { not: null },
         },
         select: {
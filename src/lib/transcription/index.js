@@ -0,0 +1,107 @@
+/**
+ * Server-side audio transcription
+ * Picks a provider from TRANSCRIPTION_PROVIDER (off when unset) and fills in the transcript
+ * of moments whose audio was uploaded without a live voice-to-text transcript
+ *
+ * Every provider implements:
+ * - transcribe(buffer, { contentType }) -> string ('' when nothing was recognized)
+ */
+
+import prisma from '@/lib/prisma';
+import { getStorageDriver } from '@/lib/storage';
+import { createOpenAIProvider } from './openai-provider';
+import { createStubProvider } from './stub-provider';
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  stub: createStubProvider,
+};
+
+let providerInstance = null;
+
+/**
+ * Name of the configured provider
+ * @returns {string|null} Provider name, or null when transcription is off
+ */
+export function getTranscriptionProviderName() {
+  const configured = process.env.TRANSCRIPTION_PROVIDER?.trim().toLowerCase();
+  return configured && configured !== 'none' ? configured : null;
+}
+
+/**
+ * Get the configured provider (created once per process)
+ * @returns {Object|null} Transcription provider, or null when transcription is off
+ */
+export function getTranscriptionProvider() {
+  const name = getTranscriptionProviderName();
+  if (!name) return null;
+
+  if (providerInstance?.name !== name) {
+    const factory = providerFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${name}". Use one of: ${Object.keys(providerFactories).join(', ')}`);
+    }
+
+    providerInstance = factory();
+  }
+  return providerInstance;
+}
+
+/**
+ * Check whether a saved moment should be transcribed on the server
+ * @param {Object} moment - Moment with attachments
+ * @returns {boolean} True when transcription is on and the moment has audio but no transcript
+ */
+export function needsTranscription(moment) {
+  return !!getTranscriptionProviderName() &&
+    !moment.transcript &&
+    (moment.attachments || []).some((attachment) => attachment.type === 'audio');
+}
+
+/**
+ * Transcribe the uploaded audio of a moment and save the text as its transcript
+ * Only files uploaded through this app (MediaAsset rows) are read; a transcript typed
+ * in the meantime is never overwritten. Errors are logged, not thrown, since this
+ * runs after the response was sent.
+ * @param {number} momentId - Moment ID
+ * @returns {Promise<string|null>} Saved transcript, or null when nothing was saved
+ */
+export async function transcribeMomentAudio(momentId) {
+  try {
+    const provider = getTranscriptionProvider();
+    if (!provider) return null;
+
+    const moment = await prisma.moment.findUnique({
+      where: { id: momentId },
+      select: {
+        transcript: true,
+        attachments: { where: { type: 'audio' }, orderBy: { position: 'asc' } },
+        mediaAssets: { where: { resourceType: 'audio' } },
+      },
+    });
+    if (!moment || moment.transcript) return null;
+
+    const texts = [];
+    for (const attachment of moment.attachments) {
+      const asset = moment.mediaAssets.find((item) => item.url === attachment.url);
+      if (!asset) continue;
+
+      const buffer = await getStorageDriver(asset.driver).read(asset.publicId, { resourceType: asset.resourceType });
+      const text = await provider.transcribe(buffer, { contentType: asset.contentType || undefined });
+      if (text) texts.push(text);
+    }
+
+    const transcript = texts.join('\n');
+    if (!transcript) return null;
+
+    const { count } = await prisma.moment.updateMany({
+      where: { id: momentId, transcript: null },
+      data: { transcript },
+    });
+    return count > 0 ? transcript : null;
+  } catch (error) {
+    console.error('Transcription error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * OpenAI-compatible transcription provider
+ * Posts audio to an /audio/transcriptions endpoint: OpenAI Whisper, or self-hosted
+ * stand-ins with the same API (set TRANSCRIPTION_API_URL)
+ */
+
+/**
+ * Read provider settings from the environment
+ * @returns {Object} Provider configuration
+ */
+function getOpenAIConfig() {
+  const config = {
+    apiUrl: (process.env.TRANSCRIPTION_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+    apiKey: process.env.TRANSCRIPTION_API_KEY,
+    model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+    language: process.env.TRANSCRIPTION_LANGUAGE || undefined,
+  };
+
+  if (!config.apiKey) {
+    throw new Error('Transcription not configured. Set TRANSCRIPTION_API_KEY.');
+  }
+  return config;
+}
+
+/**
+ * Create the OpenAI-compatible provider
+ * @returns {Object} Transcription provider
+ */
+export function createOpenAIProvider() {
+  const config = getOpenAIConfig();
+
+  return {
+    name: 'openai',
+
+    async transcribe(buffer, { contentType = 'audio/webm' } = {}) {
+      const extension = contentType.split('/')[1]?.split(';')[0] || 'webm';
+      const form = new FormData();
+      form.append('file', new Blob([buffer], { type: contentType }), `audio.${extension}`);
+      form.append('model', config.model);
+      form.append('response_format', 'json');
+      if (config.language) form.append('language', config.language);
+
+      const response = await fetch(`${config.apiUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${config.apiKey}` },
+        body: form,
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Transcription failed (${response.status}): ${detail.slice(0, 200)}`);
+      }
+
+      const result = await response.json();
+      return result.text?.trim() || '';
+    },
+  };
+}
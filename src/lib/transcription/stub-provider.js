@@ -0,0 +1,21 @@
+/**
+ * Stub transcription provider
+ * Returns a fixed, predictable transcript without calling any service, for tests and
+ * for trying the transcription flow locally (TRANSCRIPTION_PROVIDER=stub)
+ */
+
+export const STUB_TRANSCRIPT = 'Stub transcript of an uploaded audio file.';
+
+/**
+ * Create the stub provider
+ * @returns {Object} Transcription provider
+ */
+export function createStubProvider() {
+  return {
+    name: 'stub',
+
+    async transcribe(buffer) {
+      return buffer.length > 0 ? STUB_TRANSCRIPT : '';
+    },
+  };
+}
@@ -1,6 +1,30 @@
 import { NextResponse } from 'next/server';
+import { SESSION_COOKIE, readSessionCookieValue } from '@/lib/session';
 
-export function middleware(request) {
+// Paths reachable without signing in (prefix match)
+const PUBLIC_PATHS = [
+  '/login',
+  '/signup',
+  '/offline',
+  '/share/',
+  '/api/auth/',
+  '/api/moments/share/',
+  '/api/share/',
+  // Locally stored media; keys are random UUIDs so shared moments can embed them
+  '/api/media/',
+  // Scheduled jobs authenticate with CRON_SECRET instead of a session
+  '/api/cron/',
+  // QR codes shown on share pages; only share URLs can be encoded
+  '/api/qr',
+  // Invoked by the OS share sheet; the redirect target (/capture) still requires a session
+  '/api/share-target',
+];
+
+function isPublicPath(pathname) {
+  return PUBLIC_PATHS.some((path) => pathname === path || pathname.startsWith(path));
+}
+
+export async function middleware(request) {
   const { pathname } = request.nextUrl;
 
   // Prevent caching of service worker file
@@ -12,9 +36,33 @@ export function middleware(request) {
     return response;
   }
 
-  return NextResponse.next();
+  if (isPublicPath(pathname)) {
+    return NextResponse.next();
+  }
+
+  // Signature and expiry only; route handlers confirm the session against the database
+  const session = await readSessionCookieValue(request.cookies.get(SESSION_COOKIE)?.value);
+
+  if (session) {
+    return NextResponse.next();
+  }
+
+  if (pathname.startsWith('/api/')) {
+    return NextResponse.json(
+      { error: 'Authentication required' },
+      { status: 401 }
+    );
+  }
+
+  const loginUrl = new URL('/login', request.url);
+  loginUrl.searchParams.set('next', pathname + request.nextUrl.search);
+  return NextResponse.redirect(loginUrl);
 }
 
 export const config = {
-  matcher: '/sw-manual.js',
+  // Skip Next.js internals and static files from /public (service worker handled above)
+  matcher: [
+    '/sw-manual.js',
+    '/((?!_next/static|_next/image|favicon.ico|icons/|.*\\.(?:png|jpg|jpeg|svg|ico|json|txt|xml|js)$).*)',
+  ],
 };
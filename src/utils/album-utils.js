@@ -0,0 +1,47 @@
+/**
+ * Album utilities
+ * An album is a hand-picked collection of moments in a custom order
+ * (unlike smart albums, whose moments are whatever matches their filters).
+ * Album names follow the same rules as smart album names (see parseAlbumName).
+ */
+
+// Fired on window when albums are created, changed or deleted, or moments are added or removed
+export const ALBUMS_CHANGED_EVENT = 'albums-changed';
+
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_MOMENTS_PER_REQUEST = 500;
+
+/**
+ * Validate an album description
+ * @param {*} description - Description from the request
+ * @returns {{description: string|null, error: string|null}} Trimmed description (null if empty)
+ */
+export function parseAlbumDescription(description) {
+  if (description === null || description === undefined) {
+    return { description: null, error: null };
+  }
+  if (typeof description !== 'string') {
+    return { description: null, error: 'Invalid description' };
+  }
+
+  const trimmed = description.trim();
+  if (trimmed.length > MAX_DESCRIPTION_LENGTH) {
+    return { description: null, error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  return { description: trimmed || null, error: null };
+}
+
+/**
+ * Validate a list of moment IDs
+ * @param {*} momentIds - IDs from the request
+ * @returns {{momentIds: number[]|null, error: string|null}} IDs without duplicates, in the given order
+ */
+export function parseMomentIds(momentIds) {
+  if (!Array.isArray(momentIds) || !momentIds.every(Number.isInteger)) {
+    return { momentIds: null, error: 'momentIds must be an array of moment IDs' };
+  }
+  if (momentIds.length > MAX_MOMENTS_PER_REQUEST) {
+    return { momentIds: null, error: `At most ${MAX_MOMENTS_PER_REQUEST} moments per request` };
+  }
+  return { momentIds: [...new Set(momentIds)], error: null };
+}
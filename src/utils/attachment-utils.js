@@ -0,0 +1,333 @@
+/**
+ * Attachment utilities shared by server and client
+ * Moments store media as ordered attachments; the imageUrl/audioUrl/videoUrl
+ * columns mirror the first attachment of each type for older views and clients
+ */
+
+export const ATTACHMENT_TYPES = ['image', 'audio', 'video'];
+
+// Formats of the resized copies made of each uploaded photo (see src/lib/image-pipeline.js)
+export const IMAGE_VARIANT_FORMATS = ['avif', 'webp'];
+
+// Largest placeholder accepted from clients (a tiny base64 image)
+const MAX_PLACEHOLDER_LENGTH = 2000;
+
+// Bars in an audio waveform (peak levels stored with each audio attachment)
+export const WAVEFORM_PEAK_COUNT = 100;
+
+// Longest codec description accepted from clients (e.g. "h264/aac")
+const MAX_CODEC_LENGTH = 40;
+
+// Derived fields of an attachment, cleared when its file is replaced
+const EMPTY_MEDIA_FIELDS = {
+  variants: null,
+  placeholder: null,
+  posterUrl: null,
+  waveform: null,
+  duration: null,
+  codec: null,
+  bytes: null,
+};
+
+// Legacy column for each attachment type
+const COVER_FIELDS = {
+  image: 'imageUrl',
+  audio: 'audioUrl',
+  video: 'videoUrl',
+};
+
+/**
+ * Get a moment's attachments in display order
+ * Falls back to the legacy URL columns for moments created before attachments existed
+ * @param {Object} moment - Moment (attachments optional)
+ * @returns {Array<{id: number|string, type: string, url: string, caption: string|null, position: number}>} Attachments
+ */
+export function getMomentAttachments(moment) {
+  if (moment.attachments && moment.attachments.length > 0) {
+    return [...moment.attachments].sort((a, b) => a.position - b.position);
+  }
+
+  return ATTACHMENT_TYPES
+    .filter((type) => moment[COVER_FIELDS[type]])
+    .map((type, position) => ({
+      id: `${moment.id}-${type}`,
+      type,
+      url: moment[COVER_FIELDS[type]],
+      caption: null,
+      position,
+    }));
+}
+
+/**
+ * The attachment shown by a cover column, with its resized copies or poster
+ * @param {Object} moment - Moment (attachments optional)
+ * @param {string} type - 'image', 'audio' or 'video'
+ * @returns {Object|null} Attachment ({ url } only for legacy moments), or null without a cover
+ */
+export function getCoverAttachment(moment, type) {
+  const url = moment[COVER_FIELDS[type]];
+  if (!url) return null;
+
+  return (moment.attachments || []).find((attachment) => attachment.type === type && attachment.url === url)
+    || { type, url };
+}
+
+/**
+ * Derive the legacy cover URL columns from an attachment list
+ * @param {Array<{type: string, url: string}>} attachments - Ordered attachments
+ * @returns {{imageUrl: string|null, audioUrl: string|null, videoUrl: string|null}} Cover URLs
+ */
+export function getCoverUrls(attachments) {
+  const covers = { imageUrl: null, audioUrl: null, videoUrl: null };
+
+  for (const attachment of attachments) {
+    const field = COVER_FIELDS[attachment.type];
+    if (field && !covers[field]) {
+      covers[field] = attachment.url;
+    }
+  }
+
+  return covers;
+}
+
+/**
+ * Apply legacy single-media fields to an existing attachment list
+ * Each provided field replaces (or removes, when empty) the first attachment of its type
+ * @param {Array<Object>} attachments - Current attachments in display order
+ * @param {Object} fields - { imageUrl?, audioUrl?, videoUrl? }
+ * @returns {Array<Object>} Updated attachments in display order
+ */
+export function applyCoverUrls(attachments, fields) {
+  let result = attachments.map(({ type, url, variants, placeholder, posterUrl, waveform, duration, codec, bytes, caption }) => ({
+    type,
+    url,
+    variants: variants || null,
+    placeholder: placeholder || null,
+    posterUrl: posterUrl || null,
+    waveform: waveform || null,
+    duration: duration || null,
+    codec: codec || null,
+    bytes: bytes || null,
+    caption: caption || null,
+  }));
+
+  for (const type of ATTACHMENT_TYPES) {
+    const value = fields[COVER_FIELDS[type]];
+    if (value === undefined) continue;
+
+    const index = result.findIndex((attachment) => attachment.type === type);
+    if (!value) {
+      if (index !== -1) result.splice(index, 1);
+    } else if (index !== -1) {
+      if (result[index].url !== value) {
+        // A replaced file no longer matches the old resized copies, poster, waveform or details
+        result[index] = { ...result[index], url: value, ...EMPTY_MEDIA_FIELDS };
+      }
+    } else {
+      result = [...result, { type, url: value, ...EMPTY_MEDIA_FIELDS, caption: null }];
+    }
+  }
+
+  return result.map((attachment, position) => ({ ...attachment, position }));
+}
+
+/**
+ * Count attachments per type
+ * @param {Array<{type: string}>} attachments - Attachments
+ * @returns {{image: number, audio: number, video: number}} Counts
+ */
+export function countAttachmentTypes(attachments) {
+  const counts = { image: 0, audio: 0, video: 0 };
+  attachments.forEach((attachment) => {
+    if (counts[attachment.type] !== undefined) {
+      counts[attachment.type]++;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Resized copies of an image attachment
+ * @param {Object} attachment - Attachment (variants as stored JSON or as object)
+ * @returns {Object|null} { avif: [{width, url}], webp: [{width, url}] } sorted by width, or null
+ */
+export function getImageVariants(attachment) {
+  let variants = attachment?.variants;
+  if (!variants) return null;
+
+  if (typeof variants === 'string') {
+    try {
+      variants = JSON.parse(variants);
+    } catch {
+      return null;
+    }
+  }
+
+  const result = {};
+  for (const format of IMAGE_VARIANT_FORMATS) {
+    const list = Array.isArray(variants[format]) ? variants[format] : [];
+    const valid = list.filter((variant) => (
+      Number.isInteger(variant?.width) && variant.width > 0 && typeof variant.url === 'string' && variant.url
+    ));
+    if (valid.length > 0) {
+      result[format] = valid
+        .map(({ width, url }) => ({ width, url }))
+        .sort((a, b) => a.width - b.width);
+    }
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+ * Every URL of an attachment's resized copies
+ * @param {Object} attachment - Attachment
+ * @returns {string[]} URLs
+ */
+export function getVariantUrls(attachment) {
+  const variants = getImageVariants(attachment);
+  return variants ? Object.values(variants).flat().map((variant) => variant.url) : [];
+}
+
+/**
+ * Validate an attachment's resized copies and placeholder from a request body
+ * @param {Object} item - { variants?, placeholder? }
+ * @returns {{variants: string|null, placeholder: string|null}} Values to store
+ */
+function parseImageVariants(item) {
+  const variants = item.type === 'image' ? getImageVariants(item) : null;
+  const placeholder = item.type === 'image'
+    && typeof item.placeholder === 'string'
+    && item.placeholder.startsWith('data:image/')
+    && item.placeholder.length <= MAX_PLACEHOLDER_LENGTH
+    ? item.placeholder
+    : null;
+
+  return { variants: variants ? JSON.stringify(variants) : null, placeholder };
+}
+
+/**
+ * Waveform of an audio attachment
+ * @param {Object} attachment - Attachment (waveform as stored JSON or as array)
+ * @returns {number[]|null} Peak levels between 0 and 1, or null
+ */
+export function getAudioWaveform(attachment) {
+  let waveform = attachment?.waveform;
+  if (!waveform) return null;
+
+  if (typeof waveform === 'string') {
+    try {
+      waveform = JSON.parse(waveform);
+    } catch {
+      return null;
+    }
+  }
+
+  const valid = Array.isArray(waveform)
+    && waveform.length > 0
+    && waveform.length <= WAVEFORM_PEAK_COUNT
+    && waveform.every((peak) => typeof peak === 'number' && peak >= 0 && peak <= 1);
+  return valid ? waveform : null;
+}
+
+/**
+ * Validate an audio or video attachment's duration, codec and file size from a request body
+ * @param {Object} item - { duration?, codec?, bytes? } (see src/lib/media-transcoding.js)
+ * @returns {{duration: number|null, codec: string|null, bytes: number|null}} Values to store
+ */
+function parseMediaDetails(item) {
+  if (item.type !== 'audio' && item.type !== 'video') {
+    return { duration: null, codec: null, bytes: null };
+  }
+
+  return {
+    duration: Number.isFinite(item.duration) && item.duration > 0 ? item.duration : null,
+    codec: typeof item.codec === 'string' && /^[\w.-]+(\/[\w.-]+)*$/.test(item.codec) && item.codec.length <= MAX_CODEC_LENGTH
+      ? item.codec
+      : null,
+    bytes: Number.isInteger(item.bytes) && item.bytes > 0 ? item.bytes : null,
+  };
+}
+
+/**
+ * Duration of audio or video as m:ss (h:mm:ss from an hour)
+ * @param {number} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+export function formatMediaDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Every attachment of a list of moments, in display order, as Lightbox items
+ * @param {Array<Object>} moments - Moments in display order
+ * @returns {Array<Object>} { id, momentId, type, url, variants, placeholder, posterUrl, caption, description,
+ *   createdAt, attachmentIndex, attachmentCount }
+ */
+export function getLightboxItems(moments) {
+  return moments.flatMap((moment) => {
+    const attachments = getMomentAttachments(moment);
+    return attachments.map((attachment, attachmentIndex) => ({
+      id: attachment.id,
+      momentId: moment.id,
+      type: attachment.type,
+      url: attachment.url,
+      variants: attachment.variants || null,
+      placeholder: attachment.placeholder || null,
+      posterUrl: attachment.posterUrl || null,
+      caption: attachment.caption,
+      description: moment.description,
+      createdAt: moment.createdAt,
+      attachmentIndex,
+      attachmentCount: attachments.length,
+    }));
+  });
+}
+
+/**
+ * Validate and normalize attachments from a request body
+ * Without an attachments array, the legacy imageUrl/audioUrl/videoUrl fields are used
+ * @param {Object} body - Request body
+ * @returns {{attachments: Array<Object>|null, error: string|null}} Normalized attachments (null = not provided)
+ */
+export function parseAttachmentInput(body) {
+  if (!Array.isArray(body.attachments)) {
+    if (body.imageUrl === undefined && body.audioUrl === undefined && body.videoUrl === undefined) {
+      return { attachments: null, error: null };
+    }
+
+    const legacy = ATTACHMENT_TYPES
+      .filter((type) => body[COVER_FIELDS[type]])
+      .map((type, position) => ({
+        type,
+        url: body[COVER_FIELDS[type]],
+        caption: null,
+        position,
+      }));
+    return { attachments: legacy, error: null };
+  }
+
+  const attachments = [];
+  for (const [position, item] of body.attachments.entries()) {
+    if (!item || !ATTACHMENT_TYPES.includes(item.type) || typeof item.url !== 'string' || !item.url) {
+      return { attachments: null, error: `Invalid attachment at position ${position}` };
+    }
+    const waveform = item.type === 'audio' ? getAudioWaveform(item) : null;
+    attachments.push({
+      type: item.type,
+      url: item.url,
+      ...parseImageVariants(item),
+      posterUrl: item.type === 'video' && typeof item.posterUrl === 'string' && item.posterUrl ? item.posterUrl : null,
+      waveform: waveform ? JSON.stringify(waveform) : null,
+      ...parseMediaDetails(item),
+      caption: item.caption?.trim() || null,
+      position,
+    });
+  }
+
+  return { attachments, error: null };
+}
@@ -0,0 +1,298 @@
+/**
+ * Geofence utilities shared by server and client
+ * A geofence is a circle or a polygon that notifies when the user enters, leaves or
+ * stays in it (see src/lib/geofence-manager.js). It can link a category and a tag, named
+ * in its notifications. Actions per geofence:
+ * - remindOnEnter: entering asks to capture a moment; the notification opens /capture
+ *   with the geofence's location, category and tag filled in
+ * - autoTag: moments created inside get the linked tag (applied by POST /api/moments)
+ * Every enter, exit and dwell is logged (GeofenceEvent) and listed on the geofences page.
+ *
+ * Position fixes are only trusted as far as their accuracy: a fix less accurate than
+ * MAX_FIX_ACCURACY changes nothing, and leaving takes a fix outside the boundary by at
+ * least its accuracy, so fixes jumping around the boundary do not flap between enter and exit.
+ *
+ * Geofence:
+ * {
+ *   id: number,
+ *   name: string,
+ *   shape: 'circle' | 'polygon',
+ *   polygon: Array<[lat, lng]> | null,  // Polygon vertices
+ *   lat: number,                    // Center (polygons: average of the vertices)
+ *   lng: number,
+ *   radius: number,                 // Meters (polygons: circle around all vertices)
+ *   dwellMinutes: number | null,    // Staying inside this long fires a dwell event
+ *   notifyOnEnter: boolean,
+ *   notifyOnExit: boolean,
+ *   categoryId: number | null,
+ *   category: { id, name, icon } | null,
+ *   tagId: number | null,
+ *   tag: { id, name, color } | null,
+ *   remindOnEnter: boolean,
+ *   autoTag: boolean,
+ * }
+ */
+
+import {
+  calculateDistance,
+  distanceToPolygonEdge,
+  isInsidePolygon,
+  isValidGPSCoordinate,
+} from '@/utils/location-utils';
+
+// Fired on window when the geofence manager's list changes (loaded, created, edited or deleted)
+export const GEOFENCES_CHANGED_EVENT = 'geofences-changed';
+
+// Fired on window when an enter, exit or dwell was logged
+export const GEOFENCE_CROSSED_EVENT = 'geofence-crossed';
+
+export const GEOFENCE_EVENT_TYPES = ['enter', 'exit', 'dwell'];
+
+export const GEOFENCE_SHAPES = ['circle', 'polygon'];
+
+export const MIN_POLYGON_POINTS = 3;
+export const MAX_POLYGON_POINTS = 50;
+
+export const MAX_DWELL_MINUTES = 24 * 60;
+
+// Fixes less accurate than this (meters) neither enter nor leave a geofence
+export const MAX_FIX_ACCURACY = 100;
+
+// Smallest distance (meters) beyond the boundary that counts as having left
+const MIN_EXIT_MARGIN = 10;
+
+// Radius of new geofences and of geo: URIs without an uncertainty (meters)
+export const DEFAULT_GEOFENCE_RADIUS = 100;
+
+export const MIN_GEOFENCE_RADIUS = 10;
+export const MAX_GEOFENCE_RADIUS = 50000;
+
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Validate an optional link to a category or tag
+ * @param {*} value - ID from the request
+ * @returns {number|null|undefined} ID, null if empty, undefined if invalid
+ */
+function parseLinkId(value) {
+  if (value === null || value === '') return null;
+  return Number.isInteger(value) && value > 0 ? value : undefined;
+}
+
+/**
+ * Validate polygon vertices
+ * @param {*} value - Vertices from the request
+ * @returns {{polygon: Array<[number, number]>|null, error: string|null}} Vertices as [lat, lng] pairs
+ */
+function parsePolygon(value) {
+  if (!Array.isArray(value) || value.length < MIN_POLYGON_POINTS || value.length > MAX_POLYGON_POINTS) {
+    return {
+      polygon: null,
+      error: `Polygon must have between ${MIN_POLYGON_POINTS} and ${MAX_POLYGON_POINTS} points`,
+    };
+  }
+  if (!value.every((point) => Array.isArray(point) && point.length === 2 && isValidGPSCoordinate(point[0], point[1]))) {
+    return { polygon: null, error: 'Invalid polygon point' };
+  }
+  return { polygon: value.map(([lat, lng]) => [lat, lng]), error: null };
+}
+
+/**
+ * Circle around a polygon, stored as its lat, lng and radius
+ * @param {Array<[number, number]>} polygon - Vertices as [lat, lng] pairs
+ * @returns {{lat: number, lng: number, radius: number}} Average of the vertices and distance to the farthest one
+ */
+export function getPolygonBounds(polygon) {
+  const lat = polygon.reduce((sum, [vertexLat]) => sum + vertexLat, 0) / polygon.length;
+  const lng = polygon.reduce((sum, [, vertexLng]) => sum + vertexLng, 0) / polygon.length;
+  const farthest = Math.max(...polygon.map(([vertexLat, vertexLng]) => calculateDistance(lat, lng, vertexLat, vertexLng)));
+
+  return { lat, lng, radius: Math.max(MIN_GEOFENCE_RADIUS, Math.ceil(farthest)) };
+}
+
+/**
+ * Validate and normalize a geofence from a request body
+ * Polygons get their lat, lng and radius from their vertices (see getPolygonBounds)
+ * @param {Object} input - { name, shape?, lat, lng, radius, polygon?, dwellMinutes?, notifyOnEnter?, notifyOnExit?,
+ *   categoryId?, tagId? } (polygons need no lat, lng and radius)
+ * @param {Object} options
+ * @param {boolean} options.partial - Only validate the fields present (updates)
+ * @returns {{data: Object|null, error: string|null}} Fields to store (polygon as a JSON string)
+ */
+export function normalizeGeofenceInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') {
+    return { data: null, error: 'Invalid geofence' };
+  }
+
+  const data = {};
+  const has = (field) => !partial || input[field] !== undefined;
+
+  if (has('name')) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      return { data: null, error: 'Geofence name is required' };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return { data: null, error: `Geofence name must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    data.name = name;
+  }
+
+  if (has('shape') || input.polygon !== undefined) {
+    const shape = input.shape ?? (input.polygon ? 'polygon' : 'circle');
+    if (!GEOFENCE_SHAPES.includes(shape)) {
+      return { data: null, error: `Shape must be one of: ${GEOFENCE_SHAPES.join(', ')}` };
+    }
+    data.shape = shape;
+    data.polygon = null;
+
+    if (shape === 'polygon') {
+      const { polygon, error } = parsePolygon(input.polygon);
+      if (error) {
+        return { data: null, error };
+      }
+
+      const bounds = getPolygonBounds(polygon);
+      if (bounds.radius > MAX_GEOFENCE_RADIUS) {
+        return { data: null, error: `Polygon must fit within ${MAX_GEOFENCE_RADIUS} meters of its center` };
+      }
+      Object.assign(data, bounds, { polygon: JSON.stringify(polygon) });
+    }
+  }
+
+  if (data.shape !== 'polygon' && (has('lat') || has('lng'))) {
+    if (!isValidGPSCoordinate(input.lat, input.lng)) {
+      return { data: null, error: 'Invalid location' };
+    }
+    data.lat = input.lat;
+    data.lng = input.lng;
+  }
+
+  if (data.shape !== 'polygon' && has('radius')) {
+    const radius = input.radius ?? DEFAULT_GEOFENCE_RADIUS;
+    if (!Number.isInteger(radius) || radius < MIN_GEOFENCE_RADIUS || radius > MAX_GEOFENCE_RADIUS) {
+      return { data: null, error: `Radius must be between ${MIN_GEOFENCE_RADIUS} and ${MAX_GEOFENCE_RADIUS} meters` };
+    }
+    data.radius = radius;
+  }
+
+  if (input.dwellMinutes !== undefined) {
+    const dwellMinutes = input.dwellMinutes === '' ? null : input.dwellMinutes;
+    if (dwellMinutes !== null &&
+      (!Number.isInteger(dwellMinutes) || dwellMinutes < 1 || dwellMinutes > MAX_DWELL_MINUTES)) {
+      return { data: null, error: `Dwell time must be between 1 and ${MAX_DWELL_MINUTES} minutes` };
+    }
+    data.dwellMinutes = dwellMinutes;
+  }
+
+  for (const field of ['notifyOnEnter', 'notifyOnExit', 'remindOnEnter', 'autoTag']) {
+    if (input[field] !== undefined) {
+      if (typeof input[field] !== 'boolean') {
+        return { data: null, error: `Invalid ${field}` };
+      }
+      data[field] = input[field];
+    }
+  }
+
+  for (const field of ['categoryId', 'tagId']) {
+    if (input[field] !== undefined) {
+      const id = parseLinkId(input[field]);
+      if (id === undefined) {
+        return { data: null, error: `Invalid ${field}` };
+      }
+      data[field] = id;
+    }
+  }
+
+  return { data, error: null };
+}
+
+/**
+ * Validate an enter or exit event from a request body
+ * @param {Object} input - { type, lat, lng, accuracy?, occurredAt? }
+ * @returns {{data: Object|null, error: string|null}} Fields to store (occurredAt defaults to now)
+ */
+export function parseGeofenceEvent(input) {
+  if (!input || !GEOFENCE_EVENT_TYPES.includes(input.type)) {
+    return { data: null, error: `Event type must be one of: ${GEOFENCE_EVENT_TYPES.join(', ')}` };
+  }
+  if (!isValidGPSCoordinate(input.lat, input.lng)) {
+    return { data: null, error: 'Invalid location' };
+  }
+
+  const accuracy = input.accuracy ?? null;
+  if (accuracy !== null && !(Number.isFinite(accuracy) && accuracy >= 0)) {
+    return { data: null, error: 'Invalid accuracy' };
+  }
+
+  const occurredAt = input.occurredAt ? new Date(input.occurredAt) : new Date();
+  // Devices report their own clock; reject dates that cannot be right
+  if (isNaN(occurredAt.getTime()) || occurredAt.getTime() > Date.now() + 5 * 60 * 1000) {
+    return { data: null, error: 'Invalid occurredAt' };
+  }
+
+  return {
+    data: { type: input.type, lat: input.lat, lng: input.lng, accuracy, occurredAt },
+    error: null,
+  };
+}
+
+/**
+ * Distance from a point to a geofence's boundary
+ * @param {Object} geofence - Geofence
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {number} Meters, negative inside
+ */
+export function getBoundaryDistance(geofence, lat, lng) {
+  const centerDistance = calculateDistance(lat, lng, geofence.lat, geofence.lng);
+  if (geofence.shape !== 'polygon' || !geofence.polygon) {
+    return centerDistance - geofence.radius;
+  }
+
+  // Outside the circle around the polygon is outside the polygon
+  if (centerDistance > geofence.radius) {
+    return centerDistance - geofence.radius;
+  }
+  const edgeDistance = distanceToPolygonEdge(lat, lng, geofence.polygon);
+  return isInsidePolygon(lat, lng, geofence.polygon) ? -edgeDistance : edgeDistance;
+}
+
+/**
+ * Whether a position fix enters or leaves a geofence
+ * Entering takes a fix inside the boundary; leaving takes one outside it by at least
+ * the fix's accuracy, and fixes less accurate than MAX_FIX_ACCURACY are ignored
+ * @param {Object} geofence - Geofence
+ * @param {Object} position - { lat, lng, accuracy } (accuracy in meters)
+ * @param {boolean} wasInside - Whether the user was inside before this fix
+ * @returns {'enter'|'exit'|null} Transition, null when the state stays the same
+ */
+export function getGeofenceTransition(geofence, { lat, lng, accuracy }, wasInside) {
+  if (accuracy > MAX_FIX_ACCURACY) return null;
+
+  const distance = getBoundaryDistance(geofence, lat, lng);
+  if (!wasInside && distance <= 0) return 'enter';
+  if (wasInside && distance > Math.max(accuracy || 0, MIN_EXIT_MARGIN)) return 'exit';
+  return null;
+}
+
+/**
+ * Geofences containing a point
+ * @param {Array} geofences - Geofences (polygons as vertex arrays)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Array} Geofences the point is inside
+ */
+export function findGeofencesAt(geofences, lat, lng) {
+  if (!isValidGPSCoordinate(lat, lng)) return [];
+  return geofences.filter((geofence) => getBoundaryDistance(geofence, lat, lng) <= 0);
+}
+
+/**
+ * Capture page prefilled from a geofence (opened by reminder notifications)
+ * @param {Object} geofence - Geofence
+ * @returns {string} Path
+ */
+export function getGeofenceCapturePath(geofence) {
+  return `/capture?geofence=${geofence.id}`;
+}
@@ -85,6 +85,57 @@ export function isInsideGeofence(lat, lng, centerLat, centerLng, radiusInMeters)
   return distance <= radiusInMeters;
 }
 
+/**
+ * Check if a coordinate is inside a polygon (ray casting)
+ * Treats latitude and longitude as plane coordinates, which holds for areas of a few kilometers
+ * @param {number} lat - Current latitude
+ * @param {number} lng - Current longitude
+ * @param {Array<[number, number]>} polygon - Vertices as [lat, lng] pairs, in drawing order
+ * @returns {boolean} True if inside polygon
+ */
+export function isInsidePolygon(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Calculate distance from a coordinate to the nearest edge of a polygon
+ * @param {number} lat - Current latitude
+ * @param {number} lng - Current longitude
+ * @param {Array<[number, number]>} polygon - Vertices as [lat, lng] pairs
+ * @returns {number} Distance in meters (the same inside and outside)
+ */
+export function distanceToPolygonEdge(lat, lng, polygon) {
+  // Meters east (x) and north (y) of the coordinate
+  const metersPerDegree = 111320;
+  const cosLat = Math.cos((lat * Math.PI) / 180);
+  const points = polygon.map(([vertexLat, vertexLng]) => [
+    (vertexLng - lng) * metersPerDegree * cosLat,
+    (vertexLat - lat) * metersPerDegree,
+  ]);
+
+  let nearest = Infinity;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [x1, y1] = points[j];
+    const [x2, y2] = points[i];
+    const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+    // Closest point of the edge to the origin
+    const t = lengthSquared > 0
+      ? Math.min(1, Math.max(0, -(x1 * (x2 - x1) + y1 * (y2 - y1)) / lengthSquared))
+      : 0;
+    nearest = Math.min(nearest, Math.hypot(x1 + t * (x2 - x1), y1 + t * (y2 - y1)));
+  }
+  return nearest;
+}
+
 /**
  * Find moments near a specific location
  * @param {Array} moments - Array of moment objects with gpsLat and gpsLng
@@ -0,0 +1,289 @@
+/**
+ * Photo editing utilities (crop, rotate/flip, adjustments, filters, annotations)
+ * Edits are plain data so the editor preview and the exported file are drawn the same way
+ * (see src/lib/image-editor.js). Positions are fractions (0-1) of the rotated, uncropped photo.
+ */
+
+// Filter presets, as CSS filter functions applied before the adjustment sliders
+export const PHOTO_FILTERS = [
+  { id: 'none', label: 'Original', ops: [] },
+  { id: 'vivid', label: 'Vivid', ops: [['saturate', 1.5], ['contrast', 1.1]] },
+  { id: 'warm', label: 'Warm', ops: [['sepia', 0.3], ['saturate', 1.3], ['hue-rotate', -10]] },
+  { id: 'cool', label: 'Cool', ops: [['hue-rotate', 15], ['saturate', 0.9], ['brightness', 1.05]] },
+  { id: 'fade', label: 'Fade', ops: [['contrast', 0.8], ['brightness', 1.1], ['saturate', 0.7]] },
+  { id: 'sepia', label: 'Sepia', ops: [['sepia', 0.8]] },
+  { id: 'mono', label: 'Mono', ops: [['grayscale', 1]] },
+  { id: 'noir', label: 'Noir', ops: [['grayscale', 1], ['contrast', 1.4], ['brightness', 0.9]] },
+];
+
+// Crop aspect presets (width / height in pixels, null = free)
+export const CROP_ASPECTS = [
+  { id: 'free', label: 'Free', ratio: null },
+  { id: '1:1', label: '1:1', ratio: 1 },
+  { id: '4:3', label: '4:3', ratio: 4 / 3 },
+  { id: '3:4', label: '3:4', ratio: 3 / 4 },
+  { id: '16:9', label: '16:9', ratio: 16 / 9 },
+  { id: '9:16', label: '9:16', ratio: 9 / 16 },
+];
+
+// Brightness/contrast/saturation slider range (percent)
+export const ADJUSTMENT_RANGE = { min: 0, max: 200, default: 100 };
+
+export const ANNOTATION_COLORS = ['#ffffff', '#000000', '#ef4444', '#f59e0b', '#22c55e', '#3b82f6'];
+
+// Stroke widths and text heights, as fractions of the photo's short side
+export const BRUSH_SIZES = { small: 0.005, medium: 0.012, large: 0.025 };
+export const TEXT_SIZES = { small: 0.04, medium: 0.07, large: 0.11 };
+
+// Smallest crop, as a fraction of the photo
+const MIN_CROP = 0.05;
+
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+export const DEFAULT_PHOTO_EDITS = {
+  rotation: 0, // Clockwise degrees: 0, 90, 180 or 270
+  flipH: false,
+  flipV: false,
+  crop: FULL_CROP,
+  aspect: 'free',
+  brightness: ADJUSTMENT_RANGE.default,
+  contrast: ADJUSTMENT_RANGE.default,
+  saturation: ADJUSTMENT_RANGE.default,
+  filter: 'none',
+  annotations: [], // { type: 'stroke', color, size, points: [[x, y], ...] } or { type: 'text', color, size, text, x, y }
+};
+
+/**
+ * Check whether edits change the photo at all
+ * @param {Object} edits - Photo edits
+ * @returns {boolean} True when the photo has to be redrawn
+ */
+export function hasPhotoEdits(edits) {
+  const { crop } = edits;
+  return edits.rotation !== 0 ||
+    edits.flipH ||
+    edits.flipV ||
+    crop.x !== 0 || crop.y !== 0 || crop.width !== 1 || crop.height !== 1 ||
+    getFilterOps(edits).length > 0 ||
+    edits.annotations.length > 0;
+}
+
+/**
+ * Filter functions of the preset followed by the adjustment sliders
+ * @param {Object} edits - Photo edits
+ * @returns {Array<[string, number]>} [name, amount] pairs, identity adjustments left out
+ */
+export function getFilterOps(edits) {
+  const preset = PHOTO_FILTERS.find((filter) => filter.id === edits.filter) || PHOTO_FILTERS[0];
+  const ops = [...preset.ops];
+  if (edits.brightness !== 100) ops.push(['brightness', edits.brightness / 100]);
+  if (edits.contrast !== 100) ops.push(['contrast', edits.contrast / 100]);
+  if (edits.saturation !== 100) ops.push(['saturate', edits.saturation / 100]);
+  return ops;
+}
+
+/**
+ * CSS/canvas filter string for the edits
+ * @param {Object} edits - Photo edits
+ * @returns {string} e.g. 'sepia(0.8) brightness(1.2)', 'none' without filters
+ */
+export function getFilterString(edits) {
+  const ops = getFilterOps(edits);
+  if (ops.length === 0) return 'none';
+  return ops.map(([name, amount]) => (
+    name === 'hue-rotate' ? `hue-rotate(${amount}deg)` : `${name}(${amount})`
+  )).join(' ');
+}
+
+/**
+ * Color matrix of one filter function, as defined by the CSS Filter Effects spec
+ * @param {string} name - Filter function
+ * @param {number} amount - Amount (degrees for hue-rotate)
+ * @returns {number[][]} 3x4 matrix, offsets in 0-255 units
+ */
+function getOpMatrix(name, amount) {
+  switch (name) {
+    case 'brightness':
+      return [[amount, 0, 0, 0], [0, amount, 0, 0], [0, 0, amount, 0]];
+    case 'contrast': {
+      const offset = (0.5 - 0.5 * amount) * 255;
+      return [[amount, 0, 0, offset], [0, amount, 0, offset], [0, 0, amount, offset]];
+    }
+    case 'grayscale':
+      return getOpMatrix('saturate', 1 - amount);
+    case 'saturate':
+      return [
+        [0.213 + 0.787 * amount, 0.715 - 0.715 * amount, 0.072 - 0.072 * amount, 0],
+        [0.213 - 0.213 * amount, 0.715 + 0.285 * amount, 0.072 - 0.072 * amount, 0],
+        [0.213 - 0.213 * amount, 0.715 - 0.715 * amount, 0.072 + 0.928 * amount, 0],
+      ];
+    case 'sepia': {
+      const rest = 1 - amount;
+      return [
+        [0.393 + 0.607 * rest, 0.769 - 0.769 * rest, 0.189 - 0.189 * rest, 0],
+        [0.349 - 0.349 * rest, 0.686 + 0.314 * rest, 0.168 - 0.168 * rest, 0],
+        [0.272 - 0.272 * rest, 0.534 - 0.534 * rest, 0.131 + 0.869 * rest, 0],
+      ];
+    }
+    case 'hue-rotate': {
+      const cos = Math.cos((amount * Math.PI) / 180);
+      const sin = Math.sin((amount * Math.PI) / 180);
+      return [
+        [0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928, 0],
+        [0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283, 0],
+        [0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072, 0],
+      ];
+    }
+    default:
+      return [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0]];
+  }
+}
+
+/**
+ * All filter functions of the edits combined into one color matrix
+ * Used where canvas filters are unsupported (Safari before 18); the result matches
+ * the CSS filters except that intermediate values are not clamped
+ * @param {Object} edits - Photo edits
+ * @returns {number[][]|null} 3x4 matrix, or null without filters
+ */
+export function getColorMatrix(edits) {
+  const ops = getFilterOps(edits);
+  if (ops.length === 0) return null;
+
+  return ops.reduce((matrix, [name, amount]) => {
+    const op = getOpMatrix(name, amount);
+    return op.map((row) => [
+      row[0] * matrix[0][0] + row[1] * matrix[1][0] + row[2] * matrix[2][0],
+      row[0] * matrix[0][1] + row[1] * matrix[1][1] + row[2] * matrix[2][1],
+      row[0] * matrix[0][2] + row[1] * matrix[1][2] + row[2] * matrix[2][2],
+      row[0] * matrix[0][3] + row[1] * matrix[1][3] + row[2] * matrix[2][3] + row[3],
+    ]);
+  }, getOpMatrix(null));
+}
+
+/**
+ * Size of the photo once rotated
+ * @param {number} width - Original width
+ * @param {number} height - Original height
+ * @param {number} rotation - Clockwise degrees
+ * @returns {{width: number, height: number}} Rotated size
+ */
+export function getRotatedSize(width, height, rotation) {
+  return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+/**
+ * Largest centered crop with an aspect ratio
+ * @param {number|null} ratio - Crop width / height in pixels (null = whole photo)
+ * @param {number} imageRatio - Rotated photo width / height
+ * @returns {Object} Crop { x, y, width, height }
+ */
+export function fitCropToAspect(ratio, imageRatio) {
+  if (!ratio) return FULL_CROP;
+
+  const width = ratio > imageRatio ? 1 : ratio / imageRatio;
+  const height = ratio > imageRatio ? imageRatio / ratio : 1;
+  return { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+}
+
+/**
+ * Move a crop, keeping it inside the photo
+ * @param {Object} crop - Crop
+ * @param {number} x - New left edge
+ * @param {number} y - New top edge
+ * @returns {Object} Moved crop
+ */
+export function moveCrop(crop, x, y) {
+  return {
+    ...crop,
+    x: Math.min(Math.max(x, 0), 1 - crop.width),
+    y: Math.min(Math.max(y, 0), 1 - crop.height),
+  };
+}
+
+/**
+ * Resize a crop from its bottom-right corner, keeping its aspect ratio if it has one
+ * @param {Object} crop - Crop
+ * @param {number} width - Requested width
+ * @param {number} height - Requested height (ignored with a ratio)
+ * @param {number|null} ratio - Crop width / height in pixels
+ * @param {number} imageRatio - Rotated photo width / height
+ * @returns {Object} Resized crop
+ */
+export function resizeCrop(crop, width, height, ratio, imageRatio) {
+  let newWidth = Math.min(Math.max(width, MIN_CROP), 1 - crop.x);
+  let newHeight = Math.min(Math.max(height, MIN_CROP), 1 - crop.y);
+
+  if (ratio) {
+    newHeight = (newWidth * imageRatio) / ratio;
+    if (newHeight > 1 - crop.y) {
+      newHeight = 1 - crop.y;
+      newWidth = (newHeight * ratio) / imageRatio;
+    }
+  }
+
+  return { ...crop, width: newWidth, height: newHeight };
+}
+
+/**
+ * Rotate a point a quarter turn clockwise
+ * @param {number[]} point - [x, y]
+ * @returns {number[]} Rotated point
+ */
+function rotatePoint([x, y]) {
+  return [1 - y, x];
+}
+
+/**
+ * Rotate the photo a quarter turn clockwise, taking crop and annotations along
+ * A flip before the turn equals the other flip after it, so the flips swap
+ * @param {Object} edits - Photo edits
+ * @returns {Object} New edits
+ */
+export function rotateEdits(edits) {
+  const { crop } = edits;
+  const swapped = edits.aspect.split(':').reverse().join(':');
+
+  return {
+    ...edits,
+    rotation: (edits.rotation + 90) % 360,
+    flipH: edits.flipV,
+    flipV: edits.flipH,
+    crop: { x: 1 - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width },
+    aspect: CROP_ASPECTS.some((aspect) => aspect.id === swapped) ? swapped : edits.aspect,
+    annotations: edits.annotations.map((annotation) => {
+      if (annotation.type === 'stroke') {
+        return { ...annotation, points: annotation.points.map(rotatePoint) };
+      }
+      const [x, y] = rotatePoint([annotation.x, annotation.y]);
+      return { ...annotation, x, y };
+    }),
+  };
+}
+
+/**
+ * Mirror the photo, taking crop and annotations along
+ * @param {Object} edits - Photo edits
+ * @param {boolean} horizontal - Mirror left/right (otherwise top/bottom)
+ * @returns {Object} New edits
+ */
+export function flipEdits(edits, horizontal) {
+  const { crop } = edits;
+  const flip = ([x, y]) => (horizontal ? [1 - x, y] : [x, 1 - y]);
+
+  return {
+    ...edits,
+    flipH: horizontal ? !edits.flipH : edits.flipH,
+    flipV: horizontal ? edits.flipV : !edits.flipV,
+    crop: horizontal
+      ? { ...crop, x: 1 - crop.x - crop.width }
+      : { ...crop, y: 1 - crop.y - crop.height },
+    annotations: edits.annotations.map((annotation) => {
+      if (annotation.type === 'stroke') {
+        return { ...annotation, points: annotation.points.map(flip) };
+      }
+      const [x, y] = flip([annotation.x, annotation.y]);
+      return { ...annotation, x, y };
+    }),
+  };
+}
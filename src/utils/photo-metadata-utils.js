@@ -0,0 +1,51 @@
+/**
+ * Photo metadata utilities shared by server and client
+ * A moment imported from a photo keeps when and with which camera the photo was taken
+ * (read from its EXIF data, see src/lib/exif.js)
+ */
+
+const MAX_CAMERA_MODEL_LENGTH = 100;
+
+/**
+ * Camera name from EXIF make and model
+ * Many cameras repeat the make in the model ("Canon" + "Canon EOS R6")
+ * @param {string|null} make - Camera make
+ * @param {string|null} model - Camera model
+ * @returns {string|null} Camera name
+ */
+export function formatCameraName(make, model) {
+  if (!model) return make || null;
+  if (!make || model.toLowerCase().startsWith(make.toLowerCase())) return model;
+  return `${make} ${model}`;
+}
+
+/**
+ * Validate the capture fields of a moment body
+ * Only fields present in the body are returned, so this works for create and update
+ * @param {Object} body - { capturedAt?, cameraModel? } (null clears a field)
+ * @returns {{data: Object, error: string|null}} Prisma data
+ */
+export function parseCaptureInfo({ capturedAt, cameraModel } = {}) {
+  const data = {};
+
+  if (capturedAt !== undefined) {
+    if (capturedAt === null || capturedAt === '') {
+      data.capturedAt = null;
+    } else {
+      const date = new Date(capturedAt);
+      if (isNaN(date.getTime())) {
+        return { data: {}, error: 'Invalid capturedAt date' };
+      }
+      data.capturedAt = date;
+    }
+  }
+
+  if (cameraModel !== undefined) {
+    if (cameraModel !== null && typeof cameraModel !== 'string') {
+      return { data: {}, error: 'Invalid camera model' };
+    }
+    data.cameraModel = cameraModel?.trim().slice(0, MAX_CAMERA_MODEL_LENGTH) || null;
+  }
+
+  return { data, error: null };
+}
@@ -0,0 +1,95 @@
+/**
+ * QR code utilities
+ * Classifies what the camera's QR mode decoded so it can offer the matching action:
+ * our own share links open in the app, geo: URIs become geofences, anything else
+ * can be added to the moment being captured.
+ */
+
+import {
+  DEFAULT_GEOFENCE_RADIUS,
+  MAX_GEOFENCE_RADIUS,
+  MIN_GEOFENCE_RADIUS,
+} from '@/utils/geofence-utils';
+import { isValidGPSCoordinate } from '@/utils/location-utils';
+import { isSharePath } from '@/utils/share-link-utils';
+
+/**
+ * Parse a geo: URI (RFC 5870), e.g. "geo:48.2082,16.3738;u=150?q=Vienna"
+ * u (uncertainty, meters) is used as the radius; the name comes from a name parameter
+ * or the label of an Android-style q query ("q=48.2,16.3(Office)")
+ * @param {string} text - Decoded QR text
+ * @returns {{lat: number, lng: number, radius: number, name: string|null}|null} Geofence, or null if not a valid geo: URI
+ */
+export function parseGeoUri(text) {
+  const match = /^geo:([^?]*)(?:\?(.*))?$/i.exec(text.trim());
+  if (!match) return null;
+
+  const [coordinates, ...parameters] = match[1].split(';');
+  const [lat, lng] = coordinates.split(',').map(Number);
+  if (!isValidGPSCoordinate(lat, lng)) return null;
+
+  const params = Object.fromEntries(parameters.map((parameter) => {
+    const [key, value = ''] = parameter.split('=');
+    return [key.toLowerCase(), safeDecode(value)];
+  }));
+  const query = new URLSearchParams(match[2] || '');
+
+  const uncertainty = Number(params.u);
+  const radius = Number.isFinite(uncertainty) && uncertainty > 0
+    ? Math.round(Math.min(Math.max(uncertainty, MIN_GEOFENCE_RADIUS), MAX_GEOFENCE_RADIUS))
+    : DEFAULT_GEOFENCE_RADIUS;
+
+  const label = /\(([^)]+)\)\s*$/.exec(query.get('q') || '')?.[1];
+  const name = (params.name || label || '').trim() || null;
+
+  return { lat, lng, radius, name };
+}
+
+/**
+ * Classify decoded QR text
+ * @param {string} text - Decoded QR text
+ * @param {string[]} appOrigins - Origins of this app (e.g. window.location.origin)
+ * @returns {Object} One of:
+ *   { kind: 'share', text, path } - one of our share links (path to open in the app)
+ *   { kind: 'geofence', text, geofence } - a geo: URI
+ *   { kind: 'url', text } - any other http(s) link
+ *   { kind: 'text', text } - plain text
+ */
+export function classifyQrPayload(text, appOrigins = []) {
+  const value = text.trim();
+
+  const geofence = parseGeoUri(value);
+  if (geofence) {
+    return { kind: 'geofence', text: value, geofence };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return { kind: 'text', text: value };
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { kind: 'text', text: value };
+  }
+
+  if (appOrigins.includes(url.origin) && isSharePath(url.pathname)) {
+    return { kind: 'share', text: value, path: url.pathname };
+  }
+
+  return { kind: 'url', text: value };
+}
+
+/**
+ * Decode a URI component, keeping malformed input as is
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Full-text search utilities
+ * Turns what users type into SQLite FTS5 query syntax and splits highlighted snippets
+ *
+ * Supported syntax:
+ * - words: all must match (beach sunset)
+ * - "exact phrase"
+ * - prefix*: words starting with prefix; the last word is always matched as a prefix
+ * - OR / AND between terms (beach OR lake)
+ * - -word or NOT word: exclude moments containing it
+ */
+
+// Wrap matched terms in search snippets; control characters never occur in moment text
+export const SNIPPET_MATCH_START = '\u0002';
+export const SNIPPET_MATCH_END = '\u0003';
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+/**
+ * Quote a term as an FTS5 string
+ * @param {string} text - Term text
+ * @param {boolean} prefix - Match as a prefix
+ * @returns {string|null} FTS5 term, or null if nothing searchable is left
+ */
+function quoteTerm(text, prefix) {
+  const cleaned = text.replace(/["*]/g, ' ').trim();
+  if (!/[\p{L}\p{N}]/u.test(cleaned)) return null;
+  return `"${cleaned}"${prefix ? '*' : ''}`;
+}
+
+/**
+ * Convert a user's search input to an FTS5 MATCH expression
+ * Input is never passed through verbatim, so it cannot produce an FTS5 syntax error
+ * @param {string} input - Search input
+ * @returns {string|null} MATCH expression, or null if the input has no searchable terms
+ */
+export function toFtsQuery(input) {
+  const tokens = String(input || '').match(/-?"[^"]*"?|\S+/g) || [];
+  const positive = [];
+  const negative = [];
+  let operator = null;
+  let negateNext = false;
+
+  tokens.forEach((token, index) => {
+    if (OPERATORS.includes(token)) {
+      if (token === 'NOT') {
+        negateNext = true;
+      } else if (positive.length > 0) {
+        operator = token;
+      }
+      return;
+    }
+
+    const negate = negateNext || (token.startsWith('-') && token.length > 1);
+    const raw = token.startsWith('-') ? token.slice(1) : token;
+    const isPhrase = raw.startsWith('"');
+    const isLast = index === tokens.length - 1;
+    const term = isPhrase
+      ? quoteTerm(raw.slice(1).replace(/"$/, ''), false)
+      : quoteTerm(raw, raw.endsWith('*') || isLast);
+
+    negateNext = false;
+    if (!term) return;
+
+    if (negate) {
+      negative.push(term);
+    } else {
+      positive.push(positive.length > 0 ? `${operator || 'AND'} ${term}` : term);
+      operator = null;
+    }
+  });
+
+  // FTS5 has no unary NOT: exclusions need something to exclude from
+  if (positive.length === 0) return null;
+
+  const base = positive.length > 1 ? `(${positive.join(' ')})` : positive[0];
+  return [base, ...negative.map((term) => `NOT ${term}`)].join(' ');
+}
+
+/**
+ * Split a search snippet into plain and matched parts for rendering
+ * @param {string} snippet - Snippet from the search API
+ * @returns {Array<{text: string, match: boolean}>} Parts in order
+ */
+export function splitSnippet(snippet) {
+  const parts = [];
+  const pattern = new RegExp(`${SNIPPET_MATCH_START}([^${SNIPPET_MATCH_END}]*)${SNIPPET_MATCH_END}`, 'g');
+  let lastIndex = 0;
+
+  for (const match of (snippet || '').matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      parts.push({ text: snippet.slice(lastIndex, match.index), match: false });
+    }
+    parts.push({ text: match[1], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < (snippet || '').length) {
+    parts.push({ text: snippet.slice(lastIndex), match: false });
+  }
+
+  return parts;
+}
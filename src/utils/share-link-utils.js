@@ -0,0 +1,160 @@
+/**
+ * Share link utilities
+ * A share link makes a moment, an album or a filtered set of moments public under a
+ * random token, optionally until an expiry date and behind a password.
+ * Revoking a link replaces its token, so an old URL can never work again.
+ * A link can also hide the exact location and the owner's name from its audience.
+ */
+
+// Fired on window when share links are created, changed or revoked
+export const SHARE_LINKS_CHANGED_EVENT = 'share-links-changed';
+
+// Expiry choices offered when creating a link (days, null = never)
+export const EXPIRY_OPTIONS = [
+  { label: 'Never', days: null },
+  { label: '1 day', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+];
+
+const MAX_EXPIRY_DAYS = 365;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_TITLE_LENGTH = 100;
+
+/**
+ * Validate a link expiry
+ * @param {*} value - ISO date string, or null/empty for no expiry
+ * @returns {{expiresAt: Date|null, error: string|null}} Expiry date
+ */
+export function parseExpiresAt(value) {
+  if (value === null || value === undefined || value === '') {
+    return { expiresAt: null, error: null };
+  }
+
+  const expiresAt = new Date(value);
+  if (isNaN(expiresAt.getTime())) {
+    return { expiresAt: null, error: 'Invalid expiry date' };
+  }
+  if (expiresAt <= new Date()) {
+    return { expiresAt: null, error: 'Expiry date must be in the future' };
+  }
+  if (expiresAt.getTime() > Date.now() + MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+    return { expiresAt: null, error: `Links can expire at most ${MAX_EXPIRY_DAYS} days from now` };
+  }
+  return { expiresAt, error: null };
+}
+
+/**
+ * Validate a link password
+ * @param {*} value - Password, or null/empty for none
+ * @returns {{password: string|null, error: string|null}} Password
+ */
+export function parseSharePassword(value) {
+  if (value === null || value === undefined || value === '') {
+    return { password: null, error: null };
+  }
+  if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH || value.length > MAX_PASSWORD_LENGTH) {
+    return { password: null, error: `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters` };
+  }
+  return { password: value, error: null };
+}
+
+/**
+ * Validate a link title
+ * @param {*} value - Title, or null/empty for none
+ * @returns {{title: string|null, error: string|null}} Trimmed title
+ */
+export function parseShareTitle(value) {
+  if (value === null || value === undefined) {
+    return { title: null, error: null };
+  }
+  if (typeof value !== 'string') {
+    return { title: null, error: 'Invalid title' };
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.length > MAX_TITLE_LENGTH) {
+    return { title: null, error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  return { title: trimmed || null, error: null };
+}
+
+/**
+ * Validate audience options of a link
+ * @param {Object} body - { hideLocation?, hideAuthor? }
+ * @returns {{options: Object, error: string|null}} Only the options that were given
+ */
+export function parseAudienceOptions({ hideLocation, hideAuthor } = {}) {
+  const options = {};
+
+  for (const [key, value] of Object.entries({ hideLocation, hideAuthor })) {
+    if (value === undefined) continue;
+    if (typeof value !== 'boolean') {
+      return { options: {}, error: `${key} must be true or false` };
+    }
+    options[key] = value;
+  }
+
+  return { options, error: null };
+}
+
+/**
+ * Expiry date a number of days from now
+ * @param {number|null} days - Days, or null for no expiry
+ * @returns {string|null} ISO date string
+ */
+export function getExpiryDate(days) {
+  return days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+}
+
+/**
+ * Current state of a link
+ * @param {Object} link - { revokedAt, expiresAt }
+ * @returns {'active'|'expired'|'revoked'} Status
+ */
+export function getShareLinkStatus(link) {
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt && new Date(link.expiresAt) <= new Date()) return 'expired';
+  return 'active';
+}
+
+// Public pages a share link can point at
+const SHARE_PATH_PATTERN = /^\/share\/(?:collection\/)?[A-Za-z0-9_-]+\/?$/;
+
+/**
+ * Whether a path is the public page of a share link (see getSharePath)
+ * @param {string} pathname - URL path
+ * @returns {boolean} Share page
+ */
+export function isSharePath(pathname) {
+  return SHARE_PATH_PATTERN.test(pathname);
+}
+
+/**
+ * Public page of a link
+ * Single moments keep the original /share/[token] page; albums and filtered sets use /share/collection/[token]
+ * @param {Object} link - { token, momentId }
+ * @returns {string} Path
+ */
+export function getSharePath(link) {
+  return link.momentId ? `/share/${link.token}` : `/share/collection/${link.token}`;
+}
+
+// Longest caption printed below a share QR code
+export const MAX_QR_CAPTION_LENGTH = 80;
+
+/**
+ * Image URL of a printable QR code for a share URL (see GET /api/qr)
+ * @param {string} url - Share URL
+ * @param {Object} options - { format: 'svg'|'png', logo, caption, size }
+ * @returns {string} Path with query
+ */
+export function getShareQrUrl(url, { format = 'svg', logo = false, caption = '', size } = {}) {
+  const params = new URLSearchParams({ url, format });
+  if (logo) params.set('logo', 'true');
+  if (caption.trim()) params.set('caption', caption.trim());
+  if (size) params.set('size', String(size));
+  return `/api/qr?${params}`;
+}
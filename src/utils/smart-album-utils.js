@@ -0,0 +1,145 @@
+/**
+ * Smart album utilities
+ * A smart album is a saved filter definition; its moments are whatever currently matches.
+ *
+ * Filter definition:
+ * {
+ *   query: string | null,           // Full-text search (same syntax as /api/search)
+ *   tagIds: number[],               // Moments with any of these tags
+ *   categoryId: number | null,
+ *   mood: string | null,
+ *   dateFrom: string | null,        // ISO date (inclusive)
+ *   dateTo: string | null,          // ISO date (inclusive)
+ *   mediaType: 'all' | 'image' | 'audio' | 'video',  // 'all' = no media filter
+ *   location: { lat: number, lng: number, radiusKm: number } | null,
+ * }
+ */
+
+import { isValidGPSCoordinate } from '@/utils/location-utils';
+
+// Fired on window when albums are created, renamed or deleted
+export const SMART_ALBUMS_CHANGED_EVENT = 'smart-albums-changed';
+
+export const MEDIA_TYPES = ['all', 'image', 'audio', 'video'];
+
+const MAX_NAME_LENGTH = 60;
+const MAX_QUERY_LENGTH = 200;
+const MAX_RADIUS_KM = 20000;
+
+/**
+ * Validate an album name
+ * @param {*} name - Name from the request
+ * @returns {{name: string|null, error: string|null}} Trimmed name
+ */
+export function parseAlbumName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    return { name: null, error: 'Album name is required' };
+  }
+  if (trimmed.length > MAX_NAME_LENGTH) {
+    return { name: null, error: `Album name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return { name: trimmed, error: null };
+}
+
+/**
+ * Parse an optional date
+ * @param {*} value - Date string, Date or empty
+ * @returns {string|null|undefined} ISO string, null if empty, undefined if invalid
+ */
+function parseDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+/**
+ * Validate and normalize a filter definition
+ * Missing fields get their "no filter" value, so stored definitions always have every field
+ * @param {Object} input - Filter definition from the client
+ * @returns {{filters: Object|null, error: string|null}} Normalized definition
+ */
+export function normalizeAlbumFilters(input = {}) {
+  if (!input || typeof input !== 'object') {
+    return { filters: null, error: 'Invalid filters' };
+  }
+
+  const query = typeof input.query === 'string' ? input.query.trim() : '';
+  if (query.length > MAX_QUERY_LENGTH) {
+    return { filters: null, error: 'Search query is too long' };
+  }
+
+  const tagIds = input.tagIds ?? [];
+  if (!Array.isArray(tagIds) || !tagIds.every(Number.isInteger)) {
+    return { filters: null, error: 'Invalid tagIds' };
+  }
+
+  const categoryId = input.categoryId ?? null;
+  if (categoryId !== null && !Number.isInteger(categoryId)) {
+    return { filters: null, error: 'Invalid categoryId' };
+  }
+
+  const mood = input.mood ?? null;
+  if (mood !== null && typeof mood !== 'string') {
+    return { filters: null, error: 'Invalid mood' };
+  }
+
+  const dateFrom = parseDate(input.dateFrom);
+  const dateTo = parseDate(input.dateTo);
+  if (dateFrom === undefined || dateTo === undefined) {
+    return { filters: null, error: 'Invalid date range' };
+  }
+
+  const mediaType = input.mediaType || 'all';
+  if (!MEDIA_TYPES.includes(mediaType)) {
+    return { filters: null, error: 'Invalid mediaType' };
+  }
+
+  let location = null;
+  if (input.location) {
+    const { lat, lng, radiusKm } = input.location;
+    if (!isValidGPSCoordinate(lat, lng) || !(radiusKm > 0 && radiusKm <= MAX_RADIUS_KM)) {
+      return { filters: null, error: 'Invalid location radius' };
+    }
+    location = { lat, lng, radiusKm };
+  }
+
+  return {
+    filters: {
+      query: query || null,
+      tagIds: [...new Set(tagIds)],
+      categoryId,
+      mood: mood || null,
+      dateFrom,
+      dateTo,
+      mediaType,
+      location,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Short human-readable summary of a filter definition
+ * @param {Object} filters - Normalized definition
+ * @returns {string[]} One entry per active filter
+ */
+export function describeAlbumFilters(filters) {
+  const parts = [];
+
+  if (filters.query) parts.push(`"${filters.query}"`);
+  if (filters.tagIds.length > 0) {
+    parts.push(`${filters.tagIds.length} tag${filters.tagIds.length !== 1 ? 's' : ''}`);
+  }
+  if (filters.categoryId) parts.push('category');
+  if (filters.mood) parts.push(`mood: ${filters.mood}`);
+  if (filters.dateFrom || filters.dateTo) {
+    const from = filters.dateFrom ? new Date(filters.dateFrom).toLocaleDateString() : '…';
+    const to = filters.dateTo ? new Date(filters.dateTo).toLocaleDateString() : '…';
+    parts.push(`${from} – ${to}`);
+  }
+  if (filters.mediaType !== 'all') parts.push(`${filters.mediaType} only`);
+  if (filters.location) parts.push(`within ${filters.location.radiusKm} km`);
+
+  return parts;
+}